@@ -1,61 +1,118 @@
 // api/admin.js — all admin actions, every request verified server-side
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
+const bcrypt = require("bcryptjs");
+const { sql } = require("../lib/db");
+const { cors, sendError, parseNumber } = require("../lib/http");
+const { serializeBet } = require("../lib/users");
+const { ROLES, hasRole, auditQuery, audit, requireAdmin, revokeAdminSession } = require("../lib/admin");
+const { postQuery, post, reconcile, getEntries, ACCOUNTS } = require("../lib/ledger");
+const { cancelBet } = require("../lib/bets");
+const { claimIdempotencyKey } = require("../lib/idempotency");
+const { orderReport } = require("../lib/orders");
+const { serializeWithdrawal, getWithdrawal, approveWithdrawal, rejectWithdrawal } = require("../lib/withdrawals");
+const { SETTLEMENT_CURRENCY, GOLD, money, walletCurrency, toMinor, toDecimal } = require("../lib/currency");
+
+// Minimum role per action (see lib/admin.js for what each role means).
+// Every action that changes data also writes an admin_audit_log row.
+const ACTION_ROLES = {
+  getPlayers: "viewer",
+  getPlayerDetail: "viewer",
+  getRedemptions: "viewer",
+  getWithdrawals: "viewer",
+  getPendingBets: "viewer",
+  getActivity: "viewer",
+  logout: "viewer",
+  getEmailLogs: "support",
+  getAuditLog: "support",
+  saveNote: "support",
+  fulfillRedemption: "support",
+  cancelPendingBet: "support",
+  resetVirtualBalance: "support",
+  adjustBalance: "support", // real_balance / skin_credits additionally need finance
+  getFinancials: "finance",
+  clearFlag: "finance",
+  approveWithdrawal: "finance",
+  rejectWithdrawal: "finance",
+  reconcileLedger: "finance",
+  getOrderReport: "finance",
+  deletePlayer: "owner",
+  getAdmins: "owner",
+  createAdmin: "owner",
+  updateAdmin: "owner",
+};
 
-function verifyAdmin(adminToken) {
-  return adminToken === process.env.ADMIN_PASSWORD;
-}
+// The player's view of a withdrawal plus who reviewed it and how the payout went
+const adminWithdrawal = (w) => ({
+  ...serializeWithdrawal(w),
+  username: w.username,
+  reviewedBy: w.reviewed_by || null,
+  reviewedAt: w.reviewed_at ? Number(w.reviewed_at) : null,
+  payoutBatchId: w.payout_batch_id || null,
+  payoutStatus: w.payout_status || null,
+  payoutError: w.payout_error || null,
+});
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
-
-  const { action, adminToken, ...params } = req.body || {};
-
-  if (!verifyAdmin(adminToken)) {
-    return res.status(403).json({ error: "Forbidden" });
-  }
+  if (cors(req, res)) return;
 
-  // Ensure notes column exists
-  await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS admin_note TEXT DEFAULT NULL`;
+  const { action, ...params } = req.body || {};
+  if (!ACTION_ROLES[action]) return res.status(400).json({ error: "Unknown action" });
 
   try {
+    const admin = await requireAdmin(req, res, ACTION_ROLES[action]);
+    if (!admin) return;
+    // Read actions are safe to repeat; everything else honours Idempotency-Key
+    if (!action.startsWith("get") && !(await claimIdempotencyKey(req, res, `admin:${admin.username}`, "/api/admin"))) return;
 
     // ── GET ALL PLAYERS ──────────────────────────────────────────────────────
     if (action === "getPlayers") {
-      const users = await sql`SELECT * FROM users ORDER BY created_at DESC`;
+      const users = await sql`SELECT * FROM users WHERE deleted_at IS NULL ORDER BY created_at DESC`;
       const bets = await sql`SELECT username, status, amount, potential_win, mode, odds FROM bets`;
       const deposits = await sql`SELECT username, SUM(amount) as total, COUNT(*) as count FROM deposits GROUP BY username`;
 
       const depositMap = {};
-      for (const d of deposits) depositMap[d.username] = { total: Number(d.total), count: Number(d.count) };
+      for (const d of deposits) depositMap[d.username] = { total: money(d.total), count: Number(d.count) };
 
+      // Gold and real money are summed apart, in minor units — totalWagered / totalWon are gold
+      const emptyBets = () => ({ total: 0, wins: 0, losses: 0, pending: 0, cancelled: 0, expired: 0, void: 0, totalWagered: 0, totalWon: 0, realWagered: 0, realWon: 0 });
       const betMap = {};
       for (const b of bets) {
-        if (!betMap[b.username]) betMap[b.username] = { total: 0, wins: 0, losses: 0, pending: 0, cancelled: 0, totalWagered: 0, totalWon: 0 };
+        if (!betMap[b.username]) betMap[b.username] = emptyBets();
+        const real = b.mode === "real";
+        const currency = walletCurrency(b.mode);
         betMap[b.username].total++;
-        betMap[b.username].totalWagered += Number(b.amount);
-        if (b.status === "won") { betMap[b.username].wins++; betMap[b.username].totalWon += Number(b.potential_win); }
+        betMap[b.username][real ? "realWagered" : "totalWagered"] += toMinor(b.amount, currency);
+        if (b.status === "won") { betMap[b.username].wins++; betMap[b.username][real ? "realWon" : "totalWon"] += toMinor(b.potential_win, currency); }
         else if (b.status === "lost") betMap[b.username].losses++;
         else if (b.status === "pending") betMap[b.username].pending++;
         else if (b.status === "cancelled") betMap[b.username].cancelled++;
+        else if (b.status === "expired") betMap[b.username].expired++;
+        else if (b.status === "void") betMap[b.username].void++;
       }
 
+      const betTotals = (t) => ({
+        ...t,
+        totalWagered: { minor: t.totalWagered, currency: GOLD },
+        totalWon: { minor: t.totalWon, currency: GOLD },
+        realWagered: { minor: t.realWagered, currency: SETTLEMENT_CURRENCY },
+        realWon: { minor: t.realWon, currency: SETTLEMENT_CURRENCY },
+      });
+
       return res.status(200).json({
         players: users.map(u => ({
           username: u.username,
           email: u.email || null,
-          balance: Number(u.balance),
-          realBalance: Number(u.real_balance || 0),
-          skinCredits: Number(u.skin_credits || 0),
+          currency: u.currency,
+          balance: money(u.balance, GOLD),
+          realBalance: money(u.real_balance || 0, u.currency),
+          skinCredits: money(u.skin_credits || 0, u.currency),
           lolAccount: u.lol_account,
           rank: u.rank,
           createdAt: Number(u.created_at),
           adminNote: u.admin_note || "",
-          deposit: depositMap[u.username] || { total: 0, count: 0 },
-          bets: betMap[u.username] || { total: 0, wins: 0, losses: 0, pending: 0, cancelled: 0, totalWagered: 0, totalWon: 0 },
+          flaggedAt: u.flagged_at ? Number(u.flagged_at) : null,
+          flagReason: u.flag_reason || null,
+          deposit: depositMap[u.username] || { total: money(0), count: 0 },
+          bets: betTotals(betMap[u.username] || emptyBets()),
         }))
       });
 
@@ -65,33 +122,29 @@ module.exports = async function handler(req, res) {
       const bets = await sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at DESC LIMIT 50`;
       const deposits = await sql`SELECT * FROM deposits WHERE username = ${username} ORDER BY created_at DESC LIMIT 50`;
       const redemptions = await sql`SELECT * FROM skin_redemptions WHERE username = ${username} ORDER BY created_at DESC LIMIT 20`;
+      const withdrawals = await sql`SELECT * FROM withdrawals WHERE username = ${username} ORDER BY created_at DESC LIMIT 20`;
       return res.status(200).json({
-        bets: bets.map(b => ({
-          id: Number(b.id),
-          amount: Number(b.amount),
-          odds: Number(b.odds),
-          potentialWin: Number(b.potential_win),
-          status: b.status,
-          mode: b.mode || "virtual",
-          placedAt: Number(b.placed_at),
-          resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
-          result: b.result,
-        })),
+        bets: bets.map(serializeBet),
         deposits: deposits.map(d => ({
           id: Number(d.id),
-          amount: Number(d.amount),
+          amount: money(d.amount, d.currency),
+          paid: money(d.paypal_amount, d.paypal_currency),
+          fxRate: d.fx_rate != null ? Number(d.fx_rate) : null,
           status: d.status,
+          clawedBack: money(d.clawed_back || 0, d.currency),
           createdAt: Number(d.created_at),
         })),
         redemptions: redemptions.map(r => ({
           id: Number(r.id),
           skinName: r.skin_name,
           rpCost: Number(r.rp_cost),
-          creditCost: Number(r.credit_cost || 0),
-          realCost: Number(r.real_cost || 0),
+          creditCost: money(r.credit_cost || 0, r.currency),
+          realCost: money(r.real_cost || 0, r.currency),
           status: r.status,
           createdAt: Number(r.created_at),
         })),
+        withdrawals: withdrawals.map(adminWithdrawal),
+        ledger: await getEntries(username, { limit: 100 }),
       });
 
     // ── GET ALL REDEMPTIONS ──────────────────────────────────────────────────
@@ -110,8 +163,8 @@ module.exports = async function handler(req, res) {
           lolAccount: r.lol_account,
           skinName: r.skin_name,
           rpCost: Number(r.rp_cost),
-          creditCost: Number(r.credit_cost || 0),
-          realCost: Number(r.real_cost || 0),
+          creditCost: money(r.credit_cost || 0, r.currency),
+          realCost: money(r.real_cost || 0, r.currency),
           status: r.status,
           createdAt: Number(r.created_at)
         }))
@@ -120,7 +173,13 @@ module.exports = async function handler(req, res) {
     // ── FULFILL REDEMPTION ───────────────────────────────────────────────────
     } else if (action === "fulfillRedemption") {
       const { redemptionId } = params;
-      await sql`UPDATE skin_redemptions SET status = 'fulfilled' WHERE id = ${redemptionId}`;
+      const fulfilled = await sql`UPDATE skin_redemptions SET status = 'fulfilled'
+                                  WHERE id = ${redemptionId} AND status = 'pending'
+                                  RETURNING username, skin_name, rp_cost`;
+      if (!fulfilled.length) return res.status(404).json({ error: "No pending redemption with that id" });
+      await audit(admin, "fulfillRedemption", fulfilled[0].username, {
+        redemptionId: Number(redemptionId), skinName: fulfilled[0].skin_name, rpCost: Number(fulfilled[0].rp_cost),
+      });
 
       // Send email notification to player
       try {
@@ -133,7 +192,7 @@ module.exports = async function handler(req, res) {
         `;
         const r = rows[0];
         if (r?.email && process.env.RESEND_API_KEY) {
-          const totalPaid = (Number(r.credit_cost || 0) + Number(r.real_cost || 0)).toFixed(2);
+          const totalPaid = toDecimal(toMinor(r.credit_cost || 0) + toMinor(r.real_cost || 0));
           const cardHtml = `<!DOCTYPE html>
 <html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><meta name="color-scheme" content="dark">
 <style>@import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800;900&display=swap');
@@ -229,12 +288,41 @@ body{margin:0;padding:0;background:#060a10}
           const cardStatus = cardResendRes.status === 200 ? "sent" : "failed";
           await sql`INSERT INTO email_logs (username, recipient, type, status, resend_id, error) VALUES (${r.username}, ${r.email}, ${"rp_card"}, ${cardStatus}, ${cardResendData.id || null}, ${cardResendData.message || null})`;
         }
-            } catch(emailErr) {
+      } catch(emailErr) {
         console.error("Email send failed:", emailErr.message);
         // Don't fail the fulfillment if email fails
       }
       return res.status(200).json({ success: true });
 
+    // ── WITHDRAWALS ──────────────────────────────────────────────────────────
+    // Held off the player's real balance when requested (lib/withdrawals.js).
+    // Approving pays out through PayPal; rejecting gives the money back.
+    } else if (action === "getWithdrawals") {
+      const rows = await sql`
+        SELECT * FROM withdrawals
+        ORDER BY CASE status WHEN 'pending' THEN 0 WHEN 'approved' THEN 1 ELSE 2 END, created_at ASC
+        LIMIT 200
+      `;
+      return res.status(200).json({ withdrawals: rows.map(adminWithdrawal) });
+
+    } else if (action === "approveWithdrawal") {
+      const w = await getWithdrawal(params.withdrawalId);
+      // A failed payout answers 502 and leaves the error (and reviewed_by) on the row
+      const paid = await approveWithdrawal(w, admin);
+      await audit(admin, "approveWithdrawal", w.username, {
+        withdrawalId: Number(w.id), amount: Number(w.amount), paypalEmail: w.paypal_email, payoutBatchId: paid.payout_batch_id,
+      });
+      return res.status(200).json({ success: true, withdrawal: adminWithdrawal(paid) });
+
+    } else if (action === "rejectWithdrawal") {
+      const w = await getWithdrawal(params.withdrawalId);
+      const reason = params.reason ? String(params.reason).slice(0, 500) : null;
+      const rejected = await rejectWithdrawal(w, admin, reason);
+      await audit(admin, "rejectWithdrawal", w.username, {
+        withdrawalId: Number(w.id), amount: Number(w.amount), reason, payoutError: w.payout_error || null,
+      });
+      return res.status(200).json({ success: true, withdrawal: adminWithdrawal(rejected) });
+
     // ── GET ALL PENDING BETS ─────────────────────────────────────────────────
     } else if (action === "getPendingBets") {
       const rows = await sql`
@@ -246,18 +334,35 @@ body{margin:0;padding:0;background:#060a10}
       `;
       return res.status(200).json({
         bets: rows.map(b => ({
-          id: Number(b.id),
+          ...serializeBet(b),
           username: b.username,
           lolAccount: b.lol_account,
           rank: b.rank,
-          amount: Number(b.amount),
-          odds: Number(b.odds),
-          potentialWin: Number(b.potential_win),
-          mode: b.mode || "virtual",
-          placedAt: Number(b.placed_at),
         }))
       });
 
+    // ── LEDGER RECONCILIATION ────────────────────────────────────────────────
+    // Compares every wallet column with the sum of its ledger entries.
+    // fix: true rewrites the columns from the ledger (the ledger is the record).
+    } else if (action === "reconcileLedger") {
+      const fix = params.fix === true;
+      const report = await reconcile({ username: params.username || null, fix });
+      if (fix && report.fixed) {
+        await audit(admin, "reconcileLedger", params.username || null, { fixed: report.mismatches });
+      }
+      const wallets = (w) => ({ virtual: money(w.virtual, GOLD), real: money(w.real), credits: money(w.credits) });
+      return res.status(200).json({
+        ...report,
+        mismatches: report.mismatches.map(m => ({ ...m, columns: wallets(m.columns), ledger: wallets(m.ledger) })),
+      });
+
+    // ── PAYPAL ORDER RECONCILIATION ──────────────────────────────────────────
+    // Orders created but never captured, and mismatched captures that were refunded.
+    // checkPayPal: true also asks PayPal what became of the newest open orders.
+    } else if (action === "getOrderReport") {
+      const report = await orderReport({ checkPayPal: params.checkPayPal === true });
+      return res.status(200).json(report);
+
     // ── GET FINANCIALS ───────────────────────────────────────────────────────
     } else if (action === "getFinancials") {
       const [deps] = await sql`SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count FROM deposits WHERE status = 'completed'`;
@@ -265,7 +370,9 @@ body{margin:0;padding:0;background:#060a10}
       const [creditsOwed] = await sql`SELECT COALESCE(SUM(skin_credits), 0) as total FROM users`;
       const [redeemed] = await sql`SELECT COALESCE(SUM(credit_cost + COALESCE(real_cost, 0)), 0) as total, COUNT(*) as count FROM skin_redemptions WHERE status = 'fulfilled'`;
       const [pendingRedeemed] = await sql`SELECT COALESCE(SUM(credit_cost + COALESCE(real_cost, 0)), 0) as total, COUNT(*) as count FROM skin_redemptions WHERE status = 'pending'`;
-      const [playerCount] = await sql`SELECT COUNT(*) as total FROM users`;
+      const [withdrawn] = await sql`SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count FROM withdrawals WHERE status = 'paid'`;
+      const [pendingWithdrawn] = await sql`SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count FROM withdrawals WHERE status IN ('pending', 'approved')`;
+      const [playerCount] = await sql`SELECT COUNT(*) as total FROM users WHERE deleted_at IS NULL`;
 
       // Real bets stats
       const [realBets] = await sql`
@@ -275,7 +382,7 @@ body{margin:0;padding:0;background:#060a10}
           COALESCE(SUM(CASE WHEN status='lost' THEN 1 ELSE 0 END), 0) as losses,
           COALESCE(SUM(amount), 0) as wagered,
           COALESCE(SUM(CASE WHEN status='won' THEN potential_win - amount ELSE 0 END), 0) as credits_paid_out
-        FROM bets WHERE mode = 'real' AND status NOT IN ('pending', 'cancelled')
+        FROM bets WHERE mode = 'real' AND status NOT IN ('pending', 'cancelled', 'expired', 'void')
       `;
 
       // Virtual bets stats
@@ -285,7 +392,7 @@ body{margin:0;padding:0;background:#060a10}
           COALESCE(SUM(CASE WHEN status='won' THEN 1 ELSE 0 END), 0) as wins,
           COALESCE(SUM(CASE WHEN status='lost' THEN 1 ELSE 0 END), 0) as losses,
           COALESCE(SUM(amount), 0) as wagered
-        FROM bets WHERE mode = 'virtual' AND status NOT IN ('pending', 'cancelled')
+        FROM bets WHERE mode = 'virtual' AND status NOT IN ('pending', 'cancelled', 'expired', 'void')
       `;
 
       // Pending bets
@@ -296,18 +403,23 @@ body{margin:0;padding:0;background:#060a10}
         FROM bets WHERE status = 'pending'
       `;
 
-      const totalDeposited = Number(deps.total);
-      const totalRealOwed = Number(realOwed.total);
-      const totalCreditsOwed = Number(creditsOwed.total);
-      const totalFulfilled = Number(redeemed.total);
-      const totalPendingRedeem = Number(pendingRedeemed.total);
+      // In minor units, so the margin is exact
+      const totalDeposited = toMinor(deps.total);
+      const totalRealOwed = toMinor(realOwed.total);
+      const totalCreditsOwed = toMinor(creditsOwed.total);
+      const totalFulfilled = toMinor(redeemed.total);
+      const totalPendingRedeem = toMinor(pendingRedeemed.total);
+      // Held off real_balance already, so not in totalRealOwed
+      const totalWithdrawn = toMinor(withdrawn.total);
+      const totalPendingWithdraw = toMinor(pendingWithdrawn.total);
+      const cents = (minor) => ({ minor, currency: SETTLEMENT_CURRENCY });
 
       const real = {
         totalBets: Number(realBets.total),
         wins: Number(realBets.wins),
         losses: Number(realBets.losses),
-        wagered: Number(realBets.wagered),       // real € wagered by players
-        creditsPaidOut: Number(realBets.credits_paid_out), // credits created from wins
+        wagered: money(realBets.wagered),       // real money wagered by players
+        creditsPaidOut: money(realBets.credits_paid_out), // credits created from wins
         winRate: Number(realBets.total) > 0 ? Math.round(Number(realBets.wins) / Number(realBets.total) * 100) : 0,
       };
 
@@ -315,44 +427,51 @@ body{margin:0;padding:0;background:#060a10}
         totalBets: Number(virtualBets.total),
         wins: Number(virtualBets.wins),
         losses: Number(virtualBets.losses),
-        wagered: Number(virtualBets.wagered),    // fake $ wagered (for info only)
+        wagered: money(virtualBets.wagered, GOLD), // gold wagered (for info only)
         winRate: Number(virtualBets.total) > 0 ? Math.round(Number(virtualBets.wins) / Number(virtualBets.total) * 100) : 0,
       };
 
       return res.status(200).json({
-        // Real money
-        totalDeposited,
-        totalRealOwed,
-        totalFulfilled,
-        totalPendingRedeem,
-        netMargin: totalDeposited - totalRealOwed - totalFulfilled - totalPendingRedeem,
+        // Real money, all in the settlement currency
+        currency: SETTLEMENT_CURRENCY,
+        totalDeposited: cents(totalDeposited),
+        totalRealOwed: cents(totalRealOwed),
+        totalFulfilled: cents(totalFulfilled),
+        totalPendingRedeem: cents(totalPendingRedeem),
+        totalWithdrawn: cents(totalWithdrawn),
+        totalPendingWithdraw: cents(totalPendingWithdraw),
+        netMargin: cents(totalDeposited - totalRealOwed - totalFulfilled - totalPendingRedeem - totalWithdrawn - totalPendingWithdraw),
         // Credits
-        totalCreditsOwed,
+        totalCreditsOwed: cents(totalCreditsOwed),
         totalCreditsPaidOut: real.creditsPaidOut,
         // Bet stats split
         real,
         virtual,
         // Pending
         pendingBetsCount: Number(pendingBets.total),
-        pendingRealAtStake: Number(pendingBets.real_at_stake),
-        pendingVirtualAtStake: Number(pendingBets.virtual_at_stake),
+        pendingRealAtStake: money(pendingBets.real_at_stake),
+        pendingVirtualAtStake: money(pendingBets.virtual_at_stake, GOLD),
         // Counts
         totalPlayers: Number(playerCount.total),
         totalDeposits: Number(deps.count),
         totalRedemptionsFulfilled: Number(redeemed.count),
         totalRedemptionsPending: Number(pendingRedeemed.count),
+        totalWithdrawalsPaid: Number(withdrawn.count),
+        totalWithdrawalsPending: Number(pendingWithdrawn.count),
       });
 
     // ── GET RECENT ACTIVITY LOG ──────────────────────────────────────────────
     } else if (action === "getActivity") {
-      const bets = await sql`SELECT 'bet' as type, username, amount, status, placed_at as ts, mode FROM bets ORDER BY placed_at DESC LIMIT 40`;
-      const deposits = await sql`SELECT 'deposit' as type, username, amount, 'completed' as status, created_at as ts FROM deposits ORDER BY created_at DESC LIMIT 30`;
-      const redemptions = await sql`SELECT 'redemption' as type, username, (credit_cost + COALESCE(real_cost,0)) as amount, status, created_at as ts, skin_name FROM skin_redemptions ORDER BY created_at DESC LIMIT 30`;
+      const bets = await sql`SELECT 'bet' as type, username, amount, currency, status, placed_at as ts, mode FROM bets ORDER BY placed_at DESC LIMIT 40`;
+      const deposits = await sql`SELECT 'deposit' as type, username, amount, currency, 'completed' as status, created_at as ts FROM deposits ORDER BY created_at DESC LIMIT 30`;
+      const redemptions = await sql`SELECT 'redemption' as type, username, (credit_cost + COALESCE(real_cost,0)) as amount, currency, status, created_at as ts, skin_name FROM skin_redemptions ORDER BY created_at DESC LIMIT 30`;
+      const withdrawals = await sql`SELECT username, amount, currency, status, created_at as ts FROM withdrawals ORDER BY created_at DESC LIMIT 30`;
 
       const all = [
-        ...bets.map(b => ({ type: "bet", username: b.username, amount: Number(b.amount), status: b.status, ts: Number(b.ts), mode: b.mode })),
-        ...deposits.map(d => ({ type: "deposit", username: d.username, amount: Number(d.amount), status: "completed", ts: Number(d.ts) })),
-        ...redemptions.map(r => ({ type: "redemption", username: r.username, amount: Number(r.amount), status: r.status, ts: Number(r.ts), skinName: r.skin_name })),
+        ...bets.map(b => ({ type: "bet", username: b.username, amount: money(b.amount, b.currency), status: b.status, ts: Number(b.ts), mode: b.mode })),
+        ...deposits.map(d => ({ type: "deposit", username: d.username, amount: money(d.amount, d.currency), status: "completed", ts: Number(d.ts) })),
+        ...redemptions.map(r => ({ type: "redemption", username: r.username, amount: money(r.amount, r.currency), status: r.status, ts: Number(r.ts), skinName: r.skin_name })),
+        ...withdrawals.map(w => ({ type: "withdrawal", username: w.username, amount: money(w.amount, w.currency), status: w.status, ts: Number(w.ts) })),
       ].sort((a, b) => b.ts - a.ts).slice(0, 80);
 
       return res.status(200).json({ activity: all });
@@ -360,41 +479,73 @@ body{margin:0;padding:0;background:#060a10}
     // ── SAVE ADMIN NOTE ──────────────────────────────────────────────────────
     } else if (action === "saveNote") {
       const { username, note } = params;
+      const before = await sql`SELECT admin_note FROM users WHERE username = ${username}`;
+      if (!before.length) return res.status(404).json({ error: "User not found" });
       await sql`UPDATE users SET admin_note = ${note} WHERE username = ${username}`;
+      await audit(admin, "saveNote", username, { before: before[0].admin_note || "", after: note || "" });
+      return res.status(200).json({ success: true });
+
+    // Flags are set by PayPal clawbacks that leave a player negative (lib/deposits.js)
+    // and hold their redemptions and withdrawals
+    } else if (action === "clearFlag") {
+      const { username } = params;
+      const before = await sql`SELECT flagged_at, flag_reason, real_balance FROM users WHERE username = ${username}`;
+      if (!before.length) return res.status(404).json({ error: "User not found" });
+      if (!before[0].flagged_at) return res.status(400).json({ error: "Player isn't flagged" });
+      await sql`UPDATE users SET flagged_at = NULL, flag_reason = NULL WHERE username = ${username}`;
+      await audit(admin, "clearFlag", username, { reason: before[0].flag_reason, realBalance: Number(before[0].real_balance || 0) });
       return res.status(200).json({ success: true });
 
     // ── QUICK ACTIONS ────────────────────────────────────────────────────────
     } else if (action === "resetVirtualBalance") {
       const { username } = params;
-      await sql`UPDATE users SET balance = 500 WHERE username = ${username}`;
+      const before = await sql`SELECT balance FROM users WHERE username = ${username}`;
+      if (!before.length) return res.status(404).json({ error: "User not found" });
+      const diff = toMinor(500, GOLD) - toMinor(before[0].balance, GOLD);
+      if (diff) {
+        await post({ username, currency: "virtual", amount: toDecimal(diff, GOLD), kind: "admin_adjustment", counterAccount: ACCOUNTS.adjustments,
+                     refType: "admin", refId: admin.username, memo: "Virtual balance reset" });
+      }
+      await audit(admin, "resetVirtualBalance", username, { before: Number(before[0].balance), after: 500 });
       return res.status(200).json({ success: true });
 
     } else if (action === "adjustBalance") {
       const { username, field, amount } = params;
-      const amt = Number(amount);
-      if (field === "balance") {
-        await sql`UPDATE users SET balance = GREATEST(0, balance + ${amt}) WHERE username = ${username}`;
-      } else if (field === "real_balance") {
-        await sql`UPDATE users SET real_balance = GREATEST(0, real_balance + ${amt}) WHERE username = ${username}`;
-      } else if (field === "skin_credits") {
-        await sql`UPDATE users SET skin_credits = GREATEST(0, skin_credits + ${amt}) WHERE username = ${username}`;
-      } else {
-        return res.status(400).json({ error: "Invalid field" });
+      const amt = parseNumber(amount);
+      if (field !== "balance" && !hasRole(admin.role, "finance")) {
+        return res.status(403).json({ error: `Requires finance role to adjust ${field}` });
+      }
+      const currency = { balance: "virtual", real_balance: "real", skin_credits: "credits" }[field];
+      if (!currency) return res.status(400).json({ error: "Invalid field" });
+      const before = await sql`SELECT balance, real_balance, skin_credits FROM users WHERE username = ${username}`;
+      if (!before.length) return res.status(404).json({ error: "User not found" });
+      // Deductions stop at zero, same as before the ledger — worked out in whole cents
+      const unit = walletCurrency(currency);
+      const delta = Math.max(toMinor(amt, unit), -toMinor(before[0][field] || 0, unit));
+      if (delta) {
+        await post({ username, currency, amount: toDecimal(delta, unit), kind: "admin_adjustment", counterAccount: ACCOUNTS.adjustments,
+                     refType: "admin", refId: admin.username });
       }
-      const rows = await sql`SELECT balance, real_balance, skin_credits FROM users WHERE username = ${username}`;
-      return res.status(200).json({ success: true, updated: rows[0] });
+      const rows = await sql`SELECT balance, real_balance, skin_credits, currency FROM users WHERE username = ${username}`;
+      await audit(admin, "adjustBalance", username, {
+        field, amount: amt, before: Number(before[0][field] || 0), after: Number(rows[0][field] || 0),
+      });
+      const u = rows[0];
+      return res.status(200).json({
+        success: true,
+        updated: { balance: money(u.balance, GOLD), realBalance: money(u.real_balance || 0, u.currency), skinCredits: money(u.skin_credits || 0, u.currency) },
+      });
 
     } else if (action === "cancelPendingBet") {
-      const { username } = params;
-      const bets = await sql`SELECT * FROM bets WHERE username = ${username} AND status = 'pending'`;
+      // betId picks one bet off the slip; without it, the player's oldest open bet
+      const { username, betId } = params;
+      const bets = await sql`SELECT * FROM bets WHERE username = ${username} AND status = 'pending'
+                               AND (${betId ?? null}::bigint IS NULL OR id = ${betId ?? null})
+                             ORDER BY placed_at ASC, id ASC`;
       if (!bets.length) return res.status(404).json({ error: "No pending bet found" });
       const bet = bets[0];
-      await sql`UPDATE bets SET status = 'cancelled' WHERE id = ${bet.id}`;
-      if (bet.mode === "real") {
-        await sql`UPDATE users SET real_balance = real_balance + ${Number(bet.amount)} WHERE username = ${username}`;
-      } else {
-        await sql`UPDATE users SET balance = balance + ${Number(bet.amount)} WHERE username = ${username}`;
-      }
+      await cancelBet(bet, "Bet cancelled by admin");
+      await audit(admin, "cancelPendingBet", username, { betId: Number(bet.id), amount: Number(bet.amount), mode: bet.mode || "virtual" });
       return res.status(200).json({ success: true });
 
     } else if (action === "getEmailLogs") {
@@ -410,20 +561,130 @@ body{margin:0;padding:0;background:#060a10}
         sentAt: Number(l.sent_at),
       }))});
 
+    // The player is anonymised, not removed: bets, deposits, withdrawals,
+    // redemptions and ledger entries stay so the books still add up. Their
+    // personal data, sessions and notifications go, and any virtual gold left is
+    // written off to house:adjustments. Refused while the player is still owed
+    // anything — money in their wallet, a withdrawal or RP card not yet paid, or
+    // an open bet. The checks and the audit row run inside the transaction, so
+    // nothing can slip in between them and the delete.
     } else if (action === "deletePlayer") {
       const { username } = params;
       if (!username) return res.status(400).json({ error: "Username required" });
-      // Delete in order to respect foreign keys
-      await sql`DELETE FROM skin_redemptions WHERE username = ${username}`;
-      await sql`DELETE FROM deposits WHERE username = ${username}`;
-      await sql`DELETE FROM bets WHERE username = ${username}`;
-      await sql`DELETE FROM users WHERE username = ${username}`;
+      const before = await sql`SELECT email, lol_account, balance FROM users WHERE username = ${username} AND deleted_at IS NULL`;
+      if (!before.length) return res.status(404).json({ error: "User not found" });
+      const gold = toMinor(before[0].balance, GOLD);
+      await sql.transaction([
+        sql`SELECT 1 FROM users WHERE username = ${username} FOR UPDATE`,
+        sql`SELECT reject_unless(COALESCE(real_balance, 0) = 0 AND COALESCE(skin_credits, 0) = 0,
+                                 'Player still has a real balance or skin credits — pay it out or adjust it to zero first')
+            FROM users WHERE username = ${username}`,
+        sql`SELECT reject_unless(NOT EXISTS (SELECT 1 FROM bets WHERE username = ${username} AND status = 'pending'),
+                                 'Player has open bets — cancel them first')`,
+        sql`SELECT reject_unless(NOT EXISTS (SELECT 1 FROM withdrawals WHERE username = ${username} AND status IN ('pending', 'approved')),
+                                 'Player has a withdrawal that isn''t paid or rejected yet')`,
+        sql`SELECT reject_unless(NOT EXISTS (SELECT 1 FROM skin_redemptions WHERE username = ${username} AND status = 'pending'),
+                                 'Player has RP card redemptions still to send')`,
+        ...(gold > 0 ? [postQuery({ username, currency: "virtual", amount: toDecimal(-gold, GOLD), kind: "admin_adjustment",
+                                    counterAccount: ACCOUNTS.adjustments, refType: "admin", refId: admin.username, memo: "Player deleted" })] : []),
+        sql`SELECT reject_unless(balance = 0, 'Player''s balance changed — try again') FROM users WHERE username = ${username}`,
+        sql`DELETE FROM sessions WHERE username = ${username}`,
+        sql`DELETE FROM link_challenges WHERE username = ${username}`,
+        sql`DELETE FROM notifications WHERE username = ${username}`,
+        sql`DELETE FROM rank_history WHERE username = ${username}`,
+        sql`UPDATE users SET password = '', email = NULL, lol_account = NULL, puuid = NULL, rank = NULL, rank_refreshed_at = NULL,
+                             deleted_at = ${Date.now()}
+            WHERE username = ${username}`,
+        // Only facts about the row, nothing that identifies the person
+        auditQuery(admin, "deletePlayer", username, {
+          hadEmail: !!before[0].email,
+          wasLinked: !!before[0].lol_account,
+          goldZeroed: Number(before[0].balance),
+        }),
+      ]);
+      return res.status(200).json({ success: true });
+
+    // ── AUDIT LOG ────────────────────────────────────────────────────────────
+    } else if (action === "getAuditLog") {
+      // Every filter is optional — NULL means "don't filter on this"
+      const adminFilter = params.admin || null;
+      const actionFilter = params.filterAction || null;
+      const targetFilter = params.target ? `%${params.target}%` : null;
+      const since = params.since ? Number(params.since) : null;
+      const limit = Math.min(500, Math.max(1, Number(params.limit) || 200));
+      const rows = await sql`
+        SELECT * FROM admin_audit_log
+        WHERE (${adminFilter}::text IS NULL OR admin_username = ${adminFilter})
+          AND (${actionFilter}::text IS NULL OR action = ${actionFilter})
+          AND (${targetFilter}::text IS NULL OR target ILIKE ${targetFilter})
+          AND (${since}::bigint IS NULL OR created_at >= ${since})
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${limit}
+      `;
+      return res.status(200).json({ entries: rows.map(r => ({
+        id: Number(r.id),
+        admin: r.admin_username,
+        role: r.admin_role,
+        action: r.action,
+        target: r.target,
+        details: r.details || {},
+        createdAt: Number(r.created_at),
+      }))});
+
+    // ── ADMIN ACCOUNTS (owner only) ──────────────────────────────────────────
+    } else if (action === "getAdmins") {
+      const rows = await sql`SELECT username, role, created_at, created_by, disabled_at FROM admin_users ORDER BY created_at ASC`;
+      return res.status(200).json({ admins: rows.map(a => ({
+        username: a.username,
+        role: a.role,
+        createdAt: Number(a.created_at),
+        createdBy: a.created_by,
+        disabled: !!a.disabled_at,
+      }))});
+
+    } else if (action === "createAdmin") {
+      const name = (params.username || "").trim().toLowerCase();
+      const { password, role } = params;
+      if (!name || !password) return res.status(400).json({ error: "Username and password required" });
+      if (password.length < 10) return res.status(400).json({ error: "Admin passwords must be at least 10 characters" });
+      if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+      // Player names too — an admin and a player can't share a login
+      const existing = await sql`SELECT username FROM admin_users WHERE username = ${name}
+                                 UNION ALL
+                                 SELECT username FROM users WHERE username = ${name}`;
+      if (existing.length) return res.status(409).json({ error: "Username already taken by an admin or player" });
+      const hashed = await bcrypt.hash(password, 10);
+      await sql`INSERT INTO admin_users (username, password, role, created_at, created_by)
+                VALUES (${name}, ${hashed}, ${role}, ${Date.now()}, ${admin.username})`;
+      await audit(admin, "createAdmin", name, { role });
+      return res.status(200).json({ success: true });
+
+    } else if (action === "updateAdmin") {
+      const { username, role, disabled } = params;
+      // Owners can't lock themselves out — another owner has to do it
+      if (username === admin.username) return res.status(400).json({ error: "You can't change your own admin account" });
+      const rows = await sql`SELECT role, disabled_at FROM admin_users WHERE username = ${username}`;
+      if (!rows.length) return res.status(404).json({ error: "Admin not found" });
+      if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+      const nextRole = role ?? rows[0].role;
+      const disabledAt = disabled === undefined ? rows[0].disabled_at : (disabled ? Date.now() : null);
+      await sql`UPDATE admin_users SET role = ${nextRole}, disabled_at = ${disabledAt} WHERE username = ${username}`;
+      if (disabledAt) await sql`UPDATE admin_sessions SET revoked_at = ${Date.now()} WHERE admin_username = ${username} AND revoked_at IS NULL`;
+      await audit(admin, "updateAdmin", username, {
+        before: { role: rows[0].role, disabled: !!rows[0].disabled_at },
+        after: { role: nextRole, disabled: !!disabledAt },
+      });
+      return res.status(200).json({ success: true });
+
+    } else if (action === "logout") {
+      await revokeAdminSession(admin.sid);
+      await audit(admin, "logout", admin.username);
       return res.status(200).json({ success: true });
 
     } else {
       return res.status(400).json({ error: "Unknown action" });
     }
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
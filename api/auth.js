@@ -1,128 +1,35 @@
-const { neon } = require("@neondatabase/serverless");
 const bcrypt = require("bcryptjs");
-const sql = neon(process.env.POSTGRES_URL);
-
-async function initDB() {
-  await sql`
-    CREATE TABLE IF NOT EXISTS users (
-      username      TEXT PRIMARY KEY,
-      password      TEXT NOT NULL,
-      balance       NUMERIC DEFAULT 500,
-      real_balance  NUMERIC DEFAULT 0,
-      skin_credits  NUMERIC DEFAULT 0,
-      lol_account   TEXT DEFAULT NULL,
-      puuid         TEXT DEFAULT NULL,
-      rank          TEXT DEFAULT NULL,
-      created_at    BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
-    )
-  `;
-  await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS real_balance NUMERIC DEFAULT 0`;
-  await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS skin_credits NUMERIC DEFAULT 0`;
-  await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT DEFAULT NULL`;
-  await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS region TEXT DEFAULT 'euw1'`;
-  await sql`
-    CREATE TABLE IF NOT EXISTS bets (
-      id            BIGINT PRIMARY KEY,
-      username      TEXT REFERENCES users(username),
-      amount        NUMERIC NOT NULL,
-      odds          NUMERIC NOT NULL,
-      potential_win NUMERIC NOT NULL,
-      status        TEXT DEFAULT 'pending',
-      placed_at     BIGINT NOT NULL,
-      resolved_at   BIGINT DEFAULT NULL,
-      match_id      TEXT DEFAULT NULL,
-      result        JSONB DEFAULT NULL,
-      mode          TEXT DEFAULT 'virtual'
-    )
-  `;
-  await sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'virtual'`;
-  await sql`
-    CREATE TABLE IF NOT EXISTS deposits (
-      id              BIGINT PRIMARY KEY,
-      username        TEXT REFERENCES users(username),
-      amount          NUMERIC NOT NULL,
-      paypal_order_id TEXT NOT NULL,
-      status          TEXT DEFAULT 'completed',
-      created_at      BIGINT NOT NULL
-    )
-  `;
-  await sql`
-    CREATE TABLE IF NOT EXISTS skin_redemptions (
-      id          BIGINT PRIMARY KEY,
-      username    TEXT REFERENCES users(username),
-      skin_name   TEXT NOT NULL,
-      rp_cost     INTEGER NOT NULL,
-      credit_cost NUMERIC DEFAULT 0,
-      real_cost   NUMERIC DEFAULT 0,
-      status      TEXT DEFAULT 'pending',
-      created_at  BIGINT NOT NULL
-    )
-  `;
-  await sql`ALTER TABLE skin_redemptions ADD COLUMN IF NOT EXISTS real_cost NUMERIC DEFAULT 0`;
-  await sql`
-    CREATE TABLE IF NOT EXISTS email_logs (
-      id SERIAL PRIMARY KEY,
-      username TEXT,
-      recipient TEXT,
-      type TEXT,
-      status TEXT,
-      resend_id TEXT,
-      error TEXT,
-      sent_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
-    )
-  `;
-}
-
-async function getUser(username) {
-  const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
-  if (!rows.length) return null;
-  const u = rows[0];
-  const bets = await sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at ASC`;
-  return {
-    username: u.username,
-    email: u.email || null,
-    balance: Number(u.balance),
-    realBalance: Number(u.real_balance || 0),
-    skinCredits: Number(u.skin_credits || 0),
-    lolAccount: u.lol_account,
-    puuid: u.puuid,
-    rank: u.rank,
-    createdAt: Number(u.created_at),
-    bets: bets.map(b => ({
-      id: Number(b.id),
-      amount: Number(b.amount),
-      odds: Number(b.odds),
-      potentialWin: Number(b.potential_win),
-      status: b.status,
-      placedAt: Number(b.placed_at),
-      resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
-      matchId: b.match_id,
-      result: b.result,
-      mode: b.mode || "virtual"
-    }))
-  };
-}
+const { sql } = require("../lib/db");
+const { cors, sendError } = require("../lib/http");
+const { getUser } = require("../lib/users");
+const { createSession, refreshSession, revokeSession, revokeOtherSessions, requireSession } = require("../lib/session");
+const { authenticateAdmin, createAdminSession, audit } = require("../lib/admin");
+const { postQuery, ACCOUNTS } = require("../lib/ledger");
+const { SETTLEMENT_CURRENCY } = require("../lib/currency");
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
 
-  await initDB();
-
-  const { action, username, password, email } = req.body;
-  if (!username || !password) return res.status(400).json({ error: "Missing fields" });
-  const name = username.trim().toLowerCase();
+  const { action, username, password, email } = req.body || {};
+  if ((action === "register" || action === "login") && (!username || !password)) {
+    return res.status(400).json({ error: "Missing fields" });
+  }
+  const name = username ? username.trim().toLowerCase() : null;
 
   try {
     if (action === "register") {
-      const existing = await sql`SELECT username FROM users WHERE username = ${name}`;
+      // Admin account names are taken too — login tries them before players
+      const existing = await sql`SELECT username FROM users WHERE username = ${name}
+                                 UNION ALL
+                                 SELECT username FROM admin_users WHERE username = ${name}`;
       if (existing.length > 0) return res.status(409).json({ error: "Username already taken" });
       const cleanEmail = email ? email.trim().toLowerCase() : null;
       if (!cleanEmail || !cleanEmail.includes("@")) return res.status(400).json({ error: "A valid email is required" });
       const hashedPassword = await bcrypt.hash(password, 10);
-      await sql`INSERT INTO users (username, password, email) VALUES (${name}, ${hashedPassword}, ${cleanEmail})`;
+      await sql.transaction([
+        sql`INSERT INTO users (username, password, email, balance, currency) VALUES (${name}, ${hashedPassword}, ${cleanEmail}, 0, ${SETTLEMENT_CURRENCY})`,
+        postQuery({ username: name, currency: "virtual", amount: 500, kind: "signup_bonus", counterAccount: ACCOUNTS.bonus, memo: "Starting gold" }),
+      ]);
 
       // Send welcome email
       try {
@@ -326,14 +233,18 @@ body { margin:0; padding:0; background:#0f1a0f; }
         }
       } catch(emailErr) { console.error("[EMAIL] Exception:", emailErr.message); }
 
-            const user = await getUser(name);
-      return res.status(200).json({ user });
+      const user = await getUser(name);
+      const session = await createSession(name);
+      return res.status(200).json({ user, session });
     } else if (action === "login") {
-      // Admin shortcut — special password grants admin access without needing a user account
-      if (password === process.env.ADMIN_PASSWORD) {
-        return res.status(200).json({ user: { username: name, isAdmin: true, adminToken: password } });
+      // Named admin accounts sign in through the same form but get an admin session
+      const admin = await authenticateAdmin(name, password);
+      if (admin) {
+        const session = await createAdminSession(admin);
+        await audit(admin, "login", admin.username);
+        return res.status(200).json({ user: { username: admin.username, isAdmin: true, role: admin.role }, session });
       }
-      const rows = await sql`SELECT * FROM users WHERE username = ${name}`;
+      const rows = await sql`SELECT * FROM users WHERE username = ${name} AND deleted_at IS NULL`;
       if (rows.length === 0) return res.status(404).json({ error: "User not found" });
       const u = rows[0];
 
@@ -353,11 +264,26 @@ body { margin:0; padding:0; background:#0f1a0f; }
       }
       if (!passwordValid) return res.status(401).json({ error: "Wrong password" });
       const full = await getUser(name);
-      return res.status(200).json({ user: full });
+      const session = await createSession(name);
+      return res.status(200).json({ user: full, session });
+
+    } else if (action === "refresh") {
+      const session = await refreshSession(req.body.refreshToken);
+      if (!session) return res.status(401).json({ error: "Session expired — please log in again" });
+      return res.status(200).json({ session });
+
+    } else if (action === "logout") {
+      const session = await requireSession(req, res);
+      if (!session) return;
+      await revokeSession(session.sid);
+      return res.status(200).json({ success: true });
 
     } else if (action === "updateEmail") {
-      const { username, newEmail } = req.body;
-      if (!username || !newEmail) return res.status(400).json({ error: "Missing fields" });
+      const session = await requireSession(req, res);
+      if (!session) return;
+      const { username } = session;
+      const { newEmail } = req.body;
+      if (!newEmail) return res.status(400).json({ error: "Missing fields" });
       if (!newEmail.includes("@")) return res.status(400).json({ error: "Invalid email" });
       const clean = newEmail.trim().toLowerCase();
       await sql`UPDATE users SET email = ${clean} WHERE username = ${username}`;
@@ -365,23 +291,27 @@ body { margin:0; padding:0; background:#0f1a0f; }
       return res.status(200).json({ user });
 
     } else if (action === "updatePassword") {
-      const { username, currentPassword, newPassword } = req.body;
-      if (!username || !currentPassword || !newPassword) return res.status(400).json({ error: "Missing fields" });
+      const session = await requireSession(req, res);
+      if (!session) return;
+      const { username } = session;
+      const { currentPassword, newPassword } = req.body;
+      if (!currentPassword || !newPassword) return res.status(400).json({ error: "Missing fields" });
       if (newPassword.length < 6) return res.status(400).json({ error: "Password must be at least 6 characters" });
       const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
       if (!rows.length) return res.status(404).json({ error: "User not found" });
       const u = rows[0];
       const isBcrypt = u.password && u.password.startsWith("$2");
       const valid = isBcrypt ? await bcrypt.compare(currentPassword, u.password) : u.password === currentPassword;
-      if (!valid) return res.status(401).json({ error: "Current password is incorrect" });
+      if (!valid) return res.status(403).json({ error: "Current password is incorrect" });
       const hashed = await bcrypt.hash(newPassword, 10);
       await sql`UPDATE users SET password = ${hashed} WHERE username = ${username}`;
+      await revokeOtherSessions(username, session.sid);
       return res.status(200).json({ success: true });
 
     } else {
       return res.status(400).json({ error: "Unknown action — fallthrough" });
     }
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
@@ -1,120 +1,163 @@
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
-
-const MAX_REAL_BET = 1.00; // $1 max for real money bets
-
-async function getUser(username) {
-  const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
-  if (!rows.length) return null;
-  const u = rows[0];
-  const bets = await sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at ASC`;
+const crypto = require("crypto");
+const { sql } = require("../lib/db");
+const { HttpError, cors, sendError, parseAmount } = require("../lib/http");
+const { getUser } = require("../lib/users");
+const { requireSession } = require("../lib/session");
+const { postQuery, requirePosted, ACCOUNTS } = require("../lib/ledger");
+const { MAX_OPEN_BETS, BET_EXPIRY_MS } = require("../lib/bets");
+const { getPendingBets, resolvePlayerBets } = require("../lib/resolver");
+const { claimIdempotencyKey } = require("../lib/idempotency");
+const { enforceQuota } = require("../lib/quota");
+const { nextId } = require("../lib/ids");
+const { resolveMarket, summarizeMatch, getWinOdds, sampleOdds, voidReason } = require("../lib/markets");
+const { QUEUES, DEFAULT_QUEUE, getMatchIds, getMatch } = require("../lib/riot");
+const { getFreshRanks } = require("../lib/ranks");
+const { walletCurrency, formatAmount, toMinor, toDecimal } = require("../lib/currency");
+const { betPayout } = require("../lib/money.mjs");
+
+const MAX_REAL_BET = 1.00; // in the settlement currency
+const MIN_REAL_BET = 0.10;
+const RAKE = 0.05; // 5% on virtual winnings — real bets get their stake back instead
+const SAMPLE_GAMES = 10; // recent games that price markets without a league record
+// Each manual resolve is a matchlist per queue plus a match per candidate game
+const RESOLVE_QUOTA = { limit: 10, windowMs: 10 * 60 * 1000 };
+
+// ─── ODDS ────────────────────────────────────────────────────────────────────
+// The linked account's record in one ranked queue (e.g. RANKED_FLEX_SR), from
+// rank_history — refreshed from league-v4 first if the cron hasn't lately
+async function getLeagueRecord(player, leagueQueue) {
+  const entry = (await getFreshRanks(player))[leagueQueue];
+  const gamesSampled = (entry?.wins || 0) + (entry?.losses || 0);
   return {
-    username: u.username,
-    balance: Number(u.balance),
-    realBalance: Number(u.real_balance || 0),
-    skinCredits: Number(u.skin_credits || 0),
-    lolAccount: u.lol_account,
-    puuid: u.puuid,
-    rank: u.rank,
-    createdAt: Number(u.created_at),
-    bets: bets.map(b => ({
-      id: Number(b.id),
-      amount: Number(b.amount),
-      odds: Number(b.odds),
-      potentialWin: Number(b.potential_win),
-      status: b.status,
-      placedAt: Number(b.placed_at),
-      resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
-      matchId: b.match_id,
-      result: b.result,
-      mode: b.mode || "virtual"
-    }))
+    winrate: gamesSampled > 0 ? Math.round((entry.wins / gamesSampled) * 100) : null,
+    gamesSampled,
   };
 }
 
+// The player's last few games in a queue, summarised the way bets are settled.
+// Games that would void a bet don't count towards the odds either.
+async function getRecentGames(puuid, region, queue) {
+  const matchIds = await getMatchIds(puuid, region, { queue, count: SAMPLE_GAMES });
+  const games = [];
+  for (const matchId of matchIds) {
+    const summary = summarizeMatch(await getMatch(matchId, region), puuid);
+    if (summary && !voidReason(summary)) games.push(summary);
+  }
+  return games;
+}
+
+// Everything placeBet needs to price a bet — stored on the bet row for auditing.
+// "win" on a ranked queue uses the league record, everything else recent games.
+// `player` is the users row (username, puuid, region, rank_refreshed_at).
+async function quoteOdds(player, betMode, { market, line, queue }) {
+  const rake = betMode === "real" ? 0 : RAKE;
+  const { leagueQueue } = QUEUES[queue];
+  if (market === "win" && leagueQueue) {
+    const { winrate, gamesSampled } = await getLeagueRecord(player, leagueQueue);
+    return { market, line, queue, odds: getWinOdds(winrate), winrate, gamesSampled, rake };
+  }
+  const { odds, winrate, gamesSampled } = sampleOdds(market, line, await getRecentGames(player.puuid, player.region, queue));
+  return { market, line, queue, odds, winrate, gamesSampled, rake };
+}
+
+const parseQueue = (queue) => {
+  const id = queue == null || queue === "" ? DEFAULT_QUEUE : Number(queue);
+  if (!QUEUES[id]) throw new HttpError(400, `Unsupported queue: ${queue}`);
+  return id;
+};
+
+// Whole cents, rounded the house's way — see betPayout in lib/money.mjs. The
+// client shows the same number before the bet is placed.
+const getPotentialWin = (stake, { odds, rake }) => betPayout(stake, odds, rake).payout;
+
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
 
-  const { action, username, amount, odds, potentialWin, matchId, result, won, mode } = req.body || {};
+  // odds / potentialWin from the client are ignored — the server prices every bet,
+  // and settles it from the match it looks up itself (lib/resolver.js)
+  const { action, amount, mode, market, line, queue } = req.body || {};
   // mode = "virtual" (default) or "real"
   const betMode = mode === "real" ? "real" : "virtual";
 
   try {
-    if (action === "placeBet") {
-      const active = await sql`SELECT id FROM bets WHERE username = ${username} AND status = 'pending'`;
-      if (active.length > 0) return res.status(400).json({ error: "You already have an active bet" });
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+    if (action !== "getOdds" && !(await claimIdempotencyKey(req, res, username, "/api/bet"))) return;
+
+    if (action === "getOdds") {
+      const rows = await sql`SELECT username, puuid, region, rank_refreshed_at FROM users WHERE username = ${username}`;
+      if (!rows.length) return res.status(404).json({ error: "User not found" });
+      if (!rows[0].puuid) return res.status(400).json({ error: "Link your LoL account first" });
+      const quote = await quoteOdds(rows[0], betMode, { ...resolveMarket(market, line, betMode), queue: parseQueue(queue) });
+      return res.status(200).json({ quote });
+
+    } else if (action === "placeBet") {
+      const slipFullMessage = `Your bet slip is full — at most ${MAX_OPEN_BETS} open bets at a time`;
+      const open = await sql`SELECT id FROM bets WHERE username = ${username} AND status = 'pending'`;
+      if (open.length >= MAX_OPEN_BETS) return res.status(400).json({ error: slipFullMessage });
 
-      const rows = await sql`SELECT balance, real_balance FROM users WHERE username = ${username}`;
+      const rows = await sql`SELECT username, balance, real_balance, puuid, region, rank_refreshed_at FROM users WHERE username = ${username}`;
       if (!rows.length) return res.status(404).json({ error: "User not found" });
+      if (!rows[0].puuid) return res.status(400).json({ error: "Link your LoL account first" });
 
-      const parsedAmount = Number(amount);
+      // The stake in whole cents from here on
+      const currency = walletCurrency(betMode);
+      const stake = toMinor(parseAmount(amount, "bet amount"), currency);
+      const minor = (units) => toMinor(units, currency);
+      const pick = { ...resolveMarket(market, line, betMode), queue: parseQueue(queue) };
 
       if (betMode === "real") {
         // Real money bet validations
-        if (parsedAmount > MAX_REAL_BET) return res.status(400).json({ error: `Max real money bet is $${MAX_REAL_BET.toFixed(2)}` });
-        if (parsedAmount < 0.10) return res.status(400).json({ error: "Minimum real bet is $0.10" });
-        if (parsedAmount > Number(rows[0].real_balance)) return res.status(400).json({ error: "Insufficient real balance" });
-
-        const id = Date.now();
-        await sql`INSERT INTO bets (id, username, amount, odds, potential_win, status, placed_at, mode)
-                  VALUES (${id}, ${username}, ${parsedAmount}, ${odds}, ${potentialWin}, 'pending', ${id}, 'real')`;
-        await sql`UPDATE users SET real_balance = real_balance - ${parsedAmount} WHERE username = ${username}`;
+        if (stake > minor(MAX_REAL_BET)) return res.status(400).json({ error: `Max real money bet is ${formatAmount(MAX_REAL_BET)}` });
+        if (stake < minor(MIN_REAL_BET)) return res.status(400).json({ error: `Minimum real bet is ${formatAmount(MIN_REAL_BET)}` });
+        if (stake > minor(rows[0].real_balance)) return res.status(400).json({ error: "Insufficient real balance" });
       } else {
         // Virtual bet validations
-        if (parsedAmount > 30) return res.status(400).json({ error: "Max virtual bet is $30" });
-        if (parsedAmount < 1) return res.status(400).json({ error: "Minimum bet is $1" });
-        if (parsedAmount > Number(rows[0].balance)) return res.status(400).json({ error: "Insufficient virtual balance" });
-
-        const id = Date.now();
-        await sql`INSERT INTO bets (id, username, amount, odds, potential_win, status, placed_at, mode)
-                  VALUES (${id}, ${username}, ${parsedAmount}, ${odds}, ${potentialWin}, 'pending', ${id}, 'virtual')`;
-        await sql`UPDATE users SET balance = balance - ${parsedAmount} WHERE username = ${username}`;
+        if (stake > minor(30)) return res.status(400).json({ error: "Max virtual bet is $30" });
+        if (stake < minor(1)) return res.status(400).json({ error: "Minimum bet is $1" });
+        if (stake > minor(rows[0].balance)) return res.status(400).json({ error: "Insufficient virtual balance" });
       }
 
+      const quote = await quoteOdds(rows[0], betMode, pick);
+      const id = await nextId("bets");
+      const placedAt = Date.now();
+      const txnId = crypto.randomUUID();
+      // One transaction: the checks above are only a fast path, these statements are what count.
+      // Locking the user row first makes a parallel placeBet wait here, and the
+      // open-bet count runs as its own statement so it sees whatever that one committed.
+      // The linked account must still be the one checked above — a relink that got
+      // in first would otherwise have this bet settle on the new account's games.
+      await sql.transaction([
+        sql`SELECT reject_unless(puuid IS NOT DISTINCT FROM ${rows[0].puuid}, 'Your linked LoL account changed — try again')
+            FROM users WHERE username = ${username} FOR UPDATE`,
+        sql`SELECT reject_unless((SELECT COUNT(*) FROM bets WHERE username = ${username} AND status = 'pending') < ${MAX_OPEN_BETS}, ${slipFullMessage})`,
+        sql`INSERT INTO bets (id, username, amount, currency, odds, potential_win, status, placed_at, expires_at, mode, winrate, games_sampled, rake, market, line, queue)
+            VALUES (${id}, ${username}, ${toDecimal(stake, currency)}, ${currency}, ${quote.odds}, ${toDecimal(getPotentialWin(stake, quote), currency)}, 'pending', ${placedAt}, ${placedAt + BET_EXPIRY_MS}, ${betMode},
+                    ${quote.winrate}, ${quote.gamesSampled}, ${quote.rake}, ${quote.market}, ${quote.line}, ${quote.queue})`,
+        postQuery({ username, currency: betMode, amount: toDecimal(-stake, currency), kind: "stake_hold", counterAccount: ACCOUNTS.bets, refType: "bet", refId: id, txnId }),
+        requirePosted(txnId, 1, `Insufficient ${betMode} balance`),
+      ]);
+
       const user = await getUser(username);
       return res.status(200).json({ user });
 
     } else if (action === "resolveBet") {
-      const active = await sql`SELECT * FROM bets WHERE username = ${username} AND status = 'pending'`;
-      if (!active.length) return res.status(404).json({ error: "No active bet found" });
-
-      const bet = active[0];
-      const isRealBet = bet.mode === "real";
-      const status = won ? "won" : "lost";
-      const resolvedAt = Date.now();
-
-      await sql`UPDATE bets SET status = ${status}, match_id = ${matchId}, result = ${JSON.stringify(result)}, resolved_at = ${resolvedAt} WHERE id = ${bet.id}`;
-
-      if (won) {
-        const stake = Number(bet.amount);
-        const totalPayout = Number(bet.potential_win);
-        const profit = totalPayout - stake;
-
-        if (isRealBet) {
-          // Real money win:
-          // - Stake goes back to real_balance (they get their money back)
-          // - Profit (the winnings) goes to skin_credits
-          await sql`UPDATE users SET
-            real_balance = real_balance + ${stake},
-            skin_credits = skin_credits + ${profit}
-          WHERE username = ${username}`;
-        } else {
-          // Virtual win: all goes back to virtual balance as before
-          await sql`UPDATE users SET balance = balance + ${totalPayout} WHERE username = ${username}`;
-        }
-      }
-      // On loss: money is already deducted when bet was placed, nothing to do
-
+      // "Resolve Now": the cron's resolver run early for just this player. Games are
+      // looked up on their linked account — nothing in the request decides a bet.
+      if (!(await enforceQuota(res, username, "resolve", RESOLVE_QUOTA))) return;
+      const bets = await getPendingBets(username);
+      if (!bets.length) return res.status(404).json({ error: "No active bet found" });
+      if (!bets[0].puuid) return res.status(400).json({ error: "Link your LoL account first" });
+
+      const { settled } = await resolvePlayerBets(bets, []);
       const user = await getUser(username);
-      return res.status(200).json({ user });
+      return res.status(200).json({ user, settled });
 
     } else {
       return res.status(400).json({ error: "Unknown action" });
     }
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
@@ -0,0 +1,64 @@
+// api/cron/refresh-ranks.js
+// Vercel cron job — runs every 15 minutes, scheduled in vercel.json next to
+// resolve-bets. Vercel calls it with CRON_SECRET as the bearer token.
+// Refreshes tier, division, LP and win/loss record of linked accounts from
+// league-v4 into rank_history (lib/ranks.js), least recently refreshed first,
+// a batch per run so a big player base is covered over several runs.
+
+const { sql } = require("../../lib/db");
+const { refreshRank } = require("../../lib/ranks");
+
+const BATCH_SIZE = 25;
+// Accounts refreshed more recently than this are left alone
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+
+// ─── MAIN HANDLER ────────────────────────────────────────────────────────────
+module.exports = async function handler(req, res) {
+  // Same cron secret as resolve-bets
+  const authHeader = req.headers["authorization"];
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (!process.env.RIOT_API_KEY) {
+    return res.status(500).json({ error: "RIOT_API_KEY not set" });
+  }
+
+  const log = [];
+  const errors = [];
+
+  try {
+    const players = await sql`
+      SELECT username, puuid, region
+      FROM users
+      WHERE puuid IS NOT NULL
+        AND (rank_refreshed_at IS NULL OR rank_refreshed_at < ${Date.now() - MIN_INTERVAL_MS})
+      ORDER BY rank_refreshed_at ASC NULLS FIRST
+      LIMIT ${BATCH_SIZE}
+    `;
+
+    let refreshed = 0;
+    for (const player of players) {
+      try {
+        const standing = await refreshRank(player);
+        const solo = standing.RANKED_SOLO_5x5;
+        log.push(`  [${player.username}] ${solo?.tier ? `${solo.tier} ${solo.division} ${solo.lp} LP (${solo.wins}W ${solo.losses}L)` : "unranked"}`);
+        refreshed++;
+      } catch (e) {
+        const msg = `  [${player.username}] error: ${e.message}`;
+        log.push(msg);
+        errors.push(msg);
+        // One account failing doesn't stop the batch
+      }
+    }
+
+    return res.status(200).json({
+      refreshed,
+      errors: errors.length,
+      log,
+    });
+
+  } catch (e) {
+    return res.status(500).json({ error: e.message, log });
+  }
+};
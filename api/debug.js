@@ -1,49 +1,61 @@
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
+// api/debug.js
+// Sandbox tools for testing against real accounts. They only exist when the
+// deployment sets SANDBOX_MODE=true — everywhere else this route is a 404.
+// Even then they need an admin session, and every use goes to the admin audit
+// log (lib/admin.js).
+const { sql } = require("../lib/db");
+const { cors, sendError } = require("../lib/http");
+const { getUser } = require("../lib/users");
+const { requireAdmin, auditQuery } = require("../lib/admin");
+const { postQuery, ACCOUNTS } = require("../lib/ledger");
+const { refundQueries } = require("../lib/bets");
+const { claimIdempotencyKey } = require("../lib/idempotency");
+const { GOLD, toMinor, toDecimal } = require("../lib/currency");
 
-async function getUser(username) {
-  const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
-  if (!rows.length) return null;
-  const u = rows[0];
-  const bets = await sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at ASC`;
-  return {
-    username: u.username,
-    balance: Number(u.balance),
-    lolAccount: u.lol_account,
-    puuid: u.puuid,
-    rank: u.rank,
-    createdAt: Number(u.created_at),
-    bets: bets.map(b => ({
-      id: Number(b.id),
-      amount: Number(b.amount),
-      odds: Number(b.odds),
-      potentialWin: Number(b.potential_win),
-      status: b.status,
-      placedAt: Number(b.placed_at),
-      resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
-      matchId: b.match_id,
-      result: b.result
-    }))
-  };
-}
+const SANDBOX_MODE = process.env.SANDBOX_MODE === "true";
+
+// Minimum admin role per action
+const ACTION_ROLES = {
+  resetBalance: "support",
+};
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
+  if (!SANDBOX_MODE) return res.status(404).json({ error: "Not found" });
 
   const { action, username } = req.body || {};
+  if (!ACTION_ROLES[action]) return res.status(400).json({ error: "Unknown action" });
 
   try {
+    const admin = await requireAdmin(req, res, ACTION_ROLES[action]);
+    if (!admin) return;
+    if (!(await claimIdempotencyKey(req, res, `admin:${admin.username}`, "/api/debug"))) return;
+
     if (action === "resetBalance") {
-      await sql`UPDATE users SET balance = 500 WHERE username = ${username}`;
-      await sql`DELETE FROM bets WHERE username = ${username}`;
+      // Open bets are cancelled and their stakes refunded, then the virtual
+      // balance is topped up or trimmed to 500 — all in one transaction, so the
+      // ledger and house:bets still add up. Settled bets stay as history.
+      const rows = await sql`SELECT balance FROM users WHERE username = ${username}`;
+      if (!rows.length) return res.status(404).json({ error: "User not found" });
+      const open = await sql`SELECT * FROM bets WHERE username = ${username} AND status = 'pending'`;
+      const refunded = open.filter(b => b.mode !== "real").reduce((sum, b) => sum + toMinor(b.amount, GOLD), 0);
+      const diff = toMinor(500, GOLD) - toMinor(rows[0].balance, GOLD) - refunded;
+      await sql.transaction([
+        sql`SELECT 1 FROM users WHERE username = ${username} FOR UPDATE`,
+        // A bet placed or a balance change since the reads above would throw the sums off
+        sql`SELECT reject_unless(balance = ${rows[0].balance}
+                                 AND (SELECT COUNT(*) FROM bets WHERE username = ${username} AND status = 'pending') = ${open.length},
+                                 'Balance or bets changed — try again')
+            FROM users WHERE username = ${username}`,
+        ...open.flatMap(bet => refundQueries(bet, { status: "cancelled", memo: "Bet cancelled by sandbox reset" })),
+        ...(diff ? [postQuery({ username, currency: "virtual", amount: toDecimal(diff, GOLD), kind: "admin_adjustment", counterAccount: ACCOUNTS.adjustments,
+                                refType: "debug", refId: admin.username, memo: "Sandbox balance reset" })] : []),
+        auditQuery(admin, "debug:resetBalance", username, { before: Number(rows[0].balance), after: 500, betsCancelled: open.length }),
+      ]);
       const user = await getUser(username);
       return res.status(200).json({ user });
     }
-    return res.status(400).json({ error: "Unknown action" });
-  } catch(e) {
-    return res.status(500).json({ error: e.message });
+  } catch (e) {
+    return sendError(res, e);
   }
 };
@@ -1,34 +1,43 @@
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
+const { sql } = require("../lib/db");
+const { cors, sendError } = require("../lib/http");
+const { SOLO_QUEUE, rankLabel } = require("../lib/ranks");
+const { GOLD, money } = require("../lib/currency");
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res, "GET, OPTIONS")) return;
 
   try {
+    // Solo/duo standing comes from the latest rank_history snapshot (lib/ranks.js)
     const users = await sql`
       SELECT 
         u.username, u.balance, u.lol_account, u.rank,
+        r.tier, r.division, r.lp,
         COUNT(CASE WHEN b.status = 'won' THEN 1 END) as wins,
         COUNT(CASE WHEN b.status IN ('won','lost') THEN 1 END) as total
       FROM users u
+      LEFT JOIN LATERAL (
+        SELECT h.tier, h.division, h.lp FROM rank_history h
+        WHERE h.username = u.username AND h.puuid = u.puuid AND h.queue_type = ${SOLO_QUEUE}
+        ORDER BY h.recorded_at DESC, h.id DESC
+        LIMIT 1
+      ) r ON true
       LEFT JOIN bets b ON b.username = u.username
-      GROUP BY u.username, u.balance, u.lol_account, u.rank
+      WHERE u.deleted_at IS NULL
+      GROUP BY u.username, u.balance, u.lol_account, u.rank, r.tier, r.division, r.lp
       ORDER BY u.balance DESC
     `;
     return res.status(200).json({
       users: users.map(u => ({
         username: u.username,
-        balance: Number(u.balance),
+        balance: money(u.balance, GOLD),
         lolAccount: u.lol_account,
-        rank: u.rank,
+        rank: u.lp != null ? rankLabel(u) : u.rank, // no snapshot yet — the label stored at link time
+        lp: u.tier ? Number(u.lp) : null,
         wins: Number(u.wins),
         total: Number(u.total)
       }))
     });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
@@ -1,71 +1,86 @@
 // api/paypal/capture-order.js
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
-
-const PAYPAL_BASE = process.env.PAYPAL_ENV === "live"
-  ? "https://api-m.paypal.com"
-  : "https://api-m.sandbox.paypal.com";
-
-async function getAccessToken() {
-  const credentials = Buffer.from(
-    `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`
-  ).toString("base64");
-  const res = await fetch(`${PAYPAL_BASE}/v1/oauth2/token`, {
-    method: "POST",
-    headers: { Authorization: `Basic ${credentials}`, "Content-Type": "application/x-www-form-urlencoded" },
-    body: "grant_type=client_credentials",
-  });
-  const data = await res.json();
-  if (!data.access_token) throw new Error("Failed to get PayPal access token");
-  return data.access_token;
-}
+// Captures a deposit's PayPal order and credits real_balance — only for an
+// order create-order recorded for this player, and only when PayPal took what
+// that order asked for (lib/orders.js). Anything else is refunded. The player
+// is credited the order's settlement amount; the deposit keeps what PayPal
+// charged and the rate between the two.
+const { sql, isRejection, isUniqueViolation } = require("../../lib/db");
+const { cors, sendError, requireFields } = require("../../lib/http");
+const { requireSession } = require("../../lib/session");
+const { postQuery, ACCOUNTS } = require("../../lib/ledger");
+const { claimIdempotencyKey } = require("../../lib/idempotency");
+const { nextId } = require("../../lib/ids");
+const { PAYPAL_BASE, getAccessToken } = require("../../lib/paypal");
+const { getOpenOrder, captureMismatch, markCapturedQueries, refundMismatch } = require("../../lib/orders");
+const { money } = require("../../lib/currency");
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
 
-  const { orderID, username } = req.body || {};
-  if (!orderID || !username) return res.status(400).json({ error: "Missing orderID or username" });
+  const { orderID } = req.body || {};
 
   try {
+    requireFields(req.body, ["orderID"], "Missing orderID");
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+    if (!(await claimIdempotencyKey(req, res, username, "/api/paypal/capture-order"))) return;
+
     // Prevent double-capture
     const existing = await sql`SELECT id FROM deposits WHERE paypal_order_id = ${orderID}`;
     if (existing.length > 0) return res.status(409).json({ error: "Order already captured" });
+    const order = await getOpenOrder(orderID, username);
 
     const accessToken = await getAccessToken();
+    // PayPal-Request-Id makes PayPal's side idempotent too: if we captured but failed to
+    // record the deposit, the retry gets the original capture back instead of an error
     const captureRes = await fetch(`${PAYPAL_BASE}/v2/checkout/orders/${orderID}/capture`, {
       method: "POST",
-      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json", "PayPal-Request-Id": `capture-${orderID}` },
     });
     const capture = await captureRes.json();
 
     if (capture.status !== "COMPLETED") return res.status(400).json({ error: "Payment not completed by PayPal" });
 
-    const capturedAmount = parseFloat(
-      capture.purchase_units?.[0]?.payments?.captures?.[0]?.amount?.value || "0"
-    );
-    if (!capturedAmount || capturedAmount <= 0) return res.status(400).json({ error: "Could not verify captured amount" });
-    if (capturedAmount < 5.00) return res.status(400).json({ error: "Minimum deposit is $5.00" });
-
-    // Security: verify username matches what was set in create-order
-    const customId = capture.purchase_units?.[0]?.custom_id;
-    if (customId && customId !== username) return res.status(403).json({ error: "Username mismatch" });
+    // PayPal has the money now — if it isn't what the order was for, it goes straight back
+    const mismatch = captureMismatch(order, capture);
+    if (mismatch) {
+      const refund = await refundMismatch(order, capture, mismatch);
+      return refund
+        ? res.status(400).json({ error: "Your payment didn't match the deposit you started and has been refunded" })
+        : res.status(502).json({ error: "Your payment didn't match the deposit you started — please contact support for a refund" });
+    }
 
+    const captured = capture.purchase_units[0].payments.captures[0];
+    const credited = order.settlement_amount;
+    const id = await nextId("deposits");
     const now = Date.now();
-    await sql`UPDATE users SET real_balance = COALESCE(real_balance, 0) + ${capturedAmount} WHERE username = ${username}`;
-    await sql`INSERT INTO deposits (id, username, amount, paypal_order_id, status, created_at)
-              VALUES (${now}, ${username}, ${capturedAmount}, ${orderID}, 'completed', ${now})`;
+    try {
+      await sql.transaction([
+        ...markCapturedQueries(order, captured, capture.payer?.payer_id ?? null),
+        // The capture id is what refund, reversal and dispute webhooks refer to (api/paypal/webhook.js)
+        sql`INSERT INTO deposits (id, username, amount, currency, paypal_amount, paypal_currency, fx_rate,
+                                  paypal_order_id, paypal_capture_id, status, created_at)
+            VALUES (${id}, ${username}, ${credited}, ${order.settlement_currency}, ${captured.amount.value}, ${order.currency},
+                    ${order.fx_rate}, ${orderID}, ${captured.id}, 'completed', ${now})`,
+        postQuery({ username, currency: "real", amount: credited, kind: "deposit", counterAccount: ACCOUNTS.paypal,
+                    refType: "deposit", refId: id, memo: `PayPal ${orderID}` }),
+      ]);
+    } catch (e) {
+      // Another capture of the same order got its deposit in first
+      if (isUniqueViolation(e) || isRejection(e)) return res.status(409).json({ error: "Order already captured" });
+      throw e;
+    }
 
-    const rows = await sql`SELECT real_balance, skin_credits FROM users WHERE username = ${username}`;
+    const rows = await sql`SELECT real_balance, skin_credits, currency FROM users WHERE username = ${username}`;
     return res.status(200).json({
       success: true,
-      depositedAmount: capturedAmount,
-      realBalance: Number(rows[0].real_balance),
-      skinCredits: Number(rows[0].skin_credits || 0),
+      depositedAmount: money(credited, order.settlement_currency),
+      charged: money(captured.amount.value, order.currency),
+      realBalance: money(rows[0].real_balance, rows[0].currency),
+      skinCredits: money(rows[0].skin_credits || 0, rows[0].currency),
     });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
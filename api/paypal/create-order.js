@@ -1,34 +1,31 @@
 // api/paypal/create-order.js
-const PAYPAL_BASE = process.env.PAYPAL_ENV === "live"
-  ? "https://api-m.paypal.com"
-  : "https://api-m.sandbox.paypal.com";
-
-async function getAccessToken() {
-  const credentials = Buffer.from(
-    `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`
-  ).toString("base64");
-  const res = await fetch(`${PAYPAL_BASE}/v1/oauth2/token`, {
-    method: "POST",
-    headers: { Authorization: `Basic ${credentials}`, "Content-Type": "application/x-www-form-urlencoded" },
-    body: "grant_type=client_credentials",
-  });
-  const data = await res.json();
-  if (!data.access_token) throw new Error("Failed to get PayPal access token");
-  return data.access_token;
-}
+// Creates the PayPal order for a deposit and records it (lib/orders.js) so
+// capture-order can check what PayPal took against what was asked for. The
+// player picks an amount in the settlement currency; PayPal charges it in
+// PAYPAL_CURRENCY at today's rate, which the order keeps.
+const { cors, sendError, parseAmount } = require("../../lib/http");
+const { requireSession } = require("../../lib/session");
+const { claimIdempotencyKey } = require("../../lib/idempotency");
+const { PAYPAL_BASE, getAccessToken } = require("../../lib/paypal");
+const { MIN_DEPOSIT, MAX_DEPOSIT, quoteDeposit, recordOrder } = require("../../lib/orders");
+const { money, formatAmount, decimalString, toMinor, toDecimal } = require("../../lib/currency");
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
 
-  const { amount, username } = req.body || {};
-  const parsed = parseFloat(amount);
-  if (!parsed || parsed < 1 || parsed > 500) return res.status(400).json({ error: "Amount must be between $1 and $500" });
-  if (!username) return res.status(400).json({ error: "Missing username" });
+  const { amount } = req.body || {};
 
   try {
+    // In whole cents, checked before PayPal is involved — capture-order only compares with the recorded order
+    const parsed = toMinor(parseAmount(amount));
+    if (parsed < toMinor(MIN_DEPOSIT) || parsed > toMinor(MAX_DEPOSIT)) return res.status(400).json({ error: `Amount must be between ${formatAmount(MIN_DEPOSIT)} and ${formatAmount(MAX_DEPOSIT)}` });
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+    if (!(await claimIdempotencyKey(req, res, username, "/api/paypal/create-order"))) return;
+
+    const depositAmount = toDecimal(parsed);
+    const quote = await quoteDeposit(depositAmount);
     const accessToken = await getAccessToken();
     const orderRes = await fetch(`${PAYPAL_BASE}/v2/checkout/orders`, {
       method: "POST",
@@ -36,7 +33,7 @@ module.exports = async function handler(req, res) {
       body: JSON.stringify({
         intent: "CAPTURE",
         purchase_units: [{
-          amount: { currency_code: "USD", value: parsed.toFixed(2) },
+          amount: { currency_code: quote.currency, value: decimalString(quote.amount, quote.currency) },
           custom_id: username,
           description: `Runeterra Wagers deposit for ${username}`,
         }],
@@ -50,8 +47,9 @@ module.exports = async function handler(req, res) {
     });
     const order = await orderRes.json();
     if (!order.id) return res.status(500).json({ error: "Failed to create PayPal order" });
-    return res.status(200).json({ orderID: order.id });
+    await recordOrder({ orderId: order.id, username, amount: depositAmount, quote });
+    return res.status(200).json({ orderID: order.id, charge: money(quote.amount, quote.currency) });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
@@ -1,27 +1,30 @@
 // api/paypal/deposit-history.js
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
+const { sql } = require("../../lib/db");
+const { cors, sendError } = require("../../lib/http");
+const { requireSession } = require("../../lib/session");
+const { money } = require("../../lib/currency");
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
-
-  const username = req.query.username;
-  if (!username) return res.status(400).json({ error: "Missing username" });
+  if (cors(req, res, "GET, OPTIONS")) return;
 
   try {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+
     const deposits = await sql`
-      SELECT id, amount, paypal_order_id, status, created_at
+      SELECT id, amount, currency, paypal_amount, paypal_currency, fx_rate, paypal_order_id, status, clawed_back, created_at
       FROM deposits WHERE username = ${username}
       ORDER BY created_at DESC LIMIT 50
     `;
     return res.status(200).json({
       deposits: deposits.map(d => ({
         id: Number(d.id),
-        amount: Number(d.amount),
+        amount: money(d.amount, d.currency),
+        paid: money(d.paypal_amount, d.paypal_currency),
+        fxRate: d.fx_rate != null ? Number(d.fx_rate) : null,
         status: d.status,
+        clawedBack: money(d.clawed_back || 0, d.currency),
         created_at: Number(d.created_at)
       }))
     });
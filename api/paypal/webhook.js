@@ -0,0 +1,43 @@
+// api/paypal/webhook.js
+// PayPal webhook for money PayPal takes back from a deposit (lib/deposits.js)
+// and withdrawal payouts that don't arrive (lib/withdrawals.js). Subscribe it to
+// PAYMENT.CAPTURE.REFUNDED, PAYMENT.CAPTURE.REVERSED, PAYMENT.CAPTURE.DENIED,
+// CUSTOMER.DISPUTE.CREATED, CUSTOMER.DISPUTE.RESOLVED, PAYMENT.PAYOUTS-ITEM.FAILED,
+// PAYMENT.PAYOUTS-ITEM.DENIED and PAYMENT.PAYOUTS-ITEM.RETURNED and set PAYPAL_WEBHOOK_ID. Every delivery is signature-checked (lib/paypal.js)
+// and handled once; PayPal redelivers anything that doesn't get a 2xx back.
+const { sql, isUniqueViolation } = require("../../lib/db");
+const { sendError } = require("../../lib/http");
+const { verifyWebhookSignature } = require("../../lib/paypal");
+const { handleWebhookEvent } = require("../../lib/deposits");
+const { isPayoutEvent, handlePayoutEvent } = require("../../lib/withdrawals");
+const { money } = require("../../lib/currency");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const event = req.body;
+
+  try {
+    if (!event?.id || !event.event_type) return res.status(400).json({ error: "Invalid webhook event" });
+    if (!(await verifyWebhookSignature(req.headers, event))) {
+      console.warn(`[paypal webhook] bad signature on ${event.id} (${event.event_type})`);
+      return res.status(400).json({ error: "Invalid webhook signature" });
+    }
+
+    const seen = await sql`SELECT outcome FROM paypal_webhook_events WHERE id = ${event.id}`;
+    if (seen.length) return res.status(200).json({ received: true, duplicate: true, outcome: seen[0].outcome });
+
+    let result;
+    try {
+      result = isPayoutEvent(event) ? await handlePayoutEvent(event) : await handleWebhookEvent(event);
+    } catch (e) {
+      // The same delivery handled by a concurrent request — that one recorded it
+      if (isUniqueViolation(e)) return res.status(200).json({ received: true, duplicate: true });
+      throw e;
+    }
+    const { depositId = null, withdrawalId = null, outcome, amount, currency } = result;
+    return res.status(200).json({ received: true, depositId, withdrawalId, outcome, amount: currency ? money(amount, currency) : null });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
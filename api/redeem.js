@@ -1,78 +1,76 @@
 // api/redeem.js
-// Players submit a skin redemption request. You fulfill it manually via League gifting.
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
-
-async function getUser(username) {
-  const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
-  if (!rows.length) return null;
-  const u = rows[0];
-  const bets = await sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at ASC`;
-  return {
-    username: u.username,
-    balance: Number(u.balance),
-    realBalance: Number(u.real_balance || 0),
-    skinCredits: Number(u.skin_credits || 0),
-    lolAccount: u.lol_account,
-    puuid: u.puuid,
-    rank: u.rank,
-    createdAt: Number(u.created_at),
-    bets: bets.map(b => ({
-      id: Number(b.id),
-      amount: Number(b.amount),
-      odds: Number(b.odds),
-      potentialWin: Number(b.potential_win),
-      status: b.status,
-      placedAt: Number(b.placed_at),
-      resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
-      matchId: b.match_id,
-      result: b.result,
-      mode: b.mode || "virtual"
-    }))
-  };
-}
+// Players submit a skin redemption request. Admins fulfill it manually via League gifting
+// and mark it sent from the admin panel (api/admin.js fulfillRedemption).
+const crypto = require("crypto");
+const { sql } = require("../lib/db");
+const { cors, sendError, requireFields, parseNumber } = require("../lib/http");
+const { getUser } = require("../lib/users");
+const { requireSession } = require("../lib/session");
+const { postQuery, requirePosted, ACCOUNTS } = require("../lib/ledger");
+const { claimIdempotencyKey } = require("../lib/idempotency");
+const { nextId } = require("../lib/ids");
+const { getRpCard } = require("../lib/shop");
+const { SETTLEMENT_CURRENCY, money, toMinor, toDecimal } = require("../lib/currency");
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
 
-  const { action, username, skinName, rpCost, creditCost, realCost, totalCost } = req.body || {};
+  const { action, cardId, rpCost, creditCost, realCost, totalCost } = req.body || {};
 
   try {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+    if (action === "submitRedemption" && !(await claimIdempotencyKey(req, res, username, "/api/redeem"))) return;
+
     if (action === "submitRedemption") {
-      if (!username || !skinName || !rpCost || totalCost == null) {
-        return res.status(400).json({ error: "Missing required fields" });
+      requireFields(req.body, ["cardId", "rpCost", "totalCost"]);
+      // The price comes from lib/shop.js — what the client shows has to match it
+      const card = getRpCard(cardId);
+      const total = toMinor(card.totalCost);
+      if (Number(rpCost) !== card.rp || toMinor(parseNumber(totalCost, "total cost")) !== total) {
+        return res.status(400).json({ error: "This card's price has changed — refresh and try again" });
       }
 
-      const creditsPaying = Number(creditCost || 0);
-      const realPaying = Number(realCost || 0);
-      const total = Number(totalCost);
+      // In whole cents — the split has to add up exactly
+      const creditsPaying = toMinor(parseNumber(creditCost || 0, "credit cost"));
+      const realPaying = toMinor(parseNumber(realCost || 0, "real cost"));
+
+      if (creditsPaying < 0 || realPaying < 0) {
+        return res.status(400).json({ error: "Invalid payment amounts" });
+      }
 
-      // Verify the split adds up
-      if (Math.abs(creditsPaying + realPaying - total) > 0.01) {
+      if (creditsPaying + realPaying !== total) {
         return res.status(400).json({ error: "Payment split doesn't add up to total cost" });
       }
 
-      const rows = await sql`SELECT skin_credits, real_balance FROM users WHERE username = ${username}`;
+      const rows = await sql`SELECT skin_credits, real_balance, flagged_at FROM users WHERE username = ${username}`;
       if (!rows.length) return res.status(404).json({ error: "User not found" });
+      // PayPal took back a deposit and left the account negative — held until an admin clears it
+      if (rows[0].flagged_at) return res.status(403).json({ error: "Redemptions are on hold for your account — please contact support" });
 
-      const available_credits = Number(rows[0].skin_credits || 0);
-      const available_real = Number(rows[0].real_balance || 0);
+      const available_credits = toMinor(rows[0].skin_credits || 0);
+      const available_real = toMinor(rows[0].real_balance || 0);
 
       if (creditsPaying > available_credits) return res.status(400).json({ error: "Insufficient skin credits" });
       if (realPaying > available_real) return res.status(400).json({ error: "Insufficient real balance" });
 
-      // Deduct both balances
-      await sql`UPDATE users SET
-        skin_credits = skin_credits - ${creditsPaying},
-        real_balance = real_balance - ${realPaying}
-      WHERE username = ${username}`;
-
+      // Redemption row and both wallet debits commit together or not at all —
+      // if either balance was spent in the meantime the whole thing rolls back
+      const id = await nextId("skin_redemptions");
       const now = Date.now();
-      await sql`INSERT INTO skin_redemptions (id, username, skin_name, rp_cost, credit_cost, real_cost, status, created_at)
-                VALUES (${now}, ${username}, ${skinName}, ${rpCost}, ${creditsPaying}, ${realPaying}, 'pending', ${now})`;
+      const txnId = crypto.randomUUID();
+      const leg = { username, kind: "redemption", counterAccount: ACCOUNTS.redemptions, refType: "skin_redemption", refId: id, memo: card.name, txnId };
+      const legs = [
+        ...(creditsPaying > 0 ? [postQuery({ ...leg, currency: "credits", amount: toDecimal(-creditsPaying) })] : []),
+        ...(realPaying > 0 ? [postQuery({ ...leg, currency: "real", amount: toDecimal(-realPaying) })] : []),
+      ];
+      await sql.transaction([
+        sql`INSERT INTO skin_redemptions (id, username, skin_name, rp_cost, credit_cost, real_cost, currency, status, created_at)
+            VALUES (${id}, ${username}, ${card.name}, ${card.rp}, ${toDecimal(creditsPaying)}, ${toDecimal(realPaying)}, ${SETTLEMENT_CURRENCY}, 'pending', ${now})`,
+        ...legs,
+        requirePosted(txnId, legs.length, "Insufficient balance — refresh and try again"),
+      ]);
 
       const user = await getUser(username);
       return res.status(200).json({ success: true, user });
@@ -87,34 +85,18 @@ module.exports = async function handler(req, res) {
           id: Number(r.id),
           skinName: r.skin_name,
           rpCost: Number(r.rp_cost),
-          creditCost: Number(r.credit_cost || 0),
-          realCost: Number(r.real_cost || 0),
-          totalCost: Number(r.credit_cost || 0) + Number(r.real_cost || 0),
+          creditCost: money(r.credit_cost || 0, r.currency),
+          realCost: money(r.real_cost || 0, r.currency),
+          totalCost: { minor: toMinor(r.credit_cost || 0, r.currency) + toMinor(r.real_cost || 0, r.currency), currency: r.currency },
           status: r.status,
           createdAt: Number(r.created_at)
         }))
       });
 
-    } else if (action === "adminGetAll") {
-      // For you to review pending redemptions (only accessible if needed)
-      const all = await sql`
-        SELECT r.*, u.lol_account FROM skin_redemptions r
-        JOIN users u ON u.username = r.username
-        WHERE r.status = 'pending'
-        ORDER BY r.created_at ASC
-      `;
-      return res.status(200).json({ redemptions: all });
-
-    } else if (action === "adminFulfill") {
-      // Mark a redemption as fulfilled after you've sent the gift
-      const { redemptionId } = req.body;
-      await sql`UPDATE skin_redemptions SET status = 'fulfilled' WHERE id = ${redemptionId}`;
-      return res.status(200).json({ success: true });
-
     } else {
       return res.status(400).json({ error: "Unknown action" });
     }
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
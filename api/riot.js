@@ -1,60 +1,61 @@
+// api/riot.js
+// The client's window onto the Riot API: signed-in players with a linked
+// account, looking up their own data only. Inputs are checked against Riot's id
+// formats, there's a per-player quota on top of the key's own rate limits
+// (lib/riot.js), and payloads are trimmed rather than raw Riot JSON.
+const { sql } = require("../lib/db");
+const { HttpError, cors, sendError } = require("../lib/http");
+const { requireSession } = require("../lib/session");
+const { enforceQuota } = require("../lib/quota");
+const { summarizeMatch } = require("../lib/markets");
+const { QUEUES, DEFAULT_QUEUE, isMatchId, getProfile, getMatchIds, getMatch } = require("../lib/riot");
+const { DEFAULT_REGION, normalizeRegion } = require("../lib/regions");
+
+// A profile view is one call, a look through recent games a matchlist plus a call per match
+const RIOT_QUOTA = { limit: 100, windowMs: 10 * 60 * 1000 };
+
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res, "GET, OPTIONS")) return;
 
-  const apiKey = process.env.RIOT_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "No API key configured" });
+  try {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    if (!(await enforceQuota(res, session.username, "riot", RIOT_QUOTA))) return;
 
-  const action = req.query.action;
-  const gameName = req.query.gameName || req.query.gamename;
-  const tagLine = req.query.tagLine || req.query.tagline;
-  const region = req.query.region || "euw1";
-  const puuid = req.query.puuid;
-  const matchId = req.query.matchId || req.query.matchid;
+    const { action } = req.query;
+    const [me] = await sql`SELECT puuid, region FROM users WHERE username = ${session.username}`;
+    if (!me) return res.status(404).json({ error: "User not found" });
 
-  const routing = { euw1: "europe", na1: "americas", kr: "asia", br1: "americas" }[region] || "europe";
+    // Only your own linked account, on the region it was linked on — linking
+    // itself goes through api/user.js, which checks the account server-side
+    if (!me.puuid) throw new HttpError(400, "Link your League account first");
+    const region = normalizeRegion(me.region) || DEFAULT_REGION;
+
+    if (action === "profile") {
+      // Summoner, ranks and top champions
+      const profile = await getProfile(me.puuid, region);
+      if (!profile) return res.status(404).json({ error: "Summoner not found" });
+      return res.status(200).json(profile);
 
-  let url = "";
-  try {
-    if (action === "account") {
-      url = `https://europe.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
-    } else if (action === "rank") {
-      url = `https://${region}.api.riotgames.com/lol/league/v4/entries/by-puuid/${puuid}`;
-    } else if (action === "summoner") {
-      url = `https://${region}.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/${puuid}`;
     } else if (action === "matchlist") {
-      url = `https://${routing}.api.riotgames.com/lol/match/v5/matches/by-puuid/${puuid}/ids?queue=420&start=0&count=1`;
+      // Your match ids in one queue, newest first; count lets the bet slip look back past the latest game
+      const count = Math.min(Math.max(parseInt(req.query.count) || 1, 1), 20);
+      const queue = req.query.queue ? Number(req.query.queue) : DEFAULT_QUEUE;
+      if (!QUEUES[queue]) throw new HttpError(400, `Unsupported queue: ${req.query.queue}`);
+      return res.status(200).json(await getMatchIds(me.puuid, region, { queue, count }));
+
     } else if (action === "match") {
-      url = `https://${routing}.api.riotgames.com/lol/match/v5/matches/${matchId}`;
-    } else if (action === "mastery") {
-      // Top 3 champion masteries by puuid
-      url = `https://${region}.api.riotgames.com/lol/champion-mastery/v4/champion-masteries/by-puuid/${puuid}/top?count=3`;
-    } else if (action === "championdata") {
-      // Fetch latest Data Dragon champion list to resolve champion IDs → names
-      // First get latest version
-      const versionRes = await fetch("https://ddragon.leagueoflegends.com/api/versions.json");
-      const versions = await versionRes.json();
-      const latest = versions[0];
-      const champRes = await fetch(`https://ddragon.leagueoflegends.com/cdn/${latest}/data/en_US/champion.json`);
-      const champData = await champRes.json();
-      // Build id->key map (key = champion name used in image URLs)
-      const idToKey = {};
-      Object.values(champData.data).forEach(c => { idToKey[c.key] = c.id; });
-      return res.status(200).json({ version: latest, idToKey });
+      // Your line from one game, in the shape the resolver settles bets on
+      const matchId = req.query.matchId || req.query.matchid;
+      if (!isMatchId(matchId) || !normalizeRegion(matchId.split("_")[0])) throw new HttpError(400, "Invalid match id");
+      const result = summarizeMatch(await getMatch(matchId, region), me.puuid);
+      if (!result) return res.status(404).json({ error: "Match not found" });
+      return res.status(200).json(result);
+
     } else {
       return res.status(400).json({ error: `Unknown action: ${action}` });
     }
-
-    const separator = url.includes("?") ? "&" : "?";
-    const finalUrl = `${url}${separator}api_key=${apiKey}`;
-    const response = await fetch(finalUrl);
-    const text = await response.text();
-    let data;
-    try { data = JSON.parse(text); } catch { data = { raw: text }; }
-    return res.status(response.status).json(data);
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
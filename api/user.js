@@ -1,62 +1,65 @@
-const { neon } = require("@neondatabase/serverless");
-const sql = neon(process.env.POSTGRES_URL);
+const { cors, sendError, oneOf } = require("../lib/http");
+const { getUser } = require("../lib/users");
+const { requireSession } = require("../lib/session");
+const { getEntries, CURRENCIES } = require("../lib/ledger");
+const { claimIdempotencyKey } = require("../lib/idempotency");
+const { enforceQuota } = require("../lib/quota");
+const { startLinkChallenge, verifyLinkChallenge, unlinkAccount } = require("../lib/link");
+const { SOLO_QUEUE, RANKED_QUEUES, getCurrentRanks, getRankHistory } = require("../lib/ranks");
+const { markNotificationsRead } = require("../lib/notifications");
 
-async function getUser(username) {
-  const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
-  if (!rows.length) return null;
-  const u = rows[0];
-  const bets = await sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at ASC`;
-  return {
-    username: u.username,
-    balance: Number(u.balance),
-    realBalance: Number(u.real_balance || 0),
-    skinCredits: Number(u.skin_credits || 0),
-    lolAccount: u.lol_account,
-    puuid: u.puuid,
-    rank: u.rank,
-    createdAt: Number(u.created_at),
-    bets: bets.map(b => ({
-      id: Number(b.id),
-      amount: Number(b.amount),
-      odds: Number(b.odds),
-      potentialWin: Number(b.potential_win),
-      status: b.status,
-      placedAt: Number(b.placed_at),
-      resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
-      matchId: b.match_id,
-      result: b.result,
-      mode: b.mode || "virtual"
-    }))
-  };
-}
+// Each step calls Riot, so link attempts are capped per player
+const LINK_QUOTA = { limit: 20, windowMs: 10 * 60 * 1000 };
 
 module.exports = async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
+  if (cors(req, res)) return;
 
-  const { action, username, lolAccount, puuid, rank, region } = req.body || {};
+  const { action, gameName, tagLine, region, currency, queueType, limit, ids } = req.body || {};
 
   try {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+    const readOnly = ["getUser", "getTransactions", "getRankHistory"].includes(action);
+    if (!readOnly && !(await claimIdempotencyKey(req, res, username, "/api/user"))) return;
+
     if (action === "getUser") {
       const user = await getUser(username);
       if (!user) return res.status(404).json({ error: "User not found" });
       return res.status(200).json({ user });
-    } else if (action === "linkAccount") {
-      const existing = await sql`SELECT username FROM users WHERE puuid = ${puuid} AND username != ${username}`;
-      if (existing.length > 0) return res.status(409).json({ error: "This LoL account is already linked to another account" });
-      await sql`UPDATE users SET lol_account = ${lolAccount}, puuid = ${puuid}, rank = ${rank}, region = ${region || 'euw1'} WHERE username = ${username}`;
+    } else if (action === "getTransactions") {
+      if (currency) oneOf(currency, CURRENCIES, "currency");
+      const transactions = await getEntries(username, { currency: currency || null, limit });
+      return res.status(200).json({ transactions });
+    } else if (action === "getRankHistory") {
+      // Latest standing per ranked queue plus one queue's snapshots for the chart
+      const type = queueType ? oneOf(queueType, RANKED_QUEUES, "queue") : SOLO_QUEUE;
+      const [current, history] = await Promise.all([getCurrentRanks(username), getRankHistory(username, { queueType: type, limit })]);
+      return res.status(200).json({ current, history });
+    } else if (action === "markNotificationsRead") {
+      await markNotificationsRead(username, ids);
+      const user = await getUser(username);
+      return res.status(200).json({ user });
+    } else if (action === "startLink") {
+      // Step 1: the server looks the Riot ID up and picks the icon to equip
+      if (!(await enforceQuota(res, username, "link", LINK_QUOTA))) return;
+      const challenge = await startLinkChallenge(username, { gameName, tagLine, region });
+      return res.status(200).json({ challenge });
+    } else if (action === "verifyLink") {
+      // Step 2: the server checks the equipped icon with Riot and binds the account
+      if (!(await enforceQuota(res, username, "link", LINK_QUOTA))) return;
+      await verifyLinkChallenge(username);
       const user = await getUser(username);
       return res.status(200).json({ user });
     } else if (action === "unlinkAccount") {
-      await sql`UPDATE users SET lol_account = NULL, puuid = NULL, rank = NULL WHERE username = ${username}`;
+      // Refused while bets are open (lib/link.js)
+      await unlinkAccount(username);
       const user = await getUser(username);
       return res.status(200).json({ user });
     } else {
       return res.status(400).json({ error: "Unknown action" });
     }
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 };
@@ -0,0 +1,39 @@
+// api/withdraw.js
+// Players cash real_balance out to PayPal. The request holds the amount until
+// an admin approves (and pays) or rejects it from the admin panel — see
+// lib/withdrawals.js and api/admin.js approveWithdrawal / rejectWithdrawal.
+const { sql } = require("../lib/db");
+const { cors, sendError, requireFields } = require("../lib/http");
+const { getUser } = require("../lib/users");
+const { requireSession } = require("../lib/session");
+const { claimIdempotencyKey } = require("../lib/idempotency");
+const { requestWithdrawal, serializeWithdrawal } = require("../lib/withdrawals");
+
+module.exports = async function handler(req, res) {
+  if (cors(req, res)) return;
+
+  const { action, amount, paypalEmail } = req.body || {};
+
+  try {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    const { username } = session;
+    if (action === "requestWithdrawal" && !(await claimIdempotencyKey(req, res, username, "/api/withdraw"))) return;
+
+    if (action === "requestWithdrawal") {
+      requireFields(req.body, ["amount", "paypalEmail"]);
+      const withdrawal = await requestWithdrawal(username, { amount, paypalEmail });
+      const user = await getUser(username);
+      return res.status(200).json({ success: true, withdrawal: serializeWithdrawal(withdrawal), user });
+
+    } else if (action === "getWithdrawals") {
+      const rows = await sql`SELECT * FROM withdrawals WHERE username = ${username} ORDER BY created_at DESC LIMIT 50`;
+      return res.status(200).json({ withdrawals: rows.map(serializeWithdrawal) });
+
+    } else {
+      return res.status(400).json({ error: "Unknown action" });
+    }
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
@@ -0,0 +1,114 @@
+// lib/admin.js
+// Named admin accounts, role checks and the admin audit trail.
+// Roles are ordered — each one can do everything the roles before it can:
+//   viewer  → read-only dashboards
+//   support → notes, redemptions, cancelling bets, virtual gold
+//   finance → real balances and skin credits, financial reports
+//   owner   → deleting players and managing other admins
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { signToken, verifyToken } = require("./session");
+const { sql } = require("./db");
+
+const ROLES = ["viewer", "support", "finance", "owner"];
+const ADMIN_SESSION_TTL_MS = 8 * 60 * 60 * 1000; // one working day, no refresh
+
+const hasRole = (role, minRole) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+// ─── AUDIT LOG ───────────────────────────────────────────────────────────────
+// admin_audit_log is append-only — a trigger rejects UPDATE and DELETE — so
+// details must never hold anything a player could later ask to have erased.
+// auditQuery() builds the insert without running it, for a sql.transaction([...])
+// next to the change it records.
+function auditQuery(admin, action, target, details = {}) {
+  return sql`INSERT INTO admin_audit_log (admin_username, admin_role, action, target, details, created_at)
+             VALUES (${admin.username}, ${admin.role}, ${action}, ${target ?? null}, ${JSON.stringify(details)}, ${Date.now()})`;
+}
+
+async function audit(admin, action, target, details = {}) {
+  await auditQuery(admin, action, target, details);
+}
+
+// ─── LOGIN ───────────────────────────────────────────────────────────────────
+// Returns the admin row when the credentials match, otherwise null so the
+// caller can fall through to a normal player login.
+async function authenticateAdmin(username, password) {
+  const rows = await sql`SELECT * FROM admin_users WHERE username = ${username}`;
+  if (rows.length) {
+    const admin = rows[0];
+    if (admin.disabled_at) return null;
+    return (await bcrypt.compare(password, admin.password)) ? admin : null;
+  }
+
+  // First run only: while there are no admin accounts at all, logging in as
+  // ADMIN_USERNAME with ADMIN_PASSWORD creates that account as the first owner.
+  // Both env vars have to be set, and the name can't belong to a player. Once
+  // any admin exists they're ignored — remove them after the first login.
+  const bootstrapName = (process.env.ADMIN_USERNAME || "").trim().toLowerCase();
+  if (!bootstrapName || username !== bootstrapName || !process.env.ADMIN_PASSWORD || password !== process.env.ADMIN_PASSWORD) return null;
+  const hashed = await bcrypt.hash(password, 10);
+  const created = await sql`INSERT INTO admin_users (username, password, role, created_at, created_by)
+                            SELECT ${username}, ${hashed}, 'owner', ${Date.now()}, NULL
+                            WHERE NOT EXISTS (SELECT 1 FROM admin_users)
+                              AND NOT EXISTS (SELECT 1 FROM users WHERE username = ${username})
+                            RETURNING *`;
+  if (!created.length) return null;
+  const owner = created[0];
+  await audit(owner, "bootstrapOwner", username);
+  return owner;
+}
+
+async function createAdminSession(admin) {
+  const sid = crypto.randomUUID();
+  const now = Date.now();
+  const expiresAt = now + ADMIN_SESSION_TTL_MS;
+  await sql`INSERT INTO admin_sessions (id, admin_username, created_at, expires_at)
+            VALUES (${sid}, ${admin.username}, ${now}, ${expiresAt})`;
+  return { token: signToken({ sub: admin.username, sid, kind: "admin", exp: expiresAt }), expiresAt };
+}
+
+async function revokeAdminSession(sid) {
+  await sql`UPDATE admin_sessions SET revoked_at = ${Date.now()} WHERE id = ${sid} AND revoked_at IS NULL`;
+}
+
+// ─── REQUEST HELPERS ─────────────────────────────────────────────────────────
+// Role is read fresh on every request so demotions and disables apply immediately
+async function getAdmin(req) {
+  const header = req.headers?.authorization || "";
+  const payload = verifyToken(header.startsWith("Bearer ") ? header.slice(7) : null);
+  if (!payload || payload.kind !== "admin") return null;
+  const rows = await sql`
+    SELECT a.username, a.role
+    FROM admin_sessions s
+    JOIN admin_users a ON a.username = s.admin_username
+    WHERE s.id = ${payload.sid} AND s.revoked_at IS NULL AND a.disabled_at IS NULL
+  `;
+  if (!rows.length || rows[0].username !== payload.sub) return null;
+  return { username: rows[0].username, role: rows[0].role, sid: payload.sid };
+}
+
+// Sends 401 (no admin session) or 403 (role too low) and returns null on failure
+async function requireAdmin(req, res, minRole) {
+  const admin = await getAdmin(req);
+  if (!admin) {
+    res.status(401).json({ error: "Admin session expired — please log in again" });
+    return null;
+  }
+  if (!hasRole(admin.role, minRole)) {
+    res.status(403).json({ error: `Requires ${minRole} role (you are ${admin.role})` });
+    return null;
+  }
+  return admin;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  auditQuery,
+  audit,
+  authenticateAdmin,
+  createAdminSession,
+  revokeAdminSession,
+  getAdmin,
+  requireAdmin,
+};
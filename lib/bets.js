@@ -0,0 +1,147 @@
+// lib/bets.js
+// Settling and cancelling bets. Each one is a single database transaction that
+// first locks the bet row and checks it is still pending, so a bet can only
+// ever leave "pending" once — a second cron run, the client resolve path and an
+// admin cancel racing each other can't pay out or refund twice.
+const crypto = require("crypto");
+const { postQuery, ACCOUNTS } = require("./ledger");
+const { sql } = require("./db");
+const { notifyQuery } = require("./notifications");
+const { formatAmount, toMinor, toDecimal } = require("./currency");
+const { VOID_REASONS, voidReason, isWinningBet } = require("./markets");
+
+// How many bets a player can have open at once (MAX_OPEN_BETS env, default 3).
+// Each open bet rides on a different upcoming ranked game, oldest bet first.
+const MAX_OPEN_BETS = Math.max(1, parseInt(process.env.MAX_OPEN_BETS) || 3);
+
+// How long after it's placed a bet's game has to start (BET_EXPIRY_HOURS env,
+// default 2). Stored on the bet as expires_at; the resolver refunds bets whose
+// window passed without a game.
+const BET_EXPIRY_MS = (Number(process.env.BET_EXPIRY_HOURS) > 0 ? Number(process.env.BET_EXPIRY_HOURS) : 2) * 60 * 60 * 1000;
+
+// FOR UPDATE waits for any other transaction holding the bet, then re-checks
+// the status against the committed row
+const lockPending = (betId) => sql`
+  SELECT reject_unless(COUNT(*) = 1, 'Bet is no longer pending')
+  FROM (SELECT id FROM bets WHERE id = ${betId} AND status = 'pending' FOR UPDATE) b
+`;
+
+// Ledger postings for a won bet. Real bets return the stake to real_balance and
+// the profit as skin credits; virtual bets pay the full potential win in gold.
+// potential_win was rounded when the bet was placed (betPayout in lib/money.mjs),
+// so this only splits it, in whole cents.
+function payoutQueries(bet) {
+  const stake = toMinor(bet.amount, bet.currency);
+  const totalPayout = toMinor(bet.potential_win, bet.currency);
+  const common = { username: bet.username, kind: "payout", counterAccount: ACCOUNTS.bets, refType: "bet", refId: bet.id, txnId: crypto.randomUUID() };
+
+  if (bet.mode === "real") {
+    const profit = totalPayout - stake;
+    return [
+      postQuery({ ...common, currency: "real", amount: toDecimal(stake, bet.currency), memo: "Stake returned" }),
+      ...(profit > 0 ? [postQuery({ ...common, currency: "credits", amount: toDecimal(profit, bet.currency), memo: "Winnings" })] : []),
+    ];
+  }
+  return [postQuery({ ...common, currency: "virtual", amount: toDecimal(totalPayout, bet.currency), memo: "Winnings" })];
+}
+
+// Marks a pending bet won/lost and pays it out. Throws a rejection (see
+// isRejection in lib/ledger.js) if the bet was already settled or cancelled.
+async function settleBet(bet, { won, matchId, result }) {
+  const status = won ? "won" : "lost";
+  await sql.transaction([
+    lockPending(bet.id),
+    sql`UPDATE bets SET status = ${status}, match_id = ${matchId ?? null}, result = ${JSON.stringify(result ?? null)}, resolved_at = ${Date.now()}
+        WHERE id = ${bet.id}`,
+    ...(won ? payoutQueries(bet) : []),
+  ]);
+}
+
+// Closes a pending bet with `status` and refunds the stake to the wallet it
+// came from. `notification` (lib/notifications.js) goes in the same transaction.
+// A void also records the game it was matched to and why it didn't count.
+// refundQueries() builds the statements without running them, so a caller can
+// refund bets inside a bigger transaction of its own.
+function refundQueries(bet, { status, memo, notification = null, matchId = null, result = null, reason = null }) {
+  return [
+    lockPending(bet.id),
+    sql`UPDATE bets SET status = ${status}, match_id = ${matchId}, result = ${result ? JSON.stringify(result) : null}, void_reason = ${reason}, resolved_at = ${Date.now()}
+        WHERE id = ${bet.id}`,
+    postQuery({ username: bet.username, currency: bet.mode === "real" ? "real" : "virtual", amount: bet.amount, kind: "refund",
+                counterAccount: ACCOUNTS.bets, refType: "bet", refId: bet.id, memo }),
+    ...(notification ? [notifyQuery({ username: bet.username, refType: "bet", refId: bet.id, ...notification })] : []),
+  ];
+}
+
+async function refundBet(bet, options) {
+  await sql.transaction(refundQueries(bet, options));
+}
+
+// Cancels a pending bet and refunds the stake
+async function cancelBet(bet, memo) {
+  await refundBet(bet, { status: "cancelled", memo });
+}
+
+// No game started inside the bet's window — refund it and tell the player
+async function expireBet(bet) {
+  const hours = Math.round((Number(bet.expires_at) - Number(bet.placed_at)) / 3600000);
+  await refundBet(bet, {
+    status: "expired",
+    memo: "Bet expired — no game in time",
+    notification: {
+      kind: "bet_expired",
+      title: "Bet expired — stake refunded",
+      body: `No game started within ${hours}h of your ${formatAmount(bet.amount, bet.currency)} ${bet.mode === "real" ? "real" : "virtual"} bet, so it was closed and the stake returned.`,
+    },
+  });
+}
+
+// The bet's game was a remake or abandoned (voidReason in lib/markets.js) —
+// refund it with the reason and tell the player. The game still counts as
+// used, so it can't settle the next bet in the lane.
+async function voidBet(bet, { reason, matchId, result }) {
+  const label = VOID_REASONS[reason] || reason;
+  await refundBet(bet, {
+    status: "void",
+    memo: `Bet void — ${label.toLowerCase()}`,
+    matchId,
+    result,
+    reason,
+    notification: {
+      kind: "bet_void",
+      title: `Bet void — ${label.toLowerCase()}`,
+      body: `Your ${formatAmount(bet.amount, bet.currency)} ${bet.mode === "real" ? "real" : "virtual"} bet's game on ${result?.champion || "your champion"} didn't count (${label.toLowerCase()}), so the stake was returned.`,
+    },
+  });
+}
+
+// Settles a pending bet on its game: void if the game doesn't count, otherwise
+// won/lost on the bet's market. Returns "won", "lost" or "void".
+async function settleFromResult(bet, matchResult) {
+  const { matchId } = matchResult;
+  const reason = voidReason(matchResult);
+  if (reason) {
+    await voidBet(bet, { reason, matchId, result: matchResult });
+    return "void";
+  }
+  const won = isWinningBet(bet, matchResult);
+  await settleBet(bet, { won, matchId, result: matchResult });
+  // On loss: stake was already deducted when the bet was placed, nothing to do
+  return won ? "won" : "lost";
+}
+
+// Past its window, with the time a game that started just before it needs to finish
+const isExpired = (bet, graceMs = 0, now = Date.now()) =>
+  bet.expires_at != null && now > Number(bet.expires_at) + graceMs;
+
+module.exports = {
+  MAX_OPEN_BETS,
+  BET_EXPIRY_MS,
+  settleBet,
+  settleFromResult,
+  refundQueries,
+  cancelBet,
+  voidBet,
+  expireBet,
+  isExpired,
+};
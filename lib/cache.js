@@ -0,0 +1,60 @@
+// lib/cache.js
+// Read-through cache for upstream responses that don't change once published.
+// A per-instance Map sits in front of the response_cache table: the Map saves
+// the round trip within one warm function, the table is what lets a cold
+// instance (or the next cron run) skip the upstream call.
+const { sql } = require("./db");
+
+const MEMORY_MAX = 200; // entries per instance — match payloads are tens of KB each
+const memory = new Map(); // key -> { value, expiresAt }, oldest first
+
+function remember(key, value, expiresAt) {
+  memory.delete(key);
+  memory.set(key, { value, expiresAt });
+  if (memory.size > MEMORY_MAX) memory.delete(memory.keys().next().value);
+}
+
+// Returns the cached value for `key`, or runs load(), stores what it returns
+// for ttlMs and returns that. null/undefined (e.g. a 404) is never cached.
+// The cache is best effort — if the table can't be read or written the
+// loader's result is still returned.
+async function cached(key, ttlMs, load) {
+  const now = Date.now();
+  const hit = memory.get(key);
+  if (hit && hit.expiresAt > now) return hit.value;
+
+  try {
+    const [row] = await sql`SELECT body, expires_at FROM response_cache WHERE key = ${key} AND expires_at > ${now}`;
+    if (row) {
+      remember(key, row.body, Number(row.expires_at));
+      return row.body;
+    }
+  } catch (e) {
+    console.error("[cache] read failed:", e.message);
+  }
+
+  const value = await load();
+  if (value == null) return value;
+
+  const expiresAt = Date.now() + ttlMs;
+  remember(key, value, expiresAt);
+  try {
+    await sql`
+      INSERT INTO response_cache (key, body, expires_at) VALUES (${key}, ${JSON.stringify(value)}, ${expiresAt})
+      ON CONFLICT (key) DO UPDATE SET body = EXCLUDED.body, expires_at = EXCLUDED.expires_at
+    `;
+  } catch (e) {
+    console.error("[cache] write failed:", e.message);
+  }
+  return value;
+}
+
+// Housekeeping, called from the resolve-bets cron
+async function purgeExpiredCache() {
+  await sql`DELETE FROM response_cache WHERE expires_at < ${Date.now()}`;
+}
+
+module.exports = {
+  cached,
+  purgeExpiredCache,
+};
@@ -0,0 +1,93 @@
+// lib/currency.js
+// Which currency money is in. Real balances, skin credits, real bets,
+// redemptions and withdrawals are all held in one settlement currency
+// (SETTLEMENT_CURRENCY, default EUR — what the shop's RP card prices are in).
+// Virtual gold is GOLD. PayPal may charge deposits in another currency
+// (PAYPAL_CURRENCY, default the settlement currency); the exchange rate used is
+// fixed when the order is created and recorded on the order and the deposit.
+// Changing SETTLEMENT_CURRENCY converts nothing already stored — choose it
+// before going live.
+//
+// API responses carry money as { minor, currency }: an integer count of the
+// currency's smallest unit (cents for EUR) and its code, never a float.
+const { cached } = require("./cache");
+const moneyMath = require("./money.mjs");
+
+const SETTLEMENT_CURRENCY = (process.env.SETTLEMENT_CURRENCY || "EUR").toUpperCase();
+const GOLD = "GOLD";
+
+// Ledger wallets (lib/ledger.js) and the currency each is held in
+const walletCurrency = (wallet) => (wallet === "virtual" ? GOLD : SETTLEMENT_CURRENCY);
+
+// ─── MINOR UNITS ─────────────────────────────────────────────────────────────
+// Digits after the decimal point: 2 for EUR and USD, 0 for JPY. Gold has
+// always been counted in hundredths.
+function minorDigits(currency) {
+  if (currency === GOLD) return 2;
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+  } catch (_) {
+    return 2;
+  }
+}
+
+// Integer minor units, exact (lib/money.mjs)
+const toMinor = (amount, currency = SETTLEMENT_CURRENCY) => moneyMath.toMinor(amount, minorDigits(currency));
+const fromMinor = (minor, currency = SETTLEMENT_CURRENCY) => moneyMath.fromMinor(minor, minorDigits(currency));
+const toDecimal = (minor, currency = SETTLEMENT_CURRENCY) => moneyMath.toDecimal(minor, minorDigits(currency));
+
+// Minor units of `from` → minor units of `to` at `rate` (how many `to` one `from` buys)
+const convert = (minor, rate, from, to, mode) => moneyMath.multiply(minor, rate, mode, minorDigits(to) - minorDigits(from));
+// The way back, at the same rate
+const convertBack = (minor, rate, from, to, mode) => moneyMath.divide(minor, rate, mode, minorDigits(from) - minorDigits(to));
+
+// The API shape of an amount, or null when there isn't one
+function money(amount, currency = SETTLEMENT_CURRENCY) {
+  if (amount == null) return null;
+  return { minor: toMinor(amount, currency), currency };
+}
+
+// "12.50" — what PayPal's amount fields take
+const decimalString = (amount, currency) => toDecimal(toMinor(amount, currency), currency);
+
+// "€12.50" for messages and notifications. Gold shows as fake dollars, like the client does.
+function formatAmount(amount, currency = SETTLEMENT_CURRENCY) {
+  if (currency === GOLD) return `$${decimalString(amount, GOLD)}`;
+  return new Intl.NumberFormat("en-IE", { style: "currency", currency }).format(Number(amount));
+}
+
+// ─── EXCHANGE RATES ──────────────────────────────────────────────────────────
+// How many `to` one `from` buys. FX_RATE_<FROM>_<TO> (e.g. FX_RATE_EUR_USD=1.08)
+// pins a rate; otherwise it's the day's ECB reference rate from FX_API_URL,
+// cached for an hour.
+const FX_API_URL = process.env.FX_API_URL || "https://api.frankfurter.app/latest";
+const FX_TTL_MS = 60 * 60 * 1000;
+
+async function getRate(from, to) {
+  if (from === to) return 1;
+  const pinned = Number(process.env[`FX_RATE_${from}_${to}`]);
+  if (pinned > 0) return pinned;
+  const rate = await cached(`fx:${from}:${to}`, FX_TTL_MS, async () => {
+    const res = await fetch(`${FX_API_URL}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+    const data = await res.json().catch(() => ({}));
+    return res.ok ? data.rates?.[to] ?? null : null;
+  });
+  if (!(Number(rate) > 0)) throw new Error(`No exchange rate for ${from} → ${to}`);
+  return Number(rate);
+}
+
+module.exports = {
+  SETTLEMENT_CURRENCY,
+  GOLD,
+  walletCurrency,
+  minorDigits,
+  toMinor,
+  fromMinor,
+  toDecimal,
+  convert,
+  convertBack,
+  money,
+  decimalString,
+  formatAmount,
+  getRate,
+};
@@ -0,0 +1,14 @@
+// lib/db.js
+// The one Neon client every route and lib module shares.
+const { neon } = require("@neondatabase/serverless");
+
+const sql = neon(process.env.POSTGRES_URL);
+
+// reject_unless() (migrations/003_ledger.js) raises when its condition is false,
+// which rolls back the whole sql.transaction it's in. e.message is the text passed in.
+const isRejection = (e) => e?.code === "P0001";
+
+// A unique index turned the insert/update away (two requests raced past a check)
+const isUniqueViolation = (e) => e?.code === "23505";
+
+module.exports = { sql, isRejection, isUniqueViolation };
@@ -0,0 +1,194 @@
+// lib/deposits.js
+// What happens to a deposit after it's captured. PayPal can take the money
+// back — a refund, a reversal, a denied capture, a dispute — and tells us
+// through the webhook (api/paypal/webhook.js). Each of those claws the amount
+// back off the player's real balance with a ledger entry, even when that takes
+// it below zero, and a player left negative is flagged for review.
+//
+// A deposit's amount, clawed_back and disputed are in its settlement currency.
+// PayPal's events are in what it charged (paypal_currency), so their amounts
+// are converted back at the rate recorded with the deposit. The arithmetic is
+// in whole cents (lib/money.mjs).
+const { sql } = require("./db");
+const { postQuery, ACCOUNTS } = require("./ledger");
+const { notifyQuery } = require("./notifications");
+const { formatAmount, toMinor, toDecimal, convertBack } = require("./currency");
+const { ROUND_HALF_UP } = require("./money.mjs");
+
+// An amount from a PayPal event, { value, currency_code }, in minor units of the
+// deposit's currency — to the nearest cent, as the charge was worked out
+function fromPayPal(deposit, amount) {
+  const code = amount?.currency_code || deposit.currency;
+  const value = toMinor(amount?.value || 0, code) || 0;
+  if (code === deposit.currency) return value;
+  return convertBack(value, deposit.fx_rate || 1, deposit.currency, code, ROUND_HALF_UP);
+}
+
+// A deposit column in minor units
+const minorOf = (deposit, column) => toMinor(deposit[column] ?? 0, deposit.currency);
+
+// Dispute outcomes that leave the money with us — anything else went to the buyer
+const SELLER_KEEPS = ["RESOLVED_SELLER_FAVOUR", "CANCELED_BY_BUYER", "DENIED"];
+
+// ─── FINDING THE DEPOSIT ─────────────────────────────────────────────────────
+// Events name the PayPal capture. Deposits from before capture ids were stored
+// can still be matched on the order id that capture events carry.
+async function findDeposit({ captureId = null, orderId = null }) {
+  if (captureId) {
+    const [d] = await sql`SELECT * FROM deposits WHERE paypal_capture_id = ${captureId}`;
+    if (d) return d;
+  }
+  if (orderId) {
+    const [d] = await sql`SELECT * FROM deposits WHERE paypal_order_id = ${orderId}`;
+    if (d) return d;
+  }
+  return null;
+}
+
+// A refund links "up" to its capture: .../v2/payments/captures/{id}
+function captureFromLinks(links = []) {
+  const up = links.find(l => l.rel === "up" && l.href?.includes("/captures/"));
+  return up ? up.href.split("/captures/")[1].split(/[/?]/)[0] : null;
+}
+
+// ─── QUERIES ─────────────────────────────────────────────────────────────────
+// FOR UPDATE, then checks the deposit still has the amounts the handler worked
+// from — if another event got in first this one rolls back and PayPal retries it
+const lockDeposit = (d) => sql`
+  SELECT reject_unless(COUNT(*) = 1, 'Deposit changed while handling the webhook')
+  FROM (SELECT id FROM deposits WHERE id = ${d.id} AND clawed_back = ${d.clawed_back} AND disputed = ${d.disputed} FOR UPDATE) d
+`;
+
+// Runs after the clawback in the same transaction, so it sees the new balance
+const flagIfNegativeQuery = (username, reason) => sql`
+  UPDATE users SET flagged_at = ${Date.now()}, flag_reason = ${reason}
+  WHERE username = ${username} AND COALESCE(real_balance, 0) < 0 AND flagged_at IS NULL
+`;
+
+// One row per delivery — the primary key is what stops a redelivery being handled
+// twice. Payout events (lib/withdrawals.js) record theirs with this too.
+const recordEventQuery = (event, { depositId = null, withdrawalId = null, outcome }) => sql`
+  INSERT INTO paypal_webhook_events (id, event_type, resource_id, deposit_id, withdrawal_id, outcome, received_at)
+  VALUES (${event.id}, ${event.event_type}, ${event.resource?.id ?? null}, ${depositId}, ${withdrawalId}, ${outcome}, ${Date.now()})
+`;
+
+// ─── CLAWBACKS ───────────────────────────────────────────────────────────────
+// Takes up to `amount` (never more than what's left of the deposit) back off
+// the player's real balance and moves the deposit to `status`. `disputed` is
+// the deposit's new held-for-a-dispute amount. Both are in minor units.
+async function clawBack(deposit, event, { amount, status, reason, disputed = minorOf(deposit, "disputed") }) {
+  const remaining = minorOf(deposit, "amount") - minorOf(deposit, "clawed_back");
+  const takeMinor = Math.max(0, Math.min(amount || 0, remaining));
+  const take = toDecimal(takeMinor, deposit.currency);
+  const { username } = deposit;
+  await sql.transaction([
+    lockDeposit(deposit),
+    sql`UPDATE deposits SET status = ${status}, clawed_back = clawed_back + ${take}, disputed = ${toDecimal(disputed, deposit.currency)}, updated_at = ${Date.now()}
+        WHERE id = ${deposit.id}`,
+    ...(takeMinor > 0 ? [
+      postQuery({ username, currency: "real", amount: toDecimal(-takeMinor, deposit.currency), kind: "clawback", counterAccount: ACCOUNTS.paypal,
+                  refType: "deposit", refId: deposit.id, memo: `PayPal ${reason}`, allowNegative: true }),
+      flagIfNegativeQuery(username, `Negative real balance after PayPal ${reason} on deposit #${deposit.id}`),
+      notifyQuery({
+        username, kind: "deposit_clawback", refType: "deposit", refId: deposit.id,
+        title: `Deposit ${reason} — balance adjusted`,
+        body: `PayPal reported a ${reason} of ${formatAmount(take, deposit.currency)} on your ${formatAmount(deposit.amount, deposit.currency)} deposit, so it was taken off your real balance.`,
+      }),
+    ] : []),
+    recordEventQuery(event, { depositId: deposit.id, outcome: `${status} -${take}` }),
+  ]);
+  return { depositId: Number(deposit.id), outcome: status, amount: take, currency: deposit.currency };
+}
+
+// A dispute closed in our favour — whatever was held for it goes back
+async function releaseDispute(deposit, event) {
+  const heldMinor = minorOf(deposit, "disputed");
+  const clawedBack = minorOf(deposit, "clawed_back") - heldMinor;
+  const held = toDecimal(heldMinor, deposit.currency);
+  const status = clawedBack > 0 ? "partially_refunded" : "completed";
+  const { username } = deposit;
+  await sql.transaction([
+    lockDeposit(deposit),
+    sql`UPDATE deposits SET status = ${status}, clawed_back = ${toDecimal(clawedBack, deposit.currency)}, disputed = 0, updated_at = ${Date.now()}
+        WHERE id = ${deposit.id}`,
+    ...(heldMinor > 0 ? [
+      postQuery({ username, currency: "real", amount: held, kind: "clawback_reversal", counterAccount: ACCOUNTS.paypal,
+                  refType: "deposit", refId: deposit.id, memo: "PayPal dispute closed" }),
+      notifyQuery({
+        username, kind: "deposit_restored", refType: "deposit", refId: deposit.id,
+        title: "Dispute closed — balance restored",
+        body: `The PayPal dispute on your ${formatAmount(deposit.amount, deposit.currency)} deposit was closed, so the ${formatAmount(held, deposit.currency)} held for it is back on your real balance.`,
+      }),
+    ] : []),
+    recordEventQuery(event, { depositId: deposit.id, outcome: `${status} +${held}` }),
+  ]);
+  return { depositId: Number(deposit.id), outcome: status, amount: held, currency: deposit.currency };
+}
+
+async function ignoreEvent(event, outcome) {
+  await recordEventQuery(event, { outcome });
+  return { depositId: null, outcome, amount: 0, currency: null };
+}
+
+// ─── WEBHOOK EVENTS ──────────────────────────────────────────────────────────
+// Handles one verified PayPal event. Refunds claw back what was refunded,
+// reversals and denied captures whatever is left of the deposit. A new dispute
+// holds the disputed amount straight away (PayPal holds it from us too); when
+// it closes it's given back or becomes a chargeback.
+async function handleWebhookEvent(event) {
+  const r = event.resource || {};
+  const orderId = r.supplementary_data?.related_ids?.order_id || null;
+
+  switch (event.event_type) {
+    case "PAYMENT.CAPTURE.REFUNDED": {
+      const deposit = await findDeposit({ captureId: captureFromLinks(r.links), orderId });
+      if (!deposit) return ignoreEvent(event, "no_deposit");
+      const amount = fromPayPal(deposit, r.amount);
+      const full = minorOf(deposit, "clawed_back") + amount >= minorOf(deposit, "amount");
+      return clawBack(deposit, event, { amount, status: full ? "refunded" : "partially_refunded", reason: "refund" });
+    }
+
+    case "PAYMENT.CAPTURE.REVERSED":
+    case "PAYMENT.CAPTURE.DENIED": {
+      const deposit = await findDeposit({ captureId: r.id, orderId });
+      if (!deposit) return ignoreEvent(event, "no_deposit");
+      const reversed = event.event_type === "PAYMENT.CAPTURE.REVERSED";
+      return clawBack(deposit, event, {
+        amount: minorOf(deposit, "amount"),
+        status: reversed ? "reversed" : "denied",
+        reason: reversed ? "reversal" : "denial",
+      });
+    }
+
+    case "CUSTOMER.DISPUTE.CREATED":
+    case "CUSTOMER.DISPUTE.RESOLVED": {
+      const captureId = r.disputed_transactions?.[0]?.seller_transaction_id;
+      const deposit = await findDeposit({ captureId });
+      if (!deposit) return ignoreEvent(event, "no_deposit");
+      const disputeAmount = r.dispute_amount?.value ? fromPayPal(deposit, r.dispute_amount) : minorOf(deposit, "amount");
+
+      if (event.event_type === "CUSTOMER.DISPUTE.CREATED") {
+        const remaining = minorOf(deposit, "amount") - minorOf(deposit, "clawed_back");
+        const held = Math.max(0, Math.min(disputeAmount, remaining));
+        return clawBack(deposit, event, { amount: held, status: "disputed", reason: "dispute", disputed: minorOf(deposit, "disputed") + held });
+      }
+      if (SELLER_KEEPS.includes(r.dispute_outcome?.outcome_code)) return releaseDispute(deposit, event);
+      // Lost — what was held stays gone, plus anything disputed that wasn't held yet
+      return clawBack(deposit, event, {
+        amount: Math.max(0, disputeAmount - minorOf(deposit, "disputed")),
+        status: "charged_back",
+        reason: "chargeback",
+        disputed: 0,
+      });
+    }
+
+    default:
+      return ignoreEvent(event, "ignored");
+  }
+}
+
+module.exports = {
+  findDeposit,
+  recordEventQuery,
+  handleWebhookEvent,
+};
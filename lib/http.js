@@ -0,0 +1,69 @@
+// lib/http.js
+// Request plumbing shared by every route: CORS/preflight, input validation and
+// turning thrown errors into the { error } JSON the client expects.
+const { isRejection } = require("./db");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Sets the CORS headers. Returns true for a preflight, which is answered here.
+function cors(req, res, methods = "POST, OPTIONS") {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return true;
+  }
+  return false;
+}
+
+// The catch block of every route. HttpError keeps its status, a reject_unless()
+// guard (insufficient funds, bet no longer pending...) is a 400, the rest is a 500.
+function sendError(res, e) {
+  if (e instanceof HttpError) return res.status(e.status).json({ error: e.message });
+  if (isRejection(e)) return res.status(400).json({ error: e.message });
+  console.error(e);
+  return res.status(500).json({ error: e.message });
+}
+
+// ─── VALIDATION ──────────────────────────────────────────────────────────────
+// These throw HttpError(400) so the route's catch block answers for them
+
+function requireFields(body, fields, message = "Missing required fields") {
+  if (fields.some(f => body?.[f] == null || body[f] === "")) throw new HttpError(400, message);
+}
+
+function parseNumber(value, label = "amount") {
+  const n = typeof value === "string" ? Number(value.trim()) : Number(value);
+  if (value == null || value === "" || typeof value === "boolean" || !Number.isFinite(n)) {
+    throw new HttpError(400, `Invalid ${label}`);
+  }
+  return n;
+}
+
+// A finite number above zero
+function parseAmount(value, label = "amount") {
+  const n = parseNumber(value, label);
+  if (n <= 0) throw new HttpError(400, `Invalid ${label}`);
+  return n;
+}
+
+function oneOf(value, allowed, label) {
+  if (!allowed.includes(value)) throw new HttpError(400, `Invalid ${label}`);
+  return value;
+}
+
+module.exports = {
+  HttpError,
+  cors,
+  sendError,
+  requireFields,
+  parseNumber,
+  parseAmount,
+  oneOf,
+};
@@ -0,0 +1,75 @@
+// lib/idempotency.js
+// Idempotency-Key support for mutating endpoints. The first request with a key
+// claims it and its response is stored; a retry with the same key gets that
+// stored response back instead of running the action (and moving money) again.
+// Keys are scoped per user, so one player's key can never replay another's response.
+const crypto = require("crypto");
+const { sql } = require("./db");
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // retries after a day are new requests
+
+const hashRequest = (endpoint, body) =>
+  crypto.createHash("sha256").update(`${endpoint}\n${JSON.stringify(body ?? {})}`).digest("hex");
+
+// Call after the session check. Returns false when the response has already
+// been sent (replay, key reuse or still in flight) — the handler just returns.
+// Otherwise the key is claimed and res.json is wrapped so the response is stored
+// before it goes out. 5xx responses release the key so the retry runs for real.
+// Requests without the header run unprotected, exactly as before.
+async function claimIdempotencyKey(req, res, scope, endpoint) {
+  const key = req.headers?.["idempotency-key"];
+  if (!key) return true;
+  if (typeof key !== "string" || key.length > 200) {
+    res.status(400).json({ error: "Invalid Idempotency-Key" });
+    return false;
+  }
+
+  const requestHash = hashRequest(endpoint, req.body);
+  const claimed = await sql`
+    INSERT INTO idempotency_keys (scope, key, endpoint, request_hash, created_at)
+    VALUES (${scope}, ${key}, ${endpoint}, ${requestHash}, ${Date.now()})
+    ON CONFLICT (scope, key) DO NOTHING
+    RETURNING key
+  `;
+
+  if (!claimed.length) {
+    const [prior] = await sql`SELECT * FROM idempotency_keys WHERE scope = ${scope} AND key = ${key}`;
+    if (!prior) {
+      res.status(409).json({ error: "Request is being retried — try again" });
+    } else if (prior.request_hash !== requestHash) {
+      res.status(422).json({ error: "Idempotency-Key was already used for a different request" });
+    } else if (prior.status_code == null) {
+      res.status(409).json({ error: "This request is still being processed" });
+    } else {
+      res.setHeader("Idempotent-Replayed", "true");
+      res.status(Number(prior.status_code)).json(prior.response);
+    }
+    return false;
+  }
+
+  const send = res.json.bind(res);
+  res.json = async (body) => {
+    try {
+      if (res.statusCode >= 500) {
+        await sql`DELETE FROM idempotency_keys WHERE scope = ${scope} AND key = ${key}`;
+      } else {
+        await sql`UPDATE idempotency_keys SET status_code = ${res.statusCode}, response = ${JSON.stringify(body)}, completed_at = ${Date.now()}
+                  WHERE scope = ${scope} AND key = ${key}`;
+      }
+    } catch (e) {
+      console.error("[idempotency] could not store response:", e.message);
+    }
+    return send(body);
+  };
+  return true;
+}
+
+// Housekeeping, called from the resolve-bets cron
+async function purgeExpiredKeys() {
+  await sql`DELETE FROM idempotency_keys WHERE created_at < ${Date.now() - KEY_TTL_MS}`;
+}
+
+module.exports = {
+  claimIdempotencyKey,
+  purgeExpiredKeys,
+};
@@ -0,0 +1,26 @@
+// lib/ids.js
+// Row ids for bets, deposits, redemptions and withdrawals come from Postgres
+// sequences (see migrations/005). They used to be Date.now(), which two
+// requests in the same millisecond could share.
+const { sql } = require("./db");
+
+const SEQUENCES = {
+  bets: "bets_id_seq",
+  deposits: "deposits_id_seq",
+  skin_redemptions: "skin_redemptions_id_seq",
+  withdrawals: "withdrawals_id_seq", // migrations/017
+};
+
+// Fetched up front (rather than a column default) because the ledger postings
+// in the same transaction need to reference the new row
+async function nextId(table) {
+  const seq = SEQUENCES[table];
+  if (!seq) throw new Error(`No id sequence for ${table}`);
+  const [{ id }] = await sql`SELECT nextval(${seq}::regclass) AS id`;
+  return Number(id);
+}
+
+module.exports = {
+  SEQUENCES,
+  nextId,
+};
@@ -0,0 +1,217 @@
+// lib/ledger.js
+// Double-entry wallet ledger. Every balance movement is one ledger transaction:
+// an entry on the player's wallet and an equal and opposite entry on a house or
+// external account, so the amounts of a transaction always sum to zero.
+// users.balance / real_balance / skin_credits are a cached projection of the
+// player's entries — reconcile() compares the two and can rebuild the columns.
+const crypto = require("crypto");
+const { sql } = require("./db");
+const { walletCurrency, money, toMinor, toDecimal } = require("./currency");
+
+// virtual = play gold (users.balance), real = deposits in the settlement
+// currency, credits = skin credits (same currency). These are wallets, not
+// currency codes — lib/currency.js walletCurrency maps one to the other.
+const CURRENCIES = ["virtual", "real", "credits"];
+const COLUMNS = { virtual: "balance", real: "real_balance", credits: "skin_credits" };
+
+// The other side of each movement
+const ACCOUNTS = {
+  bets: "house:bets",               // stakes held by the house, payouts paid out of it
+  paypal: "external:paypal",        // money coming in through PayPal
+  redemptions: "house:redemptions", // RP cards handed out
+  withdrawals: "house:withdrawals", // real balance held for cash-outs, then paid out through PayPal
+  adjustments: "house:adjustments", // admin corrections and debug resets
+  bonus: "house:bonus",             // starting gold for new players
+  opening: "house:opening",         // balances that existed before the ledger
+};
+
+// An amount for a wallet as exact decimal strings, amount and negated —
+// never a float, so what's posted is exactly what was asked for
+function legAmounts(amount, currency) {
+  const minor = toMinor(amount, walletCurrency(currency));
+  if (!Number.isSafeInteger(minor)) return null;
+  return { minor, amt: toDecimal(minor, walletCurrency(currency)), neg: toDecimal(-minor, walletCurrency(currency)) };
+}
+
+// ─── POSTING ─────────────────────────────────────────────────────────────────
+// Moves `amount` (positive = credit the player, negative = debit) in `currency`
+// between the player's wallet and `counterAccount`. Wallet update, house balance
+// and both entries happen in a single statement. Debits never take a wallet
+// below zero — the statement then writes nothing — unless allowNegative is set,
+// which only clawbacks of money PayPal took back do (lib/deposits.js).
+//
+// postQuery() builds the statement without running it so it can go into a
+// sql.transaction([...]) next to the bet/redemption rows it belongs to.
+function postQuery({ username, currency, amount, kind, counterAccount, refType = null, refId = null, memo = null, txnId, allowNegative = false }) {
+  if (!CURRENCIES.includes(currency)) throw new Error(`Unknown ledger currency: ${currency}`);
+  const leg = legAmounts(amount, currency);
+  if (!leg || leg.minor === 0) throw new Error("Ledger amount must be a non-zero number");
+  const { amt, neg } = leg;
+
+  const dv = currency === "virtual" ? amt : "0";
+  const dr = currency === "real" ? amt : "0";
+  const dc = currency === "credits" ? amt : "0";
+  const txn = txnId || crypto.randomUUID();
+  const ref = refId == null ? null : String(refId);
+  const now = Date.now();
+
+  return sql`
+    WITH wallet AS (
+      UPDATE users SET
+        balance      = balance + ${dv},
+        real_balance = COALESCE(real_balance, 0) + ${dr},
+        skin_credits = COALESCE(skin_credits, 0) + ${dc}
+      WHERE username = ${username}
+        AND (${allowNegative}::boolean OR ${amt}::numeric > 0 OR CASE ${currency}::text
+          WHEN 'virtual' THEN balance
+          WHEN 'real'    THEN COALESCE(real_balance, 0)
+          ELSE COALESCE(skin_credits, 0)
+        END + ${amt}::numeric >= 0)
+      RETURNING CASE ${currency}::text
+        WHEN 'virtual' THEN balance
+        WHEN 'real'    THEN real_balance
+        ELSE skin_credits
+      END AS balance_after
+    ),
+    house AS (
+      INSERT INTO ledger_accounts (account, currency, balance)
+      SELECT ${counterAccount}::text, ${currency}::text, ${neg}::numeric FROM wallet
+      ON CONFLICT (account, currency) DO UPDATE SET balance = ledger_accounts.balance + EXCLUDED.balance
+      RETURNING balance
+    )
+    INSERT INTO ledger_entries (txn_id, account, username, currency, amount, balance_after, kind, ref_type, ref_id, memo, created_at)
+    SELECT ${txn}::text, ${"user:" + username}::text, ${username}::text, ${currency}::text, ${amt}::numeric,
+           wallet.balance_after, ${kind}::text, ${refType}::text, ${ref}::text, ${memo}::text, ${now}::bigint
+    FROM wallet
+    UNION ALL
+    SELECT ${txn}::text, ${counterAccount}::text, NULL, ${currency}::text, ${neg}::numeric,
+           house.balance, ${kind}::text, ${refType}::text, ${ref}::text, ${memo}::text, ${now}::bigint
+    FROM house
+    RETURNING username, balance_after
+  `;
+}
+
+// Runs a single posting on its own. Returns the player's new balance in that
+// currency, or null when a debit was refused (or the user doesn't exist).
+async function post(entry) {
+  const rows = await postQuery(entry);
+  const own = rows.find(r => r.username === entry.username);
+  return own ? Number(own.balance_after) : null;
+}
+
+// ─── TRANSACTION GUARDS ──────────────────────────────────────────────────────
+// Last statement of a money transaction: every player-side posting of `txnId`
+// has to have gone through, otherwise a debit was refused and nothing happens.
+function requirePosted(txnId, legs, message) {
+  return sql`SELECT reject_unless(COUNT(*) = ${legs}, ${message})
+             FROM ledger_entries WHERE txn_id = ${txnId} AND username IS NOT NULL`;
+}
+
+// ─── OPENING BALANCES ────────────────────────────────────────────────────────
+// Players that existed before the ledger get one opening entry per non-zero
+// wallet, so their ledger history sums to what the columns already hold.
+async function openAccounts() {
+  const users = await sql`
+    SELECT u.username, u.balance, COALESCE(u.real_balance, 0) AS real_balance, COALESCE(u.skin_credits, 0) AS skin_credits
+    FROM users u
+    WHERE NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.username = u.username)
+  `;
+  const now = Date.now();
+  for (const u of users) {
+    const txn = crypto.randomUUID();
+    for (const currency of CURRENCIES) {
+      const leg = legAmounts(u[COLUMNS[currency]], currency);
+      if (!leg?.minor) continue;
+      const { amt, neg } = leg;
+      await sql`
+        WITH house AS (
+          INSERT INTO ledger_accounts (account, currency, balance)
+          VALUES (${ACCOUNTS.opening}, ${currency}, ${neg})
+          ON CONFLICT (account, currency) DO UPDATE SET balance = ledger_accounts.balance + EXCLUDED.balance
+          RETURNING balance
+        )
+        INSERT INTO ledger_entries (txn_id, account, username, currency, amount, balance_after, kind, ref_type, ref_id, memo, created_at)
+        SELECT ${txn}::text, ${"user:" + u.username}::text, ${u.username}::text, ${currency}::text, ${amt}::numeric,
+               ${amt}::numeric, 'opening_balance', NULL, NULL, 'Balance before ledger', ${now}::bigint
+        UNION ALL
+        SELECT ${txn}::text, ${ACCOUNTS.opening}::text, NULL, ${currency}::text, ${neg}::numeric,
+               house.balance, 'opening_balance', NULL, NULL, 'Balance before ledger', ${now}::bigint
+        FROM house
+      `;
+    }
+  }
+  return users.length;
+}
+
+// ─── RECONCILIATION ──────────────────────────────────────────────────────────
+// Lists players whose balance columns disagree with the sum of their ledger
+// entries. With fix = true the columns are rewritten from the ledger.
+async function reconcile({ username = null, fix = false } = {}) {
+  const rows = await sql`
+    SELECT u.username,
+           u.balance, COALESCE(u.real_balance, 0) AS real_balance, COALESCE(u.skin_credits, 0) AS skin_credits,
+           COALESCE(SUM(l.amount) FILTER (WHERE l.currency = 'virtual'), 0) AS ledger_virtual,
+           COALESCE(SUM(l.amount) FILTER (WHERE l.currency = 'real'), 0)    AS ledger_real,
+           COALESCE(SUM(l.amount) FILTER (WHERE l.currency = 'credits'), 0) AS ledger_credits
+    FROM users u
+    LEFT JOIN ledger_entries l ON l.username = u.username
+    WHERE (${username}::text IS NULL OR u.username = ${username})
+    GROUP BY u.username, u.balance, u.real_balance, u.skin_credits
+  `;
+
+  const mismatches = rows
+    .map(r => ({
+      username: r.username,
+      columns: { virtual: Number(r.balance), real: Number(r.real_balance), credits: Number(r.skin_credits) },
+      ledger: { virtual: Number(r.ledger_virtual), real: Number(r.ledger_real), credits: Number(r.ledger_credits) },
+    }))
+    .filter(r => CURRENCIES.some(c => toMinor(r.columns[c], walletCurrency(c)) !== toMinor(r.ledger[c], walletCurrency(c))));
+
+  if (fix) {
+    for (const m of mismatches) {
+      await sql`UPDATE users SET balance = ${m.ledger.virtual}, real_balance = ${m.ledger.real}, skin_credits = ${m.ledger.credits}
+                WHERE username = ${m.username}`;
+    }
+  }
+  return { checked: rows.length, mismatches, fixed: fix ? mismatches.length : 0 };
+}
+
+// ─── READING ─────────────────────────────────────────────────────────────────
+// `currency` is the wallet; the amounts carry the currency code
+function formatEntry(e) {
+  return {
+    id: Number(e.id),
+    txnId: e.txn_id,
+    currency: e.currency,
+    amount: money(e.amount, walletCurrency(e.currency)),
+    balanceAfter: money(e.balance_after, walletCurrency(e.currency)),
+    kind: e.kind,
+    refType: e.ref_type,
+    refId: e.ref_id,
+    memo: e.memo,
+    createdAt: Number(e.created_at),
+  };
+}
+
+// A player's own side of the ledger, newest first
+async function getEntries(username, { currency = null, limit = 100 } = {}) {
+  const lim = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+  const rows = await sql`
+    SELECT * FROM ledger_entries
+    WHERE username = ${username} AND (${currency}::text IS NULL OR currency = ${currency})
+    ORDER BY id DESC
+    LIMIT ${lim}
+  `;
+  return rows.map(formatEntry);
+}
+
+module.exports = {
+  CURRENCIES,
+  ACCOUNTS,
+  postQuery,
+  post,
+  requirePosted,
+  openAccounts,
+  reconcile,
+  getEntries,
+};
@@ -0,0 +1,132 @@
+// lib/link.js
+// Linking a League account. The server picks the icon a player has to equip,
+// stores the challenge with an expiry, and checks the icon against Riot itself
+// before the puuid is bound — the rank comes from Riot too, never the client.
+// Open bets settle against the linked account (lib/resolver.js), so it can't be
+// changed or unlinked while any are open.
+const crypto = require("crypto");
+const { sql, isUniqueViolation } = require("./db");
+const { HttpError } = require("./http");
+const { DEFAULT_REGION, normalizeRegion } = require("./regions");
+const { isRiotId, getAccountByRiotId, getProfile } = require("./riot");
+const { refreshRank } = require("./ranks");
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const STARTER_ICONS = Array.from({ length: 29 }, (_, i) => i); // icons every account owns
+
+const ALREADY_LINKED = "This LoL account is already linked to another account";
+const OPEN_BETS = "You have open bets on your linked account — change it once they're settled";
+
+const soloRank = (profile) => {
+  const soloQ = profile.ranks.find(r => r.queueType === "RANKED_SOLO_5x5");
+  return soloQ ? `${soloQ.tier} ${soloQ.division}` : "UNRANKED";
+};
+
+async function assertNotLinkedElsewhere(puuid, username) {
+  const existing = await sql`SELECT username FROM users WHERE puuid = ${puuid} AND username != ${username}`;
+  if (existing.length) throw new HttpError(409, ALREADY_LINKED);
+}
+
+// Fast path, so nobody equips an icon only to be refused at the end
+async function assertNoOpenBets(username) {
+  const open = await sql`SELECT 1 FROM bets WHERE username = ${username} AND status = 'pending' LIMIT 1`;
+  if (open.length) throw new HttpError(409, OPEN_BETS);
+}
+
+// What counts: first statements of the transaction that changes the link. The
+// user row lock makes a parallel placeBet (api/bet.js) wait, and the check runs
+// as its own statement so it sees a bet that one committed.
+const noOpenBetsQueries = (username) => [
+  sql`SELECT username FROM users WHERE username = ${username} FOR UPDATE`,
+  sql`SELECT reject_unless(NOT EXISTS (SELECT 1 FROM bets WHERE username = ${username} AND status = 'pending'), ${OPEN_BETS})`,
+];
+
+// Looks the Riot ID up and issues a fresh challenge, replacing any earlier one.
+// The icon is never the one already equipped, so the check can't pass by accident.
+async function startLinkChallenge(username, { gameName, tagLine, region }) {
+  const linkRegion = region ? normalizeRegion(region) : DEFAULT_REGION;
+  if (!linkRegion) throw new HttpError(400, `Unknown region: ${region}`);
+  if (!isRiotId(gameName, tagLine)) throw new HttpError(400, "Invalid Riot ID");
+  await assertNoOpenBets(username);
+
+  const account = await getAccountByRiotId(gameName.trim(), tagLine.trim(), linkRegion);
+  if (!account?.puuid) throw new HttpError(404, "Account not found. Check your Riot ID and Tag.");
+  await assertNotLinkedElsewhere(account.puuid, username);
+  const profile = await getProfile(account.puuid, linkRegion);
+  if (!profile) throw new HttpError(404, "No League profile on that region for this Riot ID");
+
+  const choices = STARTER_ICONS.filter(id => id !== profile.iconId);
+  const iconId = choices[crypto.randomInt(choices.length)];
+  const now = Date.now();
+  const expiresAt = now + CHALLENGE_TTL_MS;
+  await sql`
+    INSERT INTO link_challenges (username, puuid, game_name, tag_line, region, icon_id, created_at, expires_at)
+    VALUES (${username}, ${account.puuid}, ${account.gameName}, ${account.tagLine}, ${linkRegion}, ${iconId}, ${now}, ${expiresAt})
+    ON CONFLICT (username) DO UPDATE SET
+      puuid = EXCLUDED.puuid, game_name = EXCLUDED.game_name, tag_line = EXCLUDED.tag_line, region = EXCLUDED.region,
+      icon_id = EXCLUDED.icon_id, created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at
+  `;
+  return { gameName: account.gameName, tagLine: account.tagLine, region: linkRegion, iconId, expiresAt };
+}
+
+// Checks the equipped icon against the stored challenge and binds the account.
+// Returns the rank that was stored.
+async function verifyLinkChallenge(username) {
+  const [challenge] = await sql`SELECT * FROM link_challenges WHERE username = ${username}`;
+  if (!challenge) throw new HttpError(400, "No link in progress — enter your Riot ID first");
+  if (Number(challenge.expires_at) < Date.now()) {
+    await sql`DELETE FROM link_challenges WHERE username = ${username}`;
+    throw new HttpError(410, "Verification expired — start again to get a new icon");
+  }
+
+  const profile = await getProfile(challenge.puuid, challenge.region);
+  if (!profile) throw new HttpError(404, "Could not fetch your profile. Try again.");
+  if (profile.iconId !== challenge.icon_id) {
+    throw new HttpError(400, `Wrong icon! You currently have icon #${profile.iconId} equipped. Please equip icon #${challenge.icon_id} in the League client first.`);
+  }
+
+  await assertNotLinkedElsewhere(challenge.puuid, username);
+  const rank = soloRank(profile);
+  try {
+    await sql.transaction([
+      ...noOpenBetsQueries(username),
+      sql`UPDATE users SET lol_account = ${`${challenge.game_name}#${challenge.tag_line}`}, puuid = ${challenge.puuid},
+                 rank = ${rank}, region = ${challenge.region}
+          WHERE username = ${username}`,
+      sql`DELETE FROM link_challenges WHERE username = ${username}`,
+    ]);
+  } catch (e) {
+    if (isUniqueViolation(e)) throw new HttpError(409, ALREADY_LINKED);
+    throw e;
+  }
+
+  // First rank_history snapshot — the cron keeps it current from here
+  try {
+    await refreshRank({ username, puuid: challenge.puuid, region: challenge.region });
+  } catch (e) {
+    console.error("[link] first rank snapshot failed:", e.message);
+  }
+  return rank;
+}
+
+async function unlinkAccount(username) {
+  await assertNoOpenBets(username);
+  await sql.transaction([
+    ...noOpenBetsQueries(username),
+    sql`UPDATE users SET lol_account = NULL, puuid = NULL, rank = NULL WHERE username = ${username}`,
+    sql`DELETE FROM link_challenges WHERE username = ${username}`,
+  ]);
+}
+
+// Housekeeping, called from the resolve-bets cron
+async function purgeExpiredChallenges() {
+  await sql`DELETE FROM link_challenges WHERE expires_at < ${Date.now()}`;
+}
+
+module.exports = {
+  CHALLENGE_TTL_MS,
+  startLinkChallenge,
+  verifyLinkChallenge,
+  unlinkAccount,
+  purgeExpiredChallenges,
+};
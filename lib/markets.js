@@ -0,0 +1,173 @@
+// lib/markets.js
+// What a bet can be on. Every market is a yes/no question about the player's
+// next game in the bet's queue, answered from the match summary stored on the
+// bet (bets.result) — the same hit() decides both the odds and the settlement.
+//
+// Odds: "win" on a ranked queue keeps the league winrate curve. Everything
+// else prices off how often the question came true in the player's recent
+// games in that queue, pulled towards a typical rate while the sample is
+// small, with the same 15% house edge and a per-market ceiling.
+const { HttpError } = require("./http");
+
+const HOUSE_EDGE = 0.15;
+const MIN_ODDS = 1.20;
+const PRIOR_WEIGHT = 5; // the typical rate counts as this many games in the sample
+
+const kda = (r) => (r.kills + r.assists) / Math.max(1, r.deaths);
+const csPerMin = (r) => r.cs / Math.max(1, r.durationSec / 60);
+
+// lines = the thresholds a player can pick, prior = typical hit rate at the
+// default line, maxOdds = ceiling for unlikely outcomes. virtualOnly markets are
+// ones the bettor can make come true on purpose — holding back on kills,
+// surrendering early — so they can't be bet with real money.
+const MARKETS = {
+  win: {
+    label: "Win the game",
+    prior: 0.5, maxOdds: 3.00,
+    hit: (r) => r.win,
+  },
+  kda_over: {
+    label: "KDA over",
+    lines: [2, 3, 4, 5], defaultLine: 3,
+    prior: 0.45, maxOdds: 4.00,
+    hit: (r, line) => kda(r) > line,
+  },
+  kills_over: {
+    label: "Kills over",
+    lines: [3.5, 5.5, 7.5, 10.5], defaultLine: 5.5,
+    prior: 0.45, maxOdds: 4.00,
+    hit: (r, line) => r.kills > line,
+  },
+  kills_under: {
+    label: "Kills under",
+    lines: [3.5, 5.5, 7.5, 10.5], defaultLine: 5.5,
+    prior: 0.55, maxOdds: 4.00, virtualOnly: true,
+    hit: (r, line) => r.kills < line,
+  },
+  cs_per_min_over: {
+    label: "CS/min over",
+    lines: [5, 6, 7, 8], defaultLine: 6,
+    prior: 0.45, maxOdds: 4.00,
+    hit: (r, line) => csPerMin(r) > line,
+  },
+  short_game: {
+    label: "Game under 25 min",
+    prior: 0.30, maxOdds: 4.00, virtualOnly: true,
+    hit: (r) => r.durationSec < 25 * 60,
+  },
+  first_blood: {
+    label: "Get first blood",
+    prior: 0.12, maxOdds: 6.00,
+    hit: (r) => r.firstBlood,
+  },
+};
+
+const MARKET_IDS = Object.keys(MARKETS);
+
+// Validated { market, line } for a bet in `mode` — line is null for markets without one
+function resolveMarket(market = "win", line = null, mode = "virtual") {
+  const def = MARKETS[market];
+  if (!def) throw new HttpError(400, `Unknown market: ${market}`);
+  if (def.virtualOnly && mode === "real") throw new HttpError(400, `${def.label} can only be bet with virtual gold`);
+  if (!def.lines) return { market, line: null };
+  const chosen = line == null || line === "" ? def.defaultLine : Number(line);
+  if (!def.lines.includes(chosen)) throw new HttpError(400, `${def.label} line must be one of ${def.lines.join(", ")}`);
+  return { market, line: chosen };
+}
+
+// ─── MATCH SUMMARY ───────────────────────────────────────────────────────────
+// The player's side of a match-v5 payload — what gets stored in bets.result
+// and what every market's hit() reads
+function summarizeMatch(match, puuid) {
+  const participant = match?.info?.participants?.find(p => p.puuid === puuid);
+  if (!participant) return null;
+  return {
+    matchId: match.metadata?.matchId,
+    win: participant.win,
+    champion: participant.championName,
+    kills: participant.kills,
+    deaths: participant.deaths,
+    assists: participant.assists,
+    cs: (participant.totalMinionsKilled || 0) + (participant.neutralMinionsKilled || 0),
+    durationSec: match.info.gameDuration,
+    firstBlood: !!participant.firstBloodKill,
+    damageToChampions: participant.totalDamageDealtToChampions ?? null,
+    timePlayedSec: participant.timePlayed ?? null,
+    earlySurrender: !!(participant.gameEndedInEarlySurrender || participant.teamEarlySurrendered),
+    queueId: match.info.queueId,
+    gameStartTimestamp: match.info.gameStartTimestamp,
+    gameEndTimestamp: match.info.gameEndTimestamp,
+  };
+}
+
+// ─── ODDS ────────────────────────────────────────────────────────────────────
+const toOdds = (winProb, maxOdds) => {
+  const raw = (1 / winProb) * (1 - HOUSE_EDGE);
+  return Math.round(Math.max(MIN_ODDS, Math.min(maxOdds, raw)) * 100) / 100;
+};
+
+// Same curve the client shows in WR_BRACKETS, but this is the one that gets paid.
+// fair odds = 1 / win_probability, 15% house edge, clamped to 1.20x–3.00x
+const getWinOdds = (winrate) => {
+  if (winrate == null) return 1.70;
+  return toOdds(Math.max(0.25, Math.min(0.80, winrate / 100)), MARKETS.win.maxOdds);
+};
+
+// Odds from recent match summaries — every market except "win" on a ranked
+// queue the player has a league entry for. Returns the estimated hit rate
+// (as a percentage, stored in bets.winrate) next to the odds.
+function sampleOdds(market, line, sample) {
+  const def = MARKETS[market];
+  const hits = sample.filter(r => def.hit(r, line)).length;
+  const rate = (hits + def.prior * PRIOR_WEIGHT) / (sample.length + PRIOR_WEIGHT);
+  return {
+    odds: toOdds(Math.max(0.10, Math.min(0.85, rate)), def.maxOdds),
+    winrate: Math.round(rate * 100),
+    gamesSampled: sample.length,
+  };
+}
+
+// ─── SETTLEMENT ──────────────────────────────────────────────────────────────
+// Did the bet come in? Bets from before markets existed have market "win".
+function isWinningBet(bet, result) {
+  const def = MARKETS[bet.market || "win"];
+  if (!def) throw new Error(`Unknown market on bet ${bet.id}: ${bet.market}`);
+  return !!def.hit(result, bet.line == null ? null : Number(bet.line));
+}
+
+// ─── VOID GAMES ──────────────────────────────────────────────────────────────
+// Games that don't count either way — the bet is voided and the stake refunded
+// (lib/bets.js). A remake is an early surrender vote or a game that never got
+// going; "left" is the bettor disconnecting for most of it; "afk" is a full
+// game with no kills, deaths, assists, farm or damage.
+const REMAKE_MAX_SEC = 5 * 60;
+const LEFT_MAX_SHARE = 0.5;      // played under half the game
+const AFK_MIN_SEC = 10 * 60;
+
+const VOID_REASONS = {
+  remake: "Remake",
+  left: "Left the game",
+  afk: "AFK",
+};
+
+// The reason a game can't settle a bet, or null when it counts. Summaries
+// stored before these fields existed are only checked on duration.
+function voidReason(result) {
+  if (result.earlySurrender || result.durationSec < REMAKE_MAX_SEC) return "remake";
+  if (result.timePlayedSec != null && result.timePlayedSec < result.durationSec * LEFT_MAX_SHARE) return "left";
+  if (result.durationSec >= AFK_MIN_SEC && result.damageToChampions === 0 &&
+      !result.kills && !result.deaths && !result.assists && !result.cs) return "afk";
+  return null;
+}
+
+module.exports = {
+  MARKETS,
+  MARKET_IDS,
+  resolveMarket,
+  summarizeMatch,
+  getWinOdds,
+  sampleOdds,
+  isWinningBet,
+  VOID_REASONS,
+  voidReason,
+};
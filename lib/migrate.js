@@ -0,0 +1,95 @@
+// lib/migrate.js
+// Versioned schema migrations. Each file in migrations/ is NNN_description.js
+// and exports up(sql) / down(sql), which return the statements to run. A
+// migration's statements and its schema_migrations row go in one transaction,
+// so a failed migration leaves nothing behind and is retried on the next run.
+// Run with `npm run migrate` (see scripts/migrate.js) — never from a request.
+const fs = require("fs");
+const path = require("path");
+const { sql } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: /^(\d+)_(.+)\.js$/.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function appliedVersions() {
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at BIGINT NOT NULL
+    )
+  `;
+  const rows = await sql`SELECT version FROM schema_migrations ORDER BY version`;
+  return new Set(rows.map(r => Number(r.version)));
+}
+
+// ─── UP ──────────────────────────────────────────────────────────────────────
+// Applies every pending migration up to and including `target`. The version
+// primary key makes a second migrate running at the same time fail its insert
+// (rolling its copy back) instead of applying a migration twice.
+async function migrateUp({ target = Infinity, log = console.log } = {}) {
+  const applied = await appliedVersions();
+  const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+  for (const m of pending) {
+    const statements = await m.up(sql);
+    await sql.transaction([
+      ...statements,
+      sql`INSERT INTO schema_migrations (version, name, applied_at) VALUES (${m.version}, ${m.name}, ${Date.now()})`,
+    ]);
+    log(`  up   ${m.version} ${m.name}`);
+  }
+  return pending.length;
+}
+
+// ─── DOWN ────────────────────────────────────────────────────────────────────
+// Rolls back every applied migration above `target`, newest first. Without a
+// target only the latest one is rolled back.
+async function migrateDown({ target = null, log = console.log } = {}) {
+  const applied = [...(await appliedVersions())].sort((a, b) => b - a);
+  if (!applied.length) return 0;
+  const floor = target ?? (applied[1] ?? 0);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+
+  let count = 0;
+  for (const version of applied.filter(v => v > floor)) {
+    const m = byVersion.get(version);
+    if (!m) throw new Error(`Migration ${version} is applied but its file is missing`);
+    const statements = await m.down(sql);
+    await sql.transaction([
+      ...statements,
+      sql`DELETE FROM schema_migrations WHERE version = ${version}`,
+    ]);
+    log(`  down ${m.version} ${m.name}`);
+    count++;
+  }
+  return count;
+}
+
+async function migrationStatus() {
+  const applied = await appliedVersions();
+  return loadMigrations().map(m => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+};
@@ -0,0 +1,97 @@
+// lib/money.mjs
+// Money arithmetic in integer minor units (cents, for the 2-digit currencies
+// gold and real money use), shared by the API and the client. It's an ES
+// module so src/App.jsx can import it; the API's CommonJS files require() it,
+// which needs Node 20.19 or later.
+//
+// Amounts are integers from the moment they're parsed until they're written
+// back: Postgres NUMERIC values arrive as decimal strings and are parsed
+// exactly, and go back as decimal strings built from the integer (toDecimal).
+// Rates — odds, rake, exchange rates — are applied exactly and rounded once,
+// in the direction the caller names. Nothing here goes through a float.
+
+// ─── ROUNDING ────────────────────────────────────────────────────────────────
+export const ROUND_DOWN = "down";       // toward zero
+export const ROUND_UP = "up";           // away from zero
+export const ROUND_HALF_UP = "half-up"; // to the nearest, halves away from zero
+
+const ROUNDING = [ROUND_DOWN, ROUND_UP, ROUND_HALF_UP];
+
+// num / den (BigInt, den > 0) rounded to an integer
+function divideRounded(num, den, mode) {
+  if (!ROUNDING.includes(mode)) throw new Error(`Unknown rounding: ${mode}`);
+  const negative = num < 0n;
+  const abs = negative ? -num : num;
+  let q = abs / den;
+  const r = abs % den;
+  if (r !== 0n && (mode === ROUND_UP || (mode === ROUND_HALF_UP && 2n * r >= den))) q += 1n;
+  return Number(negative ? -q : q);
+}
+
+// ─── PARSING AND FORMATTING ──────────────────────────────────────────────────
+// A number's shortest decimal form — 0.1 + 0.2 is "0.30000000000000004", not an exponent
+const decimalText = (value) => {
+  if (typeof value !== "number") return String(value ?? "").trim();
+  if (!Number.isFinite(value)) return "";
+  const text = String(value);
+  return /e/i.test(text) ? value.toFixed(20) : text;
+};
+
+const DECIMAL_RE = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// "12.345", 12.345 or "-0.5" → integer minor units. Digits past `digits` round
+// half away from zero. NaN when it isn't a decimal number or is too big to count exactly.
+export function toMinor(value, digits = 2) {
+  const m = DECIMAL_RE.exec(decimalText(value));
+  if (!m || (!m[2] && !m[3])) return NaN;
+  const [, sign, int = "", frac = ""] = m;
+  let minor = Number(int || "0") * 10 ** digits + Number(frac.slice(0, digits).padEnd(digits, "0") || "0");
+  if (frac.length > digits && frac[digits] >= "5") minor += 1;
+  if (!Number.isSafeInteger(minor)) return NaN;
+  return sign === "-" && minor !== 0 ? -minor : minor;
+}
+
+// Minor units → a plain number, for display and for code that still works in units
+export const fromMinor = (minor, digits = 2) => minor / 10 ** digits;
+
+// Minor units → an exact decimal string ("12.50", "-0.05"), for NUMERIC columns and PayPal
+export function toDecimal(minor, digits = 2) {
+  if (!Number.isSafeInteger(minor)) throw new Error(`Not an amount in minor units: ${minor}`);
+  const abs = String(Math.abs(minor)).padStart(digits + 1, "0");
+  const int = abs.slice(0, abs.length - digits);
+  const frac = digits > 0 ? `.${abs.slice(-digits)}` : "";
+  return `${minor < 0 ? "-" : ""}${int}${frac}`;
+}
+
+// ─── RATES ───────────────────────────────────────────────────────────────────
+// A non-negative decimal rate as an exact fraction: 1.85 → 185 / 100
+function ratio(rate) {
+  const m = DECIMAL_RE.exec(decimalText(rate));
+  if (!m || m[1] === "-" || (!m[2] && !m[3])) throw new Error(`Invalid rate: ${rate}`);
+  const frac = m[3] || "";
+  return { num: BigInt(`${m[2] || "0"}${frac}`), den: 10n ** BigInt(frac.length) };
+}
+
+// minor × rate, rounded once. `scale` moves the result that many decimal
+// places, for converting between currencies with different minor digits.
+export function multiply(minor, rate, mode, scale = 0) {
+  const { num, den } = ratio(rate);
+  return divideRounded(BigInt(minor) * num * 10n ** BigInt(Math.max(scale, 0)), den * 10n ** BigInt(Math.max(-scale, 0)), mode);
+}
+
+// minor ÷ rate, rounded once
+export function divide(minor, rate, mode, scale = 0) {
+  const { num, den } = ratio(rate);
+  if (num === 0n) throw new Error("Division by a zero rate");
+  return divideRounded(BigInt(minor) * den * 10n ** BigInt(Math.max(scale, 0)), num * 10n ** BigInt(Math.max(-scale, 0)), mode);
+}
+
+// ─── BET PAYOUTS ─────────────────────────────────────────────────────────────
+// What a won bet pays, all in minor units: the stake times the odds (gross),
+// less the rake taken off that. Both roundings go the house's way by less than
+// a cent — gross rounds down, the rake up — and payout + rake is always gross.
+export function betPayout(stake, odds, rake = 0) {
+  const gross = multiply(stake, odds, ROUND_DOWN);
+  const rakeMinor = multiply(gross, rake, ROUND_UP);
+  return { gross, rake: rakeMinor, payout: gross - rakeMinor };
+}
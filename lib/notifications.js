@@ -0,0 +1,53 @@
+// lib/notifications.js
+// In-app notifications. They ride along with the user object (lib/users.js);
+// the client shows the unread ones and marks them read.
+const { sql } = require("./db");
+
+// Builds the insert without running it so it can go into the same
+// sql.transaction([...]) as the change it reports
+function notifyQuery({ username, kind, title, body = null, refType = null, refId = null }) {
+  return sql`
+    INSERT INTO notifications (username, kind, title, body, ref_type, ref_id, created_at)
+    VALUES (${username}, ${kind}, ${title}, ${body}, ${refType}, ${refId == null ? null : String(refId)}, ${Date.now()})
+  `;
+}
+
+function formatNotification(n) {
+  return {
+    id: Number(n.id),
+    kind: n.kind,
+    title: n.title,
+    body: n.body,
+    refType: n.ref_type,
+    refId: n.ref_id,
+    createdAt: Number(n.created_at),
+  };
+}
+
+// Oldest first, so they're shown in the order they happened
+async function getUnreadNotifications(username, limit = 20) {
+  const rows = await sql`
+    SELECT * FROM notifications
+    WHERE username = ${username} AND read_at IS NULL
+    ORDER BY created_at ASC, id ASC
+    LIMIT ${limit}
+  `;
+  return rows.map(formatNotification);
+}
+
+async function markNotificationsRead(username, ids) {
+  const list = (Array.isArray(ids) ? ids : []).map(Number).filter(Number.isInteger);
+  if (!list.length) return 0;
+  const rows = await sql`
+    UPDATE notifications SET read_at = ${Date.now()}
+    WHERE username = ${username} AND id = ANY(${list}) AND read_at IS NULL
+    RETURNING id
+  `;
+  return rows.length;
+}
+
+module.exports = {
+  notifyQuery,
+  getUnreadNotifications,
+  markNotificationsRead,
+};
@@ -0,0 +1,171 @@
+// lib/orders.js
+// Bookkeeping for the PayPal orders behind deposits. create-order records what
+// the player asked to deposit before they're sent to PayPal. capture-order
+// checks the order is theirs and still open before capturing it, and then that
+// PayPal took exactly that — amount, currency and the player it was made for.
+// A capture that doesn't match is refunded instead of credited.
+//
+// An order's amount and currency are what PayPal charges; settlement_amount is
+// what the player asked for and is credited, in the settlement currency, at the
+// fx_rate fixed when the order was created.
+const { sql } = require("./db");
+const { HttpError } = require("./http");
+const { PAYPAL_CURRENCY, getOrder, refundCapture } = require("./paypal");
+const { SETTLEMENT_CURRENCY, money, decimalString, getRate, toMinor, toDecimal, convert } = require("./currency");
+const { ROUND_HALF_UP } = require("./money.mjs");
+
+const MIN_DEPOSIT = 5;
+const MAX_DEPOSIT = 500;
+
+// PayPal drops orders nobody approved after three hours
+const ORDER_TTL_MS = 3 * 60 * 60 * 1000;
+
+// How many open orders one report looks up at PayPal
+const REPORT_LOOKUPS = 25;
+
+function serializeOrder(o) {
+  return {
+    id: o.id,
+    username: o.username,
+    amount: money(o.amount, o.currency),
+    currency: o.currency,
+    settlementAmount: money(o.settlement_amount, o.settlement_currency),
+    fxRate: o.fx_rate != null ? Number(o.fx_rate) : null,
+    status: o.status,
+    captureId: o.capture_id || null,
+    capturedAmount: money(o.captured_amount, o.currency),
+    payerId: o.payer_id || null,
+    mismatch: o.mismatch || null,
+    refundId: o.refund_id || null,
+    createdAt: Number(o.created_at),
+    expiresAt: Number(o.expires_at),
+    capturedAt: o.captured_at ? Number(o.captured_at) : null,
+  };
+}
+
+// ─── CREATE ──────────────────────────────────────────────────────────────────
+// What PayPal should charge for a deposit of `amount` (a decimal string in the
+// settlement currency): { amount, currency, fxRate }, amount a decimal string
+// converted in whole cents, to the nearest
+async function quoteDeposit(amount) {
+  const fxRate = await getRate(SETTLEMENT_CURRENCY, PAYPAL_CURRENCY);
+  const charge = convert(toMinor(amount), fxRate, SETTLEMENT_CURRENCY, PAYPAL_CURRENCY, ROUND_HALF_UP);
+  return { amount: toDecimal(charge, PAYPAL_CURRENCY), currency: PAYPAL_CURRENCY, fxRate };
+}
+
+async function recordOrder({ orderId, username, amount, quote }) {
+  const now = Date.now();
+  await sql`
+    INSERT INTO payment_orders (id, username, amount, currency, settlement_amount, settlement_currency, fx_rate,
+                                status, created_at, expires_at)
+    VALUES (${orderId}, ${username}, ${quote.amount}, ${quote.currency}, ${amount}, ${SETTLEMENT_CURRENCY}, ${quote.fxRate},
+            'created', ${now}, ${now + ORDER_TTL_MS})
+  `;
+}
+
+// ─── CAPTURE ─────────────────────────────────────────────────────────────────
+// Before anything is captured: the order has to be one we created, for this
+// player, not captured yet and not past its expiry
+async function getOpenOrder(orderId, username) {
+  const [order] = await sql`SELECT * FROM payment_orders WHERE id = ${orderId}`;
+  if (!order) throw new HttpError(404, "Unknown PayPal order");
+  if (order.username !== username) throw new HttpError(403, "Username mismatch");
+  if (order.status === "captured") throw new HttpError(409, "Order already captured");
+  if (order.status !== "created") throw new HttpError(400, `Order was ${order.status.replace("_", " ")}`);
+  if (Number(order.expires_at) < Date.now()) throw new HttpError(400, "This PayPal order expired — please start the deposit again");
+  return order;
+}
+
+// What's wrong with a completed capture compared with the order, or null
+function captureMismatch(order, capture) {
+  const unit = capture.purchase_units?.[0];
+  const captured = unit?.payments?.captures?.[0];
+  if (!captured?.id) return "no capture in PayPal's response";
+  if (captured.amount?.currency_code !== order.currency) {
+    return `currency ${captured.amount?.currency_code} instead of ${order.currency}`;
+  }
+  if (toMinor(captured.amount.value, order.currency) !== toMinor(order.amount, order.currency)) {
+    return `captured ${captured.amount?.value} instead of ${decimalString(order.amount, order.currency)}`;
+  }
+  if (unit.custom_id !== order.username) return `order carried custom_id ${unit.custom_id ?? "(none)"}`;
+  return null;
+}
+
+// Goes into the deposit transaction. Locks the order and re-checks it's still
+// open, so only one capture can ever turn it into a deposit.
+const markCapturedQueries = (order, captured, payerId) => [
+  sql`SELECT reject_unless(COUNT(*) = 1, 'Order already captured')
+      FROM (SELECT id FROM payment_orders WHERE id = ${order.id} AND status = 'created' FOR UPDATE) o`,
+  sql`UPDATE payment_orders SET status = 'captured', capture_id = ${captured.id}, captured_amount = ${captured.amount.value},
+                                payer_id = ${payerId}, captured_at = ${Date.now()}
+      WHERE id = ${order.id}`,
+];
+
+// Gives a mismatched capture straight back. If PayPal won't refund it the
+// order is left 'refund_failed' for the reconciliation report.
+async function refundMismatch(order, capture, mismatch) {
+  const captured = capture.purchase_units?.[0]?.payments?.captures?.[0];
+  const payerId = capture.payer?.payer_id ?? null;
+  console.warn(`[orders] ${order.id} for ${order.username}: ${mismatch} — refunding`);
+  let refund = null;
+  try {
+    if (captured?.id) refund = await refundCapture(captured.id, "Your payment didn't match the deposit you started, so it was refunded.");
+  } catch (e) {
+    console.error(`[orders] refund of ${order.id} failed:`, e.message);
+  }
+  await sql`
+    UPDATE payment_orders SET status = ${refund ? "refunded" : "refund_failed"}, mismatch = ${mismatch},
+                              capture_id = ${captured?.id ?? null}, captured_amount = ${captured?.amount?.value ?? null},
+                              payer_id = ${payerId}, refund_id = ${refund?.refundId ?? null}, captured_at = ${Date.now()}
+    WHERE id = ${order.id}
+  `;
+  return refund;
+}
+
+// ─── RECONCILIATION ──────────────────────────────────────────────────────────
+// Orders created but never captured, and captures that were refunded for not
+// matching. checkPayPal looks the newest open orders up at PayPal — one that
+// PayPal has COMPLETED took the player's money without a deposit being made.
+async function orderReport({ checkPayPal = false } = {}) {
+  const now = Date.now();
+  const totals = await sql`
+    SELECT status, COUNT(*) AS count, COALESCE(SUM(settlement_amount), 0) AS total
+    FROM payment_orders GROUP BY status
+  `;
+  const open = await sql`SELECT * FROM payment_orders WHERE status = 'created' ORDER BY created_at DESC LIMIT 200`;
+  const mismatched = await sql`
+    SELECT * FROM payment_orders WHERE status IN ('refunded', 'refund_failed')
+    ORDER BY created_at DESC LIMIT 100
+  `;
+
+  const uncaptured = open.map(o => ({ ...serializeOrder(o), expired: Number(o.expires_at) < now, paypalStatus: null }));
+  if (checkPayPal) {
+    for (const o of uncaptured.slice(0, REPORT_LOOKUPS)) {
+      try {
+        const order = await getOrder(o.id);
+        o.paypalStatus = order ? order.status : "NOT_FOUND";
+      } catch (_) {
+        o.paypalStatus = "LOOKUP_FAILED";
+      }
+    }
+  }
+
+  return {
+    totals: Object.fromEntries(totals.map(t => [t.status, { count: Number(t.count), total: money(t.total) }])),
+    uncaptured,
+    mismatched: mismatched.map(serializeOrder),
+    checkedAtPayPal: checkPayPal ? Math.min(uncaptured.length, REPORT_LOOKUPS) : 0,
+  };
+}
+
+module.exports = {
+  MIN_DEPOSIT,
+  MAX_DEPOSIT,
+  quoteDeposit,
+  recordOrder,
+  getOpenOrder,
+  captureMismatch,
+  markCapturedQueries,
+  refundMismatch,
+  orderReport,
+};
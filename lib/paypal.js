@@ -0,0 +1,191 @@
+// lib/paypal.js
+// PayPal REST plumbing shared by the deposit routes, the webhook and
+// withdrawals: the API base for PAYPAL_ENV, OAuth tokens, order lookups and
+// refunds, webhook signature checks and payouts.
+const crypto = require("crypto");
+const { HttpError } = require("./http");
+const { SETTLEMENT_CURRENCY, decimalString } = require("./currency");
+
+const PAYPAL_LIVE = process.env.PAYPAL_ENV === "live";
+const PAYPAL_BASE = PAYPAL_LIVE
+  ? "https://api-m.paypal.com"
+  : "https://api-m.sandbox.paypal.com";
+
+// What deposits are charged in. Players deposit an amount in the settlement
+// currency and create-order converts it (lib/currency.js getRate).
+const PAYPAL_CURRENCY = (process.env.PAYPAL_CURRENCY || SETTLEMENT_CURRENCY).toUpperCase();
+
+async function getAccessToken() {
+  const credentials = Buffer.from(
+    `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`
+  ).toString("base64");
+  const res = await fetch(`${PAYPAL_BASE}/v1/oauth2/token`, {
+    method: "POST",
+    headers: { Authorization: `Basic ${credentials}`, "Content-Type": "application/x-www-form-urlencoded" },
+    body: "grant_type=client_credentials",
+  });
+  const data = await res.json();
+  if (!data.access_token) throw new Error("Failed to get PayPal access token");
+  return data.access_token;
+}
+
+// ─── ORDERS AND REFUNDS ──────────────────────────────────────────────────────
+// The order as PayPal has it, or null when PayPal doesn't know it (any more)
+async function getOrder(orderId) {
+  const accessToken = await getAccessToken();
+  const res = await fetch(`${PAYPAL_BASE}/v2/checkout/orders/${encodeURIComponent(orderId)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (res.status === 404) return null;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`PayPal order lookup failed: ${data.message || data.name || res.status}`);
+  return data;
+}
+
+// Refunds a capture in full. PayPal-Request-Id makes a retry return the first
+// refund instead of refunding again. Resolves to { refundId, status } or throws.
+async function refundCapture(captureId, note) {
+  const accessToken = await getAccessToken();
+  const res = await fetch(`${PAYPAL_BASE}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json", "PayPal-Request-Id": `refund-${captureId}` },
+    body: JSON.stringify({ note_to_payer: note }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.id) throw new Error(`PayPal refund failed: ${data.message || data.name || res.status}`);
+  return { refundId: data.id, status: data.status };
+}
+
+// ─── WEBHOOK SIGNATURES ──────────────────────────────────────────────────────
+// PayPal signs every delivery; verify-webhook-signature checks the signature
+// headers against our webhook (PAYPAL_WEBHOOK_ID).
+//
+// PAYPAL_WEBHOOK_VERIFY=local swaps that call for a stand-in, so recorded
+// payloads can be replayed without PayPal (scripts/replay-webhook.js): the
+// paypal-transmission-sig header must be an HMAC-SHA256 of the JSON body keyed
+// with PAYPAL_WEBHOOK_LOCAL_SECRET. It refuses to run with PAYPAL_ENV=live.
+const LOCAL_VERIFY = process.env.PAYPAL_WEBHOOK_VERIFY === "local";
+
+const localSignature = (event, secret) =>
+  crypto.createHmac("sha256", secret).update(JSON.stringify(event)).digest("base64");
+
+function verifyLocally(headers, event) {
+  const secret = process.env.PAYPAL_WEBHOOK_LOCAL_SECRET;
+  if (PAYPAL_LIVE) throw new HttpError(500, "Local webhook verification is disabled with PAYPAL_ENV=live");
+  if (!secret) throw new HttpError(500, "PAYPAL_WEBHOOK_LOCAL_SECRET not set");
+  const given = Buffer.from(String(headers["paypal-transmission-sig"] || ""));
+  const expected = Buffer.from(localSignature(event, secret));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// true when the delivery really came from PayPal for our webhook
+async function verifyWebhookSignature(headers, event) {
+  if (LOCAL_VERIFY) return verifyLocally(headers, event);
+
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+  if (!webhookId) throw new HttpError(500, "PAYPAL_WEBHOOK_ID not set");
+  const accessToken = await getAccessToken();
+  const res = await fetch(`${PAYPAL_BASE}/v1/notifications/verify-webhook-signature`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      auth_algo: headers["paypal-auth-algo"],
+      cert_url: headers["paypal-cert-url"],
+      transmission_id: headers["paypal-transmission-id"],
+      transmission_sig: headers["paypal-transmission-sig"],
+      transmission_time: headers["paypal-transmission-time"],
+      webhook_id: webhookId,
+      webhook_event: event,
+    }),
+  });
+  const data = await res.json().catch(() => ({}));
+  return res.ok && data.verification_status === "SUCCESS";
+}
+
+// ─── PAYOUTS ─────────────────────────────────────────────────────────────────
+// Withdrawals are paid with the Payouts API, one batch per withdrawal. The
+// batch id we send is derived from the withdrawal and PayPal refuses a second
+// batch with the same one, so retrying a payout can never pay twice.
+//
+// PAYPAL_PAYOUTS=mock swaps in a client that moves no money and answers the
+// way PayPal does, for local testing; PAYPAL_PAYOUTS_MOCK_FAIL=true makes it
+// refuse every payout instead. Like local webhook verification it refuses to
+// run with PAYPAL_ENV=live. Both clients' send and find resolve to
+// { batchId, status } — find to null when PayPal has no batch with that sender
+// batch id — or throw. Payouts are sent in the withdrawal's own currency.
+//
+// A batch whose status is in PAYOUT_SENT has gone out; one in PAYOUT_FAILED
+// never will. Anything else (NEW, PROCESSING) is still being worked on.
+const PAYOUT_SENT = ["SUCCESS", "PENDING"];
+const PAYOUT_FAILED = ["DENIED", "CANCELED"];
+
+const paypalPayouts = {
+  async send({ senderBatchId, email, amount, currency, note }) {
+    const accessToken = await getAccessToken();
+    const res = await fetch(`${PAYPAL_BASE}/v1/payments/payouts`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        sender_batch_header: {
+          sender_batch_id: senderBatchId,
+          email_subject: "Your Runeterra Wagers withdrawal",
+          email_message: note,
+        },
+        items: [{
+          recipient_type: "EMAIL",
+          receiver: email,
+          amount: { currency, value: decimalString(amount, currency) },
+          sender_item_id: senderBatchId,
+          note,
+        }],
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.batch_header?.payout_batch_id) {
+      throw new Error(`PayPal payout failed: ${data.message || data.name || res.status}`);
+    }
+    return { batchId: data.batch_header.payout_batch_id, status: data.batch_header.batch_status };
+  },
+
+  // The batch we sent as `senderBatchId`, for when send's answer never arrived
+  async find(senderBatchId) {
+    const accessToken = await getAccessToken();
+    const res = await fetch(`${PAYPAL_BASE}/v1/payments/payouts?sender_batch_id=${encodeURIComponent(senderBatchId)}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    if (res.status === 404) return null;
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`PayPal payout lookup failed: ${data.message || data.name || res.status}`);
+    const header = data.batch_header || data.items?.[0]?.batch_header;
+    return header?.payout_batch_id ? { batchId: header.payout_batch_id, status: header.batch_status } : null;
+  },
+};
+
+const mockPayouts = {
+  async send({ senderBatchId }) {
+    if (PAYPAL_LIVE) throw new HttpError(500, "Mock payouts are disabled with PAYPAL_ENV=live");
+    if (process.env.PAYPAL_PAYOUTS_MOCK_FAIL === "true") throw new Error("PayPal payout failed: mock payout refused");
+    return { batchId: `MOCK-${senderBatchId}`, status: "SUCCESS" };
+  },
+
+  // The mock keeps nothing, so there's never a batch to find and a retry sends again
+  async find() {
+    if (PAYPAL_LIVE) throw new HttpError(500, "Mock payouts are disabled with PAYPAL_ENV=live");
+    return null;
+  },
+};
+
+const payouts = process.env.PAYPAL_PAYOUTS === "mock" ? mockPayouts : paypalPayouts;
+
+module.exports = {
+  PAYPAL_BASE,
+  PAYPAL_CURRENCY,
+  getAccessToken,
+  getOrder,
+  refundCapture,
+  localSignature,
+  verifyWebhookSignature,
+  PAYOUT_SENT,
+  PAYOUT_FAILED,
+  payouts,
+};
@@ -0,0 +1,39 @@
+// lib/quota.js
+// Per-user request quotas. Counted in Postgres so every function instance sees
+// the same numbers; each quota is a fixed window that starts over when it rolls.
+const { sql } = require("./db");
+
+const QUOTA_RETENTION_MS = 24 * 60 * 60 * 1000; // longest window any quota uses
+
+// Call after the session check. Counts the request against `name` and returns
+// true while the user is inside { limit, windowMs }; otherwise sends a 429 with
+// Retry-After and returns false — the handler just returns.
+async function enforceQuota(res, username, name, { limit, windowMs }) {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const [{ count }] = await sql`
+    INSERT INTO api_quotas (username, name, window_start, count)
+    VALUES (${username}, ${name}, ${windowStart}, 1)
+    ON CONFLICT (username, name, window_start) DO UPDATE SET count = api_quotas.count + 1
+    RETURNING count
+  `;
+  const used = Number(count);
+  res.setHeader("X-RateLimit-Limit", String(limit));
+  res.setHeader("X-RateLimit-Remaining", String(Math.max(0, limit - used)));
+  if (used <= limit) return true;
+
+  const retryAfter = Math.ceil((windowStart + windowMs - now) / 1000);
+  res.setHeader("Retry-After", String(retryAfter));
+  res.status(429).json({ error: `Too many requests — try again in ${retryAfter}s` });
+  return false;
+}
+
+// Housekeeping, called from the resolve-bets cron
+async function purgeExpiredQuotas() {
+  await sql`DELETE FROM api_quotas WHERE window_start < ${Date.now() - QUOTA_RETENTION_MS}`;
+}
+
+module.exports = {
+  enforceQuota,
+  purgeExpiredQuotas,
+};
@@ -0,0 +1,116 @@
+// lib/ranks.js
+// Ranked standing of linked accounts. The refresh-ranks cron polls league-v4 and
+// records a rank_history row whenever a queue's tier, division, LP or record
+// moves; everything else (profile card, leaderboard, odds) reads the table
+// instead of asking Riot. users.rank keeps the solo/duo label for display.
+const { sql } = require("./db");
+const { getLeagueEntries } = require("./riot");
+
+const SOLO_QUEUE = "RANKED_SOLO_5x5";
+const RANKED_QUEUES = [SOLO_QUEUE, "RANKED_FLEX_SR"];
+
+// How old a refresh can be before odds fetch a new one themselves
+const RANK_STALE_MS = 6 * 60 * 60 * 1000;
+
+const rankLabel = (snap) => (snap?.tier ? `${snap.tier} ${snap.division}` : "UNRANKED");
+
+const sameStanding = (a, b) =>
+  a.tier === b.tier && a.division === b.division && a.lp === b.lp && a.wins === b.wins && a.losses === b.losses;
+
+function formatSnapshot(r) {
+  return {
+    queueType: r.queue_type,
+    tier: r.tier,
+    division: r.division,
+    lp: Number(r.lp),
+    wins: Number(r.wins),
+    losses: Number(r.losses),
+    recordedAt: Number(r.recorded_at),
+  };
+}
+
+// ─── READING ─────────────────────────────────────────────────────────────────
+// Latest snapshot per ranked queue for the account the player has linked now,
+// keyed by queue type. Queues never played are missing.
+async function getCurrentRanks(username) {
+  const rows = await sql`
+    SELECT DISTINCT ON (h.queue_type) h.*
+    FROM rank_history h
+    JOIN users u ON u.username = h.username AND u.puuid = h.puuid
+    WHERE h.username = ${username}
+    ORDER BY h.queue_type, h.recorded_at DESC, h.id DESC
+  `;
+  return Object.fromEntries(rows.map(r => [r.queue_type, formatSnapshot(r)]));
+}
+
+// One queue's snapshots for the linked account, oldest first
+async function getRankHistory(username, { queueType = SOLO_QUEUE, since = 0, limit = 200 } = {}) {
+  const lim = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+  const rows = await sql`
+    SELECT * FROM (
+      SELECT h.* FROM rank_history h
+      JOIN users u ON u.username = h.username AND u.puuid = h.puuid
+      WHERE h.username = ${username} AND h.queue_type = ${queueType} AND h.recorded_at >= ${since}
+      ORDER BY h.recorded_at DESC, h.id DESC
+      LIMIT ${lim}
+    ) recent
+    ORDER BY recorded_at ASC, id ASC
+  `;
+  return rows.map(formatSnapshot);
+}
+
+// ─── REFRESHING ──────────────────────────────────────────────────────────────
+// Pulls the player's league entries and records a snapshot for every ranked
+// queue that moved. A queue they drop out of (season reset) gets an unranked
+// snapshot. The player is matched on puuid too, so an account unlinked while
+// this ran isn't written to. Returns the current standing per queue.
+async function refreshRank({ username, puuid, region }) {
+  const [entries, current] = await Promise.all([getLeagueEntries(puuid, region), getCurrentRanks(username)]);
+  const now = Date.now();
+
+  const standing = {};
+  const inserts = [];
+  for (const queueType of RANKED_QUEUES) {
+    const e = entries.find(x => x.queueType === queueType);
+    if (!e && !current[queueType]) continue;
+    const snap = e
+      ? { queueType, tier: e.tier, division: e.rank, lp: e.leaguePoints, wins: e.wins, losses: e.losses, recordedAt: now }
+      : { queueType, tier: null, division: null, lp: 0, wins: 0, losses: 0, recordedAt: now };
+    standing[queueType] = snap;
+    if (current[queueType] && sameStanding(current[queueType], snap)) {
+      standing[queueType] = current[queueType];
+      continue;
+    }
+    inserts.push(sql`
+      INSERT INTO rank_history (username, puuid, queue_type, tier, division, lp, wins, losses, recorded_at)
+      SELECT ${username}, ${puuid}, ${queueType}, ${snap.tier}, ${snap.division}, ${snap.lp}, ${snap.wins}, ${snap.losses}, ${now}
+      WHERE EXISTS (SELECT 1 FROM users WHERE username = ${username} AND puuid = ${puuid})
+    `);
+  }
+
+  await sql.transaction([
+    ...inserts,
+    sql`UPDATE users SET rank = ${rankLabel(standing[SOLO_QUEUE])}, rank_refreshed_at = ${now}
+        WHERE username = ${username} AND puuid = ${puuid}`,
+  ]);
+  return standing;
+}
+
+// Current standing, refreshed first if the last refresh is older than RANK_STALE_MS.
+// `player` is a users row (username, puuid, region, rank_refreshed_at).
+async function getFreshRanks(player) {
+  if (Number(player.rank_refreshed_at || 0) > Date.now() - RANK_STALE_MS) {
+    return getCurrentRanks(player.username);
+  }
+  return refreshRank(player);
+}
+
+module.exports = {
+  SOLO_QUEUE,
+  RANKED_QUEUES,
+  rankLabel,
+  getCurrentRanks,
+  getRankHistory,
+  refreshRank,
+  getFreshRanks,
+};
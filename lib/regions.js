@@ -0,0 +1,45 @@
+// lib/regions.js
+// Every League platform a player can be on, with the routing clusters Riot
+// serves it from. Platform-routed APIs (summoner, league, mastery) go to the
+// platform host; match-v5 goes to `match`; account-v1 goes to `account`.
+// users.region holds one of these keys.
+const REGIONS = {
+  na1:  { label: "North America",         short: "NA",   match: "americas", account: "americas" },
+  br1:  { label: "Brazil",                short: "BR",   match: "americas", account: "americas" },
+  la1:  { label: "Latin America North",   short: "LAN",  match: "americas", account: "americas" },
+  la2:  { label: "Latin America South",   short: "LAS",  match: "americas", account: "americas" },
+  euw1: { label: "Europe West",           short: "EUW",  match: "europe",   account: "europe" },
+  eun1: { label: "Europe Nordic & East",  short: "EUNE", match: "europe",   account: "europe" },
+  tr1:  { label: "Turkey",                short: "TR",   match: "europe",   account: "europe" },
+  ru:   { label: "Russia",                short: "RU",   match: "europe",   account: "europe" },
+  me1:  { label: "Middle East",           short: "ME",   match: "europe",   account: "europe" },
+  kr:   { label: "Korea",                 short: "KR",   match: "asia",     account: "asia" },
+  jp1:  { label: "Japan",                 short: "JP",   match: "asia",     account: "asia" },
+  oc1:  { label: "Oceania",               short: "OCE",  match: "sea",      account: "asia" },
+  sg2:  { label: "Southeast Asia",        short: "SEA",  match: "sea",      account: "asia" },
+  tw2:  { label: "Taiwan, Hong Kong & Macao", short: "TW", match: "sea",    account: "asia" },
+  vn2:  { label: "Vietnam",               short: "VN",   match: "sea",      account: "asia" },
+  // Merged into sg2 — kept so players linked before the merge still route
+  ph2:  { label: "Philippines",           short: "PH",   match: "sea",      account: "asia" },
+  th2:  { label: "Thailand",              short: "TH",   match: "sea",      account: "asia" },
+};
+const DEFAULT_REGION = "euw1";
+
+// The registry key for a region, or null if it isn't one
+const normalizeRegion = (region) => {
+  const r = String(region || "").toLowerCase();
+  return REGIONS[r] ? r : null;
+};
+
+// { platform, match, account } hosts for a region — unknown regions route as the default
+const getRouting = (region) => {
+  const platform = normalizeRegion(region) || DEFAULT_REGION;
+  return { platform, match: REGIONS[platform].match, account: REGIONS[platform].account };
+};
+
+module.exports = {
+  REGIONS,
+  DEFAULT_REGION,
+  normalizeRegion,
+  getRouting,
+};
@@ -0,0 +1,173 @@
+// lib/resolver.js
+// Settles a player's open bets against their games — the resolve-bets cron runs
+// it for everyone, "Resolve Now" (api/bet.js) for the signed-in player. Games
+// are looked up server-side from the linked account; nothing the client sends
+// decides a bet.
+const { sql, isRejection } = require("./db");
+const { settleFromResult, expireBet, isExpired } = require("./bets");
+const { summarizeMatch, VOID_REASONS, voidReason } = require("./markets");
+const { QUEUES, DEFAULT_QUEUE, getMatchIds, getMatch } = require("./riot");
+
+// ─── RIOT API HELPERS ────────────────────────────────────────────────────────
+// Games can run up to an hour — how long a game that started just before a
+// bet's deadline gets to finish
+const MAX_GAME_LENGTH_MS = 60 * 60 * 1000;
+
+// Match ids in one queue that started since `since` (ms), oldest first
+const getMatchIdsSince = async (puuid, region, queue, since) =>
+  (await getMatchIds(puuid, region, { queue, startTime: since, count: 20 })).reverse();
+
+const getMatchResult = async (matchId, puuid, region) =>
+  summarizeMatch(await getMatch(matchId, region), puuid);
+
+// ─── RESOLVE ONE PLAYER'S SLIP ───────────────────────────────────────────────
+// `bets` are one player's open bets, oldest first. Each queue is its own lane:
+// the oldest bet on a queue gets the first game in that queue that started after
+// it was placed (never one already running, which the player could watch before
+// betting), the next bet on that queue the first game after that, and so on.
+// A game that already settled a bet is never used again. A lane stops at its
+// first bet with no game yet — a newer bet can't be settled before an older
+// one — unless that bet has expired, in which case it's refunded and the lane moves on.
+// Returns the counts per outcome and the ids of the bets it closed.
+async function resolvePlayerBets(bets, log) {
+  const { username, puuid, region } = bets[0];
+  if (!puuid) {
+    // Unlinked since placing — there's nothing to settle against, so they can only expire
+    let expired = 0;
+    const settled = [];
+    for (const bet of bets.filter(b => isExpired(b))) {
+      try {
+        await expireBet(bet);
+        settled.push(Number(bet.id));
+        expired++;
+      } catch (e) {
+        if (!isRejection(e)) throw e;
+      }
+    }
+    log.push(`  [${username}] skipped — no puuid${expired ? `, ${expired} expired bet(s) refunded` : ""}`);
+    return { resolved: 0, expired, voided: 0, settled };
+  }
+
+  const used = new Set();
+  const lanes = new Map(); // queue → { matchIds, next, blocked }
+  const openLane = async (queue, since) => {
+    const matchIds = await getMatchIdsSince(puuid, region, queue, since);
+    const usedRows = matchIds.length
+      ? await sql`SELECT match_id FROM bets WHERE username = ${username} AND match_id = ANY(${matchIds})`
+      : [];
+    for (const r of usedRows) used.add(r.match_id);
+    // next = position in matchIds — each bet only looks at games after the previous bet's
+    lanes.set(queue, { matchIds, next: 0, blocked: false });
+  };
+
+  let resolved = 0, expired = 0, voided = 0;
+  const settled = [];
+  for (const bet of bets) {
+    const tag = `[${username} #${bet.id}]`;
+    const queue = Number(bet.queue) || DEFAULT_QUEUE;
+
+    // Safety: ignore bets placed in the last 15 minutes
+    // (game can't have ended yet, and every later bet is newer still)
+    const minutesSinceBet = (Date.now() - Number(bet.placed_at)) / 60000;
+    if (minutesSinceBet < 15) {
+      log.push(`  ${tag} too recent (${Math.round(minutesSinceBet)}m) — skipping`);
+      break;
+    }
+
+    if (!lanes.has(queue)) await openLane(queue, Number(bet.placed_at));
+    const lane = lanes.get(queue);
+    if (lane.blocked) continue;
+
+    let matchResult = null;
+    while (!matchResult && lane.next < lane.matchIds.length) {
+      const matchId = lane.matchIds[lane.next++];
+      if (used.has(matchId)) continue;
+      const candidate = await getMatchResult(matchId, puuid, region);
+      // Only a game that started after the bet was placed. One that started before
+      // it started before every later bet too.
+      if (candidate && candidate.gameStartTimestamp > Number(bet.placed_at)) matchResult = candidate;
+    }
+
+    // The game has to start inside the bet's window. One that started later
+    // stays on the lane for the next bet.
+    let startedLate = false;
+    if (matchResult && bet.expires_at != null && matchResult.gameStartTimestamp > Number(bet.expires_at)) {
+      lane.next--;
+      matchResult = null;
+      startedLate = true;
+    }
+
+    if (!matchResult) {
+      // Games in progress aren't listed yet, so one that started just before
+      // the deadline gets time to finish before the bet is given up on
+      if (startedLate || isExpired(bet, MAX_GAME_LENGTH_MS)) {
+        try {
+          await expireBet(bet);
+        } catch (e) {
+          if (!isRejection(e)) throw e;
+          log.push(`  ${tag} already settled elsewhere — skipping`);
+          lane.blocked = true;
+          continue;
+        }
+        log.push(`  ${tag} expired — no ${QUEUES[queue]?.label || queue} game started in time, stake refunded`);
+        settled.push(Number(bet.id));
+        expired++;
+        continue;
+      }
+      log.push(`  ${tag} no new ${QUEUES[queue]?.label || queue} game since bet — waiting`);
+      lane.blocked = true;
+      continue;
+    }
+
+    // Bet update and payout are one transaction (lib/bets.js) — a bet that another
+    // run already settled is rejected instead of being paid twice. Whether it won
+    // depends on the bet's market, and remakes/abandoned games void it (lib/markets.js).
+    let outcome;
+    try {
+      outcome = await settleFromResult(bet, matchResult);
+    } catch (e) {
+      if (!isRejection(e)) throw e;
+      // Settled by someone else with a game we can't see from here — let the next run re-walk the list
+      log.push(`  ${tag} already settled elsewhere — skipping`);
+      lane.blocked = true;
+      continue;
+    }
+    used.add(matchResult.matchId);
+    settled.push(Number(bet.id));
+    const line = `${matchResult.matchId} (${matchResult.champion} ${matchResult.kills}/${matchResult.deaths}/${matchResult.assists})`;
+    if (outcome === "void") {
+      log.push(`  ${tag} void — ${VOID_REASONS[voidReason(matchResult)].toLowerCase()} on ${line}, stake refunded`);
+      voided++;
+      continue;
+    }
+    log.push(`  ${tag} ${bet.market || "win"} resolved → ${outcome === "won" ? "WON" : "LOST"} on ${line}`);
+    resolved++;
+  }
+  return { resolved, expired, voided, settled };
+}
+
+// Pending bets with the player's puuid and region, oldest first — one player's,
+// or everyone's when no username is given
+function getPendingBets(username = null) {
+  return username
+    ? sql`
+        SELECT b.*, u.puuid, u.lol_account, COALESCE(u.region, 'euw1') as region
+        FROM bets b
+        JOIN users u ON u.username = b.username
+        WHERE b.status = 'pending' AND b.username = ${username}
+        ORDER BY b.placed_at ASC, b.id ASC
+      `
+    : sql`
+        SELECT b.*, u.puuid, u.lol_account, COALESCE(u.region, 'euw1') as region
+        FROM bets b
+        JOIN users u ON u.username = b.username
+        WHERE b.status = 'pending'
+        ORDER BY b.placed_at ASC, b.id ASC
+      `;
+}
+
+module.exports = {
+  MAX_GAME_LENGTH_MS,
+  getPendingBets,
+  resolvePlayerBets,
+};
@@ -0,0 +1,272 @@
+// lib/riot.js
+// The one server-side Riot API client — the bet endpoint, the resolver cron and
+// the client's proxy (api/riot.js) all go through it. It keeps the key out of
+// URLs, stays inside the key's rate limits, retries what can be retried and
+// caches what never changes (finished matches, Data Dragon champion data).
+const { HttpError } = require("./http");
+const { getRouting } = require("./regions");
+const { cached } = require("./cache");
+
+const RIOT_KEY = process.env.RIOT_API_KEY;
+
+// Queues a bet can be placed on. leagueQueue is the league-v4 entry that holds
+// the player's record for it — queues without one are priced from match history.
+const QUEUES = {
+  420: { label: "Ranked Solo/Duo", leagueQueue: "RANKED_SOLO_5x5" },
+  440: { label: "Ranked Flex",     leagueQueue: "RANKED_FLEX_SR" },
+  700: { label: "Clash",           leagueQueue: null },
+  400: { label: "Normal Draft",    leagueQueue: null },
+  450: { label: "ARAM",            leagueQueue: null },
+};
+const DEFAULT_QUEUE = 420;
+
+const MATCH_TTL_MS = 30 * 24 * 60 * 60 * 1000;    // a finished match never changes
+const VERSIONS_TTL_MS = 60 * 60 * 1000;            // a new patch shows up within the hour
+const CHAMPIONS_TTL_MS = 7 * 24 * 60 * 60 * 1000;  // fixed per patch version
+
+// Id formats Riot hands out. Anything else never reaches a Riot URL.
+const PUUID_RE = /^[A-Za-z0-9_-]{78}$/;
+const MATCH_ID_RE = /^([A-Z0-9]{2,5})_(\d{1,15})$/;
+const GAME_NAME_RE = /^[^#/?\\]{3,16}$/u;
+const TAG_LINE_RE = /^[\p{L}\p{N}]{3,5}$/u;
+
+const isPuuid = (v) => typeof v === "string" && PUUID_RE.test(v);
+const isMatchId = (v) => typeof v === "string" && MATCH_ID_RE.test(v);
+const isRiotId = (gameName, tagLine) =>
+  typeof gameName === "string" && GAME_NAME_RE.test(gameName.trim()) &&
+  typeof tagLine === "string" && TAG_LINE_RE.test(tagLine.trim());
+
+const MAX_RETRIES = 3;
+// Longest we'll sit on a rate limit inside one request — functions time out at 10s
+const MAX_WAIT_MS = 5000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const backoff = (attempt) => 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+
+// ─── RATE LIMITS ─────────────────────────────────────────────────────────────
+// Riot counts requests per routing host (euw1, europe, americas...) in several
+// windows at once: "X-App-Rate-Limit: 20:1,100:120" is 20 per second and 100 per
+// two minutes. Each host gets one bucket per window, refilled when the window
+// resets; a request only goes out when every bucket has room. The buckets start
+// at development-key limits and are replaced by what the first response reports.
+// They live per function instance, so Retry-After on a 429 is the backstop.
+const DEFAULT_APP_LIMIT = "20:1,100:120";
+const hosts = new Map(); // host -> { buckets: [{ limit, windowMs, used, resetAt }], blockedUntil }
+
+// "20:1,100:120" -> [[20, 1000], [100, 120000]]
+const parseLimits = (header) =>
+  String(header || "").split(",")
+    .map(part => part.split(":").map(Number))
+    .filter(([n, sec]) => n > 0 && sec > 0)
+    .map(([n, sec]) => [n, sec * 1000]);
+
+function hostState(host) {
+  if (!hosts.has(host)) {
+    const buckets = parseLimits(DEFAULT_APP_LIMIT).map(([limit, windowMs]) => ({ limit, windowMs, used: 0, resetAt: 0 }));
+    hosts.set(host, { buckets, blockedUntil: 0 });
+  }
+  return hosts.get(host);
+}
+
+// Takes a token from every bucket, or returns how long to wait before trying again
+function reserve(state, now) {
+  if (state.blockedUntil > now) return state.blockedUntil - now;
+  for (const b of state.buckets) {
+    if (b.resetAt <= now) { b.used = 0; b.resetAt = now + b.windowMs; }
+  }
+  const full = state.buckets.filter(b => b.used >= b.limit);
+  if (full.length) return Math.max(...full.map(b => b.resetAt)) - now;
+  state.buckets.forEach(b => b.used++);
+  return 0;
+}
+
+async function acquire(state) {
+  for (;;) {
+    const wait = reserve(state, Date.now());
+    if (!wait) return;
+    if (wait > MAX_WAIT_MS) throw new HttpError(503, `Riot rate limit reached — try again in ${Math.ceil(wait / 1000)}s`);
+    await sleep(wait);
+  }
+}
+
+// Brings the buckets in line with the limits and counts Riot reports. A bucket
+// whose window is unchanged keeps its reset time.
+function syncLimits(state, headers) {
+  const limits = parseLimits(headers.get("x-app-rate-limit"));
+  if (!limits.length) return;
+  const counts = new Map(parseLimits(headers.get("x-app-rate-limit-count")).map(([n, windowMs]) => [windowMs, n]));
+  const now = Date.now();
+  state.buckets = limits.map(([limit, windowMs]) => {
+    const prev = state.buckets.find(b => b.windowMs === windowMs && b.resetAt > now);
+    return {
+      limit,
+      windowMs,
+      used: Math.max(prev?.used || 0, counts.get(windowMs) || 0),
+      resetAt: prev?.resetAt || now + windowMs,
+    };
+  });
+}
+
+// ─── FETCHING ────────────────────────────────────────────────────────────────
+// null on 404. 429s and 5xx/network failures are retried with backoff (a 429
+// waits out Retry-After); anything else, or running out of retries, throws an
+// HttpError the calling route can answer with.
+async function riotFetch(url) {
+  if (!RIOT_KEY) throw new HttpError(500, "RIOT_API_KEY not set");
+  const state = hostState(new URL(url).hostname.split(".")[0]);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(state);
+
+    let res;
+    try {
+      res = await fetch(url, { headers: { "X-Riot-Token": RIOT_KEY } });
+    } catch (e) {
+      if (attempt >= MAX_RETRIES) throw new HttpError(502, `Riot API unreachable: ${e.message}`);
+      await sleep(backoff(attempt));
+      continue;
+    }
+    syncLimits(state, res.headers);
+
+    if (res.ok) return res.json();
+    if (res.status === 404) return null;
+    if (res.status !== 429 && res.status < 500) {
+      throw new HttpError(res.status === 400 ? 400 : 502, `Riot API ${res.status}`);
+    }
+
+    let wait = backoff(attempt);
+    if (res.status === 429) {
+      const retryAfter = Number(res.headers.get("retry-after"));
+      if (retryAfter > 0) wait = retryAfter * 1000;
+      // A method limit only covers this endpoint — anything else blocks the whole host
+      if (res.headers.get("x-rate-limit-type") !== "method") state.blockedUntil = Date.now() + wait;
+    }
+    if (attempt >= MAX_RETRIES || wait > MAX_WAIT_MS) {
+      throw res.status === 429
+        ? new HttpError(503, "Riot rate limit hit — try again shortly")
+        : new HttpError(502, `Riot API ${res.status}`);
+    }
+    await sleep(wait);
+  }
+}
+
+// Data Dragon is a public CDN — no key and no rate limit, just the retries
+async function ddragonFetch(url) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    try {
+      res = await fetch(url);
+    } catch (e) {
+      if (attempt >= MAX_RETRIES) throw new HttpError(502, `Data Dragon unreachable: ${e.message}`);
+    }
+    if (res?.ok) return res.json();
+    if (res && (res.status < 500 || attempt >= MAX_RETRIES)) throw new HttpError(502, `Data Dragon ${res.status}`);
+    await sleep(backoff(attempt));
+  }
+}
+
+// ─── ENDPOINTS ───────────────────────────────────────────────────────────────
+const getAccountByRiotId = (gameName, tagLine, region) => {
+  const { account } = getRouting(region);
+  return riotFetch(`https://${account}.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`);
+};
+
+const getSummoner = (puuid, region) => {
+  const { platform } = getRouting(region);
+  return riotFetch(`https://${platform}.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/${encodeURIComponent(puuid)}`);
+};
+
+// All of a player's league-v4 entries (one per ranked queue they've played)
+const getLeagueEntries = async (puuid, region) => {
+  const { platform } = getRouting(region);
+  return (await riotFetch(`https://${platform}.api.riotgames.com/lol/league/v4/entries/by-puuid/${encodeURIComponent(puuid)}`)) || [];
+};
+
+const getTopMasteries = async (puuid, region, count = 3) => {
+  const { platform } = getRouting(region);
+  return (await riotFetch(`https://${platform}.api.riotgames.com/lol/champion-mastery/v4/champion-masteries/by-puuid/${encodeURIComponent(puuid)}/top?count=${count}`)) || [];
+};
+
+// Match ids in one queue, newest first. startTime is in ms.
+const getMatchIds = async (puuid, region, { queue = DEFAULT_QUEUE, startTime = null, count = 20 } = {}) => {
+  const { match } = getRouting(region);
+  const since = startTime != null ? `&startTime=${Math.floor(startTime / 1000)}` : "";
+  const matchIds = await riotFetch(
+    `https://${match}.api.riotgames.com/lol/match/v5/matches/by-puuid/${encodeURIComponent(puuid)}/ids?queue=${queue}${since}&start=0&count=${count}`
+  );
+  return matchIds || [];
+};
+
+// Match ids carry their platform (EUW1_...), so one cache key per match is enough
+const getMatch = (matchId, region) => {
+  const { match } = getRouting(region);
+  return cached(`match:${matchId}`, MATCH_TTL_MS, () =>
+    riotFetch(`https://${match}.api.riotgames.com/lol/match/v5/matches/${encodeURIComponent(matchId)}`));
+};
+
+// Latest patch and the champion id -> key map (key = the name used in image URLs)
+async function getChampionData() {
+  const versions = await cached("ddragon:versions", VERSIONS_TTL_MS, () =>
+    ddragonFetch("https://ddragon.leagueoflegends.com/api/versions.json"));
+  const version = versions[0];
+  const idToKey = await cached(`ddragon:champions:${version}`, CHAMPIONS_TTL_MS, async () => {
+    const champData = await ddragonFetch(`https://ddragon.leagueoflegends.com/cdn/${version}/data/en_US/champion.json`);
+    const map = {};
+    Object.values(champData.data).forEach(c => { map[c.key] = c.id; });
+    return map;
+  });
+  return { version, idToKey };
+}
+
+// ─── PROFILES ────────────────────────────────────────────────────────────────
+// What the client gets instead of raw Riot JSON
+const toRank = (e) => ({
+  queueType: e.queueType,
+  tier: e.tier,
+  division: e.rank,
+  lp: e.leaguePoints,
+  wins: e.wins,
+  losses: e.losses,
+});
+
+// Summoner, ranked entries and top masteries (champion keys resolved) in one
+// payload. null when the puuid has no summoner on that platform.
+async function getProfile(puuid, region) {
+  const [summoner, entries, masteries, champions] = await Promise.all([
+    getSummoner(puuid, region),
+    getLeagueEntries(puuid, region),
+    getTopMasteries(puuid, region, 3),
+    getChampionData(),
+  ]);
+  if (!summoner) return null;
+  return {
+    puuid,
+    iconId: summoner.profileIconId,
+    level: summoner.summonerLevel,
+    ranks: entries.map(toRank),
+    topChampions: masteries.map(m => ({
+      championId: m.championId,
+      champion: champions.idToKey[String(m.championId)] || null,
+      level: m.championLevel,
+      points: m.championPoints,
+    })),
+    ddragonVersion: champions.version,
+  };
+}
+
+module.exports = {
+  QUEUES,
+  DEFAULT_QUEUE,
+  isPuuid,
+  isMatchId,
+  isRiotId,
+  riotFetch,
+  getAccountByRiotId,
+  getSummoner,
+  getLeagueEntries,
+  getTopMasteries,
+  getMatchIds,
+  getMatch,
+  getChampionData,
+  getProfile,
+};
@@ -0,0 +1,120 @@
+// lib/session.js
+// Player sessions. login/register issue a short-lived signed access token and a
+// long-lived refresh token; every player endpoint derives the acting user from
+// the access token in the Authorization header, never from the request body.
+const crypto = require("crypto");
+const { sql } = require("./db");
+
+const ACCESS_TTL_MS = 15 * 60 * 1000;            // 15 minutes
+const REFRESH_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error("SESSION_SECRET not set");
+  return secret;
+}
+
+// ─── ACCESS TOKENS ───────────────────────────────────────────────────────────
+// <base64url payload>.<base64url HMAC-SHA256> — payload is { sub, sid, exp }
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto.createHmac("sha256", getSecret()).update(body).digest("base64url");
+  return `${body}.${sig}`;
+}
+
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", getSecret()).update(body).digest("base64url"));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  let payload;
+  try { payload = JSON.parse(Buffer.from(body, "base64url").toString()); } catch { return null; }
+  if (!payload.sub || !payload.sid || !(payload.exp > Date.now())) return null;
+  return payload;
+}
+
+function buildSession(username, sid, refreshToken, refreshExpiresAt) {
+  const expiresAt = Date.now() + ACCESS_TTL_MS;
+  return {
+    token: signToken({ sub: username, sid, exp: expiresAt }),
+    expiresAt,
+    refreshToken,
+    refreshExpiresAt,
+  };
+}
+
+// ─── SESSION LIFECYCLE ───────────────────────────────────────────────────────
+async function createSession(username) {
+  const sid = crypto.randomUUID();
+  const refreshToken = newRefreshToken();
+  const now = Date.now();
+  const refreshExpiresAt = now + REFRESH_TTL_MS;
+  await sql`INSERT INTO sessions (id, username, refresh_hash, created_at, last_used_at, expires_at)
+            VALUES (${sid}, ${username}, ${hashToken(refreshToken)}, ${now}, ${now}, ${refreshExpiresAt})`;
+  return buildSession(username, sid, refreshToken, refreshExpiresAt);
+}
+
+// Swaps a refresh token for a new access + refresh pair. The old refresh token
+// stops working immediately — the conditional update means it can only be used once.
+async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== "string" || !refreshToken) return null;
+  const now = Date.now();
+  const oldHash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const rows = await sql`
+    UPDATE sessions SET refresh_hash = ${hashToken(next)}, last_used_at = ${now}
+    WHERE refresh_hash = ${oldHash} AND revoked_at IS NULL AND expires_at > ${now}
+    RETURNING id, username, expires_at
+  `;
+  if (!rows.length) return null;
+  return buildSession(rows[0].username, rows[0].id, next, Number(rows[0].expires_at));
+}
+
+async function revokeSession(sid) {
+  await sql`UPDATE sessions SET revoked_at = ${Date.now()} WHERE id = ${sid} AND revoked_at IS NULL`;
+}
+
+// Used after a password change — every other device has to log in again
+async function revokeOtherSessions(username, keepSid) {
+  await sql`UPDATE sessions SET revoked_at = ${Date.now()}
+            WHERE username = ${username} AND id != ${keepSid} AND revoked_at IS NULL`;
+}
+
+// ─── REQUEST HELPERS ─────────────────────────────────────────────────────────
+async function getSession(req) {
+  const header = req.headers?.authorization || "";
+  const payload = verifyToken(header.startsWith("Bearer ") ? header.slice(7) : null);
+  if (!payload || payload.kind) return null; // admin tokens are checked by lib/admin.js
+  // Signature + expiry aren't enough on their own — logout has to take effect immediately
+  const rows = await sql`SELECT username FROM sessions WHERE id = ${payload.sid} AND revoked_at IS NULL`;
+  if (!rows.length || rows[0].username !== payload.sub) return null;
+  return { username: payload.sub, sid: payload.sid };
+}
+
+// Sends a 401 and returns null when the request has no valid session
+async function requireSession(req, res) {
+  const session = await getSession(req);
+  if (!session) {
+    res.status(401).json({ error: "Session expired — please log in again" });
+    return null;
+  }
+  return session;
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeOtherSessions,
+  getSession,
+  requireSession,
+};
@@ -0,0 +1,28 @@
+// lib/shop.js
+// What skin credits and real balance can be redeemed for (api/redeem.js). The
+// price is looked up here by card id — never taken from the client — since
+// real balance can be withdrawn as cash.
+//
+// eurCost is Riot's own price (EUW 2025) and only shown. totalCost is what a
+// card costs here in the settlement currency: Riot's EUR price plus ~2%,
+// priced for EUR settlement, so a deployment settling in anything else has to
+// reprice these.
+const { HttpError } = require("./http");
+
+const RP_CARDS = {
+  rp575:  { name: "575 RP",  rp: 575,  eurCost: "4.99",  totalCost: "5.10" },
+  rp1380: { name: "1380 RP", rp: 1380, eurCost: "10.99", totalCost: "11.20" },
+  rp2800: { name: "2800 RP", rp: 2800, eurCost: "21.99", totalCost: "22.50" },
+  rp4500: { name: "4500 RP", rp: 4500, eurCost: "34.99", totalCost: "35.70" },
+  rp6500: { name: "6500 RP", rp: 6500, eurCost: "49.99", totalCost: "51.00" },
+};
+
+function getRpCard(id) {
+  if (!Object.hasOwn(RP_CARDS, id)) throw new HttpError(400, "Unknown RP card");
+  return RP_CARDS[id];
+}
+
+module.exports = {
+  RP_CARDS,
+  getRpCard,
+};
@@ -0,0 +1,73 @@
+// lib/users.js
+// The user and bet shapes every endpoint returns. Keep this the only place
+// that maps DB rows to API objects so the client always sees the same fields.
+// Money goes out as { minor, currency } (lib/currency.js).
+const { sql } = require("./db");
+const { MAX_OPEN_BETS } = require("./bets");
+const { DEFAULT_REGION } = require("./regions");
+const { getUnreadNotifications } = require("./notifications");
+const { SETTLEMENT_CURRENCY, GOLD, money } = require("./currency");
+
+const num = (v) => (v != null ? Number(v) : null);
+
+function serializeBet(b) {
+  return {
+    id: Number(b.id),
+    amount: money(b.amount, b.currency),
+    currency: b.currency,
+    odds: Number(b.odds),
+    potentialWin: money(b.potential_win, b.currency),
+    status: b.status,
+    placedAt: Number(b.placed_at),
+    resolvedAt: b.resolved_at ? Number(b.resolved_at) : null,
+    matchId: b.match_id,
+    result: b.result,
+    mode: b.mode || "virtual",
+    winrate: num(b.winrate),
+    gamesSampled: num(b.games_sampled),
+    rake: num(b.rake),
+    market: b.market || "win",
+    line: num(b.line),
+    queue: b.queue != null ? Number(b.queue) : 420,
+    expiresAt: num(b.expires_at),
+    voidReason: b.void_reason || null,
+  };
+}
+
+// balance is virtual gold; realBalance and skinCredits are in the player's currency
+function serializeUser(u, bets = [], notifications = []) {
+  const currency = u.currency || SETTLEMENT_CURRENCY;
+  return {
+    username: u.username,
+    email: u.email || null,
+    currency,
+    balance: money(u.balance, GOLD),
+    realBalance: money(u.real_balance || 0, currency),
+    skinCredits: money(u.skin_credits || 0, currency),
+    lolAccount: u.lol_account,
+    puuid: u.puuid,
+    rank: u.rank,
+    region: u.region || DEFAULT_REGION,
+    createdAt: Number(u.created_at),
+    maxOpenBets: MAX_OPEN_BETS,
+    bets: bets.map(serializeBet),
+    notifications,
+  };
+}
+
+// The signed-in player with their full bet history and unread notifications, or null
+async function getUser(username) {
+  const rows = await sql`SELECT * FROM users WHERE username = ${username}`;
+  if (!rows.length) return null;
+  const [bets, notifications] = await Promise.all([
+    sql`SELECT * FROM bets WHERE username = ${username} ORDER BY placed_at ASC`,
+    getUnreadNotifications(username),
+  ]);
+  return serializeUser(rows[0], bets, notifications);
+}
+
+module.exports = {
+  serializeBet,
+  serializeUser,
+  getUser,
+};
@@ -0,0 +1,259 @@
+// lib/withdrawals.js
+// Cash-outs of real_balance. Asking for one takes the amount off the player's
+// wallet straight away and holds it (ACCOUNTS.withdrawals) while an admin
+// reviews the request. Approving sends it through PayPal Payouts
+// (lib/paypal.js) and marks it paid; rejecting gives the held amount back, and
+// so does a payout PayPal reports failed or returned (api/paypal/webhook.js).
+//
+//   pending → approved → paid
+//   pending → rejected, or approved → rejected when the payout failed
+//   approved or paid → returned when a payout item fails, is denied or comes back
+//
+// Each status change locks the row and re-checks the status it starts from, so
+// two admins clicking at once can't pay or refund a withdrawal twice.
+const crypto = require("crypto");
+const { sql, isUniqueViolation } = require("./db");
+const { HttpError } = require("./http");
+const { postQuery, requirePosted, ACCOUNTS } = require("./ledger");
+const { notifyQuery } = require("./notifications");
+const { nextId } = require("./ids");
+const { payouts, PAYOUT_SENT, PAYOUT_FAILED } = require("./paypal");
+const { recordEventQuery } = require("./deposits");
+const { SETTLEMENT_CURRENCY, money, formatAmount, toMinor, toDecimal } = require("./currency");
+
+const MIN_WITHDRAWAL = 5;
+const MAX_WITHDRAWAL = 500;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const lockStatus = (id, status) => sql`
+  SELECT reject_unless(COUNT(*) = 1, ${`Withdrawal is no longer ${status}`})
+  FROM (SELECT id FROM withdrawals WHERE id = ${id} AND status = ${status} FOR UPDATE) w
+`;
+
+// What the player sees — admins get the review and payout fields on top (api/admin.js)
+function serializeWithdrawal(w) {
+  return {
+    id: Number(w.id),
+    amount: money(w.amount, w.currency),
+    paypalEmail: w.paypal_email,
+    status: w.status,
+    rejectReason: w.reject_reason || null,
+    paidAt: w.paid_at ? Number(w.paid_at) : null,
+    createdAt: Number(w.created_at),
+  };
+}
+
+async function getWithdrawal(id) {
+  const [w] = await sql`SELECT * FROM withdrawals WHERE id = ${id}`;
+  if (!w) throw new HttpError(404, "Withdrawal not found");
+  return w;
+}
+
+// ─── REQUESTING ──────────────────────────────────────────────────────────────
+// The row and the hold on the wallet commit together; returns the new row. One
+// open request per player — the unique index in migrations/017 settles two
+// racing requests.
+async function requestWithdrawal(username, { amount, paypalEmail }) {
+  const amt = toMinor(amount);
+  if (!(amt >= toMinor(MIN_WITHDRAWAL) && amt <= toMinor(MAX_WITHDRAWAL))) {
+    throw new HttpError(400, `Withdrawals must be between ${formatAmount(MIN_WITHDRAWAL)} and ${formatAmount(MAX_WITHDRAWAL)}`);
+  }
+  const email = String(paypalEmail || "").trim();
+  if (!EMAIL_RE.test(email)) throw new HttpError(400, "Enter the email address of your PayPal account");
+
+  const [user] = await sql`SELECT real_balance, flagged_at FROM users WHERE username = ${username}`;
+  if (!user) throw new HttpError(404, "User not found");
+  // Same hold as redemptions — PayPal took a deposit back and an admin has to look first
+  if (user.flagged_at) throw new HttpError(403, "Withdrawals are on hold for your account — please contact support");
+  if (amt > toMinor(user.real_balance || 0)) throw new HttpError(400, "Insufficient real balance");
+
+  const id = await nextId("withdrawals");
+  const txnId = crypto.randomUUID();
+  try {
+    await sql.transaction([
+      sql`INSERT INTO withdrawals (id, username, amount, currency, paypal_email, status, created_at)
+          VALUES (${id}, ${username}, ${toDecimal(amt)}, ${SETTLEMENT_CURRENCY}, ${email}, 'pending', ${Date.now()})`,
+      postQuery({ username, currency: "real", amount: toDecimal(-amt), kind: "withdrawal_hold", counterAccount: ACCOUNTS.withdrawals,
+                  refType: "withdrawal", refId: id, memo: `PayPal withdrawal to ${email}`, txnId }),
+      requirePosted(txnId, 1, "Insufficient real balance — refresh and try again"),
+    ]);
+  } catch (e) {
+    if (isUniqueViolation(e)) throw new HttpError(409, "You already have a withdrawal waiting to be paid");
+    throw e;
+  }
+  return getWithdrawal(id);
+}
+
+// ─── REVIEW ──────────────────────────────────────────────────────────────────
+// A payout that was sent this long ago without an answer being recorded is
+// taken to be lost and looked up at PayPal. Before that it may still be on its way.
+const PAYOUT_STALE_MS = 10 * 60 * 1000;
+
+// Also the payout's sender_item_id, which is how payout webhooks name it
+const senderBatchId = (w) => `withdrawal-${w.id}`;
+
+const payoutInFlight = (w, now = Date.now()) =>
+  w.status === "approved" && !w.payout_error && Number(w.payout_attempted_at || 0) > now - PAYOUT_STALE_MS;
+
+// Like lockStatus, and also checks no payout was started since `w` was read
+const lockUnchanged = (w) => sql`
+  SELECT reject_unless(COUNT(*) = 1, 'Withdrawal changed — refresh and try again')
+  FROM (SELECT id FROM withdrawals WHERE id = ${w.id} AND status = ${w.status}
+          AND payout_attempted_at IS NOT DISTINCT FROM ${w.payout_attempted_at ?? null}::bigint FOR UPDATE) w
+`;
+
+// Records what PayPal says the payout's batch did. Paid only once the batch is
+// SUCCESS or PENDING; otherwise the row stays approved with the batch status
+// (and, if it failed for good, the error) on it and this throws 502.
+async function recordPayout(w, { batchId, status }) {
+  if (PAYOUT_SENT.includes(status)) {
+    await sql.transaction([
+      lockStatus(w.id, "approved"),
+      sql`UPDATE withdrawals SET status = 'paid', payout_batch_id = ${batchId}, payout_status = ${status}, payout_error = NULL, paid_at = ${Date.now()}
+          WHERE id = ${w.id}`,
+      notifyQuery({
+        username: w.username, kind: "withdrawal_paid", refType: "withdrawal", refId: w.id,
+        title: "Withdrawal sent",
+        body: `${formatAmount(w.amount, w.currency)} is on its way to ${w.paypal_email} through PayPal.`,
+      }),
+    ]);
+    return getWithdrawal(w.id);
+  }
+  const failed = PAYOUT_FAILED.includes(status);
+  await sql`UPDATE withdrawals SET payout_batch_id = ${batchId}, payout_status = ${status ?? null},
+                                   payout_error = ${failed ? `PayPal payout batch ${status}` : null}
+            WHERE id = ${w.id} AND status = 'approved'`;
+  throw new HttpError(502, failed
+    ? `PayPal ${String(status).toLowerCase()} the payout — reject the withdrawal to return the amount`
+    : "PayPal is still processing the payout — check again in a few minutes");
+}
+
+// Approves a pending withdrawal and pays it; returns the updated row. An
+// approved one is only paid again when its last payout failed or never
+// answered, and only after PayPal confirms it has no batch for it — a batch
+// it does have is recorded instead, so a retry can't pay twice. A failed
+// payout stays approved with the error on the row and the route answers 502.
+async function approveWithdrawal(w, admin) {
+  const now = Date.now();
+  if (w.status === "pending") {
+    await sql.transaction([
+      lockStatus(w.id, "pending"),
+      sql`UPDATE withdrawals SET status = 'approved', reviewed_by = ${admin.username}, reviewed_at = ${now}, payout_attempted_at = ${now}
+          WHERE id = ${w.id}`,
+    ]);
+  } else if (w.status === "approved") {
+    if (payoutInFlight(w, now)) throw new HttpError(409, "The payout is still in progress — check again in a few minutes");
+    const batch = await payouts.find(senderBatchId(w));
+    if (batch) return recordPayout(w, batch);
+    // Claims the retry, so two admins can't both send it
+    const claimed = await sql`
+      UPDATE withdrawals SET payout_attempted_at = ${now}, payout_error = NULL
+      WHERE id = ${w.id} AND status = 'approved' AND payout_attempted_at IS NOT DISTINCT FROM ${w.payout_attempted_at ?? null}::bigint
+      RETURNING id
+    `;
+    if (!claimed.length) throw new HttpError(409, "Withdrawal changed — refresh and try again");
+  } else {
+    throw new HttpError(400, `Withdrawal is already ${w.status}`);
+  }
+
+  let batch;
+  try {
+    batch = await payouts.send({
+      senderBatchId: senderBatchId(w),
+      email: w.paypal_email,
+      amount: w.amount,
+      currency: w.currency,
+      note: `Runeterra Wagers withdrawal #${w.id}`,
+    });
+  } catch (e) {
+    await sql`UPDATE withdrawals SET payout_error = ${e.message} WHERE id = ${w.id} AND status = 'approved'`;
+    throw new HttpError(502, e.message);
+  }
+  return recordPayout(w, batch);
+}
+
+// Turns a withdrawal down and puts the held amount back on the player's real
+// balance. An approved one can only be rejected once its payout has stopped —
+// failed, or unanswered for PAYOUT_STALE_MS — and PayPal has no batch for it
+// that went or may still go out.
+async function rejectWithdrawal(w, admin, reason = null) {
+  if (w.status === "approved") {
+    if (payoutInFlight(w)) throw new HttpError(400, "Withdrawal is being paid out");
+    const batch = await payouts.find(senderBatchId(w));
+    if (batch && PAYOUT_SENT.includes(batch.status)) {
+      await recordPayout(w, batch);
+      throw new HttpError(409, "PayPal already paid this withdrawal — it's been marked paid");
+    }
+    if (batch && !PAYOUT_FAILED.includes(batch.status)) throw new HttpError(409, "PayPal is still processing the payout");
+  } else if (w.status !== "pending") {
+    throw new HttpError(400, `Withdrawal is already ${w.status}`);
+  }
+  await sql.transaction([
+    lockUnchanged(w),
+    sql`UPDATE withdrawals SET status = 'rejected', reviewed_by = ${admin.username}, reviewed_at = ${Date.now()}, reject_reason = ${reason}
+        WHERE id = ${w.id}`,
+    postQuery({ username: w.username, currency: "real", amount: w.amount, kind: "withdrawal_reversal", counterAccount: ACCOUNTS.withdrawals,
+                refType: "withdrawal", refId: w.id, memo: "Withdrawal rejected" }),
+    notifyQuery({
+      username: w.username, kind: "withdrawal_rejected", refType: "withdrawal", refId: w.id,
+      title: "Withdrawal rejected",
+      body: `Your ${formatAmount(w.amount, w.currency)} withdrawal was returned to your real balance.${reason ? ` Reason: ${reason}` : ""}`,
+    }),
+  ]);
+  return getWithdrawal(w.id);
+}
+
+// ─── PAYOUT WEBHOOKS ─────────────────────────────────────────────────────────
+// PayPal reports a payout item that didn't reach the player: failed and denied
+// ones never left, returned ones came back (unclaimed, or the account couldn't
+// take it). Whether or not the withdrawal was marked paid yet, the held amount
+// goes back on their real balance and it ends as returned.
+const PAYOUT_ITEM_EVENTS = {
+  "PAYMENT.PAYOUTS-ITEM.FAILED": "failed",
+  "PAYMENT.PAYOUTS-ITEM.DENIED": "denied",
+  "PAYMENT.PAYOUTS-ITEM.RETURNED": "returned",
+};
+
+const isPayoutEvent = (event) => event.event_type in PAYOUT_ITEM_EVENTS;
+
+async function handlePayoutEvent(event) {
+  const r = event.resource || {};
+  const what = PAYOUT_ITEM_EVENTS[event.event_type];
+  const id = /^withdrawal-(\d+)$/.exec(r.payout_item?.sender_item_id || "")?.[1];
+  const [w] = id ? await sql`SELECT * FROM withdrawals WHERE id = ${id}` : [];
+  const ignore = async (outcome) => {
+    await recordEventQuery(event, { withdrawalId: w ? w.id : null, outcome });
+    return { withdrawalId: w ? Number(w.id) : null, outcome, amount: 0, currency: null };
+  };
+  if (!w) return ignore("no_withdrawal");
+  if (w.status !== "approved" && w.status !== "paid") return ignore(`already_${w.status}`);
+
+  await sql.transaction([
+    lockStatus(w.id, w.status),
+    sql`UPDATE withdrawals SET status = 'returned', payout_status = ${r.transaction_status ?? null}, payout_error = ${`PayPal payout ${what}`},
+                               payout_batch_id = COALESCE(payout_batch_id, ${r.payout_batch_id ?? null})
+        WHERE id = ${w.id}`,
+    postQuery({ username: w.username, currency: "real", amount: w.amount, kind: "withdrawal_reversal", counterAccount: ACCOUNTS.withdrawals,
+                refType: "withdrawal", refId: w.id, memo: `PayPal payout ${what}` }),
+    notifyQuery({
+      username: w.username, kind: "withdrawal_returned", refType: "withdrawal", refId: w.id,
+      title: "Withdrawal returned",
+      body: `PayPal couldn't pay your ${formatAmount(w.amount, w.currency)} withdrawal to ${w.paypal_email}, so it's back on your real balance.`,
+    }),
+    recordEventQuery(event, { withdrawalId: w.id, outcome: `returned +${w.amount}` }),
+  ]);
+  return { withdrawalId: Number(w.id), outcome: "returned", amount: w.amount, currency: w.currency };
+}
+
+module.exports = {
+  MIN_WITHDRAWAL,
+  MAX_WITHDRAWAL,
+  serializeWithdrawal,
+  getWithdrawal,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  isPayoutEvent,
+  handlePayoutEvent,
+};
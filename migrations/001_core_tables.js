@@ -0,0 +1,96 @@
+// migrations/001_core_tables.js
+// Players, bets, deposits, redemptions and the email log — the schema initDB
+// used to build, with the columns that were later bolted on through ALTERs
+// folded back in. IF NOT EXISTS lets this run cleanly against a database that
+// initDB already set up.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS users (
+        username      TEXT PRIMARY KEY,
+        password      TEXT NOT NULL,
+        email         TEXT DEFAULT NULL,
+        balance       NUMERIC DEFAULT 500,
+        real_balance  NUMERIC DEFAULT 0,
+        skin_credits  NUMERIC DEFAULT 0,
+        lol_account   TEXT DEFAULT NULL,
+        puuid         TEXT DEFAULT NULL,
+        rank          TEXT DEFAULT NULL,
+        region        TEXT DEFAULT 'euw1',
+        admin_note    TEXT DEFAULT NULL,
+        created_at    BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS bets (
+        id            BIGINT PRIMARY KEY,
+        username      TEXT REFERENCES users(username),
+        amount        NUMERIC NOT NULL,
+        odds          NUMERIC NOT NULL,
+        potential_win NUMERIC NOT NULL,
+        status        TEXT DEFAULT 'pending',
+        placed_at     BIGINT NOT NULL,
+        resolved_at   BIGINT DEFAULT NULL,
+        match_id      TEXT DEFAULT NULL,
+        result        JSONB DEFAULT NULL,
+        mode          TEXT DEFAULT 'virtual',
+        winrate       NUMERIC DEFAULT NULL,
+        games_sampled INTEGER DEFAULT NULL,
+        rake          NUMERIC DEFAULT NULL
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS deposits (
+        id              BIGINT PRIMARY KEY,
+        username        TEXT REFERENCES users(username),
+        amount          NUMERIC NOT NULL,
+        paypal_order_id TEXT NOT NULL,
+        status          TEXT DEFAULT 'completed',
+        created_at      BIGINT NOT NULL
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS skin_redemptions (
+        id          BIGINT PRIMARY KEY,
+        username    TEXT REFERENCES users(username),
+        skin_name   TEXT NOT NULL,
+        rp_cost     INTEGER NOT NULL,
+        credit_cost NUMERIC DEFAULT 0,
+        real_cost   NUMERIC DEFAULT 0,
+        status      TEXT DEFAULT 'pending',
+        created_at  BIGINT NOT NULL
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS email_logs (
+        id SERIAL PRIMARY KEY,
+        username TEXT,
+        recipient TEXT,
+        type TEXT,
+        status TEXT,
+        resend_id TEXT,
+        error TEXT,
+        sent_at BIGINT DEFAULT EXTRACT(EPOCH FROM NOW()) * 1000
+      )
+    `,
+    // Databases created before these columns existed picked them up one ALTER at a time
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS real_balance NUMERIC DEFAULT 0`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS skin_credits NUMERIC DEFAULT 0`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT DEFAULT NULL`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS region TEXT DEFAULT 'euw1'`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS admin_note TEXT DEFAULT NULL`,
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'virtual'`,
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS winrate NUMERIC DEFAULT NULL`,
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS games_sampled INTEGER DEFAULT NULL`,
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS rake NUMERIC DEFAULT NULL`,
+    sql`ALTER TABLE skin_redemptions ADD COLUMN IF NOT EXISTS real_cost NUMERIC DEFAULT 0`,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS email_logs`,
+    sql`DROP TABLE IF EXISTS skin_redemptions`,
+    sql`DROP TABLE IF EXISTS deposits`,
+    sql`DROP TABLE IF EXISTS bets`,
+    sql`DROP TABLE IF EXISTS users`,
+  ],
+};
@@ -0,0 +1,69 @@
+// migrations/002_sessions_and_admins.js
+// Player sessions (lib/session.js), named admin accounts and the append-only
+// admin audit log (lib/admin.js).
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id            TEXT PRIMARY KEY,
+        username      TEXT REFERENCES users(username),
+        refresh_hash  TEXT NOT NULL,
+        created_at    BIGINT NOT NULL,
+        last_used_at  BIGINT NOT NULL,
+        expires_at    BIGINT NOT NULL,
+        revoked_at    BIGINT DEFAULT NULL
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        username    TEXT PRIMARY KEY,
+        password    TEXT NOT NULL,
+        role        TEXT NOT NULL CHECK (role IN ('viewer', 'support', 'finance', 'owner')),
+        created_at  BIGINT NOT NULL,
+        created_by  TEXT DEFAULT NULL,
+        disabled_at BIGINT DEFAULT NULL
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id             TEXT PRIMARY KEY,
+        admin_username TEXT REFERENCES admin_users(username),
+        created_at     BIGINT NOT NULL,
+        expires_at     BIGINT NOT NULL,
+        revoked_at     BIGINT DEFAULT NULL
+      )
+    `,
+    sql`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id             BIGSERIAL PRIMARY KEY,
+        admin_username TEXT NOT NULL,
+        admin_role     TEXT NOT NULL,
+        action         TEXT NOT NULL,
+        target         TEXT DEFAULT NULL,
+        details        JSONB DEFAULT '{}'::jsonb,
+        created_at     BIGINT NOT NULL
+      )
+    `,
+    // Append-only: the audit trail can be read and added to, never rewritten
+    sql`
+      CREATE OR REPLACE FUNCTION admin_audit_log_immutable() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'admin_audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `,
+    sql`
+      CREATE OR REPLACE TRIGGER admin_audit_log_no_rewrite
+      BEFORE UPDATE OR DELETE ON admin_audit_log
+      FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable()
+    `,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS admin_audit_log`,
+    sql`DROP FUNCTION IF EXISTS admin_audit_log_immutable()`,
+    sql`DROP TABLE IF EXISTS admin_sessions`,
+    sql`DROP TABLE IF EXISTS admin_users`,
+    sql`DROP TABLE IF EXISTS sessions`,
+  ],
+};
@@ -0,0 +1,51 @@
+// migrations/003_ledger.js
+// Wallet ledger (lib/ledger.js) and the reject_unless() guard used inside
+// sql.transaction([...]) batches (lib/db.js).
+module.exports = {
+  up: (sql) => [
+    // Raises (and so rolls back the surrounding transaction) when ok is false
+    sql`
+      CREATE OR REPLACE FUNCTION reject_unless(ok BOOLEAN, msg TEXT) RETURNS BOOLEAN AS $$
+      BEGIN
+        IF NOT COALESCE(ok, false) THEN
+          RAISE EXCEPTION '%', msg;
+        END IF;
+        RETURN true;
+      END;
+      $$ LANGUAGE plpgsql
+    `,
+    // Two entries per txn_id, amounts sum to zero
+    sql`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id            BIGSERIAL PRIMARY KEY,
+        txn_id        TEXT NOT NULL,
+        account       TEXT NOT NULL,
+        username      TEXT DEFAULT NULL,
+        currency      TEXT NOT NULL CHECK (currency IN ('virtual', 'real', 'credits')),
+        amount        NUMERIC NOT NULL,
+        balance_after NUMERIC NOT NULL,
+        kind          TEXT NOT NULL,
+        ref_type      TEXT DEFAULT NULL,
+        ref_id        TEXT DEFAULT NULL,
+        memo          TEXT DEFAULT NULL,
+        created_at    BIGINT NOT NULL
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS ledger_entries_username_idx ON ledger_entries (username, id)`,
+    sql`CREATE INDEX IF NOT EXISTS ledger_entries_ref_idx ON ledger_entries (ref_type, ref_id)`,
+    sql`
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        account  TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        balance  NUMERIC NOT NULL DEFAULT 0,
+        PRIMARY KEY (account, currency)
+      )
+    `,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS ledger_accounts`,
+    sql`DROP TABLE IF EXISTS ledger_entries`,
+    sql`DROP FUNCTION IF EXISTS reject_unless(BOOLEAN, TEXT)`,
+  ],
+};
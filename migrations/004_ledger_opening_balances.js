@@ -0,0 +1,15 @@
+// migrations/004_ledger_opening_balances.js
+// Gives players that existed before the ledger an opening entry per wallet.
+// A data migration: openAccounts() only touches players with no entries yet,
+// so it is safe to re-run if it's interrupted half way.
+const { openAccounts } = require("../lib/ledger");
+
+module.exports = {
+  up: async () => {
+    await openAccounts();
+    return [];
+  },
+
+  // Opening entries are history, not schema — rolling back leaves them in place
+  down: () => [],
+};
@@ -0,0 +1,34 @@
+// migrations/005_id_sequences_and_idempotency.js
+// Row id sequences (lib/ids.js) and stored Idempotency-Key responses
+// (lib/idempotency.js).
+module.exports = {
+  up: (sql) => [
+    // Each sequence starts past the Date.now() ids already in use
+    sql`CREATE SEQUENCE IF NOT EXISTS bets_id_seq`,
+    sql`CREATE SEQUENCE IF NOT EXISTS deposits_id_seq`,
+    sql`CREATE SEQUENCE IF NOT EXISTS skin_redemptions_id_seq`,
+    sql`SELECT setval('bets_id_seq', GREATEST((SELECT COALESCE(MAX(id), 0) FROM bets), (SELECT last_value FROM bets_id_seq)))`,
+    sql`SELECT setval('deposits_id_seq', GREATEST((SELECT COALESCE(MAX(id), 0) FROM deposits), (SELECT last_value FROM deposits_id_seq)))`,
+    sql`SELECT setval('skin_redemptions_id_seq', GREATEST((SELECT COALESCE(MAX(id), 0) FROM skin_redemptions), (SELECT last_value FROM skin_redemptions_id_seq)))`,
+    sql`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope         TEXT NOT NULL,
+        key           TEXT NOT NULL,
+        endpoint      TEXT NOT NULL,
+        request_hash  TEXT NOT NULL,
+        status_code   INTEGER DEFAULT NULL,
+        response      JSONB DEFAULT NULL,
+        created_at    BIGINT NOT NULL,
+        completed_at  BIGINT DEFAULT NULL,
+        PRIMARY KEY (scope, key)
+      )
+    `,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS idempotency_keys`,
+    sql`DROP SEQUENCE IF EXISTS skin_redemptions_id_seq`,
+    sql`DROP SEQUENCE IF EXISTS deposits_id_seq`,
+    sql`DROP SEQUENCE IF EXISTS bets_id_seq`,
+  ],
+};
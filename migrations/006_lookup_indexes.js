@@ -0,0 +1,27 @@
+// migrations/006_lookup_indexes.js
+// Indexes for the hot lookups — pending bets per player (bet placement, the
+// cron), bets by match, and the uniqueness the app already assumed: one
+// deposit per PayPal order and one player per League account.
+module.exports = {
+  up: (sql) => [
+    // Existing duplicates would make the unique indexes fail with an opaque
+    // error — stop with something an operator can act on instead
+    sql`SELECT reject_unless(NOT EXISTS (
+          SELECT 1 FROM deposits GROUP BY paypal_order_id HAVING COUNT(*) > 1
+        ), 'Duplicate deposits.paypal_order_id rows exist — resolve them before migrating')`,
+    sql`SELECT reject_unless(NOT EXISTS (
+          SELECT 1 FROM users WHERE puuid IS NOT NULL GROUP BY puuid HAVING COUNT(*) > 1
+        ), 'Several players are linked to the same puuid — unlink the duplicates before migrating')`,
+    sql`CREATE INDEX IF NOT EXISTS bets_username_status_idx ON bets (username, status)`,
+    sql`CREATE INDEX IF NOT EXISTS bets_match_id_idx ON bets (match_id)`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS deposits_paypal_order_id_key ON deposits (paypal_order_id)`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS users_puuid_key ON users (puuid)`,
+  ],
+
+  down: (sql) => [
+    sql`DROP INDEX IF EXISTS users_puuid_key`,
+    sql`DROP INDEX IF EXISTS deposits_paypal_order_id_key`,
+    sql`DROP INDEX IF EXISTS bets_match_id_idx`,
+    sql`DROP INDEX IF EXISTS bets_username_status_idx`,
+  ],
+};
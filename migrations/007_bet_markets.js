@@ -0,0 +1,15 @@
+// migrations/007_bet_markets.js
+// Bets on markets other than the game result (lib/markets.js). Existing bets
+// are all "win" bets. For other markets bets.winrate holds the estimated hit
+// rate the odds were priced from, and games_sampled the games it came from.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS market TEXT NOT NULL DEFAULT 'win'`,
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS line NUMERIC DEFAULT NULL`,
+  ],
+
+  down: (sql) => [
+    sql`ALTER TABLE bets DROP COLUMN IF EXISTS line`,
+    sql`ALTER TABLE bets DROP COLUMN IF EXISTS market`,
+  ],
+};
@@ -0,0 +1,12 @@
+// migrations/008_bet_queues.js
+// The queue a bet is on (QUEUES in lib/riot.js). Every bet so far was on
+// ranked solo/duo.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS queue INTEGER NOT NULL DEFAULT 420`,
+  ],
+
+  down: (sql) => [
+    sql`ALTER TABLE bets DROP COLUMN IF EXISTS queue`,
+  ],
+};
@@ -0,0 +1,19 @@
+// migrations/009_response_cache.js
+// Cached upstream responses (lib/cache.js) — finished matches and Data Dragon
+// champion data, which never change once published.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS response_cache (
+        key         TEXT PRIMARY KEY,
+        body        JSONB NOT NULL,
+        expires_at  BIGINT NOT NULL
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS response_cache_expires_at_idx ON response_cache (expires_at)`,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS response_cache`,
+  ],
+};
@@ -0,0 +1,21 @@
+// migrations/010_api_quotas.js
+// Per-user request counts for rate-limited endpoints (lib/quota.js), one row
+// per user, quota and window.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS api_quotas (
+        username      TEXT NOT NULL,
+        name          TEXT NOT NULL,
+        window_start  BIGINT NOT NULL,
+        count         INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (username, name, window_start)
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS api_quotas_window_start_idx ON api_quotas (window_start)`,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS api_quotas`,
+  ],
+};
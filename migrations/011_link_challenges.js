@@ -0,0 +1,23 @@
+// migrations/011_link_challenges.js
+// Pending account-link challenges (lib/link.js): the Riot account a player
+// claims and the profile icon they have to equip to prove it. One per player.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS link_challenges (
+        username    TEXT PRIMARY KEY,
+        puuid       TEXT NOT NULL,
+        game_name   TEXT NOT NULL,
+        tag_line    TEXT NOT NULL,
+        region      TEXT NOT NULL,
+        icon_id     INTEGER NOT NULL,
+        created_at  BIGINT NOT NULL,
+        expires_at  BIGINT NOT NULL
+      )
+    `,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS link_challenges`,
+  ],
+};
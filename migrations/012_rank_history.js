@@ -0,0 +1,28 @@
+// migrations/012_rank_history.js
+// Ranked snapshots written by the refresh-ranks cron (lib/ranks.js) — one row
+// each time a linked account's tier, division, LP or record moves in a queue.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS rank_history (
+        id           BIGSERIAL PRIMARY KEY,
+        username     TEXT NOT NULL,
+        puuid        TEXT NOT NULL,
+        queue_type   TEXT NOT NULL,
+        tier         TEXT DEFAULT NULL,
+        division     TEXT DEFAULT NULL,
+        lp           INTEGER NOT NULL DEFAULT 0,
+        wins         INTEGER NOT NULL DEFAULT 0,
+        losses       INTEGER NOT NULL DEFAULT 0,
+        recorded_at  BIGINT NOT NULL
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS rank_history_username_queue_idx ON rank_history (username, queue_type, recorded_at DESC)`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS rank_refreshed_at BIGINT DEFAULT NULL`,
+  ],
+
+  down: (sql) => [
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS rank_refreshed_at`,
+    sql`DROP TABLE IF EXISTS rank_history`,
+  ],
+};
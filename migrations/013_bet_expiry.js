@@ -0,0 +1,16 @@
+// migrations/013_bet_expiry.js
+// When a pending bet's game has to have started by (BET_EXPIRY_MS in
+// lib/bets.js, fixed on the bet when it's placed). Open bets from before this
+// get the default two hours from placement, so long-stale ones expire and are
+// refunded on the next resolver run.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS expires_at BIGINT DEFAULT NULL`,
+    sql`UPDATE bets SET expires_at = placed_at + ${2 * 60 * 60 * 1000} WHERE status = 'pending' AND expires_at IS NULL`,
+  ],
+
+  down: (sql) => [
+    sql`UPDATE bets SET status = 'cancelled' WHERE status = 'expired'`,
+    sql`ALTER TABLE bets DROP COLUMN IF EXISTS expires_at`,
+  ],
+};
@@ -0,0 +1,25 @@
+// migrations/014_notifications.js
+// In-app messages to players (lib/notifications.js), shown once and then
+// marked read.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id          BIGSERIAL PRIMARY KEY,
+        username    TEXT NOT NULL,
+        kind        TEXT NOT NULL,
+        title       TEXT NOT NULL,
+        body        TEXT DEFAULT NULL,
+        ref_type    TEXT DEFAULT NULL,
+        ref_id      TEXT DEFAULT NULL,
+        created_at  BIGINT NOT NULL,
+        read_at     BIGINT DEFAULT NULL
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (username, created_at) WHERE read_at IS NULL`,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS notifications`,
+  ],
+};
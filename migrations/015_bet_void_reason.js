@@ -0,0 +1,14 @@
+// migrations/015_bet_void_reason.js
+// Why a bet was voided (voidReason in lib/markets.js) — its game was a remake
+// or the player left or went AFK, so the stake was refunded. Set only on bets
+// with status 'void'.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS void_reason TEXT DEFAULT NULL`,
+  ],
+
+  down: (sql) => [
+    sql`UPDATE bets SET status = 'cancelled' WHERE status = 'void'`,
+    sql`ALTER TABLE bets DROP COLUMN IF EXISTS void_reason`,
+  ],
+};
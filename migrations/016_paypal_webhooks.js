@@ -0,0 +1,36 @@
+// migrations/016_paypal_webhooks.js
+// PayPal webhooks (api/paypal/webhook.js): deposits remember their capture id
+// and how much of them PayPal took back, players whose real balance went
+// negative from a clawback are flagged, and every delivery is recorded once.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS paypal_capture_id TEXT DEFAULT NULL`,
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS clawed_back NUMERIC NOT NULL DEFAULT 0`,
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS disputed NUMERIC NOT NULL DEFAULT 0`,
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS updated_at BIGINT DEFAULT NULL`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS deposits_paypal_capture_id_idx ON deposits (paypal_capture_id) WHERE paypal_capture_id IS NOT NULL`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS flagged_at BIGINT DEFAULT NULL`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS flag_reason TEXT DEFAULT NULL`,
+    sql`
+      CREATE TABLE IF NOT EXISTS paypal_webhook_events (
+        id           TEXT PRIMARY KEY,
+        event_type   TEXT NOT NULL,
+        resource_id  TEXT DEFAULT NULL,
+        deposit_id   BIGINT DEFAULT NULL,
+        outcome      TEXT NOT NULL,
+        received_at  BIGINT NOT NULL
+      )
+    `,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS paypal_webhook_events`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS flag_reason`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS flagged_at`,
+    sql`DROP INDEX IF EXISTS deposits_paypal_capture_id_idx`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS updated_at`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS disputed`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS clawed_back`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS paypal_capture_id`,
+  ],
+};
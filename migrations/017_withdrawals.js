@@ -0,0 +1,33 @@
+// migrations/017_withdrawals.js
+// Cash-outs of real_balance (lib/withdrawals.js). The amount is held off the
+// player's wallet while the request waits for review, and a player can only
+// have one open (pending or approved) request at a time.
+module.exports = {
+  up: (sql) => [
+    sql`CREATE SEQUENCE IF NOT EXISTS withdrawals_id_seq`,
+    sql`
+      CREATE TABLE IF NOT EXISTS withdrawals (
+        id               BIGINT PRIMARY KEY,
+        username         TEXT NOT NULL REFERENCES users(username),
+        amount           NUMERIC NOT NULL,
+        paypal_email     TEXT NOT NULL,
+        status           TEXT NOT NULL DEFAULT 'pending',
+        reviewed_by      TEXT DEFAULT NULL,
+        reviewed_at      BIGINT DEFAULT NULL,
+        reject_reason    TEXT DEFAULT NULL,
+        payout_batch_id  TEXT DEFAULT NULL,
+        payout_error     TEXT DEFAULT NULL,
+        paid_at          BIGINT DEFAULT NULL,
+        created_at       BIGINT NOT NULL
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS withdrawals_username_idx ON withdrawals (username, created_at DESC)`,
+    sql`CREATE INDEX IF NOT EXISTS withdrawals_status_idx ON withdrawals (status, created_at)`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS withdrawals_one_open_idx ON withdrawals (username) WHERE status IN ('pending', 'approved')`,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS withdrawals`,
+    sql`DROP SEQUENCE IF EXISTS withdrawals_id_seq`,
+  ],
+};
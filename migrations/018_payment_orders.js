@@ -0,0 +1,32 @@
+// migrations/018_payment_orders.js
+// Every PayPal order we create (lib/orders.js), keyed by PayPal's order id:
+// what the player asked to deposit, checked against what PayPal actually
+// captured. Orders that never get captured stay 'created' for the
+// reconciliation report.
+module.exports = {
+  up: (sql) => [
+    sql`
+      CREATE TABLE IF NOT EXISTS payment_orders (
+        id               TEXT PRIMARY KEY,
+        username         TEXT NOT NULL REFERENCES users(username),
+        amount           NUMERIC NOT NULL,
+        currency         TEXT NOT NULL,
+        status           TEXT NOT NULL DEFAULT 'created',
+        capture_id       TEXT DEFAULT NULL,
+        captured_amount  NUMERIC DEFAULT NULL,
+        payer_id         TEXT DEFAULT NULL,
+        mismatch         TEXT DEFAULT NULL,
+        refund_id        TEXT DEFAULT NULL,
+        created_at       BIGINT NOT NULL,
+        expires_at       BIGINT NOT NULL,
+        captured_at      BIGINT DEFAULT NULL
+      )
+    `,
+    sql`CREATE INDEX IF NOT EXISTS payment_orders_status_idx ON payment_orders (status, created_at)`,
+    sql`CREATE INDEX IF NOT EXISTS payment_orders_username_idx ON payment_orders (username, created_at DESC)`,
+  ],
+
+  down: (sql) => [
+    sql`DROP TABLE IF EXISTS payment_orders`,
+  ],
+};
@@ -0,0 +1,42 @@
+// migrations/019_currency.js
+// Every row that holds money says which currency it's in (lib/currency.js).
+// Until now real money was EUR everywhere except PayPal, which charged the
+// same number in USD — so existing deposits and orders are recorded as USD
+// paid at a rate of 1, and everything else as EUR. Virtual bets are GOLD.
+// Deposits and orders also keep what PayPal charged next to what was credited.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'`,
+
+    sql`ALTER TABLE bets ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT NULL`,
+    sql`UPDATE bets SET currency = CASE WHEN mode = 'real' THEN 'EUR' ELSE 'GOLD' END WHERE currency IS NULL`,
+
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'`,
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS paypal_amount NUMERIC DEFAULT NULL`,
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS paypal_currency TEXT DEFAULT NULL`,
+    sql`ALTER TABLE deposits ADD COLUMN IF NOT EXISTS fx_rate NUMERIC DEFAULT NULL`,
+    sql`UPDATE deposits SET paypal_amount = amount, paypal_currency = 'USD', fx_rate = 1 WHERE paypal_currency IS NULL`,
+
+    sql`ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS settlement_amount NUMERIC DEFAULT NULL`,
+    sql`ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS settlement_currency TEXT DEFAULT NULL`,
+    sql`ALTER TABLE payment_orders ADD COLUMN IF NOT EXISTS fx_rate NUMERIC DEFAULT NULL`,
+    sql`UPDATE payment_orders SET settlement_amount = amount, settlement_currency = 'EUR', fx_rate = 1 WHERE settlement_currency IS NULL`,
+
+    sql`ALTER TABLE skin_redemptions ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'`,
+    sql`ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'EUR'`,
+  ],
+
+  down: (sql) => [
+    sql`ALTER TABLE withdrawals DROP COLUMN IF EXISTS currency`,
+    sql`ALTER TABLE skin_redemptions DROP COLUMN IF EXISTS currency`,
+    sql`ALTER TABLE payment_orders DROP COLUMN IF EXISTS fx_rate`,
+    sql`ALTER TABLE payment_orders DROP COLUMN IF EXISTS settlement_currency`,
+    sql`ALTER TABLE payment_orders DROP COLUMN IF EXISTS settlement_amount`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS fx_rate`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS paypal_currency`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS paypal_amount`,
+    sql`ALTER TABLE deposits DROP COLUMN IF EXISTS currency`,
+    sql`ALTER TABLE bets DROP COLUMN IF EXISTS currency`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS currency`,
+  ],
+};
@@ -0,0 +1,19 @@
+// migrations/020_payout_tracking.js
+// Withdrawal payouts (lib/withdrawals.js) record when one was last sent and
+// the status PayPal gave its batch, so a lost response can be looked up before
+// anything is retried or refunded. Payout item webhooks are recorded against
+// the withdrawal they're about.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS payout_status TEXT DEFAULT NULL`,
+    sql`ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS payout_attempted_at BIGINT DEFAULT NULL`,
+    sql`UPDATE withdrawals SET payout_attempted_at = reviewed_at WHERE status IN ('approved', 'paid') AND payout_attempted_at IS NULL`,
+    sql`ALTER TABLE paypal_webhook_events ADD COLUMN IF NOT EXISTS withdrawal_id BIGINT DEFAULT NULL`,
+  ],
+
+  down: (sql) => [
+    sql`ALTER TABLE paypal_webhook_events DROP COLUMN IF EXISTS withdrawal_id`,
+    sql`ALTER TABLE withdrawals DROP COLUMN IF EXISTS payout_attempted_at`,
+    sql`ALTER TABLE withdrawals DROP COLUMN IF EXISTS payout_status`,
+  ],
+};
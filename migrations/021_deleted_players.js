@@ -0,0 +1,13 @@
+// migrations/021_deleted_players.js
+// Deleting a player (api/admin.js deletePlayer) anonymises the row instead of
+// removing it, so their ledger entries, deposits and withdrawals still add up.
+// deleted_at marks it; deleted players can't sign in and aren't listed.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at BIGINT DEFAULT NULL`,
+  ],
+
+  down: (sql) => [
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS deleted_at`,
+  ],
+};
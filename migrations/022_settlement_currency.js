@@ -0,0 +1,39 @@
+// migrations/022_settlement_currency.js
+// 019 labelled existing money rows EUR and gave the columns an EUR default. The
+// amounts are in the settlement currency the deployment is configured with
+// (SETTLEMENT_CURRENCY) — set it before migrating — so rows still labelled EUR
+// are relabelled, the defaults go (every insert names its currency) and bets
+// get the NOT NULL the other tables already have. Does nothing to the labels
+// when the settlement currency is EUR.
+const { SETTLEMENT_CURRENCY } = require("../lib/currency");
+
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE users ALTER COLUMN currency DROP DEFAULT`,
+    sql`UPDATE users SET currency = ${SETTLEMENT_CURRENCY} WHERE currency = 'EUR'`,
+
+    sql`UPDATE bets SET currency = CASE WHEN mode = 'real' THEN ${SETTLEMENT_CURRENCY} ELSE 'GOLD' END
+        WHERE currency IS NULL OR (mode = 'real' AND currency = 'EUR')`,
+    sql`ALTER TABLE bets ALTER COLUMN currency SET NOT NULL`,
+
+    sql`ALTER TABLE deposits ALTER COLUMN currency DROP DEFAULT`,
+    sql`UPDATE deposits SET currency = ${SETTLEMENT_CURRENCY} WHERE currency = 'EUR'`,
+
+    sql`UPDATE payment_orders SET settlement_currency = ${SETTLEMENT_CURRENCY} WHERE settlement_currency = 'EUR'`,
+
+    sql`ALTER TABLE skin_redemptions ALTER COLUMN currency DROP DEFAULT`,
+    sql`UPDATE skin_redemptions SET currency = ${SETTLEMENT_CURRENCY} WHERE currency = 'EUR'`,
+
+    sql`ALTER TABLE withdrawals ALTER COLUMN currency DROP DEFAULT`,
+    sql`UPDATE withdrawals SET currency = ${SETTLEMENT_CURRENCY} WHERE currency = 'EUR'`,
+  ],
+
+  // Labels stay as they are — there's no telling which were EUR before
+  down: (sql) => [
+    sql`ALTER TABLE withdrawals ALTER COLUMN currency SET DEFAULT 'EUR'`,
+    sql`ALTER TABLE skin_redemptions ALTER COLUMN currency SET DEFAULT 'EUR'`,
+    sql`ALTER TABLE deposits ALTER COLUMN currency SET DEFAULT 'EUR'`,
+    sql`ALTER TABLE bets ALTER COLUMN currency DROP NOT NULL`,
+    sql`ALTER TABLE users ALTER COLUMN currency SET DEFAULT 'EUR'`,
+  ],
+};
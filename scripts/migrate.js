@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// scripts/migrate.js — run schema migrations against POSTGRES_URL
+//
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- up 5         apply pending migrations up to version 5
+//   npm run migrate -- down         roll back the latest migration
+//   npm run migrate -- down 3       roll back everything above version 3
+//   npm run migrate -- status       list migrations and whether they're applied
+//
+// Run it before deploying code that depends on a new migration.
+
+async function main() {
+  if (!process.env.POSTGRES_URL) throw new Error("POSTGRES_URL not set");
+  // Required after the check — lib/db.js throws on load without a connection string
+  const { migrateUp, migrateDown, migrationStatus } = require("../lib/migrate");
+  const [command = "up", arg] = process.argv.slice(2);
+  const target = arg === undefined ? undefined : Number(arg);
+  if (target !== undefined && !Number.isInteger(target)) throw new Error(`Invalid target version: ${arg}`);
+
+  if (command === "up") {
+    const count = await migrateUp({ target });
+    console.log(count ? `Applied ${count} migration(s)` : "Already up to date");
+  } else if (command === "down") {
+    const count = await migrateDown({ target });
+    console.log(count ? `Rolled back ${count} migration(s)` : "Nothing to roll back");
+  } else if (command === "status") {
+    for (const m of await migrationStatus()) {
+      console.log(`  [${m.applied ? "x" : " "}] ${m.version} ${m.name}`);
+    }
+  } else {
+    throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+}
+
+main().catch((e) => {
+  console.error(`Migration failed: ${e.message}`);
+  process.exit(1);
+});
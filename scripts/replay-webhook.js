@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// scripts/replay-webhook.js — run a recorded PayPal webhook payload through
+// api/paypal/webhook.js locally, signed for the local verification stand-in
+// (lib/paypal.js) instead of PayPal's
+//
+//   PAYPAL_WEBHOOK_VERIFY=local PAYPAL_WEBHOOK_LOCAL_SECRET=dev \
+//     npm run replay-webhook -- scripts/webhooks/payment-capture-refunded.json [captureId]
+//
+// captureId points the payload at one of your deposits (its paypal_capture_id)
+// in place of the recorded one. Each replay gets a fresh event id, so the same
+// file can be replayed more than once. It writes to POSTGRES_URL — use a dev database.
+const fs = require("fs");
+const path = require("path");
+
+// The capture every recorded payload in scripts/webhooks refers to
+const RECORDED_CAPTURE_ID = "2GG279541U471931P";
+
+async function main() {
+  if (!process.env.POSTGRES_URL) throw new Error("POSTGRES_URL not set");
+  if (process.env.PAYPAL_WEBHOOK_VERIFY !== "local") throw new Error("Set PAYPAL_WEBHOOK_VERIFY=local to replay payloads");
+  const secret = process.env.PAYPAL_WEBHOOK_LOCAL_SECRET;
+  if (!secret) throw new Error("PAYPAL_WEBHOOK_LOCAL_SECRET not set");
+
+  const [file, captureId] = process.argv.slice(2);
+  if (!file) throw new Error("Usage: node scripts/replay-webhook.js <payload.json> [captureId]");
+  let raw = fs.readFileSync(path.resolve(file), "utf8");
+  if (captureId) raw = raw.split(RECORDED_CAPTURE_ID).join(captureId);
+  const event = { ...JSON.parse(raw), id: `WH-REPLAY-${Date.now()}` };
+
+  // Required after the checks — lib/db.js throws on load without a connection string
+  const { localSignature } = require("../lib/paypal");
+  const handler = require("../api/paypal/webhook");
+
+  const req = { method: "POST", headers: { "paypal-transmission-sig": localSignature(event, secret) }, body: event };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { console.log(`${this.statusCode} ${JSON.stringify(body, null, 2)}`); return this; },
+  };
+  await handler(req, res);
+  if (res.statusCode >= 400) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(`Replay failed: ${e.message}`);
+  process.exit(1);
+});
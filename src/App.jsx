@@ -1,12 +1,17 @@
 import { useState, useEffect, useCallback, useRef } from "react";
+import { toMinor, fromMinor, toDecimal, betPayout } from "../lib/money.mjs";
 
 // ─── CONSTANTS ───────────────────────────────────────────────────────────────
 const STARTING_BALANCE = 500;
-const spendableBalance = (balance) => Math.max(0, balance - STARTING_BALANCE);
-const MAX_BET = 30; // virtual only
-const MAX_REAL_BET = 1.00; // $1 max for real money
+const spendableBalance = (balance) => Math.max(0, balance - goldMinor(STARTING_BALANCE));
+const MAX_BET = 30; // virtual only, in gold — toMinor'd where it's used
+const MAX_REAL_BET = 1.00; // max for real money, in the settlement currency
 const RAKE = 0.05; // 5%
 // API key is handled server-side via /api/riot
+// Sandbox builds only (`vite build --mode sandbox`) — MODE is a build-time
+// constant, so every other build leaves the dev tools out entirely. The API
+// side is SANDBOX_MODE in api/debug.js.
+const SANDBOX_MODE = import.meta.env.MODE === "sandbox";
 
 // ─── HELPERS ─────────────────────────────────────────────────────────────────
 const getRankTier = (rankStr) => {
@@ -19,6 +24,7 @@ const getRankTier = (rankStr) => {
 // House edge: 15% → multiplier = (1 / win_prob) * 0.85
 // Clamped between 1.20x (dominant) and 3.00x (struggling)
 // No winrate data → 1.70x default (balanced, 15% edge at 50% WR)
+// Display only — api/bet.js runs the same formula and its value is what gets paid
 const getOdds = (winrate) => {
   if (winrate == null) return 1.70;
   const winProb = Math.max(0.25, Math.min(0.80, winrate / 100));
@@ -26,6 +32,53 @@ const getOdds = (winrate) => {
   return Math.round(Math.max(1.20, Math.min(3.00, raw)) * 100) / 100;
 };
 
+// ─── REGIONS ─────────────────────────────────────────────────────────────────
+// Platforms a player can link from — mirrors REGIONS in lib/regions.js (the
+// server picks the routing cluster for each)
+const RIOT_REGIONS = [
+  ["na1", "NA"], ["br1", "BR"], ["la1", "LAN"], ["la2", "LAS"],
+  ["euw1", "EUW"], ["eun1", "EUNE"], ["tr1", "TR"], ["ru", "RU"], ["me1", "ME"],
+  ["kr", "KR"], ["jp1", "JP"],
+  ["oc1", "OCE"], ["sg2", "SEA"], ["tw2", "TW"], ["vn2", "VN"],
+];
+const DEFAULT_REGION = "euw1";
+
+// ─── QUEUES ──────────────────────────────────────────────────────────────────
+// Queues a bet can ride on — mirrors QUEUES in lib/riot.js. Ranked queues
+// price "win" bets off the league record, the rest off recent games.
+const BET_QUEUES = [
+  { id: 420, label: "Ranked Solo/Duo", short: "SOLO/DUO", ranked: true },
+  { id: 440, label: "Ranked Flex",     short: "FLEX",     ranked: true },
+  { id: 700, label: "Clash",           short: "CLASH" },
+  { id: 400, label: "Normal Draft",    short: "NORMAL" },
+  { id: 450, label: "ARAM",            short: "ARAM" },
+];
+const queueInfo = (id) => BET_QUEUES.find(q => q.id === (id || 420)) || BET_QUEUES[0];
+
+// ─── BET MARKETS ─────────────────────────────────────────────────────────────
+// What a bet can be on — mirrors MARKETS in lib/markets.js (labels, lines and
+// which are virtual only; the server prices and settles every market)
+const BET_MARKETS = [
+  { id: "win",             label: "Win the game" },
+  { id: "kda_over",        label: "KDA over",          lines: [2, 3, 4, 5],           defaultLine: 3 },
+  { id: "kills_over",      label: "Kills over",        lines: [3.5, 5.5, 7.5, 10.5], defaultLine: 5.5 },
+  { id: "kills_under",     label: "Kills under",       lines: [3.5, 5.5, 7.5, 10.5], defaultLine: 5.5, virtualOnly: true },
+  { id: "cs_per_min_over", label: "CS/min over",       lines: [5, 6, 7, 8],           defaultLine: 6 },
+  { id: "short_game",      label: "Game under 25 min", virtualOnly: true },
+  { id: "first_blood",     label: "Get first blood" },
+];
+
+// "KDA over 3", "Win the game" — for slips, history and the result screen
+const describeMarket = (bet) => {
+  const m = BET_MARKETS.find(x => x.id === (bet.market || "win"));
+  if (!m) return bet.market;
+  return m.lines && bet.line != null ? `${m.label} ${bet.line}` : m.label;
+};
+
+// Why a game didn't count and the bet was refunded — mirrors VOID_REASONS in lib/markets.js
+const VOID_REASONS = { remake: "Remake", left: "Left the game", afk: "AFK" };
+const voidLabel = (bet) => VOID_REASONS[bet.voidReason] || "Game didn't count";
+
 // Winrate label for UI — describes the tier in plain english
 const getOddsLabel = (winrate) => {
   if (winrate == null) return "No data";
@@ -47,8 +100,45 @@ const WR_BRACKETS = [
   { label: "< 42% WR",  range: "<42%",    odds: getOdds(38), desc: "High Risk"    },
 ];
 
-const formatMoney = (n) => `$${Number(n).toFixed(2)}`;   // virtual gold (fake $)
-const formatEUR   = (n) => `€${Number(n).toFixed(2)}`;   // real balance & credits (EUR)
+// ─── MONEY ───────────────────────────────────────────────────────────────────
+// The API sends every amount as { minor, currency } — an integer count of
+// cents (or the currency's smallest unit) and its code (lib/currency.js).
+// readJson keeps the integer, and that's what state holds: amounts in the
+// client are minor units, added and compared as integers, and only become
+// decimals in the format helpers below when they're shown. What the player
+// types, and the limits written in units above, go through toMinor first.
+// Payouts are worked out with lib/money.mjs, the same as the API does.
+//
+// Real balances are all in the server's one settlement currency, so the first
+// realBalance that comes in (the player's own, or the admin's player list)
+// says which that is. PayPal charges can be in another — those are shown with
+// their own code (formatIn).
+let realCurrency = "EUR";
+const minorDigitCache = { GOLD: 2 };
+const minorDigits = (currency) => {
+  if (!(currency in minorDigitCache)) {
+    minorDigitCache[currency] = new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+  }
+  return minorDigitCache[currency];
+};
+const isMoney = (v) => v !== null && typeof v === "object" && Number.isInteger(v.minor) && typeof v.currency === "string" && Object.keys(v).length === 2;
+const readJson = async (res) => JSON.parse(await res.text(), (key, v) => {
+  if (!isMoney(v)) return v;
+  if (key === "realBalance") realCurrency = v.currency;
+  return v.minor;
+});
+
+// Units (typed, or a limit above) → minor units; NaN when it isn't a number
+const goldMinor = (units) => toMinor(units, minorDigits("GOLD"));
+const realMinor = (units) => toMinor(units, minorDigits(realCurrency));
+// Minor units → "12.50", for requests and inputs
+const goldDecimal = (minor) => toDecimal(minor || 0, minorDigits("GOLD"));
+const realDecimal = (minor) => toDecimal(minor || 0, minorDigits(realCurrency));
+
+const formatMoney = (minor) => `$${goldDecimal(minor)}`;   // virtual gold (fake $)
+const formatReal  = (minor) => new Intl.NumberFormat("en-IE", { style: "currency", currency: realCurrency }).format(fromMinor(minor || 0, minorDigits(realCurrency)));   // real balance & credits
+const formatIn    = (minor, currency) => `${toDecimal(minor || 0, minorDigits(currency))} ${currency}`;   // PayPal's currency
+const realSymbol  = () => formatReal(0).replace(/[\d.,\s]/g, "");
 
 const timeAgo = (ts) => {
   const diff = Date.now() - ts;
@@ -60,53 +150,120 @@ const timeAgo = (ts) => {
   return `${Math.floor(h / 24)}d ago`;
 };
 
-// ─── STORAGE HELPERS ─────────────────────────────────────────────────────────
-const apiCall = async (endpoint, body) => {
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body)
+// ─── SESSION ─────────────────────────────────────────────────────────────────
+// { token, expiresAt, refreshToken, refreshExpiresAt } from /api/auth.
+// Kept in localStorage only when "remember me" is ticked, otherwise in memory.
+const SESSION_KEY = "rw_session";
+let session = (() => {
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY)); } catch { return null; }
+})();
+
+const saveSession = (next, remember = !!localStorage.getItem(SESSION_KEY)) => {
+  session = next;
+  if (remember) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+  else localStorage.removeItem(SESSION_KEY);
+};
+
+const clearSession = () => {
+  session = null;
+  localStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem("rw_session_user");
+};
+
+// Refresh tokens rotate on every use, so concurrent 401s share one refresh call
+let refreshing = null;
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = fetch("/api/auth", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ action: "refresh", refreshToken: session?.refreshToken })
+    })
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok || !data.session) throw new Error(data.error || "Session expired");
+        saveSession(data.session);
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+};
+
+// fetch() with the session token attached — retries once after refreshing on 401.
+// If the refresh fails too (or it's an admin session, which can't refresh),
+// the session is gone and App drops back to the login page.
+const authFetch = async (url, options = {}) => {
+  const send = () => fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...(session?.token ? { Authorization: `Bearer ${session.token}` } : {}) }
   });
-  const data = await res.json();
-  if (!res.ok) throw new Error(data.error || "Request failed");
-  return data;
+  let res = await send();
+  if (res.status === 401 && session) {
+    try {
+      if (!session.refreshToken) throw new Error("Session expired");
+      await refreshSession();
+      res = await send();
+    } catch (_) {
+      clearSession();
+      window.dispatchEvent(new Event("rw:session-expired"));
+    }
+  }
+  return res;
+};
+
+// ─── STORAGE HELPERS ─────────────────────────────────────────────────────────
+// Mutating calls (any action that isn't a get*, outside /api/auth) carry an Idempotency-Key.
+// The key belongs to the user action — endpoint + body — until the server gives
+// a definite answer, so a resend after a dropped connection (automatic, or the
+// player clicking again) replays the first request instead of charging twice.
+const pendingKeys = new Map();
+
+const apiCall = async (endpoint, body, { retries = 2 } = {}) => {
+  const mutating = endpoint !== "/api/auth" && !String(body?.action || "").startsWith("get");
+  const fingerprint = `${endpoint} ${JSON.stringify(body)}`;
+  if (mutating && !pendingKeys.has(fingerprint)) pendingKeys.set(fingerprint, crypto.randomUUID());
+  const key = mutating ? pendingKeys.get(fingerprint) : null;
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await authFetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(key ? { "Idempotency-Key": key } : {}) },
+        body: JSON.stringify(body)
+      });
+    } catch (e) {
+      // Network error — only safe to resend because the key turns it into a replay
+      if (key && attempt < retries) { await new Promise(r => setTimeout(r, 500 * (attempt + 1))); continue; }
+      throw e;
+    }
+    // 409 = first attempt still running, 5xx = server released the key; either way keep it for the retry
+    if (key && res.status < 500 && res.status !== 409) pendingKeys.delete(fingerprint);
+    const data = await readJson(res);
+    if (!res.ok) throw new Error(data.error || "Request failed");
+    return data;
+  }
 };
 
 // ─── RIOT API ────────────────────────────────────────────────────────────────
+// 404 (no such account / not in that game) comes back as null
 const riotAPI = async (params) => {
   const qs = new URLSearchParams(params).toString();
-  const res = await fetch(`/api/riot?${qs}`);
-  if (!res.ok) throw new Error(`Riot API error (${res.status})`);
-  return res.json();
+  const res = await authFetch(`/api/riot?${qs}`);
+  if (res.status === 404) return null;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Riot API error (${res.status})`);
+  return data;
 };
 
+// "GOLD II" from a rank_history snapshot (see lib/ranks.js)
+const rankLabel = (snap) => (snap?.tier ? `${snap.tier} ${snap.division}` : "UNRANKED");
+
 const riot = {
-  async getSummonerByName(gameName, tagLine) {
-    return riotAPI({ action: "account", gameName, tagLine });
+  // The signed-in player's summoner, ranks and top champions in one call
+  async getProfile() {
+    return riotAPI({ action: "profile" });
   },
-  async getRankedInfo(puuid, region) {
-    // Use puuid directly - no summoner id needed
-    const rankData = await riotAPI({ action: "rank", puuid, region });
-    if (!Array.isArray(rankData)) return "UNRANKED";
-    const soloQ = rankData.find(e => e.queueType === "RANKED_SOLO_5x5");
-    return soloQ ? `${soloQ.tier} ${soloQ.rank}` : "UNRANKED";
-  },
-  async getLastMatchResult(puuid, region) {
-    const matchIds = await riotAPI({ action: "matchlist", puuid, region });
-    if (!Array.isArray(matchIds) || !matchIds.length) throw new Error("No ranked matches found");
-    const match = await riotAPI({ action: "match", matchId: matchIds[0], region });
-    const participant = match.info.participants.find(p => p.puuid === puuid);
-    if (!participant) throw new Error("Could not find your data in the match");
-    return {
-      matchId: matchIds[0],
-      win: participant.win,
-      champion: participant.championName,
-      kills: participant.kills,
-      deaths: participant.deaths,
-      assists: participant.assists,
-      gameEndTimestamp: match.info.gameEndTimestamp
-    };
-  }
 }
 
 // ─── COMPONENTS ──────────────────────────────────────────────────────────────
@@ -369,9 +526,11 @@ function AuthPage({ onLogin }) {
     setLoading(true); setError("");
     try {
       const data = await apiCall("/api/auth", { action: mode === "register" ? "register" : "login", username: username.trim(), password, email: email.trim() || undefined });
+      if (data.session) saveSession(data.session, rememberMe);
       if (rememberMe) {
         localStorage.setItem("rw_saved_username", username.trim());
-        localStorage.setItem("rw_session_user", JSON.stringify(data.user));
+        // Notifications are shown once — the cached copy mustn't replay them on the next visit
+        localStorage.setItem("rw_session_user", JSON.stringify({ ...data.user, notifications: [] }));
       } else {
         localStorage.removeItem("rw_saved_username");
         localStorage.removeItem("rw_session_user");
@@ -935,7 +1094,7 @@ function getAccountPhrase(profile, rank) {
 }
 
 // ─── LINKED PLAYER CARD ───────────────────────────────────────────────────────
-function LinkedPlayerCard({ user, setUser, region }) {
+function LinkedPlayerCard({ user, setUser, toast }) {
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -949,41 +1108,35 @@ function LinkedPlayerCard({ user, setUser, region }) {
   const loadProfile = async () => {
     setLoading(true);
     try {
-      // Fetch all in parallel
-      const [summoner, rankData, masteryRaw, champData] = await Promise.all([
-        riotAPI({ action: "summoner", puuid: user.puuid, region }),
-        riotAPI({ action: "rank", puuid: user.puuid, region }),
-        riotAPI({ action: "mastery", puuid: user.puuid, region }),
-        riotAPI({ action: "championdata" }),
+      const [data, ranked] = await Promise.all([
+        riot.getProfile(),
+        apiCall("/api/user", { action: "getRankHistory", limit: 1 }),
       ]);
+      if (!data) throw new Error("Summoner not found");
 
-      // Ranked stats
-      const soloQ = Array.isArray(rankData)
-        ? rankData.find(e => e.queueType === "RANKED_SOLO_5x5")
-        : null;
+      // Ranked stats — the latest snapshot the rank refresh job stored
+      const soloQ = ranked.current.RANKED_SOLO_5x5;
       const wins = soloQ?.wins || 0;
       const losses = soloQ?.losses || 0;
       const winrate = wins + losses > 0 ? Math.round((wins / (wins + losses)) * 100) : null;
 
-      // Top champions with names resolved
-      const topChamps = Array.isArray(masteryRaw)
-        ? masteryRaw.slice(0, 3).map(m => ({
-            name: champData.idToKey?.[String(m.championId)] || "Unknown",
-            points: m.championPoints,
-            level: m.championLevel,
-          }))
-        : [];
+      // Top champions, names resolved server-side
+      const topChamps = data.topChampions.map(m => ({
+        name: m.champion || "Unknown",
+        points: m.points,
+        level: m.level,
+      }));
 
       const profileData = {
-        iconId: summoner.profileIconId,
-        level: summoner.summonerLevel,
-        version: champData.version || DDRAGON_VERSION,
+        iconId: data.iconId,
+        level: data.level,
+        version: data.ddragonVersion || DDRAGON_VERSION,
         wins,
         losses,
         winrate,
         topChamps,
-        rank: soloQ ? `${soloQ.tier} ${soloQ.rank}` : "UNRANKED",
-        lp: soloQ?.leaguePoints ?? null,
+        rank: soloQ ? rankLabel(soloQ) : user.rank || "UNRANKED",
+        lp: soloQ?.tier ? soloQ.lp : null,
       };
       profileData.phrase = getAccountPhrase(profileData, profileData.rank);
       setProfile(profileData);
@@ -994,8 +1147,12 @@ function LinkedPlayerCard({ user, setUser, region }) {
   };
 
   const unlink = async () => {
-    const data = await apiCall("/api/user", { action: "unlinkAccount", username: user.username });
-    setUser(data.user);
+    try {
+      const data = await apiCall("/api/user", { action: "unlinkAccount" });
+      setUser(data.user);
+    } catch (e) {
+      toast(e.message, "error");
+    }
   };
 
   const v = profile?.version || DDRAGON_VERSION;
@@ -1152,8 +1309,7 @@ function LinkedPlayerCard({ user, setUser, region }) {
 }
 
 // ─── LINK LOL ACCOUNT ────────────────────────────────────────────────────────
-// Default starter icon IDs every LoL account owns (0-28)
-const STARTER_ICONS = [0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28];
+// The server picks the verification icon from the starter icons every account owns
 const getIconUrl = (id) => `https://raw.communitydragon.org/latest/plugins/rcp-be-lol-game-data/global/default/v1/profile-icons/${id}.jpg`;
 
 function LinkAccount({ user, setUser, region, setRegion, toast }) {
@@ -1165,20 +1321,15 @@ function LinkAccount({ user, setUser, region, setRegion, toast }) {
   const [pendingAccount, setPendingAccount] = useState(null);
   const [requiredIconId, setRequiredIconId] = useState(null);
 
+  // The server looks the Riot ID up and picks the icon; it also does the
+  // checking and the linking, so nothing here decides whether the link goes through
   const startLink = async () => {
     if (!gameName || !tagLine) return toast("Enter your Riot ID and tag", "error");
     setLoading(true);
     try {
-      const account = await riot.getSummonerByName(gameName, tagLine);
-      if (!account || !account.puuid) throw new Error("Account not found. Check your Riot ID and Tag.");
-      
-      // Check if this LoL account is already linked to another user
-      // Duplicate check handled server-side in /api/user
-
-      // Pick a random starter icon for verification
-      const iconId = STARTER_ICONS[Math.floor(Math.random() * STARTER_ICONS.length)];
-      setPendingAccount({ ...account, gameName, tagLine });
-      setRequiredIconId(iconId);
+      const { challenge } = await apiCall("/api/user", { action: "startLink", gameName, tagLine, region });
+      setPendingAccount(challenge);
+      setRequiredIconId(challenge.iconId);
       setStep("verify");
     } catch (e) {
       toast(`Error: ${e.message}`, "error");
@@ -1189,26 +1340,9 @@ function LinkAccount({ user, setUser, region, setRegion, toast }) {
   const verifyAndLink = async () => {
     setLoading(true);
     try {
-      // Fetch current profile icon via summoner endpoint
-      const summoner = await riotAPI({ action: "summoner", puuid: pendingAccount.puuid, region });
-      if (!summoner || summoner.profileIconId === undefined) throw new Error("Could not fetch your profile. Try again.");
-      
-      if (summoner.profileIconId !== requiredIconId) {
-        throw new Error(`Wrong icon! You currently have icon #${summoner.profileIconId} equipped. Please equip icon #${requiredIconId} in the League client first.`);
-      }
-
-      // Icon matches · link the account
-      const rank = await riot.getRankedInfo(pendingAccount.puuid, region);
-      const data = await apiCall("/api/user", {
-        action: "linkAccount",
-        username: user.username,
-        lolAccount: `${pendingAccount.gameName}#${pendingAccount.tagLine}`,
-        puuid: pendingAccount.puuid,
-        rank,
-        region,
-      });
+      const data = await apiCall("/api/user", { action: "verifyLink" });
       setUser(data.user);
-      toast(`Verified! Account linked. Rank: ${rank}`, "success");
+      toast(`Verified! Account linked. Rank: ${data.user.rank}`, "success");
       setStep("input");
     } catch (e) {
       toast(`Verification failed: ${e.message}`, "error");
@@ -1216,14 +1350,15 @@ function LinkAccount({ user, setUser, region, setRegion, toast }) {
     setLoading(false);
   };
 
-  if (user.lolAccount) return <LinkedPlayerCard user={user} setUser={setUser} region={region} />;
+  if (user.lolAccount) return <LinkedPlayerCard user={user} setUser={setUser} toast={toast} />;
 
   if (step === "verify" && pendingAccount && requiredIconId !== null) return (
     <div style={{ background: "#242428", border: "1px solid #C8AA6E44", borderRadius: 4, padding: 24 }}>
       <div style={{ fontSize: 10, letterSpacing: 3, color: "#C8AA6E", marginBottom: 16 }}>VERIFY ACCOUNT OWNERSHIP</div>
       <p style={{ color: "#FFFFFF88", fontSize: 13, fontFamily: "DM Sans, sans-serif", marginBottom: 20 }}>
         To prove you own <strong style={{color:"#C8AA6E"}}>{pendingAccount.gameName}#{pendingAccount.tagLine}</strong>, 
-        set this icon as your profile picture in the League client, then click Verify:
+        set this icon as your profile picture in the League client, then click Verify
+        before {new Date(pendingAccount.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}:
       </p>
       <div style={{ display: "flex", alignItems: "center", gap: 20, marginBottom: 24, background: "#1A1A1E", padding: 16, borderRadius: 4, border: "1px solid #C8AA6E33" }}>
         <img 
@@ -1275,10 +1410,7 @@ function LinkAccount({ user, setUser, region, setRegion, toast }) {
         />
         <select value={region} onChange={e => setRegion(e.target.value)}
           style={{ background: "#1A1A1E", border: "1px solid #35353A", color: "#F0F0F0", padding: "10px 12px", borderRadius: 3, fontFamily: "Barlow Condensed, sans-serif", fontSize: 13 }}>
-          <option value="euw1">EUW</option>
-          <option value="na1">NA</option>
-          <option value="kr">KR</option>
-          <option value="br1">BR</option>
+          {RIOT_REGIONS.map(([key, short]) => <option key={key} value={key}>{short}</option>)}
         </select>
         <button onClick={startLink} disabled={loading} style={{
           background: "#C8AA6E", color: "#010A13", border: "none", padding: "10px 20px",
@@ -1292,45 +1424,119 @@ function LinkAccount({ user, setUser, region, setRegion, toast }) {
   );
 }
 
-// ─── PLACE BET ───────────────────────────────────────────────────────────────
+// ─── BET SLIP ────────────────────────────────────────────────────────────────
+// Every open wager, oldest first. Bets take games in their queue in the order
+// they were placed: the next solo/duo game settles the oldest solo/duo bet,
+// the one after that the next, and so on — each queue on its own.
+const getOpenBets = (user) =>
+  (user.bets || []).filter(b => b.status === "pending").sort((a, b) => a.placedAt - b.placedAt || a.id - b.id);
+
+function BetSlip({ bets, max }) {
+  if (!bets.length) return null;
+  return (
+    <div style={{ background: "#1A1A1E", border: "1px solid #C8AA6E33", borderRadius: 3, padding: 16, marginBottom: 20 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 10 }}>
+        <div style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>BET SLIP</div>
+        <div style={{ fontSize: 11, color: "#C8AA6E" }}>{bets.length}/{max} open</div>
+      </div>
+      {bets.map((b, i) => {
+        const isReal = b.mode === "real";
+        const accent = isReal ? "#4ade80" : "#C8AA6E";
+        const inQueue = bets.slice(0, i).filter(x => x.queue === b.queue).length; // bets ahead of it in the same queue
+        return (
+          <div key={b.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "8px 0", borderTop: i ? "1px solid #2D2D32" : "none" }}>
+            <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: accent, animation: inQueue === 0 ? "pulse 1.5s ease-in-out infinite" : "none" }} />
+            <div style={{ flex: 1 }}>
+              <div style={{ color: "#F0F0F0", fontSize: 14, fontWeight: 700 }}>
+                {inQueue === 0 ? "Next" : `Game ${inQueue + 1}`} {queueInfo(b.queue).short} · {isReal ? formatReal(b.amount) : formatMoney(b.amount)}
+                <span style={{ color: accent, fontSize: 11, fontWeight: 400, marginLeft: 8 }}>{isReal ? "REAL" : "VIRTUAL"} · {b.odds}x</span>
+              </div>
+              <div style={{ color: "#A0A0A8", fontSize: 12 }}>{describeMarket(b)} · placed {timeAgo(b.placedAt)}</div>
+            </div>
+            <div style={{ textAlign: "right", fontSize: 13 }}>
+              {isReal
+                ? <><span style={{ color: "#4ade80", fontWeight: 700 }}>{formatReal(b.amount)}</span> + <span style={{ color: "#a78bfa", fontWeight: 700 }}>{formatReal(b.potentialWin - b.amount)}</span></>
+                : <span style={{ color: "#0BC4AA", fontWeight: 700 }}>{formatMoney(b.potentialWin)}</span>
+              }
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
 
 // ─── PLACE BET (UPDATED — supports virtual and real money modes) ──────────────
 function PlaceBet({ user, setUser, toast, betMode }) {
-  const [amount, setAmount] = useState(betMode === "real" ? 1 : 10);
+  const isReal = betMode === "real";
+  // The stake in minor units; the inputs show it in units
+  const digits = minorDigits(isReal ? realCurrency : "GOLD");
+  const minor = (units) => toMinor(units, digits);
+  const [amount, setAmount] = useState(() => minor(isReal ? 1 : 10));
   const [loading, setLoading] = useState(false);
 
-  const isReal = betMode === "real";
-  const maxBet = isReal ? MAX_REAL_BET : MAX_BET;
-  const activeBet = user.bets?.find(b => b.status === "pending");
-  const odds = getOdds(user.winrate);
-  const rake = isReal ? 0 : RAKE; // no rake on real bets — stake returned + profit split
-  const potentialWin = isReal
-    ? (amount * odds).toFixed(2) // full payout shown (stake back + profit as credits)
-    : ((amount * odds) * (1 - RAKE)).toFixed(2);
+  const [quote, setQuote] = useState(null);
+  const [queue, setQueue] = useState(420);
+  const [market, setMarket] = useState("win");
+  const [line, setLine] = useState(null);
+
+  const maxBet = minor(isReal ? MAX_REAL_BET : MAX_BET);
+  const minBet = minor(isReal ? 0.10 : 1);
+  const fmt = isReal ? formatReal : formatMoney;
+  const openBets = getOpenBets(user);
+  const maxOpenBets = user.maxOpenBets || 1;
+  const slipFull = openBets.length >= maxOpenBets;
+  const queuedAhead = openBets.filter(b => b.queue === queue).length;
+  const marketDef = BET_MARKETS.find(m => m.id === market);
+
+  const pickMarket = (m) => {
+    setMarket(m.id);
+    setLine(m.lines ? m.defaultLine : null);
+  };
+
+  // Odds are priced server-side — from the queue's league record for "win" on
+  // ranked, from the player's recent games in the queue for everything else.
+  // This is only a preview, /api/bet recomputes them when the bet is placed.
+  useEffect(() => {
+    setQuote(null);
+    if (!user.puuid) return;
+    apiCall("/api/bet", { action: "getOdds", mode: betMode, market, line, queue })
+      .then(data => setQuote(data.quote))
+      .catch(() => setQuote(null));
+  }, [user.puuid, betMode, market, line, queue]);
+
+  const soloWin = market === "win" && queue === 420; // the only case user.winrate describes
+  const winrate = quote ? quote.winrate : soloWin ? user.winrate : null;
+  const odds = quote ? quote.odds : getOdds(soloWin ? user.winrate : null);
+  const rake = quote ? quote.rake : (isReal ? 0 : RAKE); // no rake on real bets — stake returned + profit split
+  // Rounded exactly as /api/bet will (betPayout in lib/money.mjs)
+  const potentialWin = betPayout(amount, odds, rake).payout;
   const availableBalance = isReal ? user.realBalance : user.balance;
 
   const place = async () => {
     if (!user.lolAccount) return toast("Link your LoL account first", "error");
-    if (activeBet) return toast("You already have an active bet!", "error");
-    if (amount > maxBet) return toast(`Max bet is €${maxBet.toFixed(2)}`, "error");
+    if (slipFull) return toast(`Your bet slip is full — at most ${maxOpenBets} open bets`, "error");
+    if (amount > maxBet) return toast(`Max bet is ${fmt(maxBet)}`, "error");
     if (amount > availableBalance) return toast(`Insufficient ${isReal ? "real" : "virtual"} balance`, "error");
-    if (amount < (isReal ? 0.10 : 1)) return toast(`Minimum bet is ${isReal ? "€0.10" : "$1"}`, "error");
+    if (amount < minBet) return toast(`Minimum bet is ${fmt(minBet)}`, "error");
 
     setLoading(true);
     try {
       const data = await apiCall("/api/bet", {
         action: "placeBet",
-        username: user.username,
-        amount: Number(amount),
-        odds,
-        potentialWin: Number(potentialWin),
-        mode: betMode
+        amount: toDecimal(amount, digits),
+        mode: betMode,
+        market,
+        line,
+        queue
       });
       setUser(data.user);
+      const placed = getOpenBets(data.user).pop();
+      const payout = placed ? placed.potentialWin : potentialWin;
       const winMsg = isReal
-        ? `€${amount} back + €${(potentialWin - amount).toFixed(2)} skin credits`
-        : `$${potentialWin}`;
-      toast(`Bet placed! Win to earn ${winMsg}`, "success");
+        ? `${formatReal(amount)} back + ${formatReal(payout - amount)} skin credits`
+        : formatMoney(payout);
+      toast(`Bet placed on "${describeMarket({ market, line })}" in ${queueInfo(queue).label}! Win to earn ${winMsg}`, "success");
     } catch(e) {
       toast(e.message, "error");
     }
@@ -1343,26 +1549,17 @@ function PlaceBet({ user, setUser, toast, betMode }) {
   return (
     <div style={{ background: "#242428", border: `1px solid ${isReal ? "#4ade8033" : "#2D2D32"}`, borderRadius: 4, padding: 24 }}>
       <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 20 }}>
-        <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8" }}>PLACE BET · NEXT RANKED GAME</div>
+        <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8" }}>PLACE BET · {queuedAhead ? `${queueInfo(queue).short} GAME ${queuedAhead + 1}` : `NEXT ${queueInfo(queue).short} GAME`}</div>
         <div style={{ fontSize: 10, background: isReal ? "#4ade8022" : "#C8AA6E22", color: accentColor, border: `1px solid ${accentColor}44`, borderRadius: 3, padding: "2px 8px", letterSpacing: 1 }}>
           {isReal ? "💵 REAL" : "🎮 VIRTUAL"}
         </div>
       </div>
 
-      {activeBet ? (
-        <div style={{ background: "#1A1A1E", border: `1px solid ${accentColor}44`, borderRadius: 3, padding: 20 }}>
-          <div style={{ color: accentColor, fontSize: 13, marginBottom: 8, display: "flex", alignItems: "center", gap: 8 }}>
-            <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: "50%", background: accentColor, animation: "pulse 1.5s ease-in-out infinite" }} />
-            Active {activeBet.mode === "real" ? "Real Money" : "Virtual"} Bet
-          </div>
-          <div style={{ color: "#F0F0F0", fontSize: 24, fontWeight: 700 }}>{formatMoney(activeBet.amount)}</div>
-          <div style={{ color: "#A0A0A8", fontSize: 13, marginTop: 4 }}>
-            {activeBet.mode === "real"
-              ? <>Win to get <span style={{ color: "#4ade80", fontWeight: 700 }}>${activeBet.amount.toFixed(2)} back</span> + <span style={{ color: "#a78bfa", fontWeight: 700 }}>${(activeBet.potentialWin - activeBet.amount).toFixed(2)} skin credits</span></>
-              : <>Win to earn <span style={{ color: "#0BC4AA", fontWeight: 700 }}>{formatMoney(activeBet.potentialWin)}</span></>
-            }
-          </div>
-          <div style={{ color: "#A0A0A8", fontSize: 11, marginTop: 8 }}>Placed {timeAgo(activeBet.placedAt)}</div>
+      <BetSlip bets={openBets} max={maxOpenBets} />
+
+      {slipFull ? (
+        <div style={{ color: "#A0A0A8", fontSize: 13, fontFamily: "DM Sans, sans-serif", textAlign: "center", padding: "8px 0" }}>
+          Your slip is full — play your next ranked game to settle a bet and free up a slot.
         </div>
       ) : (
         <div>
@@ -1370,18 +1567,18 @@ function PlaceBet({ user, setUser, toast, betMode }) {
             <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 10 }}>
               <label style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>BET AMOUNT</label>
               <span style={{ fontSize: 12, color: accentColor }}>
-                Max: ${maxBet.toFixed(2)} · Available: ${Number(availableBalance).toFixed(2)}
+                Max: {fmt(maxBet)} · Available: {fmt(availableBalance)}
               </span>
             </div>
             <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-              <span style={{ color: accentColor, fontSize: 18 }}>$</span>
+              <span style={{ color: accentColor, fontSize: 18 }}>{isReal ? realSymbol() : "$"}</span>
               <input
                 type="number"
-                min={isReal ? 0.10 : 1}
-                max={maxBet}
+                min={fromMinor(minBet, digits)}
+                max={fromMinor(maxBet, digits)}
                 step={isReal ? 0.10 : 1}
-                value={amount}
-                onChange={e => setAmount(Math.min(maxBet, Math.max(isReal ? 0.10 : 1, Number(e.target.value))))}
+                value={fromMinor(amount, digits)}
+                onChange={e => setAmount(Math.min(maxBet, Math.max(minBet, minor(e.target.value) || minBet)))}
                 style={{
                   flex: 1, background: "#1A1A1E", border: `1px solid ${accentColor}44`, color: "#F0F0F0",
                   padding: "12px", borderRadius: 3, fontFamily: "Barlow Condensed, sans-serif", fontSize: 20,
@@ -1390,21 +1587,64 @@ function PlaceBet({ user, setUser, toast, betMode }) {
               />
             </div>
             <input
-              type="range" min={isReal ? 0.10 : 1} max={maxBet} step={isReal ? 0.10 : 1} value={amount}
-              onChange={e => setAmount(Number(e.target.value))}
+              type="range" min={fromMinor(minBet, digits)} max={fromMinor(maxBet, digits)} step={isReal ? 0.10 : 1} value={fromMinor(amount, digits)}
+              onChange={e => setAmount(minor(e.target.value))}
               style={{ width: "100%", marginTop: 12, accentColor }}
             />
           </div>
 
+          {/* Queue picker */}
+          <div style={{ marginBottom: 20 }}>
+            <label style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>QUEUE</label>
+            <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+              {BET_QUEUES.map(q => (
+                <button key={q.id} onClick={() => setQueue(q.id)} title={q.label} style={{
+                  flex: 1, background: queue === q.id ? accentColor : "#010A13",
+                  color: queue === q.id ? "#1A1A1E" : "#C0C0C8",
+                  border: "1px solid #35353A", borderRadius: 3, padding: "6px",
+                  fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, letterSpacing: 1, cursor: "pointer"
+                }}>{q.short}</button>
+              ))}
+            </div>
+          </div>
+
+          {/* Market picker */}
+          <div style={{ marginBottom: 20 }}>
+            <label style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>MARKET</label>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 }}>
+              {BET_MARKETS.filter(m => !(isReal && m.virtualOnly)).map(m => (
+                <button key={m.id} onClick={() => pickMarket(m)} style={{
+                  background: market === m.id ? `${accentColor}22` : "#1A1A1E",
+                  color: market === m.id ? accentColor : "#C0C0C8",
+                  border: `1px solid ${market === m.id ? accentColor : "#35353A"}`, borderRadius: 3, padding: "6px 10px",
+                  fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, letterSpacing: 1, cursor: "pointer"
+                }}>{m.label}{m.lines ? " …" : ""}</button>
+              ))}
+            </div>
+            {marketDef?.lines && (
+              <div style={{ display: "flex", gap: 6, marginTop: 8, alignItems: "center" }}>
+                <span style={{ fontSize: 12, color: "#A0A0A8", marginRight: 4 }}>{marketDef.label}</span>
+                {marketDef.lines.map(l => (
+                  <button key={l} onClick={() => setLine(l)} style={{
+                    flex: 1, background: line === l ? accentColor : "#010A13",
+                    color: line === l ? "#1A1A1E" : "#C0C0C8",
+                    border: "1px solid #35353A", borderRadius: 3, padding: "6px",
+                    fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, cursor: "pointer"
+                  }}>{l}</button>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Quick amounts */}
           <div style={{ display: "flex", gap: 8, marginBottom: 20 }}>
-            {(isReal ? [0.25, 0.50, 0.75, 1.00] : [5, 10, 20, 30]).map(v => (
+            {(isReal ? [0.25, 0.50, 0.75, 1.00] : [5, 10, 20, 30]).map(minor).map(v => (
               <button key={v} onClick={() => setAmount(v)} style={{
                 flex: 1, background: amount === v ? accentColor : "#010A13",
                 color: amount === v ? "#1A1A1E" : "#C0C0C8",
                 border: "1px solid #35353A", borderRadius: 3, padding: "6px",
                 fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, cursor: "pointer"
-              }}>${v.toFixed(isReal ? 2 : 0)}</button>
+              }}>{isReal ? formatReal(v) : `$${fromMinor(v, digits)}`}</button>
             ))}
           </div>
 
@@ -1414,20 +1654,23 @@ function PlaceBet({ user, setUser, toast, betMode }) {
                 <div style={{ fontSize: 12, letterSpacing: 2, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>YOUR MULTIPLIER</div>
                 <div style={{ color: accentColor, fontSize: 24, fontWeight: 700 }}>{odds}x</div>
                 <div style={{ color: "#A0A0A8", fontSize: 13, fontFamily: "DM Sans, sans-serif" }}>
-                  {user.winrate != null ? `${user.winrate}% WR · ${getOddsLabel(user.winrate)}` : "Link account to get odds"}
+                  {!user.puuid ? "Link account to get odds"
+                    : !quote ? "Checking your games..."
+                    : market !== "win" || !queueInfo(queue).ranked ? `${winrate}% ${market === "win" ? "WR" : "hit rate"} · last ${quote.gamesSampled} games`
+                    : winrate != null ? `${winrate}% WR · ${getOddsLabel(winrate)}` : `No ${queueInfo(queue).label} games yet`}
                 </div>
               </div>
               <div style={{ textAlign: "right" }}>
                 <div style={{ fontSize: 12, letterSpacing: 2, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>IF YOU WIN</div>
                 {isReal ? (
                   <>
-                    <div style={{ color: "#4ade80", fontSize: 17, fontWeight: 700 }}>${Number(amount).toFixed(2)} <span style={{ fontSize: 13, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>back to wallet</span></div>
-                    <div style={{ color: "#a78bfa", fontSize: 17, fontWeight: 700 }}>${(potentialWin - amount).toFixed(2)} <span style={{ fontSize: 13, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>skin credits</span></div>
+                    <div style={{ color: "#4ade80", fontSize: 17, fontWeight: 700 }}>{formatReal(amount)} <span style={{ fontSize: 13, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>back to wallet</span></div>
+                    <div style={{ color: "#a78bfa", fontSize: 17, fontWeight: 700 }}>{formatReal(potentialWin - amount)} <span style={{ fontSize: 13, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>skin credits</span></div>
                   </>
                 ) : (
                   <>
                     <div style={{ color: "#0BC4AA", fontSize: 26, fontWeight: 700 }}>{formatMoney(potentialWin)}</div>
-                    <div style={{ color: "#A0A0A8", fontSize: 13, fontFamily: "DM Sans, sans-serif" }}>{RAKE * 100}% rake applied</div>
+                    <div style={{ color: "#A0A0A8", fontSize: 13, fontFamily: "DM Sans, sans-serif" }}>{Math.round(rake * 100)}% rake applied</div>
                   </>
                 )}
               </div>
@@ -1457,30 +1700,24 @@ function PlaceBet({ user, setUser, toast, betMode }) {
 }
 
 // ─── RESOLVE BET ─────────────────────────────────────────────────────────────
-function ResolveBet({ user, setUser, region, toast, showResult }) {
+function ResolveBet({ user, setUser, toast, showResult }) {
   const [loading, setLoading] = useState(false);
-  const activeBet = user.bets?.find(b => b.status === "pending");
+  const openBets = getOpenBets(user);
+  const activeBet = openBets[0];
 
+  // The server runs the cron's resolver for just this player — it finds the
+  // games itself, so all we get back is which bets it closed
   const resolve = async () => {
     if (!activeBet) return;
     setLoading(true);
     try {
-      const match = await riot.getLastMatchResult(user.puuid, region);
-      if (match.gameEndTimestamp < activeBet.placedAt) {
-        toast("No new ranked game found since your bet was placed. Play a game first!", "info");
-        setLoading(false);
-        return;
-      }
-      const won = match.win;
-      const data = await apiCall("/api/bet", {
-        action: "resolveBet",
-        username: user.username,
-        won,
-        matchId: match.matchId,
-        result: match
-      });
+      const data = await apiCall("/api/bet", { action: "resolveBet" });
       setUser(data.user);
-      showResult({ result: match, bet: activeBet });
+      const settled = (data.user.bets || []).filter(b => data.settled?.includes(b.id));
+      const played = settled.find(b => b.result);
+      if (played) showResult({ result: played.result, bet: played });
+      else if (settled.length) toast("No game started in time — your stake was refunded", "info");
+      else toast("No finished game found for your bet yet. Play a game first!", "info");
     } catch (e) {
       toast(`Error: ${e.message}`, "error");
     }
@@ -1492,7 +1729,9 @@ function ResolveBet({ user, setUser, region, toast, showResult }) {
 
   return (
     <div style={{ background: "#242428", border: `1px solid ${isReal ? "#4ade8044" : "#C8AA6E44"}`, borderRadius: 4, padding: 24 }}>
-      <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8", marginBottom: 12 }}>ACTIVE BET</div>
+      <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8", marginBottom: 12 }}>{openBets.length > 1 ? `ACTIVE BETS (${openBets.length})` : "ACTIVE BET"}</div>
+
+      <BetSlip bets={openBets} max={user.maxOpenBets || 1} />
 
       {/* Auto-resolve notice */}
       <div style={{ background: "#0d1a0d", border: "1px solid #4ade8022", borderRadius: 6, padding: "10px 14px", marginBottom: 16, display: "flex", gap: 10, alignItems: "flex-start" }}>
@@ -1503,7 +1742,7 @@ function ResolveBet({ user, setUser, region, toast, showResult }) {
       </div>
 
       <p style={{ color: "#FFFFFF66", fontSize: 13, fontFamily: "DM Sans, sans-serif", marginBottom: 16 }}>
-        Already finished a game? Click below to resolve instantly instead of waiting.
+        Already finished a game? Click below to resolve {openBets.length > 1 ? "your bets" : "it"} instantly instead of waiting.
       </p>
       <button onClick={resolve} disabled={loading} style={{
         background: "transparent", border: `1px solid ${isReal ? "#4ade80" : "#C8AA6E"}`,
@@ -1551,23 +1790,25 @@ function PayPalButton({ amount, username, onSuccess, onError }) {
     instanceRef.current = window.paypal.Buttons({
       style: { layout: "horizontal", color: "gold", shape: "rect", label: "pay", height: 44, tagline: false },
       createOrder: async () => {
-        const res = await fetch("/api/paypal/create-order", {
+        const res = await authFetch("/api/paypal/create-order", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ amount, username }),
+          body: JSON.stringify({ amount }),
         });
-        const data = await res.json();
+        const data = await readJson(res);
         if (!res.ok) throw new Error(data.error || "Failed to create order");
         return data.orderID;
       },
       onApprove: async (data) => {
-        const res = await fetch("/api/paypal/capture-order", {
+        const res = await authFetch("/api/paypal/capture-order", {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ orderID: data.orderID, username }),
+          // One capture per order — if PayPal calls onApprove again we get the first result back
+          headers: { "Content-Type": "application/json", "Idempotency-Key": `capture-${data.orderID}` },
+          body: JSON.stringify({ orderID: data.orderID }),
         });
-        const result = await res.json();
-        if (!res.ok) throw new Error(result.error || "Failed to capture payment");
+        const result = await readJson(res);
+        // Shown as is — it may say the payment was refunded, which the SDK's generic error wouldn't
+        if (!res.ok) return onError(result.error || "Failed to capture payment");
         onSuccess(result.depositedAmount, result.realBalance);
       },
       onError: (err) => { console.error("PayPal error:", err); onError("Something went wrong with PayPal. Please try again."); },
@@ -1591,13 +1832,13 @@ function PayPalButton({ amount, username, onSuccess, onError }) {
 
 // ─── DEPOSIT PANEL ────────────────────────────────────────────────────────────
 function DepositPanel({ user, setUser, toast }) {
-  const [amount, setAmount] = useState(10);
+  const [amount, setAmount] = useState(10); // whole units, 5–500
   const [deposits, setDeposits] = useState([]);
   const [loadingHistory, setLoadingHistory] = useState(true);
 
   useEffect(() => {
-    fetch(`/api/paypal/deposit-history?username=${encodeURIComponent(user.username)}`)
-      .then(r => r.json())
+    authFetch("/api/paypal/deposit-history")
+      .then(readJson)
       .then(data => setDeposits(data.deposits || []))
       .catch(() => {})
       .finally(() => setLoadingHistory(false));
@@ -1620,10 +1861,10 @@ function DepositPanel({ user, setUser, toast }) {
         <div style={{ marginBottom: 20 }}>
           <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 10 }}>
             <label style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>DEPOSIT AMOUNT</label>
-            <span style={{ fontSize: 12, color: "#4ade80" }}>Max: €500</span>
+            <span style={{ fontSize: 12, color: "#4ade80" }}>Max: {formatReal(realMinor(500))}</span>
           </div>
           <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-            <span style={{ color: "#4ade80", fontSize: 18 }}>€</span>
+            <span style={{ color: "#4ade80", fontSize: 18 }}>{realSymbol()}</span>
             <input type="number" min={5} max={500} value={amount}
               onChange={e => setAmount(Math.min(500, Math.max(5, Number(e.target.value))))}
               style={{ flex: 1, background: "#1A1A1E", border: "1px solid #4ade8044", color: "#F0F0F0", padding: "12px", borderRadius: 3, fontFamily: "Barlow Condensed, sans-serif", fontSize: 20, fontWeight: 700, textAlign: "center", outline: "none" }}
@@ -1638,7 +1879,7 @@ function DepositPanel({ user, setUser, toast }) {
               flex: 1, background: amount === v ? "#4ade8022" : "#010A13", color: amount === v ? "#4ade80" : "#C0C0C8",
               border: `1px solid ${amount === v ? "#4ade80" : "#35353A"}`, borderRadius: 3, padding: "6px",
               fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, cursor: "pointer"
-            }}>€{v}</button>
+            }}>{realSymbol()}{v}</button>
           ))}
         </div>
         <PayPalButton
@@ -1646,7 +1887,7 @@ function DepositPanel({ user, setUser, toast }) {
           onSuccess={(deposited, newRealBal) => {
             setUser(prev => ({ ...prev, realBalance: newRealBal }));
             setDeposits(prev => [{ id: Date.now(), amount: deposited, created_at: Date.now(), status: "completed" }, ...prev]);
-            toast(`✅ €${deposited.toFixed(2)} added to your real balance!`, "success");
+            toast(`✅ ${formatReal(deposited)} added to your real balance!`, "success");
           }}
           onError={(msg) => toast(msg, "error")}
         />
@@ -1668,27 +1909,154 @@ function DepositPanel({ user, setUser, toast }) {
                   <div style={{ color: "#A0A0A8", fontSize: 11, marginTop: 2 }}>
                     {new Date(Number(d.created_at)).toLocaleDateString("en-GB", { day: "2-digit", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit" })}
                   </div>
+                  {d.status && d.status !== "completed" && (
+                    <div style={{ color: "#F85149", fontSize: 11, marginTop: 2, textTransform: "capitalize" }}>
+                      {d.status.replace("_", " ")}{d.clawedBack > 0 && ` · −${formatReal(d.clawedBack)} taken back`}
+                    </div>
+                  )}
                 </div>
-                <div style={{ color: "#4ade80", fontSize: 16, fontWeight: 900 }}>+€{Number(d.amount).toFixed(2)}</div>
+                <div style={{ color: "#4ade80", fontSize: 16, fontWeight: 900 }}>+{formatReal(d.amount)}</div>
               </div>
             ))}
           </div>
         )}
       </div>
+
+      <WithdrawPanel user={user} setUser={setUser} toast={toast} />
     </div>
   );
 }
 
+// ─── WITHDRAWALS ─────────────────────────────────────────────────────────────
+// Cash real balance out to PayPal. The amount leaves the wallet when the
+// request is made and comes back if an admin turns it down or PayPal can't pay
+// it (lib/withdrawals.js).
+const WITHDRAW_MIN = 5;
+const WITHDRAW_MAX = 500;
+const WITHDRAW_STATUS = {
+  pending:  { label: "⏳ WAITING FOR REVIEW", color: "#C8AA6E" },
+  approved: { label: "↗ BEING PAID OUT", color: "#60a5fa" },
+  paid:     { label: "✓ PAID", color: "#4ade80" },
+  rejected: { label: "✕ REJECTED — RETURNED", color: "#F85149" },
+  returned: { label: "↩ PAYOUT FAILED — RETURNED", color: "#F85149" },
+};
+
+function WithdrawPanel({ user, setUser, toast }) {
+  const realBalance = user.realBalance || 0;
+  const [amount, setAmount] = useState(""); // as typed
+  const [paypalEmail, setPaypalEmail] = useState(user.email || "");
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    apiCall("/api/withdraw", { action: "getWithdrawals" })
+      .then(data => setWithdrawals(data.withdrawals || []))
+      .catch(() => {})
+      .finally(() => setLoadingHistory(false));
+  }, [user.username]);
+
+  // One open request at a time — the server enforces it too
+  const open = withdrawals.find(w => w.status === "pending" || w.status === "approved");
+  const amt = realMinor(amount);
+  const maxAmount = Math.min(realMinor(WITHDRAW_MAX), realBalance);
+  const canSubmit = !open && !submitting && amt >= realMinor(WITHDRAW_MIN) && amt <= maxAmount && paypalEmail.includes("@");
+
+  const submit = async () => {
+    if (!canSubmit) return;
+    setSubmitting(true);
+    try {
+      const data = await apiCall("/api/withdraw", { action: "requestWithdrawal", amount: realDecimal(amt), paypalEmail: paypalEmail.trim() });
+      setUser(data.user);
+      setWithdrawals(prev => [data.withdrawal, ...prev]);
+      setAmount("");
+      toast(`✅ Withdrawal of ${formatReal(amt)} requested — we'll review it and pay it to ${data.withdrawal.paypalEmail}.`, "success");
+    } catch(e) {
+      toast(e.message, "error");
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <>
+      <div style={{ background: "#242428", border: "1px solid #2D2D32", borderRadius: 8, padding: 24 }}>
+        <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8", marginBottom: 8 }}>CASH OUT TO PAYPAL</div>
+        <div style={{ color: "#A0A0A8", fontSize: 13, fontFamily: "DM Sans, sans-serif", lineHeight: 1.6, marginBottom: 20 }}>
+          The amount is taken off your real balance straight away and held while we review the request. If it's turned down it goes straight back.
+        </div>
+        {open ? (
+          <div style={{ background: "#1A1A1E", border: "1px solid #C8AA6E44", borderRadius: 4, padding: "12px 14px", color: "#C8AA6E", fontSize: 13, fontFamily: "DM Sans, sans-serif" }}>
+            You have a {formatReal(open.amount)} withdrawal in progress. You can ask for another once it's paid.
+          </div>
+        ) : (
+          <>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 10 }}>
+              <label style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>AMOUNT</label>
+              <span style={{ fontSize: 12, color: "#4ade80", cursor: "pointer" }} onClick={() => setAmount(realDecimal(maxAmount))}>
+                Available: {formatReal(realBalance)}
+              </span>
+            </div>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 16 }}>
+              <span style={{ color: "#4ade80", fontSize: 18 }}>{realSymbol()}</span>
+              <input type="number" min={WITHDRAW_MIN} max={WITHDRAW_MAX} step="0.01" value={amount} placeholder={`${WITHDRAW_MIN}–${WITHDRAW_MAX}`}
+                onChange={e => setAmount(e.target.value)}
+                style={{ flex: 1, background: "#1A1A1E", border: "1px solid #4ade8044", color: "#F0F0F0", padding: "12px", borderRadius: 3, fontFamily: "Barlow Condensed, sans-serif", fontSize: 20, fontWeight: 700, textAlign: "center", outline: "none" }}
+              />
+            </div>
+            <label style={{ fontSize: 10, letterSpacing: 2, color: "#A0A0A8" }}>PAYPAL EMAIL</label>
+            <input type="email" value={paypalEmail} onChange={e => setPaypalEmail(e.target.value)} placeholder="you@example.com"
+              style={{ width: "100%", boxSizing: "border-box", marginTop: 8, marginBottom: 20, background: "#1A1A1E", border: "1px solid #35353A", color: "#F0F0F0", padding: "12px", borderRadius: 3, fontFamily: "DM Sans, sans-serif", fontSize: 14, outline: "none" }}
+            />
+            <button onClick={submit} disabled={!canSubmit} style={{
+              width: "100%", background: canSubmit ? "#4ade80" : "#2A2A2E", color: canSubmit ? "#0d280d" : "#7A7A82", border: "none", borderRadius: 3,
+              padding: "12px", fontFamily: "Barlow Condensed, sans-serif", fontSize: 16, fontWeight: 800, letterSpacing: 2, cursor: canSubmit ? "pointer" : "not-allowed"
+            }}>{submitting ? "REQUESTING..." : "REQUEST WITHDRAWAL"}</button>
+          </>
+        )}
+      </div>
+
+      <div style={{ background: "#242428", border: "1px solid #2D2D32", borderRadius: 8, padding: 24 }}>
+        <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8", marginBottom: 16 }}>WITHDRAWAL HISTORY</div>
+        {loadingHistory ? <Loader text="Loading..." /> : withdrawals.length === 0 ? (
+          <div style={{ color: "#A0A0A8", fontSize: 13, fontFamily: "DM Sans, sans-serif", fontStyle: "italic", textAlign: "center", padding: "16px 0" }}>No withdrawals yet.</div>
+        ) : (
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {withdrawals.map(w => {
+              const st = WITHDRAW_STATUS[w.status] || { label: w.status.toUpperCase(), color: "#A0A0A8" };
+              return (
+                <div key={w.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "10px 12px", borderRadius: 4, background: "#1A1A1E", border: `1px solid ${st.color}22` }}>
+                  <div>
+                    <div style={{ color: st.color, fontSize: 12, fontWeight: 700, letterSpacing: 1 }}>{st.label}</div>
+                    <div style={{ color: "#A0A0A8", fontSize: 11, marginTop: 2 }}>
+                      To {w.paypalEmail} · {timeAgo(w.createdAt)}
+                    </div>
+                    {w.rejectReason && <div style={{ color: "#F85149", fontSize: 11, marginTop: 2 }}>{w.rejectReason}</div>}
+                  </div>
+                  <div style={{ color: w.status === "rejected" || w.status === "returned" ? "#7A7A82" : "#F0F0F0", fontSize: 16, fontWeight: 900, textDecoration: w.status === "rejected" || w.status === "returned" ? "line-through" : "none" }}>
+                    −{formatReal(w.amount)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
 // ─── SKIN SHOP ────────────────────────────────────────────────────────────────
-// RP cards — exact Riot EUR prices (EUW 2025):
-// 575 RP=€4.99 | 1380 RP=€10.99 | 2800 RP=€21.99 | 4500 RP=€34.99 | 6500 RP=€49.99
-// Credit prices = Riot EUR price + ~2% for EUR/USD buffer. Profit from 15% bet edge.
+// RP cards — mirrors RP_CARDS in lib/shop.js, which is where /api/redeem takes
+// the price from (it refuses a redemption priced differently). eurCost is
+// Riot's own price, always shown in EUR; totalCost is what a card costs here,
+// in the settlement currency.
+// Credit prices = Riot EUR price + ~2% buffer. Profit from 15% bet edge.
 const RP_CARDS = [
-  { name: "575 RP",  rp: 575,  eurCost: 4.99,  totalCost: 5.10,  popular: false },
-  { name: "1380 RP", rp: 1380, eurCost: 10.99, totalCost: 11.20, popular: true  },
-  { name: "2800 RP", rp: 2800, eurCost: 21.99, totalCost: 22.50, popular: false },
-  { name: "4500 RP", rp: 4500, eurCost: 34.99, totalCost: 35.70, popular: false },
-  { name: "6500 RP", rp: 6500, eurCost: 49.99, totalCost: 51.00, popular: false },
+  { id: "rp575",  name: "575 RP",  rp: 575,  eurCost: 4.99,  totalCost: 5.10,  popular: false },
+  { id: "rp1380", name: "1380 RP", rp: 1380, eurCost: 10.99, totalCost: 11.20, popular: true  },
+  { id: "rp2800", name: "2800 RP", rp: 2800, eurCost: 21.99, totalCost: 22.50, popular: false },
+  { id: "rp4500", name: "4500 RP", rp: 4500, eurCost: 34.99, totalCost: 35.70, popular: false },
+  { id: "rp6500", name: "6500 RP", rp: 6500, eurCost: 49.99, totalCost: 51.00, popular: false },
 ];
 
 function SkinShop({ user, setUser, toast }) {
@@ -1697,18 +2065,14 @@ function SkinShop({ user, setUser, toast }) {
   const [loadingHistory, setLoadingHistory] = useState(true);
   // selectedCard = the card being checked out
   const [selectedCard, setSelectedCard] = useState(null);
-  // How much the player allocates from each balance (controlled by slider)
+  // How much of the card is paid in credits, in minor units (controlled by slider)
   const [creditsUsed, setCreditsUsed] = useState(0);
 
-  const skinCredits = Number(user.skinCredits || 0);
-  const realBalance = Number(user.realBalance || 0);
+  const skinCredits = user.skinCredits || 0;
+  const realBalance = user.realBalance || 0;
 
   useEffect(() => {
-    fetch("/api/redeem", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ action: "getRedemptions", username: user.username })
-    }).then(r => r.json())
+    apiCall("/api/redeem", { action: "getRedemptions" })
       .then(data => setRedemptions(data.redemptions || []))
       .catch(() => {})
       .finally(() => setLoadingHistory(false));
@@ -1716,14 +2080,15 @@ function SkinShop({ user, setUser, toast }) {
 
   const openCheckout = (card) => {
     // Auto-fill: use as many credits as possible, rest from real balance
-    const maxCredits = Math.min(skinCredits, card.totalCost);
-    setCreditsUsed(Math.round(maxCredits * 100) / 100);
+    setCreditsUsed(Math.min(skinCredits, realMinor(card.totalCost)));
     setSelectedCard(card);
   };
 
-  const realUsed = selectedCard ? Math.max(0, Math.round((selectedCard.totalCost - creditsUsed) * 100) / 100) : 0;
+  // /api/redeem wants credits + real to be exactly the card's cost
+  const cost = selectedCard ? realMinor(selectedCard.totalCost) : 0;
+  const realUsed = Math.max(0, cost - creditsUsed);
   const canAffordSelected = selectedCard
-    ? (creditsUsed <= skinCredits && realUsed <= realBalance && Math.abs(creditsUsed + realUsed - selectedCard.totalCost) < 0.001)
+    ? (creditsUsed <= skinCredits && realUsed <= realBalance && creditsUsed + realUsed === cost)
     : false;
 
   const redeem = async () => {
@@ -1732,17 +2097,16 @@ function SkinShop({ user, setUser, toast }) {
     try {
       const data = await apiCall("/api/redeem", {
         action: "submitRedemption",
-        username: user.username,
-        skinName: selectedCard.name,
+        cardId: selectedCard.id,
         rpCost: selectedCard.rp,
-        creditCost: creditsUsed,
-        realCost: realUsed,
-        totalCost: selectedCard.totalCost
+        creditCost: realDecimal(creditsUsed),
+        realCost: realDecimal(realUsed),
+        totalCost: realDecimal(cost)
       });
       setUser(data.user);
       setRedemptions(prev => [{
         id: Date.now(), skinName: selectedCard.name, rpCost: selectedCard.rp,
-        creditCost: creditsUsed, realCost: realUsed, totalCost: selectedCard.totalCost,
+        creditCost: creditsUsed, realCost: realUsed, totalCost: cost,
         status: "pending", createdAt: Date.now()
       }, ...prev]);
       setSelectedCard(null);
@@ -1760,12 +2124,12 @@ function SkinShop({ user, setUser, toast }) {
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
         <div style={{ background: "#1a0d28", border: "1px solid #a78bfa44", borderRadius: 8, padding: "16px 18px" }}>
           <div style={{ fontSize: 13, letterSpacing: 2, color: "#a78bfa", marginBottom: 6, fontFamily: "DM Sans, sans-serif", fontWeight: 600 }}>💜 SKIN CREDITS</div>
-          <div style={{ fontSize: 26, fontWeight: 700, color: "#a78bfa", fontFamily: "Barlow Condensed, sans-serif" }}>${skinCredits.toFixed(2)}</div>
+          <div style={{ fontSize: 26, fontWeight: 700, color: "#a78bfa", fontFamily: "Barlow Condensed, sans-serif" }}>${realDecimal(skinCredits)}</div>
           <div style={{ fontSize: 13, color: "#c4b5fd", fontFamily: "DM Sans, sans-serif", marginTop: 4 }}>Earned from bet winnings</div>
         </div>
         <div style={{ background: "#0d280d", border: "1px solid #4ade8044", borderRadius: 8, padding: "16px 18px" }}>
           <div style={{ fontSize: 13, letterSpacing: 2, color: "#4ade80", marginBottom: 6, fontFamily: "DM Sans, sans-serif", fontWeight: 600 }}>💵 REAL BALANCE</div>
-          <div style={{ fontSize: 26, fontWeight: 700, color: "#4ade80", fontFamily: "Barlow Condensed, sans-serif" }}>{`€${realBalance.toFixed(2)}`}</div>
+          <div style={{ fontSize: 26, fontWeight: 700, color: "#4ade80", fontFamily: "Barlow Condensed, sans-serif" }}>{formatReal(realBalance)}</div>
           <div style={{ fontSize: 13, color: "#86efac", fontFamily: "DM Sans, sans-serif", marginTop: 4 }}>Withdrawable funds</div>
         </div>
       </div>
@@ -1786,19 +2150,18 @@ function SkinShop({ user, setUser, toast }) {
           {/* Split slider */}
           <div style={{ marginBottom: 20 }}>
             <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
-              <span style={{ fontSize: 14, color: "#a78bfa", fontFamily: "DM Sans, sans-serif", fontWeight: 600 }}>💜 Credits: {creditsUsed.toFixed(2)}</span>
-              <span style={{ fontSize: 14, color: "#4ade80", fontFamily: "DM Sans, sans-serif", fontWeight: 600 }}>💵 Real: ${realUsed.toFixed(2)}</span>
+              <span style={{ fontSize: 14, color: "#a78bfa", fontFamily: "DM Sans, sans-serif", fontWeight: 600 }}>💜 Credits: {realDecimal(creditsUsed)}</span>
+              <span style={{ fontSize: 14, color: "#4ade80", fontFamily: "DM Sans, sans-serif", fontWeight: 600 }}>💵 Real: ${realDecimal(realUsed)}</span>
             </div>
             <input
               type="range"
               min={0}
-              max={Math.min(skinCredits, selectedCard.totalCost)}
-              step={0.01}
+              max={Math.min(skinCredits, cost)}
+              step={1}
               value={creditsUsed}
               onChange={e => {
-                const v = Number(e.target.value);
-                const r = Math.round((selectedCard.totalCost - v) * 100) / 100;
-                if (r <= realBalance) setCreditsUsed(Math.round(v * 100) / 100);
+                const v = Number(e.target.value); // minor units, like the state
+                if (cost - v <= realBalance) setCreditsUsed(v);
               }}
               style={{ width: "100%", accentColor: "#a78bfa" }}
             />
@@ -1811,11 +2174,11 @@ function SkinShop({ user, setUser, toast }) {
           <div style={{ background: "#242428", borderRadius: 6, padding: "12px 16px", marginBottom: 16 }}>
             {creditsUsed > 0 && <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
               <span style={{ fontSize: 14, color: "#c4b5fd", fontFamily: "DM Sans, sans-serif" }}>Skin Credits used</span>
-              <span style={{ fontSize: 14, color: "#a78bfa", fontWeight: 700 }}>−{creditsUsed.toFixed(2)}</span>
+              <span style={{ fontSize: 14, color: "#a78bfa", fontWeight: 700 }}>−{realDecimal(creditsUsed)}</span>
             </div>}
             {realUsed > 0 && <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
               <span style={{ fontSize: 14, color: "#86efac", fontFamily: "DM Sans, sans-serif" }}>Real Balance used</span>
-              <span style={{ fontSize: 14, color: "#4ade80", fontWeight: 700 }}>−${realUsed.toFixed(2)}</span>
+              <span style={{ fontSize: 14, color: "#4ade80", fontWeight: 700 }}>−${realDecimal(realUsed)}</span>
             </div>}
             {!canAffordSelected && (
               <div style={{ color: "#C8464A", fontSize: 13, fontFamily: "DM Sans, sans-serif", marginTop: 6 }}>
@@ -1848,7 +2211,7 @@ function SkinShop({ user, setUser, toast }) {
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
           {RP_CARDS.map(card => {
             const totalAvailable = skinCredits + realBalance;
-            const canAfford = totalAvailable >= card.totalCost;
+            const canAfford = totalAvailable >= realMinor(card.totalCost);
             return (
               <div key={card.name} style={{
                 background: "#1A1A1E", border: `2px solid ${card.popular ? "#a78bfa55" : "#2A2A2E"}`,
@@ -1872,7 +2235,7 @@ function SkinShop({ user, setUser, toast }) {
                     borderRadius: 4, fontFamily: "Barlow Condensed, sans-serif", fontSize: 13,
                     fontWeight: 700, cursor: canAfford ? "pointer" : "not-allowed", letterSpacing: 1
                   }}>
-                  {canAfford ? "SELECT" : `Need ${Math.max(0, card.totalCost - totalAvailable).toFixed(2)} more credits`}
+                  {canAfford ? "SELECT" : `Need ${realDecimal(Math.max(0, realMinor(card.totalCost) - totalAvailable))} more credits`}
                 </button>
               </div>
             );
@@ -1903,8 +2266,8 @@ function SkinShop({ user, setUser, toast }) {
                     </div>
                   </div>
                   <div style={{ textAlign: "right" }}>
-                    {r.creditCost > 0 && <div style={{ color: "#a78bfa", fontSize: 14, fontWeight: 700 }}>💜 −${Number(r.creditCost).toFixed(2)}</div>}
-                    {r.realCost > 0 && <div style={{ color: "#4ade80", fontSize: 14, fontWeight: 700 }}>💵 −${Number(r.realCost).toFixed(2)}</div>}
+                    {r.creditCost > 0 && <div style={{ color: "#a78bfa", fontSize: 14, fontWeight: 700 }}>💜 −${realDecimal(r.creditCost)}</div>}
+                    {r.realCost > 0 && <div style={{ color: "#4ade80", fontSize: 14, fontWeight: 700 }}>💵 −${realDecimal(r.realCost)}</div>}
                   </div>
                 </div>
               </div>
@@ -2317,6 +2680,70 @@ function MarketTeaser({ onNavigate }) {
   );
 }
 
+// ─── RANK HISTORY CHART ──────────────────────────────────────────────────────
+const LADDER_TIERS = ["IRON", "BRONZE", "SILVER", "GOLD", "PLATINUM", "EMERALD", "DIAMOND"];
+const LADDER_DIVISIONS = ["IV", "III", "II", "I"];
+
+// Puts every snapshot on one scale so a climb across divisions draws as one
+// line: 100 per division, and Master+ carries on from Master 0 LP
+const ladderScore = (s) => {
+  const t = LADDER_TIERS.indexOf(s.tier);
+  if (t === -1) return LADDER_TIERS.length * 400 + s.lp;
+  return t * 400 + Math.max(0, LADDER_DIVISIONS.indexOf(s.division)) * 100 + s.lp;
+};
+const ladderLabel = (score) => {
+  const t = Math.floor(score / 400);
+  if (t >= LADDER_TIERS.length) return "MASTER";
+  return `${LADDER_TIERS[t]} ${LADDER_DIVISIONS[Math.floor((score % 400) / 100)]}`;
+};
+
+function RankChart({ history }) {
+  const points = history.filter(s => s.tier).map(s => ({ ...s, score: ladderScore(s) }));
+  if (points.length < 2) return (
+    <p style={{ color: "#A0A0A8", fontFamily: "DM Sans, sans-serif", fontSize: 13, fontStyle: "italic", margin: 0 }}>
+      {points.length ? "Only one snapshot so far" : "No ranked games on record yet"} — your rank is checked every hour and the chart fills in as it moves.
+    </p>
+  );
+
+  const W = 600, H = 180, PAD_L = 84, PAD_R = 12, PAD_Y = 12;
+  const minY = Math.floor(Math.min(...points.map(p => p.score)) / 100) * 100;
+  const maxY = Math.max(minY + 100, Math.ceil(Math.max(...points.map(p => p.score)) / 100) * 100);
+  const minX = points[0].recordedAt, maxX = points[points.length - 1].recordedAt;
+  const x = (t) => PAD_L + (maxX > minX ? (t - minX) / (maxX - minX) : 0) * (W - PAD_L - PAD_R);
+  const y = (v) => H - PAD_Y - ((v - minY) / (maxY - minY)) * (H - 2 * PAD_Y);
+  // A gridline per division, thinned out when the range is wide
+  const step = Math.max(100, Math.ceil((maxY - minY) / 500) * 100);
+  const grid = [];
+  for (let v = minY; v <= maxY; v += step) grid.push(v);
+  const last = points[points.length - 1];
+  const color = RANK_COLORS[last.tier] || "#C8AA6E";
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", display: "block" }}>
+        {grid.map(v => (
+          <g key={v}>
+            <line x1={PAD_L} x2={W - PAD_R} y1={y(v)} y2={y(v)} stroke="#2D2D32" strokeWidth="1" />
+            <text x={PAD_L - 8} y={y(v) + 4} textAnchor="end" fill="#7A7A82" fontSize="11" fontFamily="Barlow Condensed, sans-serif">{ladderLabel(v)}</text>
+          </g>
+        ))}
+        <polyline fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round"
+          points={points.map(p => `${x(p.recordedAt)},${y(p.score)}`).join(" ")} />
+        {points.map(p => (
+          <circle key={p.recordedAt} cx={x(p.recordedAt)} cy={y(p.score)} r="3" fill={color}>
+            <title>{`${rankLabel(p)} ${p.lp} LP · ${new Date(p.recordedAt).toLocaleDateString()}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div style={{ display: "flex", justifyContent: "space-between", fontFamily: "DM Sans, sans-serif", fontSize: 11, color: "#7A7A82", marginTop: 6, paddingLeft: PAD_L / W * 100 + "%" }}>
+        <span>{new Date(minX).toLocaleDateString()}</span>
+        <span style={{ color, fontFamily: "Barlow Condensed, sans-serif", fontSize: 13, fontWeight: 700 }}>{rankLabel(last)} · {last.lp} LP</span>
+        <span>{new Date(maxX).toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+}
+
 function ProfilePage({ user, setUser, toast }) {
   const [emailVal, setEmailVal] = useState(user.email || "");
   const [emailLoading, setEmailLoading] = useState(false);
@@ -2325,6 +2752,14 @@ function ProfilePage({ user, setUser, toast }) {
   const [newPw, setNewPw] = useState("");
   const [confirmPw, setConfirmPw] = useState("");
   const [pwLoading, setPwLoading] = useState(false);
+  const [rankHistory, setRankHistory] = useState(null);
+
+  useEffect(() => {
+    if (!user.lolAccount) return;
+    apiCall("/api/user", { action: "getRankHistory" })
+      .then(data => setRankHistory(data.history))
+      .catch(() => setRankHistory([]));
+  }, [user.lolAccount]);
 
   const stats = {
     wins: user.bets?.filter(b => b.status === "won").length || 0,
@@ -2341,7 +2776,7 @@ function ProfilePage({ user, setUser, toast }) {
     if (!emailVal.includes("@")) return toast("Enter a valid email", "error");
     setEmailLoading(true);
     try {
-      const data = await apiCall("/api/auth", { action: "updateEmail", username: user.username, newEmail: emailVal });
+      const data = await apiCall("/api/auth", { action: "updateEmail", newEmail: emailVal });
       setUser(data.user);
       toast("Email updated", "success");
     } catch(e) { toast(e.message, "error"); }
@@ -2353,7 +2788,7 @@ function ProfilePage({ user, setUser, toast }) {
     if (newPw.length < 6) return toast("Password must be at least 6 characters", "error");
     setPwLoading(true);
     try {
-      await apiCall("/api/auth", { action: "updatePassword", username: user.username, currentPassword: currentPw, newPassword: newPw });
+      await apiCall("/api/auth", { action: "updatePassword", currentPassword: currentPw, newPassword: newPw });
       setCurrentPw(""); setNewPw(""); setConfirmPw("");
       toast("Password changed", "success");
     } catch(e) { toast(e.message, "error"); }
@@ -2376,8 +2811,8 @@ function ProfilePage({ user, setUser, toast }) {
             { label: "Wins", value: stats.wins, color: "#3FB950" },
             { label: "Losses", value: stats.losses, color: "#F85149" },
             { label: "Win Rate", value: winRate != null ? `${winRate}%` : "--", color: "#C8AA6E" },
-            { label: "Total Wagered", value: `$${stats.totalWagered.toFixed(2)}`, color: "#A0A0A8" },
-            { label: "Net P&L", value: `${profit >= 0 ? "+" : ""}$${profit.toFixed(2)}`, color: profit >= 0 ? "#3FB950" : "#F85149" },
+            { label: "Total Wagered", value: formatMoney(stats.totalWagered), color: "#A0A0A8" },
+            { label: "Net P&L", value: `${profit >= 0 ? "+" : ""}${formatMoney(profit)}`, color: profit >= 0 ? "#3FB950" : "#F85149" },
           ].map(s => (
             <div key={s.label} style={{ background: "#242428", borderRadius: 6, padding: "14px", textAlign: "center" }}>
               <div style={{ fontFamily: "Barlow Condensed, sans-serif", fontSize: 22, fontWeight: 700, color: s.color }}>{s.value}</div>
@@ -2388,11 +2823,19 @@ function ProfilePage({ user, setUser, toast }) {
         {stats.biggestWin > 0 && (
           <div style={{ background: "#C8AA6E08", border: "1px solid #C8AA6E18", borderRadius: 6, padding: "10px 16px", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
             <span style={{ fontFamily: "DM Sans, sans-serif", fontSize: 13, color: "#888" }}>Biggest win</span>
-            <span style={{ fontFamily: "Barlow Condensed, sans-serif", fontSize: 18, color: "#C8AA6E", fontWeight: 700 }}>${stats.biggestWin.toFixed(2)}</span>
+            <span style={{ fontFamily: "Barlow Condensed, sans-serif", fontSize: 18, color: "#C8AA6E", fontWeight: 700 }}>{formatMoney(stats.biggestWin)}</span>
           </div>
         )}
       </div>
 
+      {/* Solo/duo rank over time */}
+      {user.lolAccount && (
+        <div style={sectionStyle}>
+          <div style={{ fontSize: 11, letterSpacing: 3, color: "#C8AA6E", marginBottom: 18, fontFamily: "Barlow Condensed, sans-serif" }}>RANK HISTORY · SOLO/DUO</div>
+          {rankHistory ? <RankChart history={rankHistory} /> : <Loader text="Loading rank history..." />}
+        </div>
+      )}
+
       {/* Account info */}
       <div style={sectionStyle}>
         <div style={{ fontSize: 11, letterSpacing: 3, color: "#C8AA6E", marginBottom: 18, fontFamily: "Barlow Condensed, sans-serif" }}>ACCOUNT</div>
@@ -2481,7 +2924,8 @@ function BetHistory({ bets }) {
   );
 
   // ── COMPUTED STATS ──
-  const resolved = bets.filter(b => b.status !== "pending" && b.status !== "cancelled");
+  // Cancelled, expired and void bets were refunded, so they count for nothing
+  const resolved = bets.filter(b => b.status === "won" || b.status === "lost");
   const wins = bets.filter(b => b.status === "won");
   const losses = bets.filter(b => b.status === "lost");
   const totalWagered = resolved.reduce((s, b) => s + b.amount, 0);
@@ -2527,6 +2971,8 @@ function BetHistory({ bets }) {
   if (filter === "won") displayed = displayed.filter(b => b.status === "won");
   else if (filter === "lost") displayed = displayed.filter(b => b.status === "lost");
   else if (filter === "pending") displayed = displayed.filter(b => b.status === "pending");
+  else if (filter === "expired") displayed = displayed.filter(b => b.status === "expired");
+  else if (filter === "void") displayed = displayed.filter(b => b.status === "void");
   if (sort === "newest") displayed.sort((a, b) => b.placedAt - a.placedAt);
   else if (sort === "oldest") displayed.sort((a, b) => a.placedAt - b.placedAt);
   else if (sort === "biggest") displayed.sort((a, b) => b.amount - a.amount);
@@ -2544,7 +2990,7 @@ function BetHistory({ bets }) {
           { label: "Win Rate", value: `${winRate}%`, color: "#C8AA6E" },
           { label: "Best Streak", value: `${bestStreak}W`, color: "#3FB950" },
           { label: "Current Streak", value: currentStreak > 0 ? `${currentStreak}W` : losses[0]?.placedAt > (wins[0]?.placedAt || 0) ? "L" : "--", color: currentStreak > 0 ? "#3FB950" : "#F85149" },
-          { label: "Net P&L", value: `${profit >= 0 ? "+" : ""}$${profit.toFixed(2)}`, color: profit >= 0 ? "#3FB950" : "#F85149" },
+          { label: "Net P&L", value: `${profit >= 0 ? "+" : ""}${formatMoney(profit)}`, color: profit >= 0 ? "#3FB950" : "#F85149" },
         ].map(s => (
           <div key={s.label} style={{ background: "#1A1A1E", border: "1px solid #2D2D32", borderRadius: 6, padding: "12px", textAlign: "center" }}>
             <div style={{ fontFamily: "Barlow Condensed, sans-serif", fontSize: 20, fontWeight: 700, color: s.color }}>{s.value}</div>
@@ -2563,7 +3009,7 @@ function BetHistory({ bets }) {
         </div>
         <div style={{ display: "flex", gap: 6 }}>
           {/* filter */}
-          {[["all", "All"], ["won", "Won"], ["lost", "Lost"], ["pending", "Pending"]].map(([id, label]) => (
+          {[["all", "All"], ["won", "Won"], ["lost", "Lost"], ["pending", "Pending"], ["expired", "Expired"], ["void", "Void"]].map(([id, label]) => (
             <button key={id} onClick={() => setFilter(id)} style={{ ...btnBase, background: filter === id ? "#24242E" : "transparent", color: filter === id ? "#C8AA6E" : "#555", border: `1px solid ${filter === id ? "#C8AA6E33" : "#2D2D32"}` }}>{label}</button>
           ))}
           {/* sort */}
@@ -2609,7 +3055,7 @@ function BetHistory({ bets }) {
                     </div>
                   </td>
                   <td style={{ padding: "13px 16px", fontFamily: "Barlow Condensed, sans-serif", fontSize: 16, fontWeight: 700, color: c.profit >= 0 ? "#3FB950" : "#F85149" }}>
-                    {c.profit >= 0 ? "+" : ""}${c.profit.toFixed(2)}
+                    {c.profit >= 0 ? "+" : ""}{formatMoney(c.profit)}
                   </td>
                 </tr>
               ))}
@@ -2628,7 +3074,8 @@ function BetHistory({ bets }) {
             const isWon = bet.status === "won";
             const isLost = bet.status === "lost";
             const isPending = bet.status === "pending";
-            const color = isWon ? "#3FB950" : isLost ? "#F85149" : isPending ? "#C8AA6E" : "#555";
+            const isRefunded = bet.status === "expired" || bet.status === "cancelled" || bet.status === "void";
+            const color = isWon ? "#3FB950" : isLost ? "#F85149" : isPending ? "#C8AA6E" : isRefunded ? "#7A7A82" : "#555";
             return (
               <div key={bet.id} style={{ background: "#1A1A1E", border: `1px solid ${isWon ? "#3FB95022" : isLost ? "#F8514922" : "#2D2D32"}`, borderLeft: `3px solid ${color}`, borderRadius: 6, padding: "14px 16px", display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16 }}>
                 <div style={{ display: "flex", gap: 12, alignItems: "center", flex: 1 }}>
@@ -2646,16 +3093,30 @@ function BetHistory({ bets }) {
                     )}
                     <div style={{ fontFamily: "DM Sans, sans-serif", fontSize: 12, color: "#555", marginTop: 2 }}>
                       {timeAgo(bet.placedAt)}
+                      {bet.queue && bet.queue !== 420 && <span style={{ marginLeft: 8, color: "#A0A0A8", fontSize: 11, letterSpacing: 1 }}>{queueInfo(bet.queue).short}</span>}
+                      {bet.market && bet.market !== "win" && <span style={{ marginLeft: 8, color: "#A0A0A8" }}>{describeMarket(bet)}</span>}
                       {bet.odds && <span style={{ marginLeft: 8, color: "#C8AA6E55" }}>{bet.odds.toFixed(2)}x</span>}
                       {bet.mode === "real" && <span style={{ marginLeft: 8, color: "#4ade8077", fontSize: 11, letterSpacing: 1 }}>REAL</span>}
                     </div>
+                    {isPending && bet.expiresAt && (
+                      <div style={{ fontFamily: "DM Sans, sans-serif", fontSize: 11, color: "#785A28", marginTop: 2 }}>
+                        Game must start by {new Date(bet.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                      </div>
+                    )}
+                    {bet.status === "expired" && (
+                      <div style={{ fontFamily: "DM Sans, sans-serif", fontSize: 11, color: "#7A7A82", marginTop: 2 }}>No game started in time</div>
+                    )}
+                    {bet.status === "void" && (
+                      <div style={{ fontFamily: "DM Sans, sans-serif", fontSize: 11, color: "#7A7A82", marginTop: 2 }}>Void — {voidLabel(bet).toLowerCase()}</div>
+                    )}
                   </div>
                 </div>
                 <div style={{ textAlign: "right", flexShrink: 0 }}>
-                  <div style={{ fontFamily: "Barlow Condensed, sans-serif", fontSize: 18, fontWeight: 700, color: isWon ? "#3FB950" : isLost ? "#F85149" : "#C8AA6E" }}>
+                  <div style={{ fontFamily: "Barlow Condensed, sans-serif", fontSize: 18, fontWeight: 700, color: isWon ? "#3FB950" : isLost ? "#F85149" : isRefunded ? "#7A7A82" : "#C8AA6E" }}>
                     {isWon ? "+" : isLost ? "-" : ""}{formatMoney(isWon ? bet.potentialWin : bet.amount)}
                   </div>
                   {isWon && <div style={{ fontFamily: "DM Sans, sans-serif", fontSize: 11, color: "#555", marginTop: 2 }}>stake: {formatMoney(bet.amount)}</div>}
+                  {isRefunded && <div style={{ fontFamily: "DM Sans, sans-serif", fontSize: 11, color: "#555", marginTop: 2 }}>refunded</div>}
                 </div>
               </div>
             );
@@ -2666,6 +3127,95 @@ function BetHistory({ bets }) {
   );
 }
 
+// ─── TRANSACTIONS ────────────────────────────────────────────────────────────
+// Every change to the player's wallets, straight from the server ledger
+const TXN_LABELS = {
+  opening_balance: "Opening balance",
+  signup_bonus: "Starting gold",
+  stake_hold: "Bet placed",
+  payout: "Bet won",
+  refund: "Refund",
+  deposit: "Deposit",
+  redemption: "Skin redemption",
+  admin_adjustment: "Adjustment",
+  clawback: "PayPal clawback",
+  clawback_reversal: "Clawback returned",
+  withdrawal_hold: "Withdrawal",
+  withdrawal_reversal: "Withdrawal returned",
+};
+const TXN_CURRENCIES = { virtual: "Gold", real: "Real", credits: "Credits" };
+
+function TransactionHistory({ user }) {
+  const [currency, setCurrency] = useState("all"); // all | virtual | real | credits
+  const [transactions, setTransactions] = useState(null);
+  const [error, setError] = useState("");
+
+  // Refetch whenever a wallet moves (bet placed, resolved, deposit...)
+  useEffect(() => {
+    let cancelled = false;
+    apiCall("/api/user", { action: "getTransactions", currency: currency === "all" ? null : currency, limit: 100 })
+      .then(data => { if (!cancelled) { setTransactions(data.transactions); setError(""); } })
+      .catch(e => { if (!cancelled) setError(e.message); });
+    return () => { cancelled = true; };
+  }, [currency, user.balance, user.realBalance, user.skinCredits]);
+
+  const fmt = (t, n) => t.currency === "virtual" ? formatMoney(n) : formatReal(n);
+  const btnBase = { border: "none", cursor: "pointer", fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, letterSpacing: 2, padding: "7px 14px", borderRadius: 4, transition: "all 0.15s" };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 10 }}>
+        <div style={{ fontSize: 10, letterSpacing: 3, color: "#A0A0A8", fontFamily: "DM Sans, sans-serif" }}>TRANSACTIONS</div>
+        <div style={{ display: "flex", gap: 6 }}>
+          {[{ id: "all", label: "All" }, ...Object.entries(TXN_CURRENCIES).map(([id, label]) => ({ id, label }))].map(c => (
+            <button key={c.id} onClick={() => setCurrency(c.id)} style={{ ...btnBase, background: currency === c.id ? "#C8AA6E" : "#1A1A1E", color: currency === c.id ? "#0a0a0c" : "#785A28", border: `1px solid ${currency === c.id ? "#C8AA6E" : "#2D2D32"}` }}>{c.label}</button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div style={{ color: "#F85149", fontFamily: "DM Sans, sans-serif", fontSize: 13 }}>{error}</div>}
+      {!transactions && !error && (
+        <div style={{ textAlign: "center", padding: 24, color: "#555", fontFamily: "DM Sans, sans-serif", fontSize: 14 }}>Loading...</div>
+      )}
+      {transactions?.length === 0 && (
+        <div style={{ textAlign: "center", padding: 24, color: "#555", fontFamily: "DM Sans, sans-serif", fontSize: 14 }}>No transactions yet.</div>
+      )}
+
+      {transactions?.length > 0 && (
+        <div style={{ background: "#1A1A1E", border: "1px solid #2D2D32", borderRadius: 8, overflow: "hidden" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                {["When", "Type", "Wallet", "Amount", "Balance"].map(h => (
+                  <th key={h} style={{ fontSize: 10, letterSpacing: 2, color: "#555", textTransform: "uppercase", padding: "12px 16px", textAlign: h === "Amount" || h === "Balance" ? "right" : "left", borderBottom: "1px solid #2D2D32", background: "#141416", fontFamily: "DM Sans, sans-serif" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map(t => (
+                <tr key={t.id} style={{ borderBottom: "1px solid #1E1E22" }}>
+                  <td style={{ padding: "11px 16px", color: "#555", fontFamily: "DM Sans, sans-serif", fontSize: 12, whiteSpace: "nowrap" }}>{timeAgo(t.createdAt)}</td>
+                  <td style={{ padding: "11px 16px", fontFamily: "DM Sans, sans-serif", fontSize: 13, color: "#E0E0E0" }}>
+                    {TXN_LABELS[t.kind] || t.kind}
+                    {t.memo && <span style={{ color: "#555", fontSize: 12, marginLeft: 8 }}>{t.memo}</span>}
+                  </td>
+                  <td style={{ padding: "11px 16px", fontFamily: "Barlow Condensed, sans-serif", fontSize: 12, letterSpacing: 1, color: t.currency === "virtual" ? "#C8AA6E" : t.currency === "real" ? "#4ade80" : "#a78bfa" }}>
+                    {TXN_CURRENCIES[t.currency].toUpperCase()}
+                  </td>
+                  <td style={{ padding: "11px 16px", textAlign: "right", fontFamily: "Barlow Condensed, sans-serif", fontSize: 16, fontWeight: 700, color: t.amount >= 0 ? "#3FB950" : "#F85149" }}>
+                    {t.amount >= 0 ? "+" : "-"}{fmt(t, Math.abs(t.amount))}
+                  </td>
+                  <td style={{ padding: "11px 16px", textAlign: "right", fontFamily: "DM Sans, sans-serif", fontSize: 13, color: "#A0A0A8" }}>{fmt(t, t.balanceAfter)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ─── LEADERBOARD ─────────────────────────────────────────────────────────────
 function Leaderboard() {
   const [users, setUsers] = useState([]);
@@ -2673,7 +3223,7 @@ function Leaderboard() {
 
   useEffect(() => {
     fetch("/api/leaderboard")
-      .then(r => r.json())
+      .then(readJson)
       .then(data => { setUsers(data.users || []); setLoading(false); })
       .catch(() => setLoading(false));
   }, []);
@@ -2697,7 +3247,7 @@ function Leaderboard() {
               <div style={{ flex: 1 }}>
                 <div style={{ color: "#F0F0F0", fontSize: 14, fontWeight: 600 }}>{u.username}</div>
                 <div style={{ color: "#A0A0A8", fontSize: 11, fontFamily: "DM Sans, sans-serif" }}>
-                  {u.lolAccount || "No LoL account"} {u.rank && `• ${u.rank}`}
+                  {u.lolAccount || "No LoL account"} {u.rank && `• ${u.rank}`}{u.lp != null && ` ${u.lp} LP`}
                 </div>
               </div>
               <div style={{ textAlign: "right" }}>
@@ -2800,7 +3350,13 @@ function LiveFeed() {
 
 // ─── VICTORY / DEFEAT SCREEN ─────────────────────────────────────────────────
 function ResultScreen({ result, bet, onClose }) {
-  const won = result?.win;
+  // A settled bet decides it — a market bet can win in a lost game and vice versa.
+  // Previews pass a bet without a status and fall back to the game result.
+  // A void bet (remake, leaver) is neither — the stake came back.
+  const settled = bet?.status === "won" || bet?.status === "lost";
+  const voided = bet?.status === "void";
+  const won = settled ? bet.status === "won" : !voided && result?.win;
+  const marketBet = bet?.market && bet.market !== "win";
   const [phase, setPhase] = useState("intro"); // intro → main → payout
   const [teemos, setTeemos] = useState([]);
   const [particles, setParticles] = useState([]);
@@ -2877,6 +3433,7 @@ function ResultScreen({ result, bet, onClose }) {
 
   // ── TEEMOS ───────────────────────────────────────────────────────────────────
   const spawnTeemos = useCallback(() => {
+    if (voided) return;
     const count = won ? 12 : 6;
     const t = Array.from({ length: count }, (_, i) => ({
       id: i,
@@ -2890,16 +3447,16 @@ function ResultScreen({ result, bet, onClose }) {
       wobble: Math.random() * 2,
     }));
     setTeemos(t);
-  }, [won]);
+  }, [won, voided]);
 
   // ── LIFECYCLE ────────────────────────────────────────────────────────────────
   useEffect(() => {
-    won ? playWinFanfare() : playLossDoom();
+    if (!voided) won ? playWinFanfare() : playLossDoom();
     spawnParticles();
     spawnTeemos();
 
     const t1 = setTimeout(() => setPhase("main"), 600);
-    const t2 = setTimeout(() => { setPhase("payout"); playCoinsSound(); }, 1800);
+    const t2 = setTimeout(() => { setPhase("payout"); if (!voided) playCoinsSound(); }, 1800);
     const t3 = setTimeout(onClose, 14000);
     return () => { clearTimeout(t1); clearTimeout(t2); clearTimeout(t3); };
   }, []);
@@ -2965,12 +3522,14 @@ function ResultScreen({ result, bet, onClose }) {
   );
 
   // ── BG COLOR ─────────────────────────────────────────────────────────────────
-  const bgGradient = won
+  const bgGradient = voided
+    ? "radial-gradient(ellipse at center, #141418 0%, #010A13 60%)"
+    : won
     ? "radial-gradient(ellipse at center, #0a1f0a 0%, #010A13 60%)"
     : "radial-gradient(ellipse at center, #1a0505 0%, #010A13 60%)";
 
-  const accentColor = won ? "#C8AA6E" : "#C8464A";
-  const glowColor   = won ? "#C8AA6E44" : "#C8464A33";
+  const accentColor = voided ? "#A0A0A8" : won ? "#C8AA6E" : "#C8464A";
+  const glowColor   = voided ? "#A0A0A822" : won ? "#C8AA6E44" : "#C8464A33";
 
   const isReal = bet?.mode === "real";
 
@@ -3124,7 +3683,9 @@ function ResultScreen({ result, bet, onClose }) {
       {/* ── MAIN CARD ── */}
       <div style={{
         position: "relative", zIndex: 10,
-        background: won
+        background: voided
+          ? "linear-gradient(160deg, #141418 0%, #0A1628 40%, #141418 100%)"
+          : won
           ? "linear-gradient(160deg, #0c1a0c 0%, #0A1628 40%, #0d1f0d 100%)"
           : "linear-gradient(160deg, #1a0808 0%, #0A1628 40%, #1a0505 100%)",
         border: `2px solid ${accentColor}`,
@@ -3133,7 +3694,7 @@ function ResultScreen({ result, bet, onClose }) {
         maxWidth: 500, width: "90%",
         textAlign: "center",
         boxShadow: `0 0 60px ${glowColor}, 0 0 120px ${glowColor}, inset 0 0 40px ${glowColor}`,
-        animation: `screenShake 0.5s ease 0s 1`,
+        animation: voided ? "none" : `screenShake 0.5s ease 0s 1`,
       }}>
 
         {/* Animated border glow */}
@@ -3150,18 +3711,18 @@ function ResultScreen({ result, bet, onClose }) {
           <div style={{
             fontFamily: "Barlow Condensed, sans-serif",
             fontSize: 68, fontWeight: 900, letterSpacing: 8,
-            color: won ? "transparent" : "#C8464A",
+            color: won ? "transparent" : accentColor,
             background: won ? "linear-gradient(90deg, #785A28, #C8AA6E, #FFD700, #fff, #FFD700, #C8AA6E, #785A28)" : "none",
             backgroundSize: won ? "300% auto" : "auto",
             WebkitBackgroundClip: won ? "text" : "unset",
-            WebkitTextFillColor: won ? "transparent" : "#C8464A",
+            WebkitTextFillColor: won ? "transparent" : accentColor,
             animation: won
               ? "revealTitle 0.6s cubic-bezier(0.34,1.56,0.64,1), shimmerGold 4s linear infinite, pulseGlow 2s ease-in-out infinite"
               : "revealTitle 0.6s cubic-bezier(0.34,1.56,0.64,1), pulseGlow 2s ease-in-out infinite",
             marginBottom: 4, lineHeight: 1,
             textTransform: "uppercase",
           }}>
-            {won ? "VICTORY!" : "DEFEAT"}
+            {voided ? "VOID" : won ? "VICTORY!" : "DEFEAT"}
           </div>
         )}
 
@@ -3172,7 +3733,11 @@ function ResultScreen({ result, bet, onClose }) {
             fontFamily: "Barlow Condensed, sans-serif", marginBottom: 24,
             animation: "slideUp 0.5s ease 0.3s both",
           }}>
-            {won ? "THE ENEMY HAS BEEN SLAIN" : "YOU HAVE BEEN SLAIN"}
+            {voided
+              ? `${voidLabel(bet).toUpperCase()} — NO CONTEST`
+              : marketBet
+              ? `${describeMarket(bet).toUpperCase()} — ${won ? "HIT" : "MISSED"}`
+              : won ? "THE ENEMY HAS BEEN SLAIN" : "YOU HAVE BEEN SLAIN"}
           </div>
         )}
 
@@ -3218,13 +3783,26 @@ function ResultScreen({ result, bet, onClose }) {
         {/* ── PAYOUT ── */}
         {phase === "payout" && (
           <div style={{
-            background: won ? "linear-gradient(135deg, #0d1f0d, #0a2a0a)" : "linear-gradient(135deg, #1f0a0a, #2a0d0d)",
+            background: voided ? "linear-gradient(135deg, #141418, #1c1c22)" : won ? "linear-gradient(135deg, #0d1f0d, #0a2a0a)" : "linear-gradient(135deg, #1f0a0a, #2a0d0d)",
             border: `2px solid ${accentColor}66`,
             borderRadius: 10, padding: "20px 24px", marginBottom: 24,
             animation: "coinPop 0.5s cubic-bezier(0.34,1.56,0.64,1)",
             boxShadow: `0 0 30px ${glowColor}`,
           }}>
-            {won ? (
+            {voided ? (
+              <>
+                <div style={{ color: `${accentColor}99`, fontSize: 10, letterSpacing: 3, marginBottom: 6 }}>STAKE REFUNDED</div>
+                <div style={{
+                  fontFamily: "Barlow Condensed, sans-serif", fontSize: 52, fontWeight: 900,
+                  color: accentColor, lineHeight: 1,
+                }}>
+                  {isReal ? formatReal(bet?.amount || 0) : formatMoney(bet?.amount || 0)}
+                </div>
+                <div style={{ fontSize: 12, color: "#7A7A82", marginTop: 6 }}>
+                  That game didn't count — your next one is fair game
+                </div>
+              </>
+            ) : won ? (
               <>
                 <div style={{ color: `${accentColor}99`, fontSize: 10, letterSpacing: 3, marginBottom: 6 }}>
                   {isReal ? "STAKE RETURNED + SKIN CREDITS EARNED" : "GOLD EARNED"}
@@ -3239,13 +3817,13 @@ function ResultScreen({ result, bet, onClose }) {
                   lineHeight: 1,
                 }}>
                   {isReal
-                    ? `€${Number(bet?.potentialWin || 0).toFixed(2)}`
-                    : `$${Number(bet?.potentialWin || 0).toFixed(2)}`
+                    ? formatReal(bet?.potentialWin || 0)
+                    : formatMoney(bet?.potentialWin || 0)
                   }
                 </div>
                 {isReal && (
                   <div style={{ fontSize: 12, color: "#86efac", marginTop: 6 }}>
-                    €{Number(bet?.amount || 0).toFixed(2)} back + {(Number(bet?.potentialWin || 0) - Number(bet?.amount || 0)).toFixed(2)} skin credits
+                    {formatReal(bet?.amount || 0)} back + {formatReal((bet?.potentialWin || 0) - (bet?.amount || 0))} skin credits
                   </div>
                 )}
               </>
@@ -3257,7 +3835,7 @@ function ResultScreen({ result, bet, onClose }) {
                   color: "#C8464A", lineHeight: 1,
                   animation: "pulseGlow 1.5s ease-in-out infinite",
                 }}>
-                  {isReal ? `-€${Number(bet?.amount || 0).toFixed(2)}` : `-$${Number(bet?.amount || 0).toFixed(2)}`}
+                  {isReal ? `-${formatReal(bet?.amount || 0)}` : `-${formatMoney(bet?.amount || 0)}`}
                 </div>
                 <div style={{ fontSize: 12, color: "#7A7A82", marginTop: 6 }}>
                   Better luck next time, summoner
@@ -3273,8 +3851,8 @@ function ResultScreen({ result, bet, onClose }) {
             background: won
               ? "linear-gradient(135deg, #C8AA6E, #FFD700, #785A28)"
               : "transparent",
-            border: won ? "none" : "1px solid #C8464A66",
-            color: won ? "#010A13" : "#C8464A",
+            border: won ? "none" : `1px solid ${accentColor}66`,
+            color: won ? "#010A13" : accentColor,
             padding: "13px 48px", borderRadius: 4,
             fontFamily: "Barlow Condensed, sans-serif", fontSize: 14, fontWeight: 900,
             cursor: "pointer", letterSpacing: 3, textTransform: "uppercase",
@@ -3285,7 +3863,7 @@ function ResultScreen({ result, bet, onClose }) {
           onMouseEnter={e => { e.target.style.transform = "scale(1.05)"; playTeemoSqueak(); }}
           onMouseLeave={e => { e.target.style.transform = "scale(1)"; }}
           >
-            {won ? "⚔ CLAIM VICTORY" : "↩ TRY AGAIN"}
+            {voided ? "↩ BACK TO THE RIFT" : won ? "⚔ CLAIM VICTORY" : "↩ TRY AGAIN"}
           </button>
         )}
 
@@ -3298,17 +3876,20 @@ function ResultScreen({ result, bet, onClose }) {
 }
 
 
-// ─── DEBUG PANEL (admin only) ────────────────────────────────────────────────
-function DebugPanel({ user, setUser, toast, showResult }) {
+// ─── DEBUG PANEL (sandbox builds, admin only) ────────────────────────────────
+function DebugPanel({ toast }) {
   const [open, setOpen] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [target, setTarget] = useState("");
+  const [preview, setPreview] = useState(null);
   const [champion, setChampion] = useState("Teemo");
   const [betAmt, setBetAmt] = useState("1.00");
   const [mode, setMode] = useState("real");
-  const activeBet = user.bets?.find(b => b.status === "pending");
 
-  // Preview screens without touching the DB — just fires the visual directly
-  const previewScreen = (won) => {
+  // Preview screens without touching the DB — just fires the visual directly.
+  // outcome: "won", "lost" or "void"
+  const previewScreen = (outcome) => {
+    const won = outcome === "won";
     const fakeMatch = {
       matchId: `PREVIEW_${Date.now()}`,
       win: won,
@@ -3318,41 +3899,23 @@ function DebugPanel({ user, setUser, toast, showResult }) {
       assists: won ? 7  : 3,
       gameEndTimestamp: Date.now(),
     };
+    const amount = (mode === "real" ? realMinor : goldMinor)(betAmt) || 100;
     const fakeBet = {
-      amount: parseFloat(betAmt) || 1,
-      potentialWin: ((parseFloat(betAmt) || 1) * 1.7).toFixed(2),
+      amount,
+      potentialWin: betPayout(amount, 1.7).payout,
       mode,
+      ...(outcome === "void" && { status: "void", voidReason: "remake" }),
     };
-    showResult({ result: fakeMatch, bet: fakeBet });
-  };
-
-  // Resolve an actual pending bet (updates DB)
-  const simulateReal = async (won) => {
-    if (!activeBet) return toast("No active bet to resolve", "error");
-    setLoading(true);
-    try {
-      const fakeMatch = {
-        matchId: `DEBUG_${Date.now()}`,
-        win: won, champion,
-        kills: won ? 12 : 1, deaths: won ? 2 : 9, assists: 5,
-        gameEndTimestamp: Date.now(),
-      };
-      const data = await apiCall("/api/bet", {
-        action: "resolveBet", username: user.username,
-        won, matchId: fakeMatch.matchId, result: fakeMatch
-      });
-      setUser(data.user);
-      showResult({ result: fakeMatch, bet: activeBet });
-    } catch(e) { toast(e.message, "error"); }
-    setLoading(false);
+    setPreview({ result: fakeMatch, bet: fakeBet });
   };
 
+  // Goes to the admin audit log server-side
   const resetBalance = async () => {
+    if (!target.trim()) return toast("Enter a player username", "error");
     setLoading(true);
     try {
-      const data = await apiCall("/api/debug", { action: "resetBalance", username: user.username });
-      setUser(data.user);
-      toast("Balance reset to $500", "success");
+      await apiCall("/api/debug", { action: "resetBalance", username: target.trim() });
+      toast(`${target.trim()}: balance reset to $500, open bets refunded`, "success");
     } catch(e) { toast(e.message, "error"); }
     setLoading(false);
   };
@@ -3381,7 +3944,7 @@ function DebugPanel({ user, setUser, toast, showResult }) {
         }}>
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 2 }}>
             <span style={{ color: "#C8AA6E", fontSize: 11, letterSpacing: 2, fontFamily: "Barlow Condensed, sans-serif", fontWeight: 700 }}>DEV TOOLS</span>
-            <span style={{ color: "#333", fontSize: 10, fontFamily: "monospace" }}>only you see this</span>
+            <span style={{ color: "#333", fontSize: 10, fontFamily: "monospace" }}>sandbox build</span>
           </div>
 
           {/* Champion picker */}
@@ -3429,56 +3992,57 @@ function DebugPanel({ user, setUser, toast, showResult }) {
           <div>
             <div style={{ color: "#555", fontSize: 10, letterSpacing: 1, marginBottom: 6 }}>PREVIEW SCREEN (no DB)</div>
             <div style={{ display: "flex", gap: 6 }}>
-              <button onClick={() => previewScreen(true)} style={{
+              <button onClick={() => previewScreen("won")} style={{
                 flex: 1, background: "#0BC4AA18", border: "1px solid #0BC4AA44", color: "#0BC4AA",
                 padding: "8px", borderRadius: 4, cursor: "pointer", fontFamily: "monospace", fontSize: 12, fontWeight: 700,
               }}>🏆 WIN</button>
-              <button onClick={() => previewScreen(false)} style={{
+              <button onClick={() => previewScreen("lost")} style={{
                 flex: 1, background: "#C8464A18", border: "1px solid #C8464A44", color: "#C8464A",
                 padding: "8px", borderRadius: 4, cursor: "pointer", fontFamily: "monospace", fontSize: 12, fontWeight: 700,
               }}>💀 LOSS</button>
+              <button onClick={() => previewScreen("void")} style={{
+                flex: 1, background: "#A0A0A818", border: "1px solid #A0A0A844", color: "#A0A0A8",
+                padding: "8px", borderRadius: 4, cursor: "pointer", fontFamily: "monospace", fontSize: 12, fontWeight: 700,
+              }}>⊘ VOID</button>
             </div>
           </div>
 
           <div style={{ height: 1, background: "#2a2a2e" }} />
 
-          {/* RESOLVE — touches DB, needs active bet */}
+          {/* RESET — touches DB */}
           <div>
-            <div style={{ color: "#555", fontSize: 10, letterSpacing: 1, marginBottom: 4 }}>
-              RESOLVE REAL BET {activeBet ? <span style={{ color: "#4ade80" }}>({activeBet.mode} €{activeBet.amount})</span> : <span style={{ color: "#444" }}>(no active bet)</span>}
-            </div>
-            <div style={{ display: "flex", gap: 6 }}>
-              <button onClick={() => simulateReal(true)} disabled={loading || !activeBet} style={{
-                flex: 1, background: activeBet ? "#0BC4AA12" : "#111", border: `1px solid ${activeBet ? "#0BC4AA33" : "#222"}`,
-                color: activeBet ? "#0BC4AA" : "#333",
-                padding: "7px", borderRadius: 4, cursor: activeBet ? "pointer" : "not-allowed", fontFamily: "monospace", fontSize: 11,
-              }}>✓ Force WIN</button>
-              <button onClick={() => simulateReal(false)} disabled={loading || !activeBet} style={{
-                flex: 1, background: activeBet ? "#C8464A12" : "#111", border: `1px solid ${activeBet ? "#C8464A33" : "#222"}`,
-                color: activeBet ? "#C8464A" : "#333",
-                padding: "7px", borderRadius: 4, cursor: activeBet ? "pointer" : "not-allowed", fontFamily: "monospace", fontSize: 11,
-              }}>✗ Force LOSS</button>
-            </div>
+            <div style={{ color: "#555", fontSize: 10, letterSpacing: 1, marginBottom: 4 }}>PLAYER</div>
+            <input
+              value={target} onChange={e => setTarget(e.target.value)} placeholder="username"
+              style={{
+                width: "100%", background: "#1a1a1e", border: "1px solid #2a2a2e", marginBottom: 6,
+                color: "#C8AA6E", padding: "5px 8px", borderRadius: 3,
+                fontFamily: "monospace", fontSize: 12, boxSizing: "border-box"
+              }}
+            />
+            <button onClick={resetBalance} disabled={loading} style={{
+              width: "100%", background: "#C8AA6E12", border: "1px solid #C8AA6E33", color: "#C8AA6E88",
+              padding: "7px", borderRadius: 4, cursor: "pointer", fontFamily: "monospace", fontSize: 11,
+            }}>↺ Reset virtual balance $500 + refund open bets</button>
           </div>
-
-          <div style={{ height: 1, background: "#2a2a2e" }} />
-
-          <button onClick={resetBalance} disabled={loading} style={{
-            background: "#C8AA6E12", border: "1px solid #C8AA6E33", color: "#C8AA6E88",
-            padding: "7px", borderRadius: 4, cursor: "pointer", fontFamily: "monospace", fontSize: 11,
-          }}>↺ Reset virtual balance $500</button>
         </div>
       )}
+
+      {preview && <ResultScreen result={preview.result} bet={preview.bet} onClose={() => setPreview(null)} />}
     </div>
   );
 }
 
 
 // ─── ADMIN PANEL ─────────────────────────────────────────────────────────────
-function AdminPanel({ adminToken, onLogout }) {
+// Same ordering as lib/admin.js — the server enforces it, this only hides buttons
+const ADMIN_ROLES = ["viewer", "support", "finance", "owner"];
+
+function AdminPanel({ admin, onLogout }) {
   const [tab, setTab] = useState("players");
   const [players, setPlayers] = useState([]);
   const [redemptions, setRedemptions] = useState([]);
+  const [withdrawals, setWithdrawals] = useState([]);
   const [financials, setFinancials] = useState(null);
   const [activity, setActivity] = useState([]);
   const [pendingBets, setPendingBets] = useState([]);
@@ -3492,29 +4056,31 @@ function AdminPanel({ adminToken, onLogout }) {
   const [adjustAmount, setAdjustAmount] = useState("");
   const [noteText, setNoteText] = useState("");
   const [detailTab, setDetailTab] = useState("bets");
+  const [auditLog, setAuditLog] = useState([]);
+  const [auditFilter, setAuditFilter] = useState({ admin: "", filterAction: "", target: "" });
+  const [admins, setAdmins] = useState([]);
+  const [newAdmin, setNewAdmin] = useState({ username: "", password: "", role: "viewer" });
+  const [ledgerReport, setLedgerReport] = useState(null);
+  const [orderReport, setOrderReport] = useState(null);
+
+  const can = (minRole) => ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(minRole);
 
   const showToast = (msg, type = "info") => setToast({ message: msg, type, id: Date.now() });
 
-  const adminCall = async (action, extra = {}) => {
-    const res = await fetch("/api/admin", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ action, adminToken, ...extra })
-    });
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || "Admin request failed");
-    return data;
-  };
+  const adminCall = (action, extra = {}) => apiCall("/api/admin", { action, ...extra });
 
   const loadTab = async (t) => {
     setLoading(true);
     try {
       if (t === "players") { const d = await adminCall("getPlayers"); setPlayers(d.players); }
       else if (t === "redemptions") { const d = await adminCall("getRedemptions"); setRedemptions(d.redemptions); }
+      else if (t === "withdrawals") { const d = await adminCall("getWithdrawals"); setWithdrawals(d.withdrawals); }
       else if (t === "financials") { const d = await adminCall("getFinancials"); setFinancials(d); }
       else if (t === "activity") { const d = await adminCall("getActivity"); setActivity(d.activity); }
       else if (t === "pending") { const d = await adminCall("getPendingBets"); setPendingBets(d.bets); }
       else if (t === "emails") { const d = await adminCall("getEmailLogs"); setEmailLogs(d.logs); }
+      else if (t === "audit") { const d = await adminCall("getAuditLog", auditFilter); setAuditLog(d.entries); }
+      else if (t === "admins") { const d = await adminCall("getAdmins"); setAdmins(d.admins); }
     } catch(e) { showToast(e.message, "error"); }
     setLoading(false);
   };
@@ -3529,6 +4095,14 @@ function AdminPanel({ adminToken, onLogout }) {
     } catch(e) { showToast(e.message, "error"); }
   };
 
+  // Balances changed — pull the detail again so the ledger tab shows the new entries
+  const refreshPlayerDetail = async (username) => {
+    try {
+      const d = await adminCall("getPlayerDetail", { username });
+      setPlayerDetail(prev => ({ ...prev, [username]: d }));
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
   const toggleExpand = async (username) => {
     if (expandedPlayer === username) { setExpandedPlayer(null); return; }
     setExpandedPlayer(username);
@@ -3546,47 +4120,93 @@ function AdminPanel({ adminToken, onLogout }) {
     } catch(e) { showToast(e.message, "error"); }
   };
 
-  const cancelBet = async (username) => {
+  const approveWithdrawal = async (w) => {
+    if (!window.confirm(`Pay ${formatReal(w.amount)} to ${w.paypalEmail} through PayPal now?`)) return;
     try {
-      await adminCall("cancelPendingBet", { username });
-      setPlayers(prev => prev.map(p => p.username === username ? { ...p, bets: { ...p.bets, pending: 0 } } : p));
-      setPendingBets(prev => prev.filter(b => b.username !== username));
+      const d = await adminCall("approveWithdrawal", { withdrawalId: w.id });
+      setWithdrawals(prev => prev.map(x => x.id === w.id ? d.withdrawal : x));
+      showToast(`✅ ${formatReal(w.amount)} paid to ${w.paypalEmail}`, "success");
+    } catch(e) {
+      showToast(e.message, "error");
+      loadTab("withdrawals"); // a failed payout leaves the row approved with the error on it
+    }
+  };
+
+  const rejectWithdrawal = async (w) => {
+    const warning = w.payoutError ? "\n\nThe last payout failed — PayPal is checked first, and a payout it did send is marked paid instead." : "";
+    const reason = window.prompt(`Reject ${w.username}'s ${formatReal(w.amount)} withdrawal? The amount goes back to their real balance.${warning}\n\nReason (shown to the player):`, "");
+    if (reason === null) return;
+    try {
+      const d = await adminCall("rejectWithdrawal", { withdrawalId: w.id, reason: reason.trim() || undefined });
+      setWithdrawals(prev => prev.map(x => x.id === w.id ? d.withdrawal : x));
+      showToast(`✅ Withdrawal rejected and refunded to ${w.username}`, "success");
+      if (playerDetail[w.username]) refreshPlayerDetail(w.username);
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
+  const cancelBet = async (username, betId) => {
+    try {
+      await adminCall("cancelPendingBet", { username, betId });
+      setPlayers(prev => prev.map(p => p.username === username ? { ...p, bets: { ...p.bets, pending: Math.max(0, p.bets.pending - 1) } } : p));
+      // Without betId the server cancels the player's oldest open bet (the list is oldest first)
+      setPendingBets(prev => {
+        const cancelled = betId ?? prev.find(b => b.username === username)?.id;
+        return prev.filter(b => b.id !== cancelled);
+      });
       showToast(`✅ Bet cancelled & refunded to ${username}`, "success");
+      if (playerDetail[username]) refreshPlayerDetail(username);
     } catch(e) { showToast(e.message, "error"); }
   };
 
   const resetGold = async (username) => {
     try {
       await adminCall("resetVirtualBalance", { username });
-      setPlayers(prev => prev.map(p => p.username === username ? { ...p, balance: 500 } : p));
+      setPlayers(prev => prev.map(p => p.username === username ? { ...p, balance: goldMinor(500) } : p));
       showToast(`✅ ${username}'s virtual gold reset to $500`, "success");
+      if (playerDetail[username]) refreshPlayerDetail(username);
     } catch(e) { showToast(e.message, "error"); }
   };
 
   const adjustBalance = async (username) => {
-    const amt = parseFloat(adjustAmount);
-    if (isNaN(amt)) return showToast("Enter a valid number (negative to deduct)", "error");
     const fieldMap = { "Virtual Gold": "balance", "Real Balance": "real_balance", "Skin Credits": "skin_credits" };
     const field = fieldMap[adjustField];
     if (!field) return showToast("Select a valid wallet type", "error");
+    const amt = field === "balance" ? goldMinor(adjustAmount) : realMinor(adjustAmount);
+    if (!Number.isInteger(amt)) return showToast("Enter a valid number (negative to deduct)", "error");
     try {
-      const result = await adminCall("adjustBalance", { username, field, amount: amt });
+      const result = await adminCall("adjustBalance", { username, field, amount: field === "balance" ? goldDecimal(amt) : realDecimal(amt) });
       setPlayers(prev => prev.map(p => {
         if (p.username !== username) return p;
         return {
           ...p,
-          balance: Number(result.updated.balance),
-          realBalance: Number(result.updated.real_balance),
-          skinCredits: Number(result.updated.skin_credits),
+          balance: result.updated.balance,
+          realBalance: result.updated.realBalance,
+          skinCredits: result.updated.skinCredits,
         };
       }));
-      showToast(`✅ ${amt >= 0 ? "Added" : "Deducted"} $${Math.abs(amt).toFixed(2)} ${adjustField} for ${username}`, "success");
+      showToast(`✅ ${amt >= 0 ? "Added" : "Deducted"} ${field === "balance" ? formatMoney(Math.abs(amt)) : formatReal(Math.abs(amt))} ${adjustField} for ${username}`, "success");
       setAdjustAmount("");
+      if (playerDetail[username]) refreshPlayerDetail(username);
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
+  const reconcileLedger = async (fix) => {
+    if (fix && !window.confirm("Overwrite every mismatched player balance with the ledger total?")) return;
+    try {
+      const report = await adminCall("reconcileLedger", { fix });
+      setLedgerReport(report);
+      if (fix) showToast(`✅ Rebuilt ${report.fixed} player balance${report.fixed === 1 ? "" : "s"} from the ledger`, "success");
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
+  const loadOrderReport = async (checkPayPal) => {
+    try {
+      setOrderReport(await adminCall("getOrderReport", { checkPayPal }));
     } catch(e) { showToast(e.message, "error"); }
   };
 
   const deletePlayer = async (username) => {
-    if (!window.confirm(`DELETE ${username}? This will erase all their bets, deposits and redemptions. Cannot be undone.`)) return;
+    if (!window.confirm(`DELETE ${username}? Their email, linked account, sessions and notifications are erased, any virtual gold left is written off, and they can't sign in again. Bets, payments and ledger entries are kept, anonymised. Cannot be undone.`)) return;
     try {
       await adminCall("deletePlayer", { username });
       setPlayers(prev => prev.filter(p => p.username !== username));
@@ -3603,7 +4223,34 @@ function AdminPanel({ adminToken, onLogout }) {
     } catch(e) { showToast(e.message, "error"); }
   };
 
-  const fmt = (n) => `$${Number(n || 0).toFixed(2)}`;
+  const clearFlag = async (username) => {
+    if (!window.confirm(`Clear the review flag on ${username}? Their redemptions and withdrawals are unblocked.`)) return;
+    try {
+      await adminCall("clearFlag", { username });
+      setPlayers(prev => prev.map(p => p.username === username ? { ...p, flaggedAt: null, flagReason: null } : p));
+      showToast("✅ Flag cleared", "success");
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
+  const createAdmin = async () => {
+    try {
+      await adminCall("createAdmin", newAdmin);
+      setNewAdmin({ username: "", password: "", role: "viewer" });
+      showToast(`✅ Admin ${newAdmin.username} created`, "success");
+      loadTab("admins");
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
+  const updateAdmin = async (username, changes) => {
+    try {
+      await adminCall("updateAdmin", { username, ...changes });
+      setAdmins(prev => prev.map(a => a.username === username ? { ...a, ...changes } : a));
+      showToast(`✅ ${username} updated`, "success");
+    } catch(e) { showToast(e.message, "error"); }
+  };
+
+  const fmt = formatMoney;   // gold — real money goes through formatReal
+  const fmtWallet = (wallet, n) => wallet === "virtual" ? fmt(n) : formatReal(n);
   const timeAgo = (ts) => {
     const diff = Date.now() - ts;
     const m = Math.floor(diff / 60000);
@@ -3625,10 +4272,13 @@ function AdminPanel({ adminToken, onLogout }) {
     { id: "players", label: "👥 Players" },
     { id: "pending", label: "⏳ Pending Bets" + (pendingBets.length ? ` (${pendingBets.length})` : "") },
     { id: "redemptions", label: "💜 Redemptions" },
-    { id: "financials", label: "💰 Financials" },
+    { id: "withdrawals", label: "💸 Withdrawals" },
+    { id: "financials", label: "💰 Financials", role: "finance" },
     { id: "activity", label: "📋 Activity" },
-    { id: "emails", label: "✉️ Email Logs" + (emailLogs.filter(l => l.status === "failed").length ? ` ⚠️${emailLogs.filter(l => l.status === "failed").length}` : "") },
-  ];
+    { id: "emails", label: "✉️ Email Logs" + (emailLogs.filter(l => l.status === "failed").length ? ` ⚠️${emailLogs.filter(l => l.status === "failed").length}` : ""), role: "support" },
+    { id: "audit", label: "🛡 Audit Log", role: "support" },
+    { id: "admins", label: "🔑 Admins", role: "owner" },
+  ].filter(t => !t.role || can(t.role));
 
   const S = {
     page: { minHeight: "100vh", background: "#0d0d10", fontFamily: "DM Sans, sans-serif", color: "#E0E0E0" },
@@ -3659,7 +4309,8 @@ function AdminPanel({ adminToken, onLogout }) {
           <span style={{ fontSize: 10, letterSpacing: 4, color: "#C8AA6E", fontWeight: 700 }}>RUNETERRA WAGERS</span>
           <div style={{ width: 1, height: 20, background: "#2D2D32" }} />
           <span style={{ fontSize: 16, fontWeight: 700, color: "#F0F0F0" }}>Admin Panel</span>
-          <span style={{ background: "#C8AA6E22", border: "1px solid #C8AA6E55", color: "#C8AA6E", fontSize: 11, padding: "2px 10px", borderRadius: 10, fontWeight: 700, letterSpacing: 1 }}>ADMIN</span>
+          <span style={{ background: "#C8AA6E22", border: "1px solid #C8AA6E55", color: "#C8AA6E", fontSize: 11, padding: "2px 10px", borderRadius: 10, fontWeight: 700, letterSpacing: 1 }}>{admin.role.toUpperCase()}</span>
+          <span style={{ fontSize: 13, color: "#7A7A82" }}>{admin.username}</span>
         </div>
         <div style={{ display: "flex", gap: 10 }}>
           <button onClick={() => loadTab(tab)} style={S.btn()}>↻ Refresh</button>
@@ -3716,15 +4367,18 @@ function AdminPanel({ adminToken, onLogout }) {
                     {filteredPlayers.map(p => (
                       <>
                         <tr key={p.username}>
-                          <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700 }}>{p.username}</span></td>
+                          <td style={S.td}>
+                            <span style={{ color: "#F0F0F0", fontWeight: 700 }}>{p.username}</span>
+                            {p.flaggedAt && <span title={p.flagReason || ""} style={{ marginLeft: 8, color: "#F85149", fontSize: 11, border: "1px solid #F8514966", padding: "1px 6px", borderRadius: 3 }}>⚑ FLAGGED</span>}
+                          </td>
                           <td style={S.td}><span style={{ color: p.lolAccount ? "#C8AA6E" : "#35353A", fontSize: 13 }}>{p.lolAccount || "—"}</span></td>
                           <td style={S.td}><span style={{ color: "#A0A0A8", fontSize: 13 }}>{p.rank || "—"}</span></td>
                           <td style={S.td}><span style={{ color: p.email ? "#86efac" : "#35353A", fontSize: 12 }}>{p.email || "—"}</span></td>
                           <td style={S.td}><span style={{ color: "#C8AA6E", fontWeight: 700 }}>{fmt(p.balance)}</span></td>
-                          <td style={S.td}><span style={{ color: "#4ade80", fontWeight: 700 }}>{fmt(p.realBalance)}</span></td>
-                          <td style={S.td}><span style={{ color: "#a78bfa", fontWeight: 700 }}>{fmt(p.skinCredits)}</span></td>
+                          <td style={S.td}><span style={{ color: p.realBalance < 0 ? "#F85149" : "#4ade80", fontWeight: 700 }}>{formatReal(p.realBalance)}</span></td>
+                          <td style={S.td}><span style={{ color: "#a78bfa", fontWeight: 700 }}>{formatReal(p.skinCredits)}</span></td>
                           <td style={S.td}>
-                            <div style={{ color: "#E0E0E0", fontWeight: 600 }}>{fmt(p.deposit.total)}</div>
+                            <div style={{ color: "#E0E0E0", fontWeight: 600 }}>{formatReal(p.deposit.total)}</div>
                             <div style={{ color: "#7A7A82", fontSize: 12 }}>{p.deposit.count} tx</div>
                           </td>
                           <td style={S.td}><span style={{ color: "#A0A0A8" }}>{p.bets.total}</span></td>
@@ -3765,22 +4419,23 @@ function AdminPanel({ adminToken, onLogout }) {
                                   <div style={{ minWidth: 200 }}>
                                     <div style={S.label}>Quick Actions</div>
                                     <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-                                      <button onClick={() => resetGold(p.username)} style={S.btn("#C8AA6E")}>↺ Reset Virtual Gold → $500</button>
-                                      {p.bets.pending > 0 && (
+                                      {can("support") && <button onClick={() => resetGold(p.username)} style={S.btn("#C8AA6E")}>↺ Reset Virtual Gold → $500</button>}
+                                      {can("support") && p.bets.pending > 0 && (
                                         <button onClick={() => cancelBet(p.username)} style={S.btn("#C8464A")}>✕ Cancel Pending Bet & Refund</button>
                                       )}
-                                      <button onClick={() => deletePlayer(p.username)} style={{ ...S.btn("#C8464A"), marginTop: 8, borderTop: "1px solid #35353A", paddingTop: 12, opacity: 0.7 }}>🗑 Delete Account</button>
+                                      {can("owner") && <button onClick={() => deletePlayer(p.username)} style={{ ...S.btn("#C8464A"), marginTop: 8, borderTop: "1px solid #35353A", paddingTop: 12, opacity: 0.7 }}>🗑 Delete Account</button>}
+                                      {!can("support") && <div style={{ color: "#7A7A82", fontSize: 12 }}>Read-only ({admin.role})</div>}
                                     </div>
                                   </div>
 
                                   {/* Adjust balance */}
-                                  <div style={{ minWidth: 320 }}>
+                                  {can("support") && <div style={{ minWidth: 320 }}>
                                     <div style={S.label}>Adjust Balance</div>
                                     <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
                                       <select value={adjustField} onChange={e => setAdjustField(e.target.value)} style={{ background: "#1A1A1E", border: "1px solid #35353A", color: "#E0E0E0", padding: "9px 12px", borderRadius: 4, fontFamily: "DM Sans, sans-serif", fontSize: 13 }}>
                                         <option>Virtual Gold</option>
-                                        <option>Real Balance</option>
-                                        <option>Skin Credits</option>
+                                        {can("finance") && <option>Real Balance</option>}
+                                        {can("finance") && <option>Skin Credits</option>}
                                       </select>
                                       <input
                                         type="number" step="0.01" placeholder="Amount (neg = deduct)"
@@ -3790,7 +4445,14 @@ function AdminPanel({ adminToken, onLogout }) {
                                       <button onClick={() => adjustBalance(p.username)} style={S.btnSolid("#4ade80")}>Apply</button>
                                     </div>
                                     <div style={{ color: "#7A7A82", fontSize: 12, marginTop: 6 }}>Use negative to deduct. E.g. −5 removes $5.00.</div>
-                                  </div>
+                                  </div>}
+
+                                  {/* Review flag — set when a PayPal clawback left them negative */}
+                                  {p.flaggedAt && <div style={{ minWidth: 260 }}>
+                                    <div style={S.label}>Flagged {timeAgo(p.flaggedAt)}</div>
+                                    <div style={{ color: "#F85149", fontSize: 13, marginBottom: 8 }}>{p.flagReason}</div>
+                                    {can("finance") && <button onClick={() => clearFlag(p.username)} style={S.btn("#F85149")}>Clear flag</button>}
+                                  </div>}
 
                                   {/* Admin note */}
                                   <div style={{ flex: 1, minWidth: 260 }}>
@@ -3801,7 +4463,7 @@ function AdminPanel({ adminToken, onLogout }) {
                                         placeholder="Private note about this player..."
                                         style={{ flex: 1, background: "#1A1A1E", border: "1px solid #35353A", color: "#E0E0E0", padding: "9px 12px", borderRadius: 4, fontFamily: "DM Sans, sans-serif", fontSize: 13 }}
                                       />
-                                      <button onClick={() => saveNote(p.username)} style={S.btnSolid("#C8AA6E", "#0d0d10")}>Save</button>
+                                      {can("support") && <button onClick={() => saveNote(p.username)} style={S.btnSolid("#C8AA6E", "#0d0d10")}>Save</button>}
                                     </div>
                                   </div>
                                 </div>
@@ -3812,6 +4474,8 @@ function AdminPanel({ adminToken, onLogout }) {
                                     { id: "bets", label: `Bet History (${playerDetail[p.username]?.bets?.length || 0})` },
                                     { id: "deposits", label: `Deposits (${playerDetail[p.username]?.deposits?.length || 0})` },
                                     { id: "redemptions", label: `Redemptions (${playerDetail[p.username]?.redemptions?.length || 0})` },
+                                    { id: "withdrawals", label: `Withdrawals (${playerDetail[p.username]?.withdrawals?.length || 0})` },
+                                    { id: "ledger", label: `Ledger (${playerDetail[p.username]?.ledger?.length || 0})` },
                                   ].map(dt => (
                                     <button key={dt.id} onClick={() => setDetailTab(dt.id)} style={{
                                       background: "none", border: "none", cursor: "pointer",
@@ -3840,11 +4504,11 @@ function AdminPanel({ adminToken, onLogout }) {
                                             <tr key={b.id}>
                                               <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12 }}>{fmtDate(b.placedAt)}</span></td>
                                               <td style={S.td}><span style={{ fontSize: 12, color: b.mode === "real" ? "#4ade80" : "#C8AA6E", border: `1px solid ${b.mode === "real" ? "#4ade8044" : "#C8AA6E44"}`, padding: "2px 7px", borderRadius: 3 }}>{b.mode?.toUpperCase()}</span></td>
-                                              <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 600 }}>{fmt(b.amount)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 600 }}>{fmtWallet(b.mode, b.amount)}</span></td>
                                               <td style={S.td}><span style={{ color: "#A0A0A8" }}>{Number(b.odds).toFixed(2)}x</span></td>
-                                              <td style={S.td}><span style={{ color: "#0BC4AA" }}>{fmt(b.potentialWin)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#0BC4AA" }}>{fmtWallet(b.mode, b.potentialWin)}</span></td>
                                               <td style={S.td}>
-                                                <span style={{ fontSize: 12, fontWeight: 700, color: b.status === "won" ? "#3FB950" : b.status === "lost" ? "#F85149" : b.status === "cancelled" ? "#7A7A82" : "#C8AA6E", border: `1px solid currentColor`, padding: "2px 8px", borderRadius: 3 }}>
+                                                <span style={{ fontSize: 12, fontWeight: 700, color: b.status === "won" ? "#3FB950" : b.status === "lost" ? "#F85149" : (b.status === "cancelled" || b.status === "expired" || b.status === "void") ? "#7A7A82" : "#C8AA6E", border: `1px solid currentColor`, padding: "2px 8px", borderRadius: 3 }}>
                                                   {b.status.toUpperCase()}
                                                 </span>
                                               </td>
@@ -3874,8 +4538,12 @@ function AdminPanel({ adminToken, onLogout }) {
                                           {playerDetail[p.username].deposits.map(d => (
                                             <tr key={d.id}>
                                               <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{fmtDate(d.createdAt)}</span></td>
-                                              <td style={S.td}><span style={{ color: "#4ade80", fontWeight: 700, fontSize: 15 }}>{fmt(d.amount)}</span></td>
-                                              <td style={S.td}><span style={{ color: "#3FB950", fontSize: 12, border: "1px solid #3FB95044", padding: "2px 8px", borderRadius: 3 }}>✓ {d.status}</span></td>
+                                              <td style={S.td}><span style={{ color: "#4ade80", fontWeight: 700, fontSize: 15 }}>{formatReal(d.amount)}</span></td>
+                                              <td style={S.td}>
+                                                {d.status === "completed"
+                                                  ? <span style={{ color: "#3FB950", fontSize: 12, border: "1px solid #3FB95044", padding: "2px 8px", borderRadius: 3 }}>✓ {d.status}</span>
+                                                  : <span style={{ color: "#F85149", fontSize: 12, border: "1px solid #F8514944", padding: "2px 8px", borderRadius: 3 }}>{d.status.replace("_", " ")}{d.clawedBack > 0 && ` · −${formatReal(d.clawedBack)}`}</span>}
+                                              </td>
                                             </tr>
                                           ))}
                                         </tbody>
@@ -3901,8 +4569,8 @@ function AdminPanel({ adminToken, onLogout }) {
                                             <tr key={r.id}>
                                               <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{fmtDate(r.createdAt)}</span></td>
                                               <td style={S.td}><span style={{ color: "#a78bfa", fontWeight: 600 }}>{r.skinName}</span></td>
-                                              <td style={S.td}><span style={{ color: "#a78bfa" }}>{fmt(r.creditCost)}</span></td>
-                                              <td style={S.td}><span style={{ color: "#4ade80" }}>{fmt(r.realCost)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#a78bfa" }}>{formatReal(r.creditCost)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#4ade80" }}>{formatReal(r.realCost)}</span></td>
                                               <td style={S.td}><span style={{ color: r.status === "fulfilled" ? "#3FB950" : "#C8AA6E", fontSize: 12, border: "1px solid currentColor", padding: "2px 8px", borderRadius: 3 }}>{r.status === "fulfilled" ? "✓ SENT" : "⏳ PENDING"}</span></td>
                                             </tr>
                                           ))}
@@ -3911,6 +4579,64 @@ function AdminPanel({ adminToken, onLogout }) {
                                     )}
                                   </div>
                                 )}
+
+                                {/* Withdrawals */}
+                                {detailTab === "withdrawals" && (
+                                  <div>
+                                    {!playerDetail[p.username] ? (
+                                      <div style={{ color: "#7A7A82", fontSize: 14 }}>Loading...</div>
+                                    ) : !playerDetail[p.username].withdrawals?.length ? (
+                                      <div style={{ color: "#7A7A82", fontSize: 14, fontStyle: "italic" }}>No withdrawals yet.</div>
+                                    ) : (
+                                      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                                        <thead><tr>
+                                          {["Date", "PayPal", "Amount", "Status", "Reviewed by"].map(h => <th key={h} style={{ ...S.th, background: "#0d0d10" }}>{h}</th>)}
+                                        </tr></thead>
+                                        <tbody>
+                                          {playerDetail[p.username].withdrawals.map(w => (
+                                            <tr key={w.id}>
+                                              <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{fmtDate(w.createdAt)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#C8AA6E", fontSize: 13 }}>{w.paypalEmail}</span></td>
+                                              <td style={S.td}><span style={{ color: "#4ade80", fontWeight: 700 }}>{formatReal(w.amount)}</span></td>
+                                              <td style={S.td}><span style={{ color: w.status === "paid" ? "#3FB950" : w.status === "rejected" || w.status === "returned" ? "#F85149" : "#C8AA6E", fontSize: 12, border: "1px solid currentColor", padding: "2px 8px", borderRadius: 3, textTransform: "uppercase" }}>{w.status}</span></td>
+                                              <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12 }}>{w.reviewedBy || "—"}{w.rejectReason && ` · ${w.rejectReason}`}</span></td>
+                                            </tr>
+                                          ))}
+                                        </tbody>
+                                      </table>
+                                    )}
+                                  </div>
+                                )}
+
+                                {/* Ledger entries */}
+                                {detailTab === "ledger" && (
+                                  <div style={{ overflowX: "auto" }}>
+                                    {!playerDetail[p.username] ? (
+                                      <div style={{ color: "#7A7A82", fontSize: 14 }}>Loading...</div>
+                                    ) : !playerDetail[p.username].ledger?.length ? (
+                                      <div style={{ color: "#7A7A82", fontSize: 14, fontStyle: "italic" }}>No ledger entries yet.</div>
+                                    ) : (
+                                      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                                        <thead><tr>
+                                          {["Date", "Kind", "Wallet", "Amount", "Balance After", "Ref", "Memo"].map(h => <th key={h} style={{ ...S.th, background: "#0d0d10" }}>{h}</th>)}
+                                        </tr></thead>
+                                        <tbody>
+                                          {playerDetail[p.username].ledger.map(e => (
+                                            <tr key={e.id}>
+                                              <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{fmtDate(e.createdAt)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#F0F0F0", fontSize: 13 }}>{e.kind}</span></td>
+                                              <td style={S.td}><span style={{ fontSize: 12, color: e.currency === "virtual" ? "#C8AA6E" : e.currency === "real" ? "#4ade80" : "#a78bfa" }}>{e.currency.toUpperCase()}</span></td>
+                                              <td style={S.td}><span style={{ color: e.amount >= 0 ? "#3FB950" : "#F85149", fontWeight: 700 }}>{e.amount >= 0 ? "+" : "−"}{fmtWallet(e.currency, Math.abs(e.amount))}</span></td>
+                                              <td style={S.td}><span style={{ color: "#A0A0A8" }}>{fmtWallet(e.currency, e.balanceAfter)}</span></td>
+                                              <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12 }}>{e.refType ? `${e.refType} ${e.refId || ""}` : "—"}</span></td>
+                                              <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12 }}>{e.memo || "—"}</span></td>
+                                            </tr>
+                                          ))}
+                                        </tbody>
+                                      </table>
+                                    )}
+                                  </div>
+                                )}
                               </div>
                             </td>
                           </tr>
@@ -3939,7 +4665,7 @@ function AdminPanel({ adminToken, onLogout }) {
               <div style={{ background: "#1A1A1E", border: "1px solid #C8AA6E33", borderRadius: 8, overflow: "hidden" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse" }}>
                   <thead><tr>
-                    {["Placed", "Player", "LoL Account", "Rank", "Mode", "Amount", "Odds", "Potential Win", "Action"].map(h => <th key={h} style={S.th}>{h}</th>)}
+                    {["Placed", "Player", "LoL Account", "Rank", "Mode", "Amount", "Odds", "Potential Win", "Expires", "Action"].map(h => <th key={h} style={S.th}>{h}</th>)}
                   </tr></thead>
                   <tbody>
                     {pendingBets.map(b => (
@@ -3949,10 +4675,13 @@ function AdminPanel({ adminToken, onLogout }) {
                         <td style={S.td}><span style={{ color: "#C8AA6E" }}>{b.lolAccount || "—"}</span></td>
                         <td style={S.td}><span style={{ color: "#A0A0A8", fontSize: 13 }}>{b.rank || "—"}</span></td>
                         <td style={S.td}><span style={{ fontSize: 12, color: b.mode === "real" ? "#4ade80" : "#C8AA6E", border: `1px solid ${b.mode === "real" ? "#4ade8044" : "#C8AA6E44"}`, padding: "2px 8px", borderRadius: 3 }}>{b.mode?.toUpperCase()}</span></td>
-                        <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700, fontSize: 15 }}>{fmt(b.amount)}</span></td>
+                        <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700, fontSize: 15 }}>{fmtWallet(b.mode, b.amount)}</span></td>
                         <td style={S.td}><span style={{ color: "#A0A0A8" }}>{Number(b.odds).toFixed(2)}x</span></td>
-                        <td style={S.td}><span style={{ color: "#0BC4AA", fontWeight: 700 }}>{fmt(b.potentialWin)}</span></td>
-                        <td style={S.td}><button onClick={() => cancelBet(b.username)} style={S.btn("#C8464A")}>✕ Cancel & Refund</button></td>
+                        <td style={S.td}><span style={{ color: "#0BC4AA", fontWeight: 700 }}>{fmtWallet(b.mode, b.potentialWin)}</span></td>
+                        <td style={S.td}>{!b.expiresAt ? <span style={{ color: "#35353A" }}>—</span> : b.expiresAt < Date.now()
+                          ? <span style={{ color: "#fb923c", fontSize: 13 }} title="Refunded automatically once no game turns up">overdue · refund pending</span>
+                          : <span style={{ color: "#A0A0A8", fontSize: 13 }}>in {Math.ceil((b.expiresAt - Date.now()) / 60000)}m</span>}</td>
+                        <td style={S.td}>{can("support") ? <button onClick={() => cancelBet(b.username, b.id)} style={S.btn("#C8464A")}>✕ Cancel & Refund</button> : <span style={{ color: "#35353A" }}>—</span>}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -3999,12 +4728,12 @@ function AdminPanel({ adminToken, onLogout }) {
                               </span>
                             </td>
                             <td style={S.td}><span style={{ color: "#a78bfa", fontWeight: 700 }}>{r.skinName}</span></td>
-                            <td style={S.td}><span style={{ color: "#a78bfa" }}>{fmt(r.creditCost)}</span></td>
-                            <td style={S.td}><span style={{ color: "#4ade80" }}>{fmt(r.realCost)}</span></td>
-                            <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700 }}>{fmt(r.creditCost + r.realCost)}</span></td>
+                            <td style={S.td}><span style={{ color: "#a78bfa" }}>{formatReal(r.creditCost)}</span></td>
+                            <td style={S.td}><span style={{ color: "#4ade80" }}>{formatReal(r.realCost)}</span></td>
+                            <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700 }}>{formatReal(r.creditCost + r.realCost)}</span></td>
                             <td style={S.td}>
                               {statusFilter === "pending"
-                                ? <button onClick={() => fulfillRedemption(r.id)} style={S.btnSolid("#4ade80")}>✓ Mark as Sent</button>
+                                ? can("support") ? <button onClick={() => fulfillRedemption(r.id)} style={S.btnSolid("#4ade80")}>✓ Mark as Sent</button> : <span style={{ color: "#C8AA6E", fontSize: 13 }}>Pending</span>
                                 : <span style={{ color: "#4ade80", fontSize: 13, fontWeight: 600 }}>✓ Sent</span>}
                             </td>
                           </tr>
@@ -4018,10 +4747,180 @@ function AdminPanel({ adminToken, onLogout }) {
           </div>
         )}
 
+        {/* ══ WITHDRAWALS TAB ════════════════════════════════════════════════ */}
+        {!loading && tab === "withdrawals" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+            <div style={S.sectionTitle}>
+              Withdrawals
+              <span style={{ marginLeft: 12, color: "#C8AA6E", fontSize: 15, fontWeight: 400 }}>
+                {withdrawals.filter(w => w.status === "pending").length} pending
+              </span>
+            </div>
+            {[
+              { id: "pending", title: "⏳ PENDING — Review and pay", color: "#C8AA6E", statuses: ["pending"], empty: "No withdrawals waiting 🎉" },
+              { id: "approved", title: "↗ APPROVED — Payout not confirmed", color: "#60a5fa", statuses: ["approved"] },
+              { id: "done", title: "✓ PAID / REJECTED", color: "#4ade80", statuses: ["paid", "rejected", "returned"] },
+            ].map(group => {
+              const filtered = withdrawals.filter(w => group.statuses.includes(w.status));
+              if (!filtered.length) return group.empty ? (
+                <div key={group.id} style={{ ...S.card, textAlign: "center", color: "#7A7A82", padding: 32, fontSize: 14 }}>{group.empty}</div>
+              ) : null;
+              return (
+                <div key={group.id}>
+                  <div style={{ fontSize: 13, letterSpacing: 2, color: group.color, fontWeight: 700, marginBottom: 10 }}>{group.title}</div>
+                  <div style={{ background: "#1A1A1E", border: `1px solid ${group.color}44`, borderRadius: 8, overflow: "hidden" }}>
+                    <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                      <thead><tr>
+                        {["Time", "Player", "Pay to PayPal ↓", "Amount", group.id === "done" ? "Outcome" : "Action"].map(h => <th key={h} style={S.th}>{h}</th>)}
+                      </tr></thead>
+                      <tbody>
+                        {filtered.map(w => (
+                          <tr key={w.id}>
+                            <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{timeAgo(w.createdAt)}</span></td>
+                            <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700 }}>{w.username}</span></td>
+                            <td style={S.td}><span style={{ color: "#C8AA6E", fontWeight: 700 }}>{w.paypalEmail}</span></td>
+                            <td style={S.td}><span style={{ color: "#4ade80", fontWeight: 700 }}>{formatReal(w.amount)}</span></td>
+                            <td style={S.td}>
+                              {group.id === "done" ? (
+                                <div>
+                                  <span style={{ color: w.status === "paid" ? "#4ade80" : "#F85149", fontSize: 13, fontWeight: 600 }}>
+                                    {w.status === "paid" ? `✓ Paid ${w.paidAt ? timeAgo(w.paidAt) : ""}` : w.status === "returned" ? "↩ Payout returned" : "✕ Rejected"}
+                                  </span>
+                                  <div style={{ color: "#7A7A82", fontSize: 12, marginTop: 2 }}>
+                                    {w.reviewedBy && `by ${w.reviewedBy}`}{w.payoutBatchId && ` · ${w.payoutBatchId}`}{w.rejectReason && ` · ${w.rejectReason}`}{w.status === "returned" && w.payoutError && ` · ${w.payoutError}`}
+                                  </div>
+                                </div>
+                              ) : can("finance") ? (
+                                <div>
+                                  <div style={{ display: "flex", gap: 8 }}>
+                                    <button onClick={() => approveWithdrawal(w)} style={S.btnSolid("#4ade80")}>{w.status === "approved" ? "↻ Retry payout" : "✓ Approve & pay"}</button>
+                                    {(w.status === "pending" || w.payoutError) && <button onClick={() => rejectWithdrawal(w)} style={S.btn("#F85149")}>✕ Reject</button>}
+                                  </div>
+                                  {w.payoutError && <div style={{ color: "#F85149", fontSize: 12, marginTop: 6 }}>⚠️ {w.payoutError}</div>}
+                                </div>
+                              ) : <span style={{ color: group.color, fontSize: 13 }}>{w.status === "approved" ? "Approved" : "Pending"}</span>}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* ══ FINANCIALS TAB ═════════════════════════════════════════════════ */}
         {!loading && tab === "financials" && financials && financials.real && financials.virtual && (
           <div style={{ display: "flex", flexDirection: "column", gap: 28 }}>
 
+            {/* Ledger check — player balance columns vs. the sum of their ledger entries */}
+            <div style={{ ...S.card, display: "flex", flexDirection: "column", gap: 12 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 10 }}>
+                <div>
+                  <div style={{ fontSize: 15, fontWeight: 700, color: "#F0F0F0" }}>📒 Ledger Reconciliation</div>
+                  <div style={{ fontSize: 12, color: "#7A7A82", marginTop: 2 }}>
+                    {ledgerReport
+                      ? `${ledgerReport.checked} players checked — ${ledgerReport.mismatches.length} mismatch${ledgerReport.mismatches.length === 1 ? "" : "es"}`
+                      : "Compare every wallet with the sum of its ledger entries"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button onClick={() => reconcileLedger(false)} style={S.btn("#C8AA6E")}>Check</button>
+                  {ledgerReport?.mismatches.length > 0 && (
+                    <button onClick={() => reconcileLedger(true)} style={S.btn("#F85149")}>Rebuild from ledger</button>
+                  )}
+                </div>
+              </div>
+              {ledgerReport?.mismatches.length > 0 && (
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead><tr>
+                    {["Player", "Gold (column / ledger)", "Real (column / ledger)", "Credits (column / ledger)"].map(h => <th key={h} style={S.th}>{h}</th>)}
+                  </tr></thead>
+                  <tbody>
+                    {ledgerReport.mismatches.map(m => (
+                      <tr key={m.username}>
+                        <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 600 }}>{m.username}</span></td>
+                        {["virtual", "real", "credits"].map(c => (
+                          <td key={c} style={S.td}>
+                            <span style={{ color: m.columns[c] === m.ledger[c] ? "#7A7A82" : "#F85149" }}>
+                              {fmtWallet(c, m.columns[c])} / {fmtWallet(c, m.ledger[c])}
+                            </span>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {/* PayPal orders — created but never captured, and captures refunded for not matching */}
+            <div style={{ ...S.card, display: "flex", flexDirection: "column", gap: 12 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 10 }}>
+                <div>
+                  <div style={{ fontSize: 15, fontWeight: 700, color: "#F0F0F0" }}>🧾 PayPal Orders</div>
+                  <div style={{ fontSize: 12, color: "#7A7A82", marginTop: 2 }}>
+                    {orderReport
+                      ? `${orderReport.uncaptured.length} never captured — ${orderReport.mismatched.length} refunded for not matching${orderReport.checkedAtPayPal ? ` — ${orderReport.checkedAtPayPal} checked at PayPal` : ""}`
+                      : "Orders created but never captured, and mismatched captures"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button onClick={() => loadOrderReport(false)} style={S.btn("#C8AA6E")}>Check</button>
+                  <button onClick={() => loadOrderReport(true)} style={S.btn("#60a5fa")}>Check at PayPal</button>
+                </div>
+              </div>
+              {orderReport?.uncaptured.length > 0 && (
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead><tr>
+                    {["Created", "Player", "Order", "Amount", "State", "PayPal says"].map(h => <th key={h} style={S.th}>{h}</th>)}
+                  </tr></thead>
+                  <tbody>
+                    {orderReport.uncaptured.map(o => (
+                      <tr key={o.id}>
+                        <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{fmtDate(o.createdAt)}</span></td>
+                        <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 600 }}>{o.username}</span></td>
+                        <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12, fontFamily: "monospace" }}>{o.id}</span></td>
+                        <td style={S.td}><span style={{ color: "#4ade80" }}>{formatIn(o.amount, o.currency)} · {formatReal(o.settlementAmount)}</span></td>
+                        <td style={S.td}><span style={{ color: o.expired ? "#7A7A82" : "#C8AA6E", fontSize: 13 }}>{o.expired ? "Expired" : "Open"}</span></td>
+                        <td style={S.td}>
+                          {/* COMPLETED at PayPal with no capture on our side means money was taken without a deposit */}
+                          <span style={{ color: o.paypalStatus === "COMPLETED" ? "#F85149" : "#A0A0A8", fontWeight: o.paypalStatus === "COMPLETED" ? 700 : 400, fontSize: 13 }}>
+                            {o.paypalStatus ? (o.paypalStatus === "COMPLETED" ? "⚠️ COMPLETED — no deposit" : o.paypalStatus) : "—"}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {orderReport?.mismatched.length > 0 && (
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead><tr>
+                    {["Captured", "Player", "Order", "Ordered / captured", "Mismatch", "Refund"].map(h => <th key={h} style={S.th}>{h}</th>)}
+                  </tr></thead>
+                  <tbody>
+                    {orderReport.mismatched.map(o => (
+                      <tr key={o.id}>
+                        <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{o.capturedAt ? fmtDate(o.capturedAt) : "—"}</span></td>
+                        <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 600 }}>{o.username}</span></td>
+                        <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12, fontFamily: "monospace" }}>{o.id}</span></td>
+                        <td style={S.td}><span style={{ color: "#A0A0A8" }}>{formatIn(o.amount, o.currency)} / {o.capturedAmount != null ? formatIn(o.capturedAmount, o.currency) : "—"}</span></td>
+                        <td style={S.td}><span style={{ color: "#fb923c", fontSize: 13 }}>{o.mismatch}</span></td>
+                        <td style={S.td}>
+                          <span style={{ color: o.status === "refunded" ? "#4ade80" : "#F85149", fontSize: 13, fontWeight: 600 }}>
+                            {o.status === "refunded" ? `✓ ${o.refundId}` : "⚠️ Refund failed — refund in PayPal"}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
             {/* ══════════════════════════════════════════════════════════════
                 PANEL 1 — REAL MONEY  (green border, what matters)
             ══════════════════════════════════════════════════════════════ */}
@@ -4041,10 +4940,12 @@ function AdminPanel({ adminToken, onLogout }) {
                 {/* Cash flow row */}
                 <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 12 }}>
                   {[
-                    { label: "Total Deposited", val: `€${financials.totalDeposited.toFixed(2)}`, color: "#4ade80", sub: `${financials.totalDeposits} PayPal payments`, icon: "↓" },
-                    { label: "Real Balance Owed", val: `€${financials.totalRealOwed.toFixed(2)}`, color: "#f87171", sub: "In player wallets right now", icon: "−" },
-                    { label: "RP Cards Sent", val: `€${financials.totalFulfilled.toFixed(2)}`, color: "#f87171", sub: `${financials.totalRedemptionsFulfilled} redemptions fulfilled`, icon: "−" },
-                    { label: "RP Cards Pending", val: `€${financials.totalPendingRedeem.toFixed(2)}`, color: "#fb923c", sub: `${financials.totalRedemptionsPending} not yet sent`, icon: "−" },
+                    { label: "Total Deposited", val: formatReal(financials.totalDeposited), color: "#4ade80", sub: `${financials.totalDeposits} PayPal payments`, icon: "↓" },
+                    { label: "Real Balance Owed", val: formatReal(financials.totalRealOwed), color: "#f87171", sub: "In player wallets right now", icon: "−" },
+                    { label: "RP Cards Sent", val: formatReal(financials.totalFulfilled), color: "#f87171", sub: `${financials.totalRedemptionsFulfilled} redemptions fulfilled`, icon: "−" },
+                    { label: "RP Cards Pending", val: formatReal(financials.totalPendingRedeem), color: "#fb923c", sub: `${financials.totalRedemptionsPending} not yet sent`, icon: "−" },
+                    { label: "Withdrawn", val: formatReal(financials.totalWithdrawn), color: "#f87171", sub: `${financials.totalWithdrawalsPaid} PayPal payouts`, icon: "↑" },
+                    { label: "Withdrawals Pending", val: formatReal(financials.totalPendingWithdraw), color: "#fb923c", sub: `${financials.totalWithdrawalsPending} held, not yet paid`, icon: "−" },
                   ].map(({ label, val, color, sub, icon }) => (
                     <div key={label} style={{ background: "#0a1a0a", border: "1px solid #4ade8022", borderRadius: 8, padding: "14px 16px" }}>
                       <div style={{ fontSize: 11, letterSpacing: 2, color: "#7A7A82", marginBottom: 6 }}>{label}</div>
@@ -4059,11 +4960,11 @@ function AdminPanel({ adminToken, onLogout }) {
                   <div>
                     <div style={{ fontSize: 11, letterSpacing: 2, color: "#7A7A82", marginBottom: 4 }}>NET MARGIN (what you actually keep)</div>
                     <div style={{ fontSize: 12, color: "#7A7A82" }}>
-                      Deposited €{financials.totalDeposited.toFixed(2)} − owed €{financials.totalRealOwed.toFixed(2)} − sent RP €{financials.totalFulfilled.toFixed(2)} − pending RP €{financials.totalPendingRedeem.toFixed(2)}
+                      Deposited {formatReal(financials.totalDeposited)} − owed {formatReal(financials.totalRealOwed)} − sent RP {formatReal(financials.totalFulfilled)} − pending RP {formatReal(financials.totalPendingRedeem)} − withdrawn {formatReal(financials.totalWithdrawn)} − pending withdrawals {formatReal(financials.totalPendingWithdraw)}
                     </div>
                   </div>
                   <div style={{ fontSize: 42, fontWeight: 900, fontFamily: "Barlow Condensed, sans-serif", color: financials.netMargin >= 0 ? "#4ade80" : "#f87171", marginLeft: 20, flexShrink: 0 }}>
-                    {financials.netMargin >= 0 ? "+" : ""}€{financials.netMargin.toFixed(2)}
+                    {financials.netMargin >= 0 ? "+" : ""}{formatReal(financials.netMargin)}
                   </div>
                 </div>
 
@@ -4075,7 +4976,7 @@ function AdminPanel({ adminToken, onLogout }) {
                       { label: "Real Bets Placed", val: financials.real.totalBets, color: "#F0F0F0" },
                       { label: "Player Wins", val: financials.real.wins, color: "#f87171", sub: "You pay credits" },
                       { label: "Player Losses", val: financials.real.losses, color: "#4ade80", sub: "You keep stake" },
-                      { label: "€ Wagered", val: `€${financials.real.wagered.toFixed(2)}`, color: "#F0F0F0" },
+                      { label: "Real Wagered", val: formatReal(financials.real.wagered), color: "#F0F0F0" },
                       { label: "Player Win Rate", val: `${financials.real.winRate}%`, color: financials.real.winRate > 55 ? "#f87171" : "#4ade80", sub: financials.real.winRate > 55 ? "⚠️ High — check edge" : "✓ Healthy" },
                     ].map(({ label, val, color, sub }) => (
                       <div key={label} style={{ background: "#0a1a0a", border: "1px solid #4ade8015", borderRadius: 6, padding: "10px 12px", textAlign: "center" }}>
@@ -4091,7 +4992,7 @@ function AdminPanel({ adminToken, onLogout }) {
                 {financials.pendingRealAtStake > 0 && (
                   <div style={{ background: "#1a1200", border: "1px solid #fb923c44", borderRadius: 6, padding: "10px 14px", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
                     <span style={{ fontSize: 13, color: "#fb923c" }}>⏳ {financials.pendingBetsCount} real bet{financials.pendingBetsCount > 1 ? "s" : ""} currently in progress</span>
-                    <span style={{ fontSize: 18, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif", color: "#fb923c" }}>€{financials.pendingRealAtStake.toFixed(2)} at stake</span>
+                    <span style={{ fontSize: 18, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif", color: "#fb923c" }}>{formatReal(financials.pendingRealAtStake)} at stake</span>
                   </div>
                 )}
               </div>
@@ -4111,12 +5012,12 @@ function AdminPanel({ adminToken, onLogout }) {
               <div style={{ padding: 20, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
                 <div style={{ background: "#100a1e", border: "1px solid #a78bfa22", borderRadius: 8, padding: "14px 16px" }}>
                   <div style={{ fontSize: 11, letterSpacing: 2, color: "#7A7A82", marginBottom: 6 }}>CREDITS OUTSTANDING</div>
-                  <div style={{ fontSize: 32, fontWeight: 800, fontFamily: "Barlow Condensed, sans-serif", color: "#a78bfa" }}>{financials.totalCreditsOwed.toFixed(2)}</div>
+                  <div style={{ fontSize: 32, fontWeight: 800, fontFamily: "Barlow Condensed, sans-serif", color: "#a78bfa" }}>{realDecimal(financials.totalCreditsOwed)}</div>
                   <div style={{ fontSize: 11, color: "#6A6A72", marginTop: 4 }}>Future RP card liability</div>
                 </div>
                 <div style={{ background: "#100a1e", border: "1px solid #a78bfa22", borderRadius: 8, padding: "14px 16px" }}>
                   <div style={{ fontSize: 11, letterSpacing: 2, color: "#7A7A82", marginBottom: 6 }}>CREDITS ISSUED ALL-TIME</div>
-                  <div style={{ fontSize: 32, fontWeight: 800, fontFamily: "Barlow Condensed, sans-serif", color: "#c4b5fd" }}>{financials.totalCreditsPaidOut.toFixed(2)}</div>
+                  <div style={{ fontSize: 32, fontWeight: 800, fontFamily: "Barlow Condensed, sans-serif", color: "#c4b5fd" }}>{realDecimal(financials.totalCreditsPaidOut)}</div>
                   <div style={{ fontSize: 11, color: "#6A6A72", marginTop: 4 }}>Created from real bet wins</div>
                 </div>
               </div>
@@ -4139,7 +5040,7 @@ function AdminPanel({ adminToken, onLogout }) {
                     { label: "Virtual Bets", val: financials.virtual.totalBets, color: "#C8AA6E" },
                     { label: "Player Wins", val: financials.virtual.wins, color: "#A0A0A8" },
                     { label: "Player Losses", val: financials.virtual.losses, color: "#A0A0A8" },
-                    { label: "Fake $ Wagered", val: `$${financials.virtual.wagered.toFixed(2)}`, color: "#C8AA6E" },
+                    { label: "Fake $ Wagered", val: formatMoney(financials.virtual.wagered), color: "#C8AA6E" },
                     { label: "Player Win Rate", val: `${financials.virtual.winRate}%`, color: "#A0A0A8" },
                   ].map(({ label, val, color }) => (
                     <div key={label} style={{ background: "#0d0c08", border: "1px solid #C8AA6E15", borderRadius: 6, padding: "10px 12px", textAlign: "center" }}>
@@ -4177,8 +5078,9 @@ function AdminPanel({ adminToken, onLogout }) {
             {activity.map((a, i) => {
               const cfg = {
                 deposit: { icon: "💵", color: "#4ade80", label: "Deposit" },
-                bet: { icon: "🎮", color: a.status === "won" ? "#3FB950" : a.status === "lost" ? "#F85149" : a.status === "cancelled" ? "#7A7A82" : "#C8AA6E", label: `Bet ${a.status}` },
+                bet: { icon: "🎮", color: a.status === "won" ? "#3FB950" : a.status === "lost" ? "#F85149" : (a.status === "cancelled" || a.status === "expired" || a.status === "void") ? "#7A7A82" : "#C8AA6E", label: `Bet ${a.status}` },
                 redemption: { icon: "💜", color: "#a78bfa", label: `Redemption ${a.status}` },
+                withdrawal: { icon: "💸", color: a.status === "rejected" ? "#7A7A82" : "#f87171", label: `Withdrawal ${a.status}` },
               }[a.type] || { icon: "·", color: "#7A7A82", label: a.type };
 
               return (
@@ -4193,7 +5095,7 @@ function AdminPanel({ adminToken, onLogout }) {
                     </div>
                   </div>
                   <div style={{ textAlign: "right", flexShrink: 0 }}>
-                    <div style={{ color: cfg.color, fontWeight: 700, fontSize: 15 }}>{fmt(a.amount)}</div>
+                    <div style={{ color: cfg.color, fontWeight: 700, fontSize: 15 }}>{a.type === "bet" && a.mode !== "real" ? fmt(a.amount) : formatReal(a.amount)}</div>
                     <div style={{ color: "#7A7A82", fontSize: 12, marginTop: 2 }}>{timeAgo(a.ts)}</div>
                   </div>
                 </div>
@@ -4262,8 +5164,104 @@ function AdminPanel({ adminToken, onLogout }) {
             {!emailLogs.length && <div style={{ textAlign: "center", padding: 48, color: "#7A7A82", fontSize: 14 }}>No emails logged yet. Send one to see it here.</div>}
           </div>
         )}
+
+        {/* ══ AUDIT LOG TAB ═══════════════════════════════════════════════════ */}
+        {!loading && tab === "audit" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 12 }}>
+              <div style={S.sectionTitle}>Audit Log <span style={{ color: "#7A7A82", fontSize: 14, fontWeight: 400 }}>— every admin change, append-only</span></div>
+              <div style={{ display: "flex", gap: 8 }}>
+                {[["admin", "Admin"], ["filterAction", "Action"], ["target", "Player / target"]].map(([key, placeholder]) => (
+                  <input
+                    key={key} placeholder={placeholder}
+                    value={auditFilter[key]} onChange={e => setAuditFilter(prev => ({ ...prev, [key]: e.target.value }))}
+                    onKeyDown={e => e.key === "Enter" && loadTab("audit")}
+                    style={{ background: "#1A1A1E", border: "1px solid #35353A", color: "#E0E0E0", padding: "8px 12px", borderRadius: 6, fontSize: 13, width: 150, fontFamily: "DM Sans, sans-serif" }}
+                  />
+                ))}
+                <button onClick={() => loadTab("audit")} style={S.btn()}>Filter</button>
+              </div>
+            </div>
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr>
+                    {["Time", "Admin", "Role", "Action", "Target", "Details"].map(h => (
+                      <th key={h} style={S.th}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {auditLog.map(e => (
+                    <tr key={e.id}>
+                      <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12 }} title={fmtDate(e.createdAt)}>{timeAgo(e.createdAt)}</span></td>
+                      <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 600 }}>{e.admin}</span></td>
+                      <td style={S.td}><span style={{ color: "#C8AA6E", fontSize: 12 }}>{e.role}</span></td>
+                      <td style={S.td}><span style={{ color: "#a78bfa", fontSize: 13, fontWeight: 600 }}>{e.action}</span></td>
+                      <td style={S.td}><span style={{ color: "#A0A0A8", fontSize: 13 }}>{e.target || "—"}</span></td>
+                      <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 12, fontFamily: "monospace" }}>{JSON.stringify(e.details)}</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {!auditLog.length && <div style={{ textAlign: "center", padding: 48, color: "#7A7A82", fontSize: 14 }}>No matching audit entries.</div>}
+          </div>
+        )}
+
+        {/* ══ ADMINS TAB (owner only) ═════════════════════════════════════════ */}
+        {!loading && tab === "admins" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+            <div style={S.sectionTitle}>Admin Accounts</div>
+            <div style={{ ...S.card, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <div style={{ ...S.label, marginBottom: 0, marginRight: 8 }}>New admin</div>
+              <input placeholder="Username" value={newAdmin.username} onChange={e => setNewAdmin(prev => ({ ...prev, username: e.target.value }))}
+                style={{ background: "#141416", border: "1px solid #35353A", color: "#E0E0E0", padding: "8px 12px", borderRadius: 4, fontSize: 13, fontFamily: "DM Sans, sans-serif" }} />
+              <input type="password" placeholder="Password (10+ chars)" value={newAdmin.password} onChange={e => setNewAdmin(prev => ({ ...prev, password: e.target.value }))}
+                style={{ background: "#141416", border: "1px solid #35353A", color: "#E0E0E0", padding: "8px 12px", borderRadius: 4, fontSize: 13, fontFamily: "DM Sans, sans-serif" }} />
+              <select value={newAdmin.role} onChange={e => setNewAdmin(prev => ({ ...prev, role: e.target.value }))}
+                style={{ background: "#141416", border: "1px solid #35353A", color: "#E0E0E0", padding: "8px 12px", borderRadius: 4, fontSize: 13, fontFamily: "DM Sans, sans-serif" }}>
+                {ADMIN_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+              <button onClick={createAdmin} style={S.btnSolid("#C8AA6E", "#0d0d10")}>Create</button>
+            </div>
+            <div style={{ background: "#1A1A1E", border: "1px solid #2D2D32", borderRadius: 8, overflow: "hidden" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead><tr>
+                  {["Username", "Role", "Created", "Created By", "Status", ""].map(h => <th key={h} style={S.th}>{h}</th>)}
+                </tr></thead>
+                <tbody>
+                  {admins.map(a => (
+                    <tr key={a.username}>
+                      <td style={S.td}><span style={{ color: "#F0F0F0", fontWeight: 700 }}>{a.username}</span></td>
+                      <td style={S.td}>
+                        {a.username === admin.username
+                          ? <span style={{ color: "#C8AA6E", fontSize: 13 }}>{a.role} (you)</span>
+                          : <select value={a.role} onChange={e => updateAdmin(a.username, { role: e.target.value })}
+                              style={{ background: "#141416", border: "1px solid #35353A", color: "#E0E0E0", padding: "6px 10px", borderRadius: 4, fontSize: 13, fontFamily: "DM Sans, sans-serif" }}>
+                              {ADMIN_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                            </select>}
+                      </td>
+                      <td style={S.td}><span style={{ color: "#7A7A82", fontSize: 13 }}>{fmtDate(a.createdAt)}</span></td>
+                      <td style={S.td}><span style={{ color: "#A0A0A8", fontSize: 13 }}>{a.createdBy || "bootstrap"}</span></td>
+                      <td style={S.td}><span style={{ color: a.disabled ? "#F85149" : "#3FB950", fontSize: 13, fontWeight: 600 }}>{a.disabled ? "Disabled" : "Active"}</span></td>
+                      <td style={S.td}>
+                        {a.username !== admin.username && (
+                          <button onClick={() => updateAdmin(a.username, { disabled: !a.disabled })} style={S.btn(a.disabled ? "#4ade80" : "#C8464A")}>
+                            {a.disabled ? "Enable" : "Disable"}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
       </div>
 
+      {SANDBOX_MODE && can("support") && <DebugPanel toast={showToast} />}
       {toast && <Toast key={toast.id} message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
     </div>
   );
@@ -4445,12 +5443,12 @@ export default function App() {
   const [user, setUser] = useState(() => {
     try {
       const saved = localStorage.getItem("rw_session_user");
-      return saved ? JSON.parse(saved) : null;
+      return saved && session ? JSON.parse(saved) : null;
     } catch { return null; }
   });
   const [tab, setTab] = useState("dashboard");
   const [toast, setToast] = useState(null);
-  const [region, setRegion] = useState("euw1");
+  const [region, setRegion] = useState(DEFAULT_REGION);
   const [resultScreen, setResultScreen] = useState(null);
   const [walletMode, setWalletMode] = useState("virtual");
   const [showIntro, setShowIntro] = useState(false);
@@ -4468,6 +5466,37 @@ export default function App() {
     setUser(updated);
   }, []);
 
+  const logout = useCallback(async () => {
+    try { await apiCall(user?.isAdmin ? "/api/admin" : "/api/auth", { action: "logout" }); } catch (_) {}
+    clearSession();
+    setUser(null);
+  }, [user?.isAdmin]);
+
+  // A linked account always talks to Riot through the region it was linked on
+  useEffect(() => {
+    if (user?.lolAccount && user.region) setRegion(user.region);
+  }, [user?.lolAccount, user?.region]);
+
+  // authFetch fires this when the refresh token is no longer accepted
+  useEffect(() => {
+    const onExpired = () => { setUser(null); showToast("Your session expired — please log in again", "info"); };
+    window.addEventListener("rw:session-expired", onExpired);
+    return () => window.removeEventListener("rw:session-expired", onExpired);
+  }, [showToast]);
+
+  // Unread notifications come with the user object — show them once, then mark them read
+  const unread = user?.notifications || [];
+  const unreadKey = unread.map(n => n.id).join(",");
+  useEffect(() => {
+    if (!unread.length) return;
+    showToast(unread.length === 1
+      ? `${unread[0].title}${unread[0].body ? ` — ${unread[0].body}` : ""}`
+      : `${unread.length} updates: ${unread.map(n => n.title).join(" · ")}`, "info");
+    const ids = unread.map(n => n.id);
+    apiCall("/api/user", { action: "markNotificationsRead", ids }).catch(() => {});
+    setUser(prev => prev && { ...prev, notifications: (prev.notifications || []).filter(n => !ids.includes(n.id)) });
+  }, [unreadKey]);
+
   // Auto-poll every 60s when player has a pending bet
   // The cron job resolves it server-side — we just need to refresh the UI
   const hasPendingBet = user?.bets?.some(b => b.status === "pending");
@@ -4475,11 +5504,7 @@ export default function App() {
     if (!hasPendingBet || !user?.username) return;
     const poll = async () => {
       try {
-        const data = await fetch("/api/user", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ action: "getUser", username: user.username })
-        }).then(r => r.json());
+        const data = await apiCall("/api/user", { action: "getUser" });
         if (data.user) {
           const wasResolved = data.user.bets?.some(
             b => b.status !== "pending" &&
@@ -4501,7 +5526,7 @@ export default function App() {
   }, [hasPendingBet, user?.username]);
 
   if (!user) return <AuthPage onLogin={handleLogin} />;
-  if (user.isAdmin) return <AdminPanel adminToken={user.adminToken} onLogout={() => setUser(null)} />;
+  if (user.isAdmin) return <AdminPanel admin={user} onLogout={logout} />;
 
   const stats = {
     wins: user.bets?.filter(b => b.status === "won").length || 0,
@@ -4545,16 +5570,16 @@ export default function App() {
               </div>
               <div style={{ background: "#1A1A1E", border: "1px solid #4ade8033", borderRadius: 4, padding: "4px 10px", textAlign: "center" }}>
                 <div style={{ fontSize: 8, letterSpacing: 2, color: "#16a34a" }}>REAL</div>
-                <div style={{ fontSize: 13, fontWeight: 700, color: "#4ade80" }}>{formatEUR(user.realBalance || 0)}</div>
+                <div style={{ fontSize: 13, fontWeight: 700, color: "#4ade80" }}>{formatReal(user.realBalance || 0)}</div>
               </div>
               <div style={{ background: "#1A1A1E", border: "1px solid #a78bfa33", borderRadius: 4, padding: "4px 10px", textAlign: "center" }}>
                 <div style={{ fontSize: 8, letterSpacing: 2, color: "#7c3aed" }}>CREDITS</div>
-                <div style={{ fontSize: 13, fontWeight: 700, color: "#a78bfa" }}>{formatEUR(user.skinCredits || 0)}</div>
+                <div style={{ fontSize: 13, fontWeight: 700, color: "#a78bfa" }}>{formatReal(user.skinCredits || 0)}</div>
               </div>
             </div>
             <div style={{ width: 1, height: 32, background: "#785A2833" }} />
             <div style={{ fontSize: 12, color: "#A0A0A8" }}>{user.username}</div>
-            <button onClick={() => setUser(null)} style={{
+            <button onClick={logout} style={{
               background: "none", border: "1px solid #35353A", color: "#A0A0A8",
               padding: "4px 10px", borderRadius: 3, cursor: "pointer",
               fontFamily: "Barlow Condensed, sans-serif", fontSize: 10, letterSpacing: 1
@@ -4623,7 +5648,7 @@ export default function App() {
               <div style={{ fontSize: 12, letterSpacing: 3, color: "#C8AA6E", marginBottom: 6 }}>VIRTUAL GOLD</div>
               <div style={{ color: "#C8AA6E", fontSize: 30, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{formatMoney(user.balance)}</div>
               <div style={{ marginTop: 10, height: 2, background: "#785A2818", borderRadius: 2 }}>
-                <div style={{ height: "100%", width: `${Math.min(100, (user.balance / 500) * 100)}%`, background: "linear-gradient(90deg, #785A28, #C8AA6E)", borderRadius: 2, transition: "width 0.5s ease" }} />
+                <div style={{ height: "100%", width: `${Math.min(100, (user.balance / goldMinor(STARTING_BALANCE)) * 100)}%`, background: "linear-gradient(90deg, #785A28, #C8AA6E)", borderRadius: 2, transition: "width 0.5s ease" }} />
               </div>
               <div style={{ color: "#C0C0C8", fontSize: 12, marginTop: 6, fontFamily: "DM Sans, sans-serif" }}>of $500.00 starting gold</div>
             </div>
@@ -4634,7 +5659,7 @@ export default function App() {
                   <div style={{ width: 6, height: 6, borderRadius: "50%", background: "#4ade80" }} />
                   <div style={{ fontSize: 10, letterSpacing: 3, color: "#4ade80" }}>REAL BALANCE</div>
                 </div>
-                <div style={{ color: "#4ade80", fontSize: 26, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{formatEUR(user.realBalance || 0)}</div>
+                <div style={{ color: "#4ade80", fontSize: 26, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{formatReal(user.realBalance || 0)}</div>
                 <div style={{ color: "#86efac", fontSize: 11, marginTop: 4, fontFamily: "DM Sans, sans-serif" }}>💳 withdrawable</div>
               </div>
               <div style={{ background: "linear-gradient(135deg, #1a0d28, #0d0818)", border: "1px solid #a78bfa33", borderRadius: 8, padding: "14px 16px" }}>
@@ -4642,15 +5667,16 @@ export default function App() {
                   <div style={{ width: 6, height: 6, borderRadius: "50%", background: "#a78bfa" }} />
                   <div style={{ fontSize: 10, letterSpacing: 3, color: "#a78bfa" }}>SKIN CREDITS</div>
                 </div>
-                <div style={{ color: "#a78bfa", fontSize: 26, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{formatEUR(user.skinCredits || 0)}</div>
+                <div style={{ color: "#a78bfa", fontSize: 26, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{formatReal(user.skinCredits || 0)}</div>
                 <div style={{ color: "#c4b5fd", fontSize: 11, marginTop: 4, fontFamily: "DM Sans, sans-serif" }}>💜 spend in shop</div>
               </div>
             </div>
           )}
 
-          {/* Active bet */}
+          {/* Active bet — the oldest one on the slip, it takes the next game */}
           {(() => {
-            const activeBet = user.bets?.find(b => b.status === "pending");
+            const openBets = getOpenBets(user);
+            const activeBet = openBets[0];
             const isReal = activeBet?.mode === "real";
             return activeBet ? (
               <div style={{ background: "#242428", border: `1px solid ${isReal ? "#4ade8044" : "#C8AA6E44"}`, borderRadius: 8, padding: "18px 16px" }}>
@@ -4658,14 +5684,16 @@ export default function App() {
                   <div style={{ fontSize: 12, letterSpacing: 3, color: isReal ? "#4ade80" : "#C8AA6E" }}>ACTIVE BET {isReal ? "💵" : "🎮"}</div>
                   <div style={{ width: 7, height: 7, borderRadius: "50%", background: isReal ? "#4ade80" : "#C8AA6E", boxShadow: `0 0 8px ${isReal ? "#4ade80" : "#C8AA6E"}`, animation: "pulse 1.5s ease-in-out infinite" }} />
                 </div>
-                <div style={{ color: isReal ? "#4ade80" : "#C8AA6E", fontSize: 26, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{formatMoney(activeBet.amount)}</div>
+                <div style={{ color: isReal ? "#4ade80" : "#C8AA6E", fontSize: 26, fontWeight: 700, fontFamily: "Barlow Condensed, sans-serif" }}>{isReal ? formatReal(activeBet.amount) : formatMoney(activeBet.amount)}</div>
                 <div style={{ color: "#E0E0E0", fontSize: 13, marginTop: 4, fontFamily: "DM Sans, sans-serif" }}>
                   {isReal
-                    ? <>Stake: <span style={{ color: "#4ade80" }}>${activeBet.amount.toFixed(2)}</span> + Credits: <span style={{ color: "#a78bfa" }}>${(activeBet.potentialWin - activeBet.amount).toFixed(2)}</span></>
+                    ? <>Stake: <span style={{ color: "#4ade80" }}>{formatReal(activeBet.amount)}</span> + Credits: <span style={{ color: "#a78bfa" }}>{formatReal(activeBet.potentialWin - activeBet.amount)}</span></>
                     : <>Win: <span style={{ color: "#0BC4AA", fontWeight: 700 }}>{formatMoney(activeBet.potentialWin)}</span></>
                   }
                 </div>
-                <div style={{ color: "#A0A0A8", fontSize: 12, marginTop: 4, fontFamily: "DM Sans, sans-serif" }}>{timeAgo(activeBet.placedAt)}</div>
+                <div style={{ color: "#A0A0A8", fontSize: 12, marginTop: 4, fontFamily: "DM Sans, sans-serif" }}>
+                  {timeAgo(activeBet.placedAt)}{openBets.length > 1 && ` · +${openBets.length - 1} more on your slip`}
+                </div>
               </div>
             ) : (
               <div style={{ background: "#24242866", border: "1px solid #252528", borderRadius: 8, padding: "18px 16px", textAlign: "center" }}>
@@ -4711,12 +5739,17 @@ export default function App() {
           {(tab === "dashboard" || tab === "bet") && (
             <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
               <LinkAccount user={user} setUser={updateUser} region={region} setRegion={setRegion} toast={showToast} />
-              <PlaceBet user={user} setUser={updateUser} toast={showToast} betMode={walletMode} />
-              <ResolveBet user={user} setUser={updateUser} region={region} toast={showToast} showResult={setResultScreen} />
+              <PlaceBet key={walletMode} user={user} setUser={updateUser} toast={showToast} betMode={walletMode} />
+              <ResolveBet user={user} setUser={updateUser} toast={showToast} showResult={setResultScreen} />
               <MarketTeaser onNavigate={() => setTab("market")} />
             </div>
           )}
-          {tab === "history" && <BetHistory bets={user.bets} />}
+          {tab === "history" && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 28 }}>
+              <BetHistory bets={user.bets} />
+              <TransactionHistory user={user} />
+            </div>
+          )}
           {tab === "leaderboard" && <Leaderboard />}
           {tab === "deposit" && <DepositPanel user={user} setUser={updateUser} toast={showToast} />}
           {tab === "shop" && <SkinShop user={user} setUser={updateUser} toast={showToast} />}
@@ -4768,7 +5801,6 @@ export default function App() {
       </div>
 
       {toast && <Toast key={toast.id} message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
-      {user.username === "palapourheal" && <DebugPanel user={user} setUser={updateUser} toast={showToast} showResult={setResultScreen} />}
       {resultScreen && <ResultScreen result={resultScreen.result} bet={resultScreen.bet} onClose={() => setResultScreen(null)} />}
     </div>
   );
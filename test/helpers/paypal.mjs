@@ -0,0 +1,98 @@
+// test/helpers/paypal.mjs
+// A stand-in for the PayPal REST API behind lib/paypal.js: OAuth tokens,
+// checkout orders and their captures, and Payouts batches. Webhook signatures
+// use the local verification stand-in in lib/paypal.js (PAYPAL_WEBHOOK_VERIFY=local),
+// so deliveries are signed with sign().
+import fs from "node:fs";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+export const WEBHOOK_SECRET = "test-webhook-secret";
+
+// What the stand-in holds, and knobs for how the next payout goes
+export const paypal = {
+  calls: [],              // { method, path, body } of every request, oldest first
+  orders: new Map(),      // order id → { amount, custom_id }
+  batches: new Map(),     // sender_batch_id → batch_header
+  payoutStatus: "SUCCESS", // batch_status new batches get
+  refusePayouts: false,   // answer new payouts 422, as PayPal does for e.g. an unpayable receiver
+  loseAnswer: false,      // create the batch but never answer, like a timeout
+};
+
+let next = 1;
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+
+function route(method, path, query, body) {
+  if (method === "POST" && path === "/v1/oauth2/token") return json({ access_token: "A21-test-token", expires_in: 32400 });
+
+  if (method === "POST" && path === "/v2/checkout/orders") {
+    const id = `ORDER${next++}`;
+    const unit = body.purchase_units[0];
+    paypal.orders.set(id, { amount: unit.amount, custom_id: unit.custom_id });
+    return json({ id, status: "CREATED" }, 201);
+  }
+  const capture = /^\/v2\/checkout\/orders\/([^/]+)\/capture$/.exec(path);
+  if (method === "POST" && capture) {
+    const order = paypal.orders.get(capture[1]);
+    if (!order) return json({ name: "RESOURCE_NOT_FOUND" }, 404);
+    return json({
+      id: capture[1],
+      status: "COMPLETED",
+      payer: { payer_id: "TESTPAYER01" },
+      purchase_units: [{ custom_id: order.custom_id, payments: { captures: [{ id: `CAPTURE${next++}`, status: "COMPLETED", amount: order.amount }] } }],
+    }, 201);
+  }
+
+  if (method === "POST" && path === "/v1/payments/payouts") {
+    const senderBatchId = body.sender_batch_header.sender_batch_id;
+    if (paypal.batches.has(senderBatchId)) {
+      return json({ name: "USER_BUSINESS_ERROR", message: "Batch with given sender_batch_id already exists" }, 400);
+    }
+    if (paypal.refusePayouts) return json({ name: "RECEIVER_UNREGISTERED", message: "Receiver is unregistered" }, 422);
+    const header = { payout_batch_id: `BATCH${next++}`, batch_status: paypal.payoutStatus, sender_batch_header: body.sender_batch_header };
+    paypal.batches.set(senderBatchId, header);
+    if (paypal.loseAnswer) throw new TypeError("fetch failed");
+    return json({ batch_header: header }, 201);
+  }
+  if (method === "GET" && path === "/v1/payments/payouts") {
+    const header = paypal.batches.get(query.get("sender_batch_id"));
+    return header ? json({ batch_header: header }) : json({ name: "RESOURCE_NOT_FOUND" }, 404);
+  }
+
+  return json({ name: "NOT_STUBBED", message: `${method} ${path}` }, 500);
+}
+
+export function stubPayPal() {
+  process.env.PAYPAL_CLIENT_ID ??= "test-client";
+  process.env.PAYPAL_CLIENT_SECRET ??= "test-secret";
+  process.env.PAYPAL_WEBHOOK_VERIFY = "local";
+  process.env.PAYPAL_WEBHOOK_LOCAL_SECRET = WEBHOOK_SECRET;
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    const u = new URL(url);
+    if (u.hostname !== "api-m.sandbox.paypal.com") return realFetch(url, init);
+    const method = init.method || "GET";
+    const body = typeof init.body === "string" && init.body.startsWith("{") ? JSON.parse(init.body) : null;
+    paypal.calls.push({ method, path: u.pathname, body });
+    return route(method, u.pathname, u.searchParams, body);
+  };
+}
+
+// A recorded payload from scripts/webhooks, pointed at `refs` in place of the
+// ids it was recorded with, e.g. { "2GG279541U471931P": deposit.paypal_capture_id }.
+// Like scripts/replay-webhook.js it gets a fresh event id, so it isn't a redelivery.
+export function fixture(name, refs = {}) {
+  let raw = fs.readFileSync(new URL(`../../scripts/webhooks/${name}.json`, import.meta.url), "utf8");
+  for (const [from, to] of Object.entries(refs)) raw = raw.split(from).join(to);
+  const event = JSON.parse(raw);
+  return { ...event, id: `${event.id}-${next++}` };
+}
+
+// The delivery's signature header for the local verification stand-in
+export function sign(event, secret = WEBHOOK_SECRET) {
+  const { localSignature } = require("../../lib/paypal.js");
+  return { "paypal-transmission-sig": localSignature(event, secret) };
+}
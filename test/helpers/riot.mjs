@@ -0,0 +1,57 @@
+// test/helpers/riot.mjs
+// A stand-in for the Riot API behind lib/riot.js: match-v5 match lists and
+// matches for games added with addGame(). Anything else is a 404. It reports a
+// rate limit high enough that lib/riot.js never waits.
+const games = [];
+let nextMatch = 1;
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { "content-type": "application/json", "x-app-rate-limit": "100000:1", "x-app-rate-limit-count": "1:1" },
+});
+
+// A finished ranked game for `puuid`, by default one that started 25 minutes
+// ago and has ended. Returns its match id.
+export function addGame(puuid, { win = true, startedAt = Date.now() - 25 * 60 * 1000, durationSec = 20 * 60, queue = 420, ...stats } = {}) {
+  const matchId = `EUW1_${9000000000 + nextMatch++}`;
+  games.push({
+    metadata: { matchId },
+    info: {
+      queueId: queue,
+      gameDuration: durationSec,
+      gameStartTimestamp: startedAt,
+      gameEndTimestamp: startedAt + durationSec * 1000,
+      participants: [{
+        puuid, win, championName: "Jinx", kills: 7, deaths: 3, assists: 9, totalMinionsKilled: 200, neutralMinionsKilled: 10,
+        timePlayed: durationSec, totalDamageDealtToChampions: 25000, ...stats,
+      }],
+    },
+  });
+  return matchId;
+}
+
+export function stubRiot() {
+  process.env.RIOT_API_KEY ??= "RGAPI-test";
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    const u = new URL(url);
+    if (!u.hostname.endsWith(".api.riotgames.com")) return realFetch(url, init);
+
+    const list = /^\/lol\/match\/v5\/matches\/by-puuid\/([^/]+)\/ids$/.exec(u.pathname);
+    if (list) {
+      const puuid = decodeURIComponent(list[1]);
+      const queue = Number(u.searchParams.get("queue"));
+      const since = Number(u.searchParams.get("startTime") || 0) * 1000;
+      return json(games
+        .filter(g => g.info.participants[0].puuid === puuid && g.info.queueId === queue && g.info.gameStartTimestamp >= since)
+        .sort((a, b) => b.info.gameStartTimestamp - a.info.gameStartTimestamp)
+        .map(g => g.metadata.matchId));
+    }
+    const one = /^\/lol\/match\/v5\/matches\/([^/]+)$/.exec(u.pathname);
+    const game = one && games.find(g => g.metadata.matchId === decodeURIComponent(one[1]));
+    return game ? json(game) : json({ status: { status_code: 404 } }, 404);
+  };
+}
+
+// A puuid in the shape Riot hands out (78 characters)
+export const puuidFor = (name) => `${name}-`.padEnd(78, "x");
@@ -0,0 +1,223 @@
+// test/ledger.test.mjs
+// Every ledger transaction sums to zero, and a bet placed through /api/bet and
+// settled by the resolve-bets cron moves the player's wallets by exactly
+// payout − stake and house:bets by the opposite. Runs the real handlers against
+// a Postgres stand-in (test/helpers/db.mjs) and a Riot stand-in for the games.
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { createTestDb, createPlayer, createAdmin, call } from "./helpers/db.mjs";
+import { stubRiot, addGame, puuidFor } from "./helpers/riot.mjs";
+import { betPayout } from "../lib/money.mjs";
+
+const require = createRequire(import.meta.url);
+
+process.env.CRON_SECRET = "test-cron-secret";
+stubRiot();
+const db = await createTestDb();
+const { sql } = db;
+
+const { postQuery, post, requirePosted, reconcile, ACCOUNTS } = require("../lib/ledger.js");
+const { SETTLEMENT_CURRENCY, GOLD, walletCurrency, toMinor } = require("../lib/currency.js");
+const bet = require("../api/bet.js");
+const admin = require("../api/admin.js");
+const resolveBets = require("../api/cron/resolve-bets.js");
+
+let owner;
+before(async () => { owner = await createAdmin("ledger-owner"); });
+
+// ─── READING THE BOOKS ───────────────────────────────────────────────────────
+// A player's three wallets, in minor units
+async function wallets(username) {
+  const [u] = await sql`SELECT balance, real_balance, skin_credits FROM users WHERE username = ${username}`;
+  return {
+    virtual: toMinor(u.balance, GOLD),
+    real: toMinor(u.real_balance, SETTLEMENT_CURRENCY),
+    credits: toMinor(u.skin_credits, SETTLEMENT_CURRENCY),
+  };
+}
+
+// What house:bets holds in one wallet, in minor units
+async function houseBets(wallet) {
+  const [row] = await sql`SELECT balance FROM ledger_accounts WHERE account = ${ACCOUNTS.bets} AND currency = ${wallet}`;
+  return row ? toMinor(row.balance, walletCurrency(wallet)) : 0;
+}
+
+// Ledger transactions whose entries in a wallet don't sum to zero
+const unbalanced = () => sql`
+  SELECT txn_id, currency, SUM(amount) AS total FROM ledger_entries
+  GROUP BY txn_id, currency HAVING SUM(amount) <> 0
+`;
+
+// ─── PLACING AND SETTLING ────────────────────────────────────────────────────
+// Places a bet through /api/bet and returns its row. It's then moved 30 minutes
+// into the past, so the cron treats it as old enough to settle.
+async function placeBet(player, { mode, stake }) {
+  const amount = (stake / 100).toFixed(2);
+  const { status, body } = await call(bet, { token: player.token, body: { action: "placeBet", mode, amount, market: "win" } });
+  assert.equal(status, 200, body?.error);
+  const [row] = await sql`
+    UPDATE bets SET placed_at = placed_at - ${30 * 60 * 1000}, expires_at = expires_at - ${30 * 60 * 1000}
+    WHERE id = (SELECT MAX(id) FROM bets WHERE username = ${player.username})
+    RETURNING *
+  `;
+  return row;
+}
+
+async function runResolver() {
+  const { status, body } = await call(resolveBets, { method: "GET", headers: { authorization: "Bearer test-cron-secret" } });
+  assert.equal(status, 200, body?.error);
+  assert.equal(body.errors || 0, 0, JSON.stringify(body.log));
+  return body;
+}
+
+// Stakes in cents across what /api/bet accepts: $1–$30 gold, 0.10–1.00 real
+const STAKES = {
+  virtual: [100, 101, 137, 199, 250, 333, 999, 1001, 2999, 3000],
+  real: [10, 11, 13, 17, 33, 50, 67, 99, 100],
+};
+// Solo/duo records that price "win" bets at different odds
+const RECORDS = [[30, 70], [50, 50], [62, 38]];
+
+// One linked player per mode and record, topped up so losses never run them dry
+async function bettors(tag) {
+  const players = [];
+  for (const mode of ["virtual", "real"]) {
+    for (const [wins, losses] of RECORDS) {
+      const name = `${tag}-${mode[0]}${wins}`;
+      const player = await createPlayer(name, { puuid: puuidFor(name), real: mode === "real" ? "10.00" : null });
+      await sql`INSERT INTO rank_history (username, puuid, queue_type, tier, division, lp, wins, losses, recorded_at)
+                VALUES (${name}, ${puuidFor(name)}, 'RANKED_SOLO_5x5', 'GOLD', 'II', 40, ${wins}, ${losses}, ${Date.now()})`;
+      players.push({ ...player, mode, puuid: puuidFor(name) });
+    }
+  }
+  return players;
+}
+
+// ─── TESTS ───────────────────────────────────────────────────────────────────
+test("a posting's two entries cancel out", async () => {
+  await createPlayer("postings", { real: "1000.00" });
+  await post({ username: "postings", currency: "virtual", amount: "1000.00", kind: "test", counterAccount: ACCOUNTS.adjustments });
+  await post({ username: "postings", currency: "credits", amount: "1000.00", kind: "test", counterAccount: ACCOUNTS.adjustments });
+
+  for (const amount of ["0.01", "-0.01", "12.35", "-499.99", 0.1 + 0.2]) {
+    for (const wallet of ["virtual", "real", "credits"]) {
+      const txnId = `postings-${wallet}-${amount}`;
+      await post({ username: "postings", currency: wallet, amount, kind: "test", counterAccount: ACCOUNTS.adjustments, txnId });
+      const [player, house] = await sql`SELECT username, currency, amount FROM ledger_entries WHERE txn_id = ${txnId} ORDER BY id`;
+      assert.equal(player.username, "postings");
+      assert.equal(player.currency, wallet);
+      assert.equal(toMinor(player.amount, walletCurrency(wallet)), toMinor(amount, walletCurrency(wallet)));
+      assert.equal(house.username, null);
+      assert.equal(toMinor(player.amount, walletCurrency(wallet)) + toMinor(house.amount, walletCurrency(wallet)), 0);
+    }
+  }
+  assert.deepEqual(await unbalanced(), []);
+});
+
+test("postQuery refuses amounts it can't post exactly", () => {
+  for (const amount of [0, "0.001", "abc", null, NaN]) {
+    assert.throws(() => postQuery({ username: "p", currency: "real", amount, kind: "test", counterAccount: ACCOUNTS.adjustments }));
+  }
+});
+
+test("a debit the wallet can't cover rolls back its whole transaction", async () => {
+  await createPlayer("overdrawn", { real: "0.50" });
+  const txnId = "overdrawn-1";
+  await assert.rejects(
+    sql.transaction([
+      sql`UPDATE users SET email = 'changed@example.com' WHERE username = 'overdrawn'`,
+      postQuery({ username: "overdrawn", currency: "real", amount: "-0.51", kind: "test", counterAccount: ACCOUNTS.adjustments, txnId }),
+      requirePosted(txnId, 1, "Insufficient real balance"),
+    ]),
+    { code: "P0001", message: "Insufficient real balance" },
+  );
+  const [u] = await sql`SELECT email, real_balance FROM users WHERE username = 'overdrawn'`;
+  assert.equal(u.email, "overdrawn@example.com");
+  assert.equal(toMinor(u.real_balance), 50);
+  assert.deepEqual(await sql`SELECT id FROM ledger_entries WHERE txn_id = ${txnId}`, []);
+});
+
+test("after a won bet settles the ledger sums to zero and the player is up payout − stake", async () => {
+  // Real bets pay the stake back in real and the profit in credits — both the settlement currency
+  const houseTotal = async (mode) => mode === "real"
+    ? (await houseBets("real")) + (await houseBets("credits"))
+    : houseBets("virtual");
+
+  for (const player of await bettors("won")) {
+    for (const stake of STAKES[player.mode]) {
+      const before = await wallets(player.username);
+      const houseBefore = await houseTotal(player.mode);
+      const row = await placeBet(player, { mode: player.mode, stake });
+      addGame(player.puuid, { win: true });
+      await runResolver();
+
+      const [settled] = await sql`SELECT status FROM bets WHERE id = ${row.id}`;
+      assert.equal(settled.status, "won");
+      const { payout } = betPayout(stake, row.odds, row.rake);
+      assert.equal(toMinor(row.potential_win), payout);
+
+      const after = await wallets(player.username);
+      if (player.mode === "real") {
+        assert.equal(after.real, before.real);
+        assert.equal(after.credits - before.credits, payout - stake);
+      } else {
+        assert.equal(after.virtual - before.virtual, payout - stake);
+      }
+      assert.equal((await houseTotal(player.mode)) - houseBefore, stake - payout);
+    }
+  }
+  assert.deepEqual(await unbalanced(), []);
+  assert.deepEqual((await reconcile()).mismatches, []);
+});
+
+test("after a lost bet the house holds exactly the stake", async () => {
+  for (const player of await bettors("lost")) {
+    for (const stake of STAKES[player.mode]) {
+      const before = await wallets(player.username);
+      const houseBefore = await houseBets(player.mode);
+      const row = await placeBet(player, { mode: player.mode, stake });
+      addGame(player.puuid, { win: false });
+      await runResolver();
+
+      const [settled] = await sql`SELECT status FROM bets WHERE id = ${row.id}`;
+      assert.equal(settled.status, "lost");
+      const after = await wallets(player.username);
+      assert.equal(before[player.mode] - after[player.mode], stake);
+      assert.equal((await houseBets(player.mode)) - houseBefore, stake);
+    }
+  }
+  assert.deepEqual(await unbalanced(), []);
+  assert.deepEqual((await reconcile()).mismatches, []);
+});
+
+test("a cancelled bet gives back exactly what was held", async () => {
+  for (const player of await bettors("cancel")) {
+    for (const stake of STAKES[player.mode]) {
+      const before = await wallets(player.username);
+      const houseBefore = await houseBets(player.mode);
+      const row = await placeBet(player, { mode: player.mode, stake });
+      const held = await wallets(player.username);
+      assert.equal(before[player.mode] - held[player.mode], stake);
+
+      const { status, body } = await call(admin, { token: owner.token, body: { action: "cancelPendingBet", username: player.username, betId: row.id } });
+      assert.equal(status, 200, body?.error);
+      assert.deepEqual(await wallets(player.username), before);
+      assert.equal(await houseBets(player.mode), houseBefore);
+    }
+  }
+  assert.deepEqual(await unbalanced(), []);
+  assert.deepEqual((await reconcile()).mismatches, []);
+});
+
+test("a bet settles once however often the resolver runs", async () => {
+  const player = await createPlayer("twice", { puuid: puuidFor("twice") });
+  const row = await placeBet(player, { mode: "virtual", stake: 1000 });
+  addGame(puuidFor("twice"), { win: true });
+  await runResolver();
+  const settled = await wallets("twice");
+  await runResolver();
+  assert.deepEqual(await wallets("twice"), settled);
+  const payouts = await sql`SELECT id FROM ledger_entries WHERE ref_type = 'bet' AND ref_id = ${String(row.id)} AND kind = 'payout' AND username IS NOT NULL`;
+  assert.equal(payouts.length, 1);
+});
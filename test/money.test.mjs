@@ -0,0 +1,159 @@
+// test/money.test.mjs
+// lib/money.mjs: parsing and formatting round-trip exactly, rates round once in
+// the direction asked for, and a bet's payout and rake always add up to gross.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ROUND_DOWN, ROUND_UP, ROUND_HALF_UP,
+  toMinor, fromMinor, toDecimal, multiply, divide, betPayout,
+} from "../lib/money.mjs";
+
+// ─── PARSING AND FORMATTING ──────────────────────────────────────────────────
+test("toMinor parses decimal strings and numbers exactly", () => {
+  assert.equal(toMinor("12.34"), 1234);
+  assert.equal(toMinor(12.34), 1234);
+  assert.equal(toMinor("0.1"), 10);
+  assert.equal(toMinor(0.1 + 0.2), 30);
+  assert.equal(toMinor(".5"), 50);
+  assert.equal(toMinor("7."), 700);
+  assert.equal(toMinor("-0.05"), -5);
+  assert.equal(toMinor("-0"), 0);
+  assert.equal(toMinor("1000", 0), 1000);
+  assert.equal(toMinor("1.5", 3), 1500);
+  assert.equal(toMinor(1e-7), 0);
+});
+
+test("toMinor rounds digits past the currency's half away from zero", () => {
+  assert.equal(toMinor("1.004"), 100);
+  assert.equal(toMinor("1.005"), 101);
+  assert.equal(toMinor("-1.005"), -101);
+  assert.equal(toMinor("2.5", 0), 3);
+});
+
+test("toMinor is NaN for anything that isn't a decimal amount", () => {
+  for (const bad of ["", " ", "abc", "1,50", "1e3", "--1", ".", null, undefined, NaN, Infinity, "99999999999999999999"]) {
+    assert.ok(Number.isNaN(toMinor(bad)), `toMinor(${JSON.stringify(bad)})`);
+  }
+});
+
+test("toDecimal writes exact strings and refuses non-integers", () => {
+  assert.equal(toDecimal(1250), "12.50");
+  assert.equal(toDecimal(5), "0.05");
+  assert.equal(toDecimal(-5), "-0.05");
+  assert.equal(toDecimal(0), "0.00");
+  assert.equal(toDecimal(1000, 0), "1000");
+  assert.equal(toDecimal(1, 3), "0.001");
+  assert.throws(() => toDecimal(1.5));
+  assert.throws(() => toDecimal(NaN));
+  assert.throws(() => toDecimal(Number.MAX_SAFE_INTEGER + 1));
+});
+
+test("toMinor → toDecimal → toMinor and toMinor → fromMinor → toMinor round-trip", () => {
+  for (const digits of [0, 2, 3]) {
+    for (let minor = -2500; minor <= 2500; minor += 7) {
+      assert.equal(toMinor(toDecimal(minor, digits), digits), minor);
+      assert.equal(toMinor(fromMinor(minor, digits), digits), minor);
+    }
+    for (const minor of [Number.MAX_SAFE_INTEGER, -Number.MAX_SAFE_INTEGER]) {
+      assert.equal(toMinor(toDecimal(minor, digits), digits), minor);
+    }
+  }
+});
+
+test("fromMinor gives the plain number for display", () => {
+  assert.equal(fromMinor(1234), 12.34);
+  assert.equal(fromMinor(-5), -0.05);
+  assert.equal(fromMinor(1000, 0), 1000);
+});
+
+// ─── RATES ───────────────────────────────────────────────────────────────────
+test("multiply rounds once, in the direction asked for", () => {
+  // 333 × 1.5 = 499.5
+  assert.equal(multiply(333, 1.5, ROUND_DOWN), 499);
+  assert.equal(multiply(333, 1.5, ROUND_UP), 500);
+  assert.equal(multiply(333, 1.5, ROUND_HALF_UP), 500);
+  // 101 × 1.85 = 186.85
+  assert.equal(multiply(101, "1.85", ROUND_DOWN), 186);
+  assert.equal(multiply(101, "1.85", ROUND_UP), 187);
+  assert.equal(multiply(101, "1.85", ROUND_HALF_UP), 187);
+  // 101 × 1.82 = 183.82
+  assert.equal(multiply(101, "1.82", ROUND_HALF_UP), 184);
+  // 100 × 1.85 = 185 — an exact product isn't rounded at all
+  assert.equal(multiply(100, 1.85, ROUND_UP), 185);
+  assert.equal(multiply(100, 1.85, ROUND_DOWN), 185);
+});
+
+test("multiply and divide round negative amounts symmetrically", () => {
+  assert.equal(multiply(-333, 1.5, ROUND_DOWN), -499);
+  assert.equal(multiply(-333, 1.5, ROUND_UP), -500);
+  assert.equal(multiply(-333, 1.5, ROUND_HALF_UP), -500);
+  assert.equal(divide(-100, 3, ROUND_DOWN), -33);
+  assert.equal(divide(-100, 3, ROUND_UP), -34);
+});
+
+test("divide rounds once, in the direction asked for", () => {
+  // 100 ÷ 3 = 33.33…
+  assert.equal(divide(100, 3, ROUND_DOWN), 33);
+  assert.equal(divide(100, 3, ROUND_UP), 34);
+  assert.equal(divide(100, 3, ROUND_HALF_UP), 33);
+  // 200 ÷ 3 = 66.66…
+  assert.equal(divide(200, 3, ROUND_HALF_UP), 67);
+  // 1000 ÷ 1.08 = 925.92…
+  assert.equal(divide(1000, "1.08", ROUND_DOWN), 925);
+  assert.equal(divide(1000, "1.08", ROUND_HALF_UP), 926);
+  assert.equal(divide(999, 1, ROUND_UP), 999);
+});
+
+test("scale moves between currencies with different minor digits", () => {
+  // €10.00 at 160.5 JPY per EUR → ¥1605
+  assert.equal(multiply(1000, "160.5", ROUND_HALF_UP, -2), 1605);
+  // ¥1605 back to EUR cents at the same rate
+  assert.equal(divide(1605, "160.5", ROUND_HALF_UP, 2), 1000);
+  // ¥1 at 0.0062 EUR per JPY → 0.62 cents
+  assert.equal(multiply(1, "0.0062", ROUND_DOWN, 2), 0);
+  assert.equal(multiply(1, "0.0062", ROUND_UP, 2), 1);
+});
+
+test("rates are checked and rounding modes are named", () => {
+  assert.throws(() => multiply(100, -1, ROUND_DOWN), /Invalid rate/);
+  assert.throws(() => multiply(100, "abc", ROUND_DOWN), /Invalid rate/);
+  assert.throws(() => divide(100, 0, ROUND_DOWN), /zero rate/);
+  assert.throws(() => multiply(100, 1.5, "nearest"), /Unknown rounding/);
+});
+
+// ─── BET PAYOUTS ─────────────────────────────────────────────────────────────
+// Every stake from 1 cent to €30.00 at odds and rakes like the ones /api/bet quotes
+const STAKES = Array.from({ length: 3000 }, (_, i) => i + 1);
+const ODDS = ["1.1", "1.33", "1.5", "1.7", "1.85", "1.97", "2.35", "3.99", "4"];
+const RAKES = ["0", "0.05", "0.075", "0.1"];
+
+test("betPayout: gross rounds down, the rake rounds up, payout + rake = gross", () => {
+  for (const odds of ODDS) {
+    for (const rakeRate of RAKES) {
+      for (const stake of STAKES) {
+        const { gross, rake, payout } = betPayout(stake, odds, rakeRate);
+        for (const v of [gross, rake, payout]) assert.ok(Number.isSafeInteger(v));
+        assert.equal(payout + rake, gross);
+        assert.equal(gross, multiply(stake, odds, ROUND_DOWN));
+        assert.equal(rake, multiply(gross, rakeRate, ROUND_UP));
+        // Both roundings are off by less than a cent, and only ever the house's way
+        const exactGross = stake * Number(odds);
+        assert.ok(gross <= exactGross + 1e-9 && exactGross - gross < 1);
+        const exactRake = gross * Number(rakeRate);
+        assert.ok(rake >= exactRake - 1e-9 && rake - exactRake < 1);
+      }
+    }
+  }
+});
+
+test("betPayout without a rake pays gross", () => {
+  assert.deepEqual(betPayout(100, "1.85"), { gross: 185, rake: 0, payout: 185 });
+  assert.deepEqual(betPayout(101, "1.85", 0), { gross: 186, rake: 0, payout: 186 });
+});
+
+test("betPayout on known amounts", () => {
+  // €1.00 at 1.85 with a 5% rake: 185 gross, 9.25 → 10 rake
+  assert.deepEqual(betPayout(100, "1.85", "0.05"), { gross: 185, rake: 10, payout: 175 });
+  // $30.00 at 1.97: 5910 gross, 295.5 → 296 rake
+  assert.deepEqual(betPayout(3000, "1.97", "0.05"), { gross: 5910, rake: 296, payout: 5614 });
+});
@@ -0,0 +1,173 @@
+// test/paypal-webhook.test.mjs
+// The recorded PayPal payloads in scripts/webhooks, delivered to
+// api/paypal/webhook.js through the local signature stand-in: each claws back
+// what PayPal took off a deposit made through create-order and capture-order,
+// moves the deposit to the right status and flags a player it leaves negative.
+// Deposits are €20.00, charged as $25.00 — what the payloads were recorded with.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { createTestDb, createPlayer, call } from "./helpers/db.mjs";
+import { stubPayPal, fixture, sign } from "./helpers/paypal.mjs";
+
+const require = createRequire(import.meta.url);
+
+process.env.PAYPAL_CURRENCY = "USD";
+process.env.FX_RATE_EUR_USD = "1.25";
+stubPayPal();
+const db = await createTestDb();
+const { sql } = db;
+
+const { toMinor } = require("../lib/currency.js");
+const createOrder = require("../api/paypal/create-order.js");
+const captureOrder = require("../api/paypal/capture-order.js");
+const withdraw = require("../api/withdraw.js");
+const webhook = require("../api/paypal/webhook.js");
+
+// The capture and order every payload in scripts/webhooks refers to
+const RECORDED_CAPTURE_ID = "2GG279541U471931P";
+const RECORDED_ORDER_ID = "5O190127TN364715T";
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+// A player with one €20.00 deposit, made the way the client makes it
+async function depositor(username) {
+  const player = await createPlayer(username);
+  const created = await call(createOrder, { token: player.token, body: { amount: "20.00" } });
+  assert.equal(created.status, 200, created.body?.error);
+  assert.deepEqual(created.body.charge, { minor: 2500, currency: "USD" });
+  const captured = await call(captureOrder, { token: player.token, body: { orderID: created.body.orderID } });
+  assert.equal(captured.status, 200, captured.body?.error);
+  const [order] = await sql`SELECT status FROM payment_orders WHERE id = ${created.body.orderID}`;
+  assert.equal(order.status, "captured");
+  const [deposit] = await sql`SELECT * FROM deposits WHERE paypal_order_id = ${created.body.orderID}`;
+  return { ...player, deposit, refs: { [RECORDED_CAPTURE_ID]: deposit.paypal_capture_id, [RECORDED_ORDER_ID]: deposit.paypal_order_id } };
+}
+
+const deliver = (event, headers = sign(event)) => call(webhook, { headers, body: event });
+
+async function state(player) {
+  const [d] = await sql`SELECT status, clawed_back, disputed FROM deposits WHERE id = ${player.deposit.id}`;
+  const [u] = await sql`SELECT real_balance, flagged_at, flag_reason FROM users WHERE username = ${player.username}`;
+  return {
+    status: d.status,
+    clawedBack: toMinor(d.clawed_back),
+    disputed: toMinor(d.disputed),
+    realBalance: toMinor(u.real_balance),
+    flagged: u.flagged_at != null,
+  };
+}
+
+const clawbacks = (player) => sql`
+  SELECT kind, amount FROM ledger_entries
+  WHERE username = ${player.username} AND ref_type = 'deposit' AND ref_id = ${String(player.deposit.id)} AND kind <> 'deposit'
+  ORDER BY id
+`;
+
+// ─── SIGNATURES ──────────────────────────────────────────────────────────────
+test("a delivery with a bad signature is turned away before anything is read or written", async () => {
+  const player = await depositor("badsig");
+  const event = fixture("payment-capture-refunded", player.refs);
+  const tampered = { ...event, resource: { ...event.resource, amount: { currency_code: "USD", value: "25.00" } } };
+
+  for (const [body, headers] of [
+    [event, sign(event, "not-the-secret")],
+    [tampered, sign(event)],
+    [event, {}],
+  ]) {
+    const mark = db.mark();
+    const { status, body: res } = await deliver(body, headers);
+    assert.equal(status, 400);
+    assert.equal(res.error, "Invalid webhook signature");
+    assert.deepEqual(db.since(mark), []);
+  }
+  assert.deepEqual(await state(player), { status: "completed", clawedBack: 0, disputed: 0, realBalance: 2000, flagged: false });
+  assert.deepEqual(await sql`SELECT id FROM paypal_webhook_events WHERE id = ${event.id}`, []);
+});
+
+// ─── CAPTURES ────────────────────────────────────────────────────────────────
+test("a refund claws back the refunded part of the deposit", async () => {
+  const player = await depositor("refunded");
+  const { status, body } = await deliver(fixture("payment-capture-refunded", player.refs));
+  assert.equal(status, 200);
+  // $5.00 refunded at the deposit's 1.25 is €4.00
+  assert.deepEqual(body.amount, { minor: 400, currency: "EUR" });
+  assert.equal(body.outcome, "partially_refunded");
+  assert.deepEqual(await state(player), { status: "partially_refunded", clawedBack: 400, disputed: 0, realBalance: 1600, flagged: false });
+  assert.deepEqual(await clawbacks(player), [{ kind: "clawback", amount: "-4.00" }]);
+  const [note] = await sql`SELECT kind FROM notifications WHERE username = ${player.username}`;
+  assert.equal(note.kind, "deposit_clawback");
+});
+
+test("a reversal takes back the whole deposit and flags a player it leaves negative", async () => {
+  const player = await depositor("reversed");
+  // €15.00 of it is already held for a withdrawal
+  const held = await call(withdraw, { token: player.token, body: { action: "requestWithdrawal", amount: "15.00", paypalEmail: "reversed@example.com" } });
+  assert.equal(held.status, 200, held.body?.error);
+
+  const { status } = await deliver(fixture("payment-capture-reversed", player.refs));
+  assert.equal(status, 200);
+  assert.deepEqual(await state(player), { status: "reversed", clawedBack: 2000, disputed: 0, realBalance: -1500, flagged: true });
+  const [u] = await sql`SELECT flag_reason FROM users WHERE username = ${player.username}`;
+  assert.match(u.flag_reason, /reversal on deposit/);
+});
+
+test("a denied capture takes back the whole deposit", async () => {
+  const player = await depositor("denied");
+  const { status, body } = await deliver(fixture("payment-capture-denied", player.refs));
+  assert.equal(status, 200);
+  assert.equal(body.outcome, "denied");
+  assert.deepEqual(await state(player), { status: "denied", clawedBack: 2000, disputed: 0, realBalance: 0, flagged: false });
+});
+
+test("a refund after a reversal takes nothing more", async () => {
+  const player = await depositor("afterreversal");
+  await deliver(fixture("payment-capture-reversed", player.refs));
+  const { status, body } = await deliver(fixture("payment-capture-refunded", player.refs));
+  assert.equal(status, 200);
+  assert.deepEqual(body.amount, { minor: 0, currency: "EUR" });
+  const { clawedBack, realBalance } = await state(player);
+  assert.deepEqual({ clawedBack, realBalance }, { clawedBack: 2000, realBalance: 0 });
+  assert.deepEqual(await clawbacks(player), [{ kind: "clawback", amount: "-20.00" }]);
+});
+
+// ─── DISPUTES ────────────────────────────────────────────────────────────────
+test("a dispute holds the disputed amount and a lost one becomes a chargeback", async () => {
+  const player = await depositor("chargeback");
+  assert.equal((await deliver(fixture("customer-dispute-created", player.refs))).status, 200);
+  assert.deepEqual(await state(player), { status: "disputed", clawedBack: 2000, disputed: 2000, realBalance: 0, flagged: false });
+
+  assert.equal((await deliver(fixture("customer-dispute-resolved", player.refs))).status, 200);
+  assert.deepEqual(await state(player), { status: "charged_back", clawedBack: 2000, disputed: 0, realBalance: 0, flagged: false });
+  assert.deepEqual(await clawbacks(player), [{ kind: "clawback", amount: "-20.00" }]);
+});
+
+test("a dispute closed in our favour gives the held amount back", async () => {
+  const player = await depositor("sellerwins");
+  await deliver(fixture("customer-dispute-created", player.refs));
+  const resolved = fixture("customer-dispute-resolved", { ...player.refs, RESOLVED_BUYER_FAVOUR: "RESOLVED_SELLER_FAVOUR" });
+  assert.equal((await deliver(resolved)).status, 200);
+  assert.deepEqual(await state(player), { status: "completed", clawedBack: 0, disputed: 0, realBalance: 2000, flagged: false });
+  assert.deepEqual(await clawbacks(player), [{ kind: "clawback", amount: "-20.00" }, { kind: "clawback_reversal", amount: "20.00" }]);
+});
+
+// ─── DELIVERIES ──────────────────────────────────────────────────────────────
+test("a redelivered event is only handled once", async () => {
+  const player = await depositor("redelivered");
+  const event = fixture("payment-capture-refunded", player.refs);
+  const first = await deliver(event);
+  const second = await deliver(event);
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.outcome, "partially_refunded -4.00");
+  assert.deepEqual(await state(player), { status: "partially_refunded", clawedBack: 400, disputed: 0, realBalance: 1600, flagged: false });
+});
+
+test("an event for a capture we don't have is recorded and left alone", async () => {
+  const event = fixture("payment-capture-reversed", { [RECORDED_CAPTURE_ID]: "UNKNOWNCAPTURE1", [RECORDED_ORDER_ID]: "UNKNOWNORDER1" });
+  const { status, body } = await deliver(event);
+  assert.equal(status, 200);
+  assert.equal(body.outcome, "no_deposit");
+  const [row] = await sql`SELECT outcome, deposit_id FROM paypal_webhook_events WHERE id = ${event.id}`;
+  assert.deepEqual(row, { outcome: "no_deposit", deposit_id: null });
+});
@@ -0,0 +1,249 @@
+// test/withdrawals.test.mjs
+// Withdrawals from request to payout, through api/withdraw.js, the admin
+// approve/reject actions and the payout webhooks, against a stand-in for
+// PayPal Payouts (test/helpers/paypal.mjs). The held amount is paid out exactly
+// once or comes back to the player — never both, never neither.
+import { test, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { createTestDb, createPlayer, createAdmin, call } from "./helpers/db.mjs";
+import { stubPayPal, paypal, sign } from "./helpers/paypal.mjs";
+
+const require = createRequire(import.meta.url);
+
+stubPayPal();
+const db = await createTestDb();
+const { sql } = db;
+
+const { toMinor } = require("../lib/currency.js");
+const { ACCOUNTS, reconcile } = require("../lib/ledger.js");
+const withdraw = require("../api/withdraw.js");
+const admin = require("../api/admin.js");
+const webhook = require("../api/paypal/webhook.js");
+
+let finance;
+before(async () => { finance = await createAdmin("payouts-finance", "finance"); });
+beforeEach(() => {
+  paypal.payoutStatus = "SUCCESS";
+  paypal.refusePayouts = false;
+  paypal.loseAnswer = false;
+});
+
+// ─── HELPERS ─────────────────────────────────────────────────────────────────
+// A player with €20.00 real balance who has asked to withdraw €10.00 of it
+async function withdrawal(username) {
+  const player = await createPlayer(username, { real: "20.00" });
+  const { status, body } = await call(withdraw, {
+    token: player.token,
+    body: { action: "requestWithdrawal", amount: "10.00", paypalEmail: `${username}@paypal.example` },
+  });
+  assert.equal(status, 200, body?.error);
+  return { ...player, id: body.withdrawal.id };
+}
+
+const review = (action, w, extra = {}) =>
+  call(admin, { token: finance.token, body: { action, withdrawalId: w.id, ...extra } });
+
+async function state(w) {
+  const [row] = await sql`SELECT status, payout_batch_id, payout_status, payout_error FROM withdrawals WHERE id = ${w.id}`;
+  const [u] = await sql`SELECT real_balance FROM users WHERE username = ${w.username}`;
+  return { ...row, realBalance: toMinor(u.real_balance) };
+}
+
+const held = async () => {
+  const [row] = await sql`SELECT balance FROM ledger_accounts WHERE account = ${ACCOUNTS.withdrawals} AND currency = 'real'`;
+  return row ? toMinor(row.balance) : 0;
+};
+
+const payoutsSent = (w) => paypal.calls.filter(c =>
+  c.method === "POST" && c.path === "/v1/payments/payouts" && c.body.sender_batch_header.sender_batch_id === `withdrawal-${w.id}`);
+
+// A payout item event as PayPal sends it, for the withdrawal's payout
+function payoutEvent(eventType, w, transactionStatus) {
+  const event = {
+    id: `WH-PAYOUT-${w.id}-${eventType}`,
+    event_version: "1.0",
+    resource_type: "payouts_item",
+    event_type: eventType,
+    resource: {
+      payout_item_id: `ITEM${w.id}`,
+      payout_batch_id: paypal.batches.get(`withdrawal-${w.id}`)?.payout_batch_id ?? null,
+      transaction_status: transactionStatus,
+      payout_item: {
+        recipient_type: "EMAIL",
+        amount: { currency: "EUR", value: "10.00" },
+        receiver: `${w.username}@paypal.example`,
+        sender_item_id: `withdrawal-${w.id}`,
+      },
+    },
+  };
+  return call(webhook, { headers: sign(event), body: event });
+}
+
+// ─── REVIEW ──────────────────────────────────────────────────────────────────
+test("requesting holds the amount off the real balance", async () => {
+  const before = await held();
+  const w = await withdrawal("holds");
+  assert.deepEqual(await state(w), { status: "pending", payout_batch_id: null, payout_status: null, payout_error: null, realBalance: 1000 });
+  assert.equal((await held()) - before, 1000);
+});
+
+test("approving pays the withdrawal out through PayPal once", async () => {
+  const w = await withdrawal("approved");
+  const { status, body } = await review("approveWithdrawal", w);
+  assert.equal(status, 200, body?.error);
+  assert.equal(body.withdrawal.status, "paid");
+
+  const sent = payoutsSent(w);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].body.items[0].amount, { currency: "EUR", value: "10.00" });
+  assert.equal(sent[0].body.items[0].receiver, "approved@paypal.example");
+  const { payout_batch_id, ...rest } = await state(w);
+  assert.equal(payout_batch_id, paypal.batches.get(`withdrawal-${w.id}`).payout_batch_id);
+  assert.deepEqual(rest, { status: "paid", payout_status: "SUCCESS", payout_error: null, realBalance: 1000 });
+
+  const again = await review("approveWithdrawal", w);
+  assert.equal(again.status, 400);
+  assert.equal(payoutsSent(w).length, 1);
+});
+
+test("rejecting gives the held amount back", async () => {
+  const w = await withdrawal("rejected");
+  const before = await held();
+  const { status, body } = await review("rejectWithdrawal", w, { reason: "Wrong PayPal address" });
+  assert.equal(status, 200, body?.error);
+  assert.deepEqual(await state(w), { status: "rejected", payout_batch_id: null, payout_status: null, payout_error: null, realBalance: 2000 });
+  assert.equal(before - (await held()), 1000);
+  assert.equal(payoutsSent(w).length, 0);
+  const [note] = await sql`SELECT kind, body FROM notifications WHERE username = 'rejected'`;
+  assert.equal(note.kind, "withdrawal_rejected");
+  assert.match(note.body, /Wrong PayPal address/);
+});
+
+// ─── FAILED PAYOUTS ──────────────────────────────────────────────────────────
+test("a payout PayPal refuses stays approved with the error, and rejecting it returns the funds", async () => {
+  const w = await withdrawal("refused");
+  paypal.refusePayouts = true;
+  const { status, body } = await review("approveWithdrawal", w);
+  assert.equal(status, 502);
+  assert.match(body.error, /Receiver is unregistered/);
+  const failed = await state(w);
+  assert.equal(failed.status, "approved");
+  assert.match(failed.payout_error, /Receiver is unregistered/);
+  assert.equal(failed.realBalance, 1000);
+
+  const rejected = await review("rejectWithdrawal", w, { reason: "PayPal refused the payout" });
+  assert.equal(rejected.status, 200, rejected.body?.error);
+  assert.equal((await state(w)).status, "rejected");
+  assert.equal((await state(w)).realBalance, 2000);
+});
+
+test("a denied payout batch isn't marked paid, and rejecting it returns the funds", async () => {
+  const w = await withdrawal("deniedbatch");
+  paypal.payoutStatus = "DENIED";
+  const { status } = await review("approveWithdrawal", w);
+  assert.equal(status, 502);
+  assert.deepEqual(await state(w), {
+    status: "approved",
+    payout_batch_id: paypal.batches.get(`withdrawal-${w.id}`).payout_batch_id,
+    payout_status: "DENIED",
+    payout_error: "PayPal payout batch DENIED",
+    realBalance: 1000,
+  });
+
+  // Looked up again before rejecting — PayPal still has it as DENIED, so nothing went out
+  const rejected = await review("rejectWithdrawal", w);
+  assert.equal(rejected.status, 200, rejected.body?.error);
+  assert.equal((await state(w)).realBalance, 2000);
+});
+
+// ─── RETRIES ─────────────────────────────────────────────────────────────────
+test("a retry after a lost answer finds the batch at PayPal instead of paying again", async () => {
+  const w = await withdrawal("lostanswer");
+  paypal.loseAnswer = true;
+  assert.equal((await review("approveWithdrawal", w)).status, 502);
+  assert.equal((await state(w)).status, "approved");
+  // PayPal did create the batch
+  assert.ok(paypal.batches.has(`withdrawal-${w.id}`));
+
+  paypal.loseAnswer = false;
+  const mark = paypal.calls.length;
+  const { status, body } = await review("approveWithdrawal", w);
+  assert.equal(status, 200, body?.error);
+  assert.equal(body.withdrawal.status, "paid");
+  assert.deepEqual(paypal.calls.slice(mark).filter(c => c.path === "/v1/payments/payouts").map(c => c.method), ["GET"]);
+  assert.equal(payoutsSent(w).length, 1);
+  assert.equal((await state(w)).realBalance, 1000);
+});
+
+test("a retry sends the payout again only when PayPal has no batch for it", async () => {
+  const w = await withdrawal("retried");
+  paypal.refusePayouts = true;
+  assert.equal((await review("approveWithdrawal", w)).status, 502);
+
+  paypal.refusePayouts = false;
+  const { status, body } = await review("approveWithdrawal", w);
+  assert.equal(status, 200, body?.error);
+  assert.equal(payoutsSent(w).length, 2);
+  assert.equal((await state(w)).status, "paid");
+});
+
+test("rejecting a withdrawal PayPal already paid marks it paid and keeps the funds out", async () => {
+  const w = await withdrawal("alreadypaid");
+  paypal.loseAnswer = true;
+  await review("approveWithdrawal", w);
+  paypal.loseAnswer = false;
+
+  const { status, body } = await review("rejectWithdrawal", w);
+  assert.equal(status, 409);
+  assert.match(body.error, /already paid/);
+  const { status: after, realBalance } = await state(w);
+  assert.deepEqual({ after, realBalance }, { after: "paid", realBalance: 1000 });
+});
+
+// ─── PAYOUT WEBHOOKS ─────────────────────────────────────────────────────────
+test("a returned payout puts a paid withdrawal's amount back", async () => {
+  const w = await withdrawal("returned");
+  await review("approveWithdrawal", w);
+  const { status, body } = await payoutEvent("PAYMENT.PAYOUTS-ITEM.RETURNED", w, "RETURNED");
+  assert.equal(status, 200, body?.error);
+  assert.equal(body.outcome, "returned");
+  assert.deepEqual(body.amount, { minor: 1000, currency: "EUR" });
+  const { payout_batch_id, ...rest } = await state(w);
+  assert.deepEqual(rest, { status: "returned", payout_status: "RETURNED", payout_error: "PayPal payout returned", realBalance: 2000 });
+});
+
+test("a failed or denied payout item returns an approved withdrawal's amount", async () => {
+  for (const [eventType, transactionStatus] of [["PAYMENT.PAYOUTS-ITEM.FAILED", "FAILED"], ["PAYMENT.PAYOUTS-ITEM.DENIED", "DENIED"]]) {
+    const w = await withdrawal(`item-${transactionStatus.toLowerCase()}`);
+    paypal.payoutStatus = "PROCESSING";
+    assert.equal((await review("approveWithdrawal", w)).status, 502);
+    assert.equal((await state(w)).status, "approved");
+
+    const { status } = await payoutEvent(eventType, w, transactionStatus);
+    assert.equal(status, 200);
+    const { status: after, payout_status, realBalance } = await state(w);
+    assert.deepEqual({ after, payout_status, realBalance }, { after: "returned", payout_status: transactionStatus, realBalance: 2000 });
+  }
+});
+
+test("a payout event for a withdrawal that's already closed changes nothing, and redeliveries are handled once", async () => {
+  const w = await withdrawal("closed");
+  await review("rejectWithdrawal", w);
+  const first = await payoutEvent("PAYMENT.PAYOUTS-ITEM.FAILED", w, "FAILED");
+  assert.equal(first.body.outcome, "already_rejected");
+  assert.equal((await state(w)).realBalance, 2000);
+
+  const paid = await withdrawal("redelivered");
+  await review("approveWithdrawal", paid);
+  await payoutEvent("PAYMENT.PAYOUTS-ITEM.RETURNED", paid, "RETURNED");
+  const again = await payoutEvent("PAYMENT.PAYOUTS-ITEM.RETURNED", paid, "RETURNED");
+  assert.equal(again.body.duplicate, true);
+  assert.equal((await state(paid)).realBalance, 2000);
+  const reversals = await sql`SELECT id FROM ledger_entries WHERE username = 'redelivered' AND kind = 'withdrawal_reversal'`;
+  assert.equal(reversals.length, 1);
+});
+
+test("after all of it every wallet matches its ledger", async () => {
+  assert.deepEqual((await reconcile()).mismatches, []);
+});